@@ -71,7 +71,15 @@ app.use(passport.session());
 // Request Parsing
 // ========================
 app.use(cookieParser());
-app.use(express.json({ limit: "10kb" }));
+app.use(
+  express.json({
+    limit: "10kb",
+    // Keep the exact bytes for payment webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
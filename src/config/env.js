@@ -158,6 +158,306 @@ const config = convict({
     default: "http://localhost:3000/",
     env: "FRONTEND_SUCCESS_URL",
   },
+  payments: {
+    provider: {
+      doc: "Payment gateway adapter used for new payment intents. Unset, the local fake gateway is used outside production and payments are disabled in production",
+      format: String,
+      default: "",
+      env: "PAYMENT_PROVIDER",
+    },
+    webhookToleranceSeconds: {
+      doc: "Maximum age of a signed webhook before it is rejected",
+      format: "nat",
+      default: 300,
+      env: "PAYMENT_WEBHOOK_TOLERANCE",
+    },
+    localWebhookSecret: {
+      doc: "HMAC secret used to sign local provider webhooks. Unset, a random secret is generated per process, so only that process can sign its webhooks",
+      format: String,
+      default: "",
+      env: "LOCAL_PAYMENT_WEBHOOK_SECRET",
+      sensitive: true,
+    },
+  },
+  bookings: {
+    holdWindowMinutes: {
+      doc: "How long a PENDING booking holds its dates before it expires",
+      format: "nat",
+      default: 30,
+      env: "BOOKING_HOLD_WINDOW_MINUTES",
+    },
+    requestResponseHours: {
+      doc: "How long a host has to accept a request-to-book booking",
+      format: "nat",
+      default: 24,
+      env: "BOOKING_REQUEST_RESPONSE_HOURS",
+    },
+    paymentWindowHours: {
+      doc: "How long a guest has to pay once the host accepts their request",
+      format: "nat",
+      default: 24,
+      env: "BOOKING_PAYMENT_WINDOW_HOURS",
+    },
+    quoteTtlMinutes: {
+      doc: "How long a signed price quote can be redeemed by createBooking",
+      format: "nat",
+      default: 15,
+      env: "BOOKING_QUOTE_TTL_MINUTES",
+    },
+    claimWindowHours: {
+      doc: "How long after checkout a host can file a damage claim",
+      format: "nat",
+      default: 72,
+      env: "DAMAGE_CLAIM_WINDOW_HOURS",
+    },
+    claimResponseHours: {
+      doc: "How long a guest has to accept or dispute a damage claim",
+      format: "nat",
+      default: 72,
+      env: "DAMAGE_CLAIM_RESPONSE_HOURS",
+    },
+    quoteSecret: {
+      doc: "Secret used to sign price quote tokens",
+      format: String,
+      default: "your_quote_secret",
+      env: "BOOKING_QUOTE_SECRET",
+      sensitive: true,
+    },
+  },
+  currency: {
+    base: {
+      doc: "Currency every stored exchange rate is quoted against",
+      format: String,
+      default: "USD",
+      env: "BASE_CURRENCY",
+    },
+    rateCacheSeconds: {
+      doc: "How long exchange rates are cached in Redis",
+      format: "nat",
+      default: 300,
+      env: "EXCHANGE_RATE_CACHE_SECONDS",
+    },
+  },
+  invoices: {
+    issuerCode: {
+      doc: "Code of the issuing entity; each entity has its own number series",
+      format: String,
+      default: "REZO",
+      env: "INVOICE_ISSUER_CODE",
+    },
+    issuerName: {
+      doc: "Legal name printed on invoices",
+      format: String,
+      default: "Rezo",
+      env: "INVOICE_ISSUER_NAME",
+    },
+    issuerAddress: {
+      doc: "Registered address printed on invoices",
+      format: String,
+      default: "",
+      env: "INVOICE_ISSUER_ADDRESS",
+    },
+    issuerTaxId: {
+      doc: "Tax registration number printed on invoices",
+      format: String,
+      default: "",
+      env: "INVOICE_ISSUER_TAX_ID",
+    },
+    invoicePrefix: {
+      doc: "Prefix for invoice numbers",
+      format: String,
+      default: "INV",
+      env: "INVOICE_PREFIX",
+    },
+    creditNotePrefix: {
+      doc: "Prefix for credit note numbers",
+      format: String,
+      default: "CN",
+      env: "CREDIT_NOTE_PREFIX",
+    },
+  },
+  calendars: {
+    fetchTimeoutMs: {
+      doc: "How long to wait for an external iCal feed",
+      format: "nat",
+      default: 10000,
+      env: "CALENDAR_FETCH_TIMEOUT_MS",
+    },
+    maxFeedBytes: {
+      doc: "Largest iCal feed or upload that is imported",
+      format: "nat",
+      default: 1024 * 1024,
+      env: "CALENDAR_MAX_FEED_BYTES",
+    },
+    cacheTtlSeconds: {
+      doc: "How long a property's availability calendar stays cached",
+      format: "nat",
+      default: 300,
+      env: "CALENDAR_CACHE_TTL_SECONDS",
+    },
+    maxRangeDays: {
+      doc: "Longest date range a calendar request may cover",
+      format: "nat",
+      default: 366,
+      env: "CALENDAR_MAX_RANGE_DAYS",
+    },
+  },
+  leases: {
+    graceDays: {
+      doc: "Days after its due date before an unpaid rent installment is overdue",
+      format: "nat",
+      default: 3,
+      env: "LEASE_GRACE_DAYS",
+    },
+    reminderIntervalDays: {
+      doc: "Days between reminders for an overdue rent installment",
+      format: "nat",
+      default: 3,
+      env: "LEASE_REMINDER_INTERVAL_DAYS",
+    },
+    maxReminders: {
+      doc: "Reminders sent for one overdue rent installment before they stop",
+      format: "nat",
+      default: 5,
+      env: "LEASE_MAX_REMINDERS",
+    },
+  },
+  search: {
+    availabilityHorizonDays: {
+      doc: "How many nights ahead availability is copied into the search index; date searches cannot go further",
+      format: "nat",
+      default: 365,
+      env: "SEARCH_AVAILABILITY_HORIZON_DAYS",
+    },
+    clusterMaxZoom: {
+      doc: "Map zoom level from which map search returns individual pins instead of clusters",
+      format: "nat",
+      default: 13,
+      env: "SEARCH_CLUSTER_MAX_ZOOM",
+    },
+    clusterGridSize: {
+      doc: "Cluster cells per map tile edge; higher values give smaller clusters",
+      format: "nat",
+      default: 4,
+      env: "SEARCH_CLUSTER_GRID_SIZE",
+    },
+    maxMapPins: {
+      doc: "Most pins a map search returns; busier viewports are clustered whatever the zoom",
+      format: "nat",
+      default: 500,
+      env: "SEARCH_MAX_MAP_PINS",
+    },
+    outboxBatchSize: {
+      doc: "Search index outbox events the worker reads per batch",
+      format: "nat",
+      default: 100,
+      env: "SEARCH_OUTBOX_BATCH_SIZE",
+    },
+    outboxMaxAttempts: {
+      doc: "Attempts before a search index outbox event is marked FAILED",
+      format: "nat",
+      default: 5,
+      env: "SEARCH_OUTBOX_MAX_ATTEMPTS",
+    },
+    outboxRetentionDays: {
+      doc: "Days processed search index outbox events are kept",
+      format: "nat",
+      default: 7,
+      env: "SEARCH_OUTBOX_RETENTION_DAYS",
+    },
+  },
+  savedSearches: {
+    maxPerUser: {
+      doc: "Most saved searches one user can keep",
+      format: "nat",
+      default: 20,
+      env: "SAVED_SEARCHES_MAX_PER_USER",
+    },
+  },
+  sales: {
+    viewingNoticeHours: {
+      doc: "How far ahead of a viewing slot buyers must request it",
+      format: "nat",
+      default: 24,
+      env: "SALES_VIEWING_NOTICE_HOURS",
+    },
+    maxOpenOffersPerBuyer: {
+      doc: "Offers a buyer can have waiting on different listings at once",
+      format: "nat",
+      default: 5,
+      env: "SALES_MAX_OPEN_OFFERS_PER_BUYER",
+    },
+  },
+  payouts: {
+    commissionPercent: {
+      doc: "Platform commission taken from each booking, as a percentage of the amount before taxes",
+      format: Number,
+      default: 15,
+      env: "PAYOUT_COMMISSION_PERCENT",
+    },
+    releaseDelayHours: {
+      doc: "How long after check-in a host's earnings for a booking become payable",
+      format: "nat",
+      default: 24,
+      env: "PAYOUT_RELEASE_DELAY_HOURS",
+    },
+  },
+  jobs: {
+    enabled: {
+      doc: "Run background job processors in this process",
+      format: Boolean,
+      default: true,
+      env: "JOBS_ENABLED",
+    },
+    bookingLifecycleCron: {
+      doc: "Cron schedule for expiring, activating and completing bookings",
+      format: String,
+      default: "*/5 * * * *",
+      env: "BOOKING_LIFECYCLE_CRON",
+    },
+    depositSettlementCron: {
+      doc: "Cron schedule for releasing deposits and settling unanswered claims",
+      format: String,
+      default: "*/15 * * * *",
+      env: "DEPOSIT_SETTLEMENT_CRON",
+    },
+    payoutCron: {
+      doc: "Cron schedule for paying out host earnings that have become payable",
+      format: String,
+      default: "0 * * * *",
+      env: "PAYOUT_CRON",
+    },
+    calendarSyncCron: {
+      doc: "Cron schedule for importing hosts' external iCal calendars",
+      format: String,
+      default: "*/30 * * * *",
+      env: "CALENDAR_SYNC_CRON",
+    },
+    searchIndexCron: {
+      doc: "Cron schedule for queueing a reindex of every approved listing, which rolls the availability horizon forward",
+      format: String,
+      default: "0 3 * * *",
+      env: "SEARCH_INDEX_CRON",
+    },
+    searchOutboxCron: {
+      doc: "Cron schedule for applying queued search index updates",
+      format: String,
+      default: "* * * * *",
+      env: "SEARCH_OUTBOX_CRON",
+    },
+    savedSearchDigestCron: {
+      doc: "Cron schedule for sending daily and weekly saved search digests",
+      format: String,
+      default: "0 * * * *",
+      env: "SAVED_SEARCH_DIGEST_CRON",
+    },
+    rentRemindersCron: {
+      doc: "Cron schedule for flagging overdue rent installments and reminding tenants",
+      format: String,
+      default: "0 8 * * *",
+      env: "RENT_REMINDERS_CRON",
+    },
+  },
   login: {
     maxAttempts: {
       doc: "Max login attempts",
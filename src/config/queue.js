@@ -0,0 +1,61 @@
+import Queue from "bull";
+import config from "./env.js";
+import { logger } from "./logger.js";
+
+// Queue every background job runs on
+export const BOOKINGS_QUEUE = "bookings";
+
+const queues = new Map();
+
+const redisUrl = config.get("redisUrl") || "redis://localhost:6379";
+
+// Create (or reuse) a named bull queue backed by the application Redis
+export const getQueue = (name) => {
+  if (queues.has(name)) return queues.get(name);
+
+  const queue = new Queue(name, redisUrl, {
+    prefix: "bull",
+    defaultJobOptions: {
+      attempts: 3,
+      backoff: { type: "exponential", delay: 5000 },
+      removeOnComplete: 100,
+      removeOnFail: 500,
+    },
+  });
+
+  queue.on("error", (error) => {
+    logger.error(`❌ Queue ${name} error: ${error.message}`);
+  });
+  queue.on("failed", (job, error) => {
+    logger.error(`❌ Job ${name}:${job.name} (${job.id}) failed: ${error.message}`);
+  });
+
+  queues.set(name, queue);
+  return queue;
+};
+
+/**
+ * Schedule a repeatable job, dropping any older schedule for the same job
+ * name so a changed cron expression does not leave the old one running.
+ * @param {Queue} queue
+ * @param {string} jobName
+ * @param {string} cron - Cron expression
+ * @param {Object} [data]
+ */
+export const scheduleRepeatable = async (queue, jobName, cron, data = {}) => {
+  const existing = await queue.getRepeatableJobs();
+  await Promise.all(
+    existing
+      .filter((job) => job.name === jobName && job.cron !== cron)
+      .map((job) => queue.removeRepeatableByKey(job.key))
+  );
+
+  await queue.add(jobName, data, { repeat: { cron }, jobId: jobName });
+};
+
+// Close every queue opened by this process
+export const closeQueues = async () => {
+  await Promise.all([...queues.values()].map((queue) => queue.close()));
+  queues.clear();
+  logger.info("🛑 Job queues closed");
+};
@@ -0,0 +1,141 @@
+import prisma from "../config/database.js";
+import config from "../config/env.js";
+import { logger } from "../config/logger.js";
+import BookingService from "../modules/bookings/service.js";
+import BookingModificationService from "../modules/bookings/modifications.js";
+import pkg from "@prisma/client";
+const { BookingStatus } = pkg;
+
+export const BOOKING_LIFECYCLE_JOB = "booking-lifecycle";
+
+const BATCH_SIZE = 100;
+const REFUND_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Runs `action` for each id, so one bad booking never stalls the batch
+const processEach = async (ids, action, label) => {
+  let succeeded = 0;
+  for (const id of ids) {
+    try {
+      await action(id);
+      succeeded++;
+    } catch (error) {
+      logger.warn(`Booking lifecycle: failed to ${label} booking ${id}`, {
+        error: error.message,
+      });
+    }
+  }
+  return succeeded;
+};
+
+const findIds = async (where, orderBy) => {
+  const bookings = await prisma.booking.findMany({
+    where,
+    select: { id: true },
+    orderBy,
+    take: BATCH_SIZE,
+  });
+  return bookings.map((booking) => booking.id);
+};
+
+// PENDING bookings past their hold. Rows created before holds were tracked
+// fall back to createdAt + hold window.
+export const expireStaleHolds = async (now = new Date()) => {
+  const legacyCutoff = new Date(
+    now.getTime() - config.get("bookings.holdWindowMinutes") * 60 * 1000
+  );
+  const ids = await findIds(
+    {
+      status: BookingStatus.PENDING,
+      OR: [
+        { holdExpiresAt: { lte: now } },
+        { holdExpiresAt: null, createdAt: { lte: legacyCutoff } },
+      ],
+    },
+    { createdAt: "asc" }
+  );
+
+  return processEach(ids, (id) => BookingService.expireBooking(id), "expire");
+};
+
+// CONFIRMED bookings (instant or accepted requests) not paid by their deadline
+export const expireUnpaidBookings = async (now = new Date()) => {
+  const ids = await findIds(
+    { status: BookingStatus.CONFIRMED, paymentDueAt: { lte: now } },
+    { paymentDueAt: "asc" }
+  );
+
+  return processEach(
+    ids,
+    (id) => BookingService.expireBooking(id, "Payment not received in time"),
+    "expire unpaid"
+  );
+};
+
+export const activateStartedStays = async (now = new Date()) => {
+  const ids = await findIds(
+    { status: BookingStatus.PAID, startDate: { lte: now } },
+    { startDate: "asc" }
+  );
+
+  return processEach(
+    ids,
+    (id) => BookingService.advanceStay(id, BookingStatus.ACTIVE, "Stay started"),
+    "activate"
+  );
+};
+
+export const completeFinishedStays = async (now = new Date()) => {
+  const ids = await findIds(
+    { status: BookingStatus.ACTIVE, endDate: { lte: now } },
+    { endDate: "asc" }
+  );
+
+  return processEach(
+    ids,
+    (id) =>
+      BookingService.advanceStay(id, BookingStatus.COMPLETED, "Stay finished"),
+    "complete"
+  );
+};
+
+// Cancellation refunds the gateway did not accept. Recent cancellations are
+// left alone while their own request may still be sending the refund.
+export const retryDueRefunds = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - REFUND_RETRY_DELAY_MS);
+  const ids = await findIds(
+    { refundDue: { gt: 0 }, cancellationDate: { lte: cutoff } },
+    { cancellationDate: "asc" }
+  );
+
+  return processEach(
+    ids,
+    async (id) => {
+      if (await BookingService.issueRefund(id)) throw new Error("Refund still due");
+    },
+    "refund"
+  );
+};
+
+/**
+ * Bull processor: expire stale holds, unpaid confirmations and unanswered
+ * change requests, then activate and complete stays and retry cancellation
+ * refunds that did not go through.
+ * Activation runs before completion so a paid stay that was never checked
+ * in still ends up COMPLETED once its end date passes.
+ */
+export const runBookingLifecycle = async () => {
+  const now = new Date();
+  const expired =
+    (await expireStaleHolds(now)) + (await expireUnpaidBookings(now));
+  const expiredChanges = await BookingModificationService.expireStaleRequests(now);
+  const activated = await activateStartedStays(now);
+  const completed = await completeFinishedStays(now);
+  const refunded = await retryDueRefunds(now);
+
+  if (expired || expiredChanges || activated || completed || refunded) {
+    logger.info(
+      `Booking lifecycle: expired ${expired}, expired changes ${expiredChanges}, activated ${activated}, completed ${completed}, refunds retried ${refunded}`
+    );
+  }
+  return { expired, expiredChanges, activated, completed, refunded };
+};
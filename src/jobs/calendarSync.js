@@ -0,0 +1,38 @@
+import { logger } from "../config/logger.js";
+import CalendarService from "../modules/calendars/service.js";
+
+export const CALENDAR_SYNC_JOB = "calendar-sync";
+
+// Runs `action` for each id, so one unreachable feed never stalls the batch
+const processEach = async (ids, action, label) => {
+  let succeeded = 0;
+  for (const id of ids) {
+    try {
+      await action(id);
+      succeeded++;
+    } catch (error) {
+      logger.warn(`Calendar sync: failed to ${label} calendar ${id}`, {
+        error: error.message,
+      });
+    }
+  }
+  return succeeded;
+};
+
+/**
+ * Bull processor: re-import every linked external calendar, least recently
+ * synced first. Failures are recorded on the calendar and retried next run.
+ */
+export const runCalendarSync = async () => {
+  const calendars = await CalendarService.findCalendarsToSync();
+  const synced = await processEach(
+    calendars.map((calendar) => calendar.id),
+    (id) => CalendarService.syncCalendar(id),
+    "sync"
+  );
+
+  if (calendars.length) {
+    logger.info(`Calendar sync: imported ${synced} of ${calendars.length} calendar(s)`);
+  }
+  return { synced, failed: calendars.length - synced };
+};
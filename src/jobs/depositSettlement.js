@@ -0,0 +1,61 @@
+import { logger } from "../config/logger.js";
+import DepositService from "../modules/deposits/service.js";
+
+export const DEPOSIT_SETTLEMENT_JOB = "deposit-settlement";
+
+// Runs `action` for each item, so one failing deposit never stalls the batch
+const processEach = async (items, action, label) => {
+  let succeeded = 0;
+  for (const item of items) {
+    try {
+      await action(item);
+      succeeded++;
+    } catch (error) {
+      logger.warn(`Deposit settlement: failed to ${label}`, {
+        item,
+        error: error.message,
+      });
+    }
+  }
+  return succeeded;
+};
+
+// Held deposits whose claim window closed with no claim filed
+export const releaseUnclaimedDeposits = async (now = new Date()) => {
+  const bookingIds = await DepositService.findUnclaimedExpiredDeposits(now);
+
+  return processEach(
+    bookingIds,
+    (bookingId) =>
+      DepositService.releaseForBooking(bookingId, "Claim window closed"),
+    "release deposit"
+  );
+};
+
+// Claims the guest neither accepted nor disputed in time
+export const settleUnansweredClaims = async (now = new Date()) => {
+  const claims = await DepositService.findUnansweredClaims(now);
+
+  return processEach(
+    claims,
+    (claim) => DepositService.autoAcceptClaim(claim.id),
+    "settle claim"
+  );
+};
+
+/**
+ * Bull processor: release untouched deposits and settle claims that were
+ * never answered
+ */
+export const runDepositSettlement = async () => {
+  const now = new Date();
+  const released = await releaseUnclaimedDeposits(now);
+  const settled = await settleUnansweredClaims(now);
+
+  if (released || settled) {
+    logger.info(
+      `Deposit settlement: released ${released}, settled ${settled} claims`
+    );
+  }
+  return { released, settled };
+};
@@ -0,0 +1,56 @@
+import { logger } from "../config/logger.js";
+import PayoutService from "../modules/payouts/service.js";
+
+export const HOST_PAYOUTS_JOB = "host-payouts";
+
+// Runs `action` for each item, so one failing host never stalls the batch
+const processEach = async (items, action, label) => {
+  let succeeded = 0;
+  for (const item of items) {
+    try {
+      if (await action(item)) succeeded++;
+    } catch (error) {
+      logger.warn(`Host payouts: failed to ${label}`, {
+        item,
+        error: error.message,
+      });
+    }
+  }
+  return succeeded;
+};
+
+// Gather earnings that passed check-in plus the release delay into payouts
+export const scheduleHostPayouts = async (now = new Date()) => {
+  const hosts = await PayoutService.findPayableHosts(now);
+
+  return processEach(
+    hosts,
+    ({ hostId, currency }) => PayoutService.schedulePayout(hostId, currency, now),
+    "schedule payout"
+  );
+};
+
+// Record the transfer of every scheduled payout, including earlier retries
+export const settleScheduledPayouts = async () => {
+  const payouts = await PayoutService.findScheduledPayouts();
+
+  return processEach(
+    payouts,
+    (payout) => PayoutService.settlePayout(payout.id),
+    "settle payout"
+  );
+};
+
+/**
+ * Bull processor: schedule payouts for hosts with payable earnings and
+ * settle them
+ */
+export const runHostPayouts = async () => {
+  const scheduled = await scheduleHostPayouts(new Date());
+  const paid = await settleScheduledPayouts();
+
+  if (scheduled || paid) {
+    logger.info(`Host payouts: scheduled ${scheduled}, paid ${paid}`);
+  }
+  return { scheduled, paid };
+};
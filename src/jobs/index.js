@@ -0,0 +1,105 @@
+import config from "../config/env.js";
+import { logger } from "../config/logger.js";
+import {
+  BOOKINGS_QUEUE,
+  closeQueues,
+  getQueue,
+  scheduleRepeatable,
+} from "../config/queue.js";
+import {
+  BOOKING_LIFECYCLE_JOB,
+  runBookingLifecycle,
+} from "./bookingLifecycle.js";
+import {
+  DEPOSIT_SETTLEMENT_JOB,
+  runDepositSettlement,
+} from "./depositSettlement.js";
+import { HOST_PAYOUTS_JOB, runHostPayouts } from "./hostPayouts.js";
+import { CALENDAR_SYNC_JOB, runCalendarSync } from "./calendarSync.js";
+import { RENT_REMINDERS_JOB, runRentReminders } from "./rentReminders.js";
+import {
+  SAVED_SEARCH_DIGEST_JOB,
+  runSavedSearchDigests,
+} from "./savedSearchDigests.js";
+import {
+  SAVED_SEARCH_MATCH_JOB,
+  runSavedSearchMatch,
+} from "./savedSearchMatches.js";
+import {
+  SEARCH_INDEX_JOB,
+  SEARCH_OUTBOX_JOB,
+  runSearchIndex,
+  runSearchOutbox,
+} from "./searchIndex.js";
+
+// Register processors and repeatable schedules for background jobs
+export const startJobs = async () => {
+  if (!config.get("jobs.enabled") || config.get("env") === "test") {
+    logger.info("⏸️ Background jobs disabled");
+    return;
+  }
+
+  const bookingsQueue = getQueue(BOOKINGS_QUEUE);
+  bookingsQueue.process(BOOKING_LIFECYCLE_JOB, 1, runBookingLifecycle);
+  await scheduleRepeatable(
+    bookingsQueue,
+    BOOKING_LIFECYCLE_JOB,
+    config.get("jobs.bookingLifecycleCron")
+  );
+
+  bookingsQueue.process(DEPOSIT_SETTLEMENT_JOB, 1, runDepositSettlement);
+  await scheduleRepeatable(
+    bookingsQueue,
+    DEPOSIT_SETTLEMENT_JOB,
+    config.get("jobs.depositSettlementCron")
+  );
+
+  bookingsQueue.process(HOST_PAYOUTS_JOB, 1, runHostPayouts);
+  await scheduleRepeatable(
+    bookingsQueue,
+    HOST_PAYOUTS_JOB,
+    config.get("jobs.payoutCron")
+  );
+
+  bookingsQueue.process(CALENDAR_SYNC_JOB, 1, runCalendarSync);
+  await scheduleRepeatable(
+    bookingsQueue,
+    CALENDAR_SYNC_JOB,
+    config.get("jobs.calendarSyncCron")
+  );
+
+  bookingsQueue.process(RENT_REMINDERS_JOB, 1, runRentReminders);
+  await scheduleRepeatable(
+    bookingsQueue,
+    RENT_REMINDERS_JOB,
+    config.get("jobs.rentRemindersCron")
+  );
+
+  bookingsQueue.process(SEARCH_INDEX_JOB, 1, runSearchIndex);
+  await scheduleRepeatable(
+    bookingsQueue,
+    SEARCH_INDEX_JOB,
+    config.get("jobs.searchIndexCron")
+  );
+
+  bookingsQueue.process(SEARCH_OUTBOX_JOB, 1, runSearchOutbox);
+  await scheduleRepeatable(
+    bookingsQueue,
+    SEARCH_OUTBOX_JOB,
+    config.get("jobs.searchOutboxCron")
+  );
+
+  bookingsQueue.process(SAVED_SEARCH_DIGEST_JOB, 1, runSavedSearchDigests);
+  await scheduleRepeatable(
+    bookingsQueue,
+    SAVED_SEARCH_DIGEST_JOB,
+    config.get("jobs.savedSearchDigestCron")
+  );
+
+  // Queued by the search outbox worker whenever a listing is news
+  bookingsQueue.process(SAVED_SEARCH_MATCH_JOB, 1, runSavedSearchMatch);
+
+  logger.info("✅ Background jobs scheduled");
+};
+
+export const stopJobs = closeQueues;
@@ -0,0 +1,40 @@
+import { logger } from "../config/logger.js";
+import LeaseService from "../modules/bookings/leases.js";
+
+export const RENT_REMINDERS_JOB = "rent-reminders";
+
+// Runs `action` for each item, so one failing reminder never stalls the batch
+const processEach = async (items, action, label) => {
+  let succeeded = 0;
+  for (const item of items) {
+    try {
+      await action(item);
+      succeeded++;
+    } catch (error) {
+      logger.warn(`Rent reminders: failed to ${label}`, {
+        item,
+        error: error.message,
+      });
+    }
+  }
+  return succeeded;
+};
+
+/**
+ * Bull processor: flag rent past its grace period, then remind tenants
+ * who still owe it
+ */
+export const runRentReminders = async () => {
+  const now = new Date();
+  const overdue = await LeaseService.markOverdue(now);
+  const reminded = await processEach(
+    await LeaseService.findReminderCandidates(now),
+    (installmentId) => LeaseService.sendReminder(installmentId, now),
+    "send reminder"
+  );
+
+  if (overdue || reminded) {
+    logger.info(`Rent reminders: ${overdue} overdue, ${reminded} reminded`);
+  }
+  return { overdue, reminded };
+};
@@ -0,0 +1,40 @@
+import { logger } from "../config/logger.js";
+import SavedSearchService from "../modules/saved-searches/service.js";
+
+export const SAVED_SEARCH_DIGEST_JOB = "saved-search-digests";
+
+// Runs `action` for each digest, so one failing delivery never stalls the batch
+const processEach = async (items, action, label) => {
+  let succeeded = 0;
+  for (const item of items) {
+    try {
+      await action(item);
+      succeeded++;
+    } catch (error) {
+      logger.warn(`Saved search digests: failed to ${label}`, {
+        userId: item.userId,
+        savedSearchId: String(item.search._id),
+        error: error.message,
+      });
+    }
+  }
+  return succeeded;
+};
+
+/**
+ * Bull processor: send the queued matches of saved searches whose daily
+ * or weekly digest is due
+ */
+export const runSavedSearchDigests = async () => {
+  const now = new Date();
+  const sent = await processEach(
+    await SavedSearchService.findDueDigests(now),
+    (item) => SavedSearchService.sendDigest(item, now),
+    "send digest"
+  );
+
+  if (sent) {
+    logger.info(`Saved search digests: ${sent} sent`);
+  }
+  return { sent };
+};
@@ -0,0 +1,26 @@
+import { logger } from "../config/logger.js";
+import { BOOKINGS_QUEUE, getQueue } from "../config/queue.js";
+import SavedSearchService from "../modules/saved-searches/service.js";
+
+export const SAVED_SEARCH_MATCH_JOB = "saved-search-match";
+
+/**
+ * Queue matching a listing against saved searches
+ * @param {string} propertyId
+ * @param {Object} change - As taken by SavedSearchService.matchListing
+ */
+export const enqueueSavedSearchMatch = (propertyId, change) =>
+  getQueue(BOOKINGS_QUEUE).add(SAVED_SEARCH_MATCH_JOB, { propertyId, change });
+
+/**
+ * Bull processor: alert the saved searches a new or cheaper listing matches
+ */
+export const runSavedSearchMatch = async (job) => {
+  const { propertyId, change } = job.data;
+  const matched = await SavedSearchService.matchListing(propertyId, change);
+
+  if (matched) {
+    logger.info(`Saved search matches: property ${propertyId} matched ${matched} search(es)`);
+  }
+  return { matched };
+};
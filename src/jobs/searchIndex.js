@@ -0,0 +1,26 @@
+import { logger } from "../config/logger.js";
+import SearchIndexService from "../modules/search-index/service.js";
+import { ReindexReason } from "../modules/search-index/outbox.js";
+
+export const SEARCH_INDEX_JOB = "search-index";
+export const SEARCH_OUTBOX_JOB = "search-outbox";
+
+/**
+ * Bull processor: queue every approved listing for reindexing.
+ * Availability in the index starts today, so this also moves its horizon
+ * forward a day, and it repairs any drift the outbox missed.
+ */
+export const runSearchIndex = async () => 
+  SearchIndexService.rebuild(ReindexReason.NIGHTLY);
+
+/**
+ * Bull processor: apply queued search index updates
+ */
+export const runSearchOutbox = async () => {
+  const result = await SearchIndexService.processOutbox();
+
+  if (result.failed) {
+    logger.warn(`Search outbox: ${result.failed} event(s) failed, will retry`);
+  }
+  return result;
+};
@@ -166,6 +166,22 @@ export const authenticateUser = (options = {}) => {
   };
 };
 
+// ==================================================
+// Optional Authentication for Public Routes
+// ==================================================
+// Attaches the signed-in user when a valid token is sent; anonymous or
+// invalid requests carry on without one
+export const identifyUser = () => {
+  return (req, res, next) => {
+    if (!req.headers.authorization) return next();
+
+    passport.authenticate("jwt", { session: false }, (error, user) => {
+      if (!error && user?.isActive) req.user = user;
+      next();
+    })(req, res, next);
+  };
+};
+
 // ==================================================
 // Enhanced Authorization Middleware
 // ==================================================
@@ -451,6 +467,7 @@ export const strictJWT = (options = {}) => {
 
 export default {
   authenticateUser,
+  identifyUser,
   authorizeAccess,
   strictJWT,
 };
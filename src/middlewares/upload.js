@@ -20,4 +20,44 @@ export const uploadProfilePicture = multer({
     fileSize: 5 * 1024 * 1024, // 5MB
     files: 1
   }
-}).single('avatar');
\ No newline at end of file
+}).single('avatar');
+
+export const uploadRatesFile = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'application/json', 'text/plain', 'application/vnd.ms-excel'];
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and JSON are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 1024 * 1024, // 1MB
+    files: 1
+  }
+}).single('file');
+
+export const uploadClaimPhotos = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 10
+  }
+}).array('photos', 10);
+
+export const uploadCalendarFile = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (['text/calendar', 'application/octet-stream'].includes(file.mimetype) || /\.ics$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .ics calendars are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 1024 * 1024, // 1MB
+    files: 1
+  }
+}).single('file');
@@ -9,8 +9,8 @@ const propertySearchSchema = new Schema(
       unique: true,
     },
     // Denormalized core fields for search
-    title: { type: String, index: "text" },
-    description: { type: String, index: "text" },
+    title: String,
+    description: String,
     location: {
       type: {
         type: String,
@@ -22,6 +22,34 @@ const propertySearchSchema = new Schema(
         required: true,
       },
     },
+    address: String,
+    city: { type: String, index: true },
+    listingType: { type: String, index: true }, // RENT or SALE
+    basePrice: Number, // Nightly rate in the listing currency
+    currency: String,
+    maxGuests: { type: Number, index: true },
+    amenities: [String],
+    propertyType: String,
+    bedrooms: Number,
+    photos: [String],
+    stats: {
+      rating: Number,
+      reviewCount: Number,
+      bookedCount: Number,
+    },
+    // Effective calendar from today up to `through`, so date searches are
+    // answered here without expanding every listing's calendar
+    availability: {
+      through: String, // Last night covered (ISO date)
+      unavailableNights: { type: [String], index: true }, // ISO dates
+      minStay: Number, // For check-ins not listed in minStayExceptions
+      maxStay: Number,
+      minStayExceptions: [{ _id: false, date: String, minStay: Number }],
+      nightlyRate: Number, // For nights not listed in rateExceptions
+      rateExceptions: [{ _id: false, date: String, price: Number }],
+      indexedAt: Date,
+    },
+    indexedAt: Date, // Last full reindex; compared with the listing's updatedAt for drift
     // Search optimization
     searchTags: { type: [String], index: true },
     searchBoost: { type: Number, default: 0 },
@@ -41,5 +69,10 @@ const propertySearchSchema = new Schema(
 
 // Geospatial index for location searches
 propertySearchSchema.index({ location: "2dsphere" });
+// A collection has one text index, so title and description share it
+propertySearchSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 3, description: 1 } }
+);
 
 export default model("PropertySearch", propertySearchSchema);
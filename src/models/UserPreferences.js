@@ -1,5 +1,45 @@
 import { Schema, model } from "mongoose";
 
+// How often matches for a saved search are sent; NEVER keeps the search
+// without alerts
+export const SAVED_SEARCH_FREQUENCIES = ["INSTANT", "DAILY", "WEEKLY", "NEVER"];
+
+// A listing that matched a saved search and waits for the next digest
+const pendingAlertSchema = new Schema(
+  {
+    propertyId: { type: String, required: true },
+    title: String,
+    change: { type: String, enum: ["NEW_LISTING", "PRICE_DROP"], required: true },
+    price: Number,
+    previousPrice: Number,
+    currency: String,
+    matchedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const savedSearchSchema = new Schema(
+  {
+    // Required by the API; searches saved before they had names get this
+    // default, so validated writes to their user's document still pass
+    name: { type: String, default: "Saved search" },
+    // Search filters as accepted by property search, including dates
+    filters: { type: Schema.Types.Mixed, default: {} },
+    // { latitude, longitude, radius }, { bbox } or { polygon }
+    area: Schema.Types.Mixed,
+    // GeoJSON covering `area`, so new listings find their searches in one query
+    areaGeometry: Schema.Types.Mixed,
+    frequency: {
+      type: String,
+      enum: SAVED_SEARCH_FREQUENCIES,
+      default: "DAILY",
+    },
+    pendingAlerts: { type: [pendingAlertSchema], default: [] },
+    lastNotifiedAt: Date,
+  },
+  { timestamps: true }
+);
+
 const userPreferencesSchema = new Schema(
   {
     userId: {
@@ -8,7 +48,7 @@ const userPreferencesSchema = new Schema(
       unique: true,
     },
     savedSearches: {
-      type: [Schema.Types.Mixed],
+      type: [savedSearchSchema],
       default: [],
     },
     favorites: {
@@ -22,4 +62,6 @@ const userPreferencesSchema = new Schema(
   { timestamps: true }
 );
 
+userPreferencesSchema.index({ "savedSearches.frequency": 1 });
+
 export default model("UserPreferences", userPreferencesSchema);
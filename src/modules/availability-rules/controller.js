@@ -0,0 +1,112 @@
+import AvailabilityRuleService from "./service.js";
+import logger from "../../config/logger.js";
+import { hasRole } from "../../utils/roleUtils.js";
+
+const actorFrom = (req) => ({
+  userId: req.user.id,
+  isAdmin: hasRole(req.user, "admin"),
+});
+
+class AvailabilityRuleController {
+  /**
+   * @desc    List availability rules for a property
+   * @route   GET /api/properties/:propertyId/availability-rules
+   * @access  Private (owner or admin)
+   */
+  async listRules(req, res, next) {
+    try {
+      const rules = await AvailabilityRuleService.listRules(
+        req.params.propertyId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({ success: true, data: rules });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Add an availability rule
+   * @route   POST /api/properties/:propertyId/availability-rules
+   * @access  Private (owner or admin)
+   */
+  async createRule(req, res, next) {
+    const { propertyId } = req.params;
+
+    try {
+      const rule = await AvailabilityRuleService.createRule(
+        propertyId,
+        req.body,
+        actorFrom(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: "Availability rule created",
+      });
+    } catch (error) {
+      logger.error(`Availability rule creation failed: ${error.message}`, {
+        propertyId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update an availability rule
+   * @route   PATCH /api/properties/:propertyId/availability-rules/:ruleId
+   * @access  Private (owner or admin)
+   */
+  async updateRule(req, res, next) {
+    const { propertyId, ruleId } = req.params;
+
+    try {
+      const rule = await AvailabilityRuleService.updateRule(
+        propertyId,
+        ruleId,
+        req.body,
+        actorFrom(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: rule,
+        message: "Availability rule updated",
+      });
+    } catch (error) {
+      logger.error(`Availability rule update failed: ${error.message}`, {
+        propertyId,
+        ruleId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete an availability rule
+   * @route   DELETE /api/properties/:propertyId/availability-rules/:ruleId
+   * @access  Private (owner or admin)
+   */
+  async deleteRule(req, res, next) {
+    const { propertyId, ruleId } = req.params;
+
+    try {
+      await AvailabilityRuleService.deleteRule(propertyId, ruleId, actorFrom(req));
+
+      res.status(200).json({
+        success: true,
+        message: "Availability rule deleted",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new AvailabilityRuleController();
@@ -0,0 +1,22 @@
+import express from "express";
+import AvailabilityRuleController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { availabilityRuleSchemas } from "./schema.js";
+
+// Mounted under /properties/:propertyId/availability-rules
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser());
+
+router
+  .route("/")
+  .get(AvailabilityRuleController.listRules)
+  .post(validate(availabilityRuleSchemas.createRule), AvailabilityRuleController.createRule);
+
+router
+  .route("/:ruleId")
+  .patch(validate(availabilityRuleSchemas.updateRule), AvailabilityRuleController.updateRule)
+  .delete(AvailabilityRuleController.deleteRule);
+
+export default router;
@@ -0,0 +1,56 @@
+// availability-rules/schema.js
+import Joi from "joi";
+
+const RULE_TYPES = ["WEEKLY_CLOSURE", "PRICE_OVERRIDE", "BLACKOUT", "MIN_STAY"];
+
+const ruleFields = {
+  name: Joi.string().trim().max(100),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date()
+    .iso()
+    .when("startDate", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("startDate")),
+    }),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  price: Joi.number().positive().precision(2),
+  minStay: Joi.number().integer().min(1),
+  priority: Joi.number().integer().min(0).max(100),
+  isActive: Joi.boolean(),
+};
+
+// Fields each rule type needs to be evaluated
+const requiredByType = {
+  WEEKLY_CLOSURE: ["daysOfWeek"],
+  PRICE_OVERRIDE: ["startDate", "endDate", "price"],
+  BLACKOUT: ["startDate", "endDate"],
+  MIN_STAY: ["minStay"],
+};
+
+// An empty daysOfWeek would close every night
+const isMissing = (value) =>
+  value === null || value === undefined || (Array.isArray(value) && !value.length);
+
+export const availabilityRuleSchemas = {
+  createRule: Joi.object({
+    type: Joi.string()
+      .valid(...RULE_TYPES)
+      .required(),
+    ...ruleFields,
+    name: ruleFields.name.required(),
+  }).custom((value, helpers) => {
+    const missing = requiredByType[value.type].filter((field) =>
+      isMissing(value[field])
+    );
+    if (missing.length) {
+      return helpers.message(
+        `${value.type} rules require: ${missing.join(", ")}`
+      );
+    }
+    return value;
+  }),
+
+  updateRule: Joi.object(ruleFields).min(1),
+};
+
+export { requiredByType, isMissing };
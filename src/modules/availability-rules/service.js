@@ -0,0 +1,141 @@
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { AvailabilityCalendar } from "../../utils/availability.js";
+import { invalidateCalendar } from "../calendars/cache.js";
+import { isMissing, requiredByType } from "./schema.js";
+import pkg from "@prisma/client";
+const { BookingStatus } = pkg;
+
+// Bookings that occupy their dates
+export const HOLDING_STATUSES = [
+  BookingStatus.PENDING,
+  BookingStatus.CONFIRMED,
+  BookingStatus.PAID,
+  BookingStatus.ACTIVE,
+];
+
+class AvailabilityRuleService {
+  async listRules(propertyId, actor) {
+    await this.assertCanManage(propertyId, actor);
+
+    return prisma.availabilityRule.findMany({
+      where: { propertyId },
+      orderBy: [{ type: "asc" }, { priority: "desc" }, { createdAt: "asc" }],
+    });
+  }
+
+  async createRule(propertyId, data, actor) {
+    await this.assertCanManage(propertyId, actor);
+
+    const rule = await prisma.availabilityRule.create({
+      data: { ...data, propertyId },
+    });
+
+    logger.info(`Availability rule ${rule.id} (${rule.type}) added to property ${propertyId}`);
+    await invalidateCalendar(propertyId);
+    return rule;
+  }
+
+  async updateRule(propertyId, ruleId, data, actor) {
+    await this.assertCanManage(propertyId, actor);
+    const existing = await this.getRule(propertyId, ruleId);
+
+    // Re-check the merged rule so an update cannot strip a required field
+    const merged = { ...existing, ...data };
+    const missing = requiredByType[existing.type].filter((field) =>
+      isMissing(merged[field])
+    );
+    if (missing.length) {
+      throw new ValidationError(
+        `${existing.type} rules require: ${missing.join(", ")}`
+      );
+    }
+    if (merged.startDate && merged.endDate && merged.startDate > merged.endDate) {
+      throw new ValidationError("End date must be on or after start date");
+    }
+
+    const rule = await prisma.availabilityRule.update({ where: { id: ruleId }, data });
+    await invalidateCalendar(propertyId);
+    return rule;
+  }
+
+  async deleteRule(propertyId, ruleId, actor) {
+    await this.assertCanManage(propertyId, actor);
+    await this.getRule(propertyId, ruleId);
+
+    await prisma.availabilityRule.delete({ where: { id: ruleId } });
+    logger.info(`Availability rule ${ruleId} removed from property ${propertyId}`);
+    await invalidateCalendar(propertyId);
+  }
+
+  /**
+   * Effective calendar of a property, one entry per night from `startDate`
+   * up to the `endDate` checkout. `client` may be a transaction so booking
+   * creation checks the same snapshot it writes.
+   * @param {object} client - Prisma client or transaction
+   * @param {string} propertyId
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {Object} [options]
+   * @param {string} [options.bookingId] - Booking whose own nights count as free
+   * @returns {Promise<Array>} Nights from AvailabilityCalendar.expand
+   */
+  async getCalendar(client, propertyId, startDate, endDate, { bookingId } = {}) {
+    const overlap = {
+      propertyId,
+      startDate: { lt: endDate },
+      endDate: { gt: startDate },
+    };
+
+    const [property, slots, rules, bookings] = await Promise.all([
+      client.property.findUnique({
+        where: { id: propertyId },
+        select: { basePrice: true, minStay: true, availabilityWindowDays: true },
+      }),
+      client.availability.findMany({ where: overlap, orderBy: { startDate: "asc" } }),
+      client.availabilityRule.findMany({ where: { propertyId, isActive: true } }),
+      client.booking.findMany({
+        where: { ...overlap, status: { in: HOLDING_STATUSES } },
+        select: { id: true, startDate: true, endDate: true },
+      }),
+    ]);
+    if (!property) throw new NotFoundError("Property not found");
+
+    return AvailabilityCalendar.expand({
+      startDate,
+      endDate,
+      property,
+      slots,
+      rules,
+      bookings,
+      bookingId,
+    });
+  }
+
+  async getRule(propertyId, ruleId) {
+    const rule = await prisma.availabilityRule.findFirst({
+      where: { id: ruleId, propertyId },
+    });
+    if (!rule) throw new NotFoundError("Availability rule not found");
+    return rule;
+  }
+
+  async assertCanManage(propertyId, { userId, isAdmin = false }) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true },
+    });
+
+    if (!property) throw new NotFoundError("Property not found");
+    if (!isAdmin && property.ownerId !== userId) {
+      throw new ForbiddenError("Only the property owner can manage availability rules");
+    }
+  }
+}
+
+export default new AvailabilityRuleService();
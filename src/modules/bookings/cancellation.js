@@ -0,0 +1,139 @@
+// src/modules/bookings/cancellation.js
+import { DateTime } from "luxon";
+import pkg from "@prisma/client";
+const { CancellationPolicyType } = pkg;
+
+/**
+ * Named cancellation policies. A tier refunds `refundPercent` of the total
+ * when the guest cancels at least `hoursBefore` hours before check-in;
+ * tiers run from the earliest deadline to the latest and anything later
+ * is not refunded. Bump `version` when a preset changes: bookings keep the
+ * snapshot they were made under.
+ */
+export const CANCELLATION_PRESETS = Object.freeze({
+  [CancellationPolicyType.FLEXIBLE]: {
+    name: "Flexible",
+    version: 1,
+    tiers: [{ hoursBefore: 24, refundPercent: 100 }],
+  },
+  [CancellationPolicyType.MODERATE]: {
+    name: "Moderate",
+    version: 1,
+    tiers: [
+      { hoursBefore: 120, refundPercent: 100 },
+      { hoursBefore: 0, refundPercent: 50 },
+    ],
+  },
+  [CancellationPolicyType.STRICT]: {
+    name: "Strict",
+    version: 1,
+    tiers: [
+      { hoursBefore: 336, refundPercent: 100 },
+      { hoursBefore: 168, refundPercent: 50 },
+    ],
+  },
+  [CancellationPolicyType.NON_REFUNDABLE]: {
+    name: "Non-refundable",
+    version: 1,
+    tiers: [],
+  },
+});
+
+export const DEFAULT_CANCELLATION_POLICY = CancellationPolicyType.MODERATE;
+
+const byDeadline = (tiers) =>
+  [...tiers]
+    .map(({ hoursBefore, refundPercent }) => ({ hoursBefore, refundPercent }))
+    .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+/**
+ * The policy a listing currently offers, in the shape stored on bookings
+ * @param {object} property - With cancellationPolicy and cancellationTiers
+ * @returns {{type: string, name: string, version: number|null, tiers: Array}}
+ */
+export const resolveCancellationPolicy = (property) => {
+  if (property?.cancellationPolicy === CancellationPolicyType.CUSTOM) {
+    return {
+      type: CancellationPolicyType.CUSTOM,
+      name: "Custom",
+      version: null,
+      tiers: byDeadline(property.cancellationTiers || []),
+    };
+  }
+
+  const type = CANCELLATION_PRESETS[property?.cancellationPolicy]
+    ? property.cancellationPolicy
+    : DEFAULT_CANCELLATION_POLICY;
+  const { name, version, tiers } = CANCELLATION_PRESETS[type];
+  return { type, name, version, tiers: byDeadline(tiers) };
+};
+
+/**
+ * Share of the total refunded when cancelling `hoursUntilCheckIn` hours
+ * before check-in. Nothing is refunded once the stay has started.
+ * @returns {number} 0-100
+ */
+export const refundPercentAt = (policy, hoursUntilCheckIn) => {
+  if (hoursUntilCheckIn < 0) return 0;
+  const tier = byDeadline(policy.tiers).find(
+    ({ hoursBefore }) => hoursUntilCheckIn >= hoursBefore
+  );
+  return tier ? tier.refundPercent : 0;
+};
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`;
+
+const formatSpan = (hours) =>
+  hours % 24 === 0 ? plural(hours / 24, "day") : plural(hours, "hour");
+
+const refundLabel = (percent) => {
+  if (percent === 100) return "Full refund";
+  if (percent === 0) return "No refund";
+  return `${percent}% refund`;
+};
+
+/**
+ * Human-readable refund timeline. With a check-in date each step carries
+ * its deadline; without one (listings) steps are relative to check-in.
+ * @param {object} policy - From resolveCancellationPolicy or a booking snapshot
+ * @param {Date|string} [checkIn]
+ * @returns {{type, name, version, timeline: Array<{hoursBefore, refundPercent, deadline, description}>}}
+ */
+export const describeCancellationPolicy = (policy, checkIn = null) => {
+  const start = checkIn ? DateTime.fromJSDate(new Date(checkIn)).toUTC() : null;
+  const deadlineOf = (hoursBefore) => start?.minus({ hours: hoursBefore });
+  const format = (date) => date.toFormat("d LLL yyyy, HH:mm 'UTC'");
+
+  const tiers = byDeadline(policy.tiers);
+  const timeline = tiers.map(({ hoursBefore, refundPercent }) => {
+    const deadline = deadlineOf(hoursBefore);
+    let when;
+    if (deadline) when = `if cancelled before ${format(deadline)}`;
+    else if (hoursBefore > 0) when = `if cancelled at least ${formatSpan(hoursBefore)} before check-in`;
+    else when = "if cancelled before check-in";
+
+    return {
+      hoursBefore,
+      refundPercent,
+      deadline: deadline?.toJSDate() ?? null,
+      description: `${refundLabel(refundPercent)} ${when}`,
+    };
+  });
+
+  const last = tiers.at(-1);
+  if (!last || last.refundPercent > 0) {
+    timeline.push({
+      hoursBefore: null,
+      refundPercent: 0,
+      deadline: null,
+      description: last ? "No refund after that" : "No refund",
+    });
+  }
+
+  return {
+    type: policy.type,
+    name: policy.name,
+    version: policy.version,
+    timeline,
+  };
+};
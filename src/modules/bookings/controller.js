@@ -1,7 +1,20 @@
 import BookingService from "./service.js";
 import { NotFoundError, ValidationError } from "../../utils/apiError.js";
 import logger from "../../config/logger.js";
+import { hasRole } from "../../utils/roleUtils.js";
 import { validateBookingDates, validateGuests } from "./validators.js";
+import InvoiceService from "./invoices.js";
+import BookingModificationService from "./modifications.js";
+import LeaseService from "./leases.js";
+
+const sendPdf = (res, filename, buffer) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Content-Length": buffer.length,
+  });
+  res.status(200).send(buffer);
+};
 
 class BookingController {
   /**
@@ -18,6 +31,8 @@ class BookingController {
       children,
       infants,
       paymentMethod,
+      quoteToken,
+      currency,
     } = req.body;
     const userId = req.user.id;
 
@@ -32,9 +47,11 @@ class BookingController {
         startDate: new Date(startDate),
         endDate: new Date(endDate),
         adults: parseInt(adults),
-        children: parseInt(children),
-        infants: parseInt(infants),
+        children: parseInt(children) || 0,
+        infants: parseInt(infants) || 0,
         paymentMethod,
+        quoteToken,
+        currency,
       });
 
       logger.info(`Booking created successfully for user ${userId}`);
@@ -53,6 +70,33 @@ class BookingController {
     }
   }
 
+  /**
+   * @desc    Lease a rental listing for whole months
+   * @route   POST /api/bookings/leases
+   * @access  Private
+   */
+  async createLease(req, res, next) {
+    const { propertyId, months } = req.body;
+    const userId = req.user.id;
+
+    try {
+      const booking = await LeaseService.createLease({ ...req.body, userId });
+
+      res.status(201).json({
+        success: true,
+        data: booking,
+        message: `Lease for ${months} month(s) created successfully`,
+      });
+    } catch (error) {
+      logger.error(`Lease creation failed: ${error.message}`, {
+        userId,
+        propertyId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
   /**
    * @desc    Cancel a booking
    * @route   PATCH /api/bookings/:id/cancel
@@ -195,6 +239,49 @@ class BookingController {
     }
   }
 
+  /**
+   * @desc    Quote a stay with a nightly breakdown and a signed quote token
+   * @route   GET /api/properties/:id/quote
+   * @access  Public
+   */
+  async getQuote(req, res, next) {
+    const { id } = req.params;
+    const { start, end } = req.query;
+
+    try {
+      const adults = req.query.adults ? parseInt(req.query.adults, 10) : 1;
+      const children = parseInt(req.query.children, 10) || 0;
+      const infants = parseInt(req.query.infants, 10) || 0;
+
+      validateBookingDates(start, end);
+      validateGuests(adults, children, infants);
+
+      const quote = await BookingService.quoteStay({
+        propertyId: id,
+        startDate: new Date(start),
+        endDate: new Date(end),
+        adults,
+        children,
+        infants,
+        currency: req.query.currency,
+        userId: req.user?.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: quote,
+      });
+    } catch (error) {
+      logger.error(`Quote failed: ${error.message}`, {
+        propertyId: id,
+        start,
+        end,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
   /**
    * @desc    Process multiple bookings (bulk)
    * @route   POST /api/bookings/bulk
@@ -270,25 +357,428 @@ class BookingController {
   }
 
   /**
-   * @desc    Get booking invoice
+   * @desc    Host confirms a pending booking
+   * @route   PATCH /api/bookings/:id/confirm
+   * @access  Private (host or admin)
+   */
+  async confirmBooking(req, res, next) {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const booking = await BookingService.confirmBooking(id, {
+        userId,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: booking,
+        message: "Booking confirmed",
+      });
+    } catch (error) {
+      logger.error(`Booking confirmation failed: ${error.message}`, {
+        bookingId: id,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Host declines a pending booking
+   * @route   PATCH /api/bookings/:id/decline
+   * @access  Private (host or admin)
+   */
+  async declineBooking(req, res, next) {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const booking = await BookingService.declineBooking(
+        id,
+        { userId, isAdmin: hasRole(req.user, "admin") },
+        req.body.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        data: booking,
+        message: "Booking declined",
+      });
+    } catch (error) {
+      logger.error(`Booking decline failed: ${error.message}`, {
+        bookingId: id,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Host checks the guest in
+   * @route   PATCH /api/bookings/:id/check-in
+   * @access  Private (host or admin)
+   */
+  async checkIn(req, res, next) {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const booking = await BookingService.checkIn(id, {
+        userId,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: booking,
+        message: "Guest checked in",
+      });
+    } catch (error) {
+      logger.error(`Check-in failed: ${error.message}`, {
+        bookingId: id,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Host checks the guest out
+   * @route   PATCH /api/bookings/:id/check-out
+   * @access  Private (host or admin)
+   */
+  async checkOut(req, res, next) {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const booking = await BookingService.checkOut(id, {
+        userId,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: booking,
+        message: "Guest checked out",
+      });
+    } catch (error) {
+      logger.error(`Check-out failed: ${error.message}`, {
+        bookingId: id,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get booking status history
+   * @route   GET /api/bookings/:id/history
+   * @access  Private (tenant, host or admin)
+   */
+  async getStatusHistory(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const history = await BookingService.getStatusHistory(id, {
+        userId: req.user.id,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get the cancellation fee and refund breakdown for a booking
+   * @route   GET /api/bookings/:id/refund
+   * @access  Private (tenant, host or admin)
+   */
+  async getRefundBreakdown(req, res, next) {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const breakdown = await BookingService.getRefundBreakdown(id, {
+        userId,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: breakdown,
+      });
+    } catch (error) {
+      logger.error(`Refund breakdown failed: ${error.message}`, {
+        bookingId: id,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Guest proposes new dates or guest counts
+   * @route   POST /api/bookings/:id/modifications
+   * @access  Private (guest)
+   */
+  async requestModification(req, res, next) {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { message, ...changes } = req.body;
+
+    try {
+      const modification = await BookingModificationService.requestModification(
+        id,
+        userId,
+        changes,
+        message
+      );
+
+      res.status(201).json({
+        success: true,
+        data: modification,
+        message: "Change requested, waiting for the host",
+      });
+    } catch (error) {
+      logger.error(`Change request failed: ${error.message}`, {
+        bookingId: id,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List the change requests of a booking
+   * @route   GET /api/bookings/:id/modifications
+   * @access  Private (guest, host or admin)
+   */
+  async getModifications(req, res, next) {
+    try {
+      const modifications = await BookingModificationService.listModifications(
+        req.params.id,
+        { userId: req.user.id, isAdmin: hasRole(req.user, "admin") }
+      );
+
+      res.status(200).json({
+        success: true,
+        count: modifications.length,
+        data: modifications,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Host accepts a change; the price difference is charged or refunded
+   * @route   PATCH /api/bookings/:id/modifications/:modificationId/accept
+   * @access  Private (host or admin)
+   */
+  async acceptModification(req, res, next) {
+    const { id, modificationId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const modification = await BookingModificationService.acceptModification(
+        id,
+        modificationId,
+        { userId, isAdmin: hasRole(req.user, "admin") }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: modification,
+        message: "Change accepted",
+      });
+    } catch (error) {
+      logger.error(`Change acceptance failed: ${error.message}`, {
+        bookingId: id,
+        modificationId,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Host declines a change
+   * @route   PATCH /api/bookings/:id/modifications/:modificationId/decline
+   * @access  Private (host or admin)
+   */
+  async declineModification(req, res, next) {
+    const { id, modificationId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const modification = await BookingModificationService.declineModification(
+        id,
+        modificationId,
+        { userId, isAdmin: hasRole(req.user, "admin") },
+        req.body.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        data: modification,
+        message: "Change declined",
+      });
+    } catch (error) {
+      logger.error(`Change decline failed: ${error.message}`, {
+        bookingId: id,
+        modificationId,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Guest withdraws a change the host has not answered
+   * @route   PATCH /api/bookings/:id/modifications/:modificationId/withdraw
+   * @access  Private (guest)
+   */
+  async withdrawModification(req, res, next) {
+    const { id, modificationId } = req.params;
+
+    try {
+      const modification = await BookingModificationService.withdrawModification(
+        id,
+        modificationId,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: modification,
+        message: "Change withdrawn",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Retry the charge or refund of an accepted change
+   * @route   POST /api/bookings/:id/modifications/:modificationId/settle
+   * @access  Private (guest or admin)
+   */
+  async settleModification(req, res, next) {
+    const { id, modificationId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const modification = await BookingModificationService.retrySettlement(
+        id,
+        modificationId,
+        { userId, isAdmin: hasRole(req.user, "admin") },
+        req.body.paymentMethod
+      );
+
+      res.status(200).json({
+        success: true,
+        data: modification,
+        message: "Change settled",
+      });
+    } catch (error) {
+      logger.error(`Change settlement failed: ${error.message}`, {
+        bookingId: id,
+        modificationId,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a lease's rent installments and what is still owed
+   * @route   GET /api/bookings/:id/installments
+   * @access  Private (tenant, host or admin)
+   */
+  async getRentSchedule(req, res, next) {
+    try {
+      const schedule = await LeaseService.getSchedule(req.params.id, {
+        userId: req.user.id,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({ success: true, data: schedule });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Pay one month of rent
+   * @route   POST /api/bookings/:id/installments/:installmentId/pay
+   * @access  Private (tenant)
+   */
+  async payInstallment(req, res, next) {
+    const { id, installmentId } = req.params;
+    const userId = req.user.id;
+
+    try {
+      const installment = await LeaseService.payInstallment(
+        id,
+        installmentId,
+        userId,
+        req.body.paymentMethod
+      );
+
+      res.status(200).json({
+        success: true,
+        data: installment,
+        message: "Rent paid",
+      });
+    } catch (error) {
+      logger.error(`Rent payment failed: ${error.message}`, {
+        bookingId: id,
+        installmentId,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get the booking's invoice and credit notes
    * @route   GET /api/bookings/:id/invoice
-   * @access  Private
+   * @access  Private (guest, host or admin)
    */
   async getInvoice(req, res, next) {
     const { id } = req.params;
     const userId = req.user.id;
 
     try {
-      if (!id) throw new ValidationError("Booking ID is required");
-
-      const invoice = await BookingService.generateInvoice(id, userId);
+      const documents = await InvoiceService.getBookingDocuments(id, {
+        userId,
+        isAdmin: hasRole(req.user, "admin"),
+      });
 
       res.status(200).json({
         success: true,
-        data: invoice,
+        data: documents,
       });
     } catch (error) {
-      logger.error(`Invoice generation failed: ${error.message}`, {
+      logger.error(`Invoice retrieval failed: ${error.message}`, {
         bookingId: id,
         userId,
         error: error.stack,
@@ -296,6 +786,83 @@ class BookingController {
       next(error);
     }
   }
+
+  /**
+   * @desc    Download the booking's invoice as PDF
+   * @route   GET /api/bookings/:id/invoice.pdf
+   * @access  Private (guest, host or admin)
+   */
+  async getInvoicePdf(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const { invoice } = await InvoiceService.getBookingDocuments(id, {
+        userId: req.user.id,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      sendPdf(res, `${invoice.number}.pdf`, InvoiceService.renderPdf(invoice));
+    } catch (error) {
+      logger.error(`Invoice PDF failed: ${error.message}`, {
+        bookingId: id,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Download a credit note as PDF
+   * @route   GET /api/bookings/:id/credit-notes/:creditNoteId.pdf
+   * @access  Private (guest, host or admin)
+   */
+  async getCreditNotePdf(req, res, next) {
+    const { id, creditNoteId } = req.params;
+
+    try {
+      const creditNote = await InvoiceService.getCreditNote(id, creditNoteId, {
+        userId: req.user.id,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      sendPdf(res, `${creditNote.number}.pdf`, InvoiceService.renderPdf(creditNote));
+    } catch (error) {
+      logger.error(`Credit note PDF failed: ${error.message}`, {
+        bookingId: id,
+        creditNoteId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Download the invoice for one month of a lease's rent as PDF
+   * @route   GET /api/bookings/:id/installments/:installmentId/invoice.pdf
+   * @access  Private (tenant, host or admin)
+   */
+  async getInstallmentInvoicePdf(req, res, next) {
+    const { id, installmentId } = req.params;
+
+    try {
+      const invoice = await InvoiceService.getInstallmentInvoice(id, installmentId, {
+        userId: req.user.id,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      sendPdf(res, `${invoice.number}.pdf`, InvoiceService.renderPdf(invoice));
+    } catch (error) {
+      logger.error(`Rent invoice PDF failed: ${error.message}`, {
+        bookingId: id,
+        installmentId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
 }
 
 // Export initialized controller instance
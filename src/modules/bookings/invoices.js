@@ -0,0 +1,463 @@
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { DateTime } from "luxon";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../utils/apiError.js";
+import { PdfDocument, PAGE_WIDTH } from "../../utils/pdf.js";
+import pkg from "@prisma/client";
+const { BookingType, InvoiceType, PaymentStatus, RentInstallmentStatus } = pkg;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Payment statuses that mean the guest was charged at some point
+const CHARGED_STATUSES = [
+  PaymentStatus.COMPLETED,
+  PaymentStatus.PARTIALLY_REFUNDED,
+  PaymentStatus.REFUNDED,
+];
+
+const BOOKING_INCLUDE = {
+  payment: true,
+  property: { select: { title: true, address: true, city: true, country: true, ownerId: true } },
+  tenant: {
+    select: {
+      username: true,
+      email: true,
+      profile: {
+        select: { firstName: true, lastName: true, currentAddress: true },
+      },
+    },
+  },
+};
+
+class InvoiceService {
+  /**
+   * Issue the invoice for a paid booking. Safe to call more than once: a
+   * booking only ever gets one invoice. A lease's booking payment is its
+   * first month of rent, so it is invoiced as that installment.
+   * @param {object} tx - Prisma transaction client
+   * @param {string} bookingId
+   * @returns {Promise<object>} Invoice
+   */
+  async issueInvoice(tx, bookingId) {
+    const existing = await tx.invoice.findFirst({
+      where: { bookingId, type: InvoiceType.INVOICE },
+      orderBy: { issuedAt: "asc" },
+    });
+    if (existing) return existing;
+
+    const booking = await tx.booking.findUnique({
+      where: { id: bookingId },
+      include: BOOKING_INCLUDE,
+    });
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (!CHARGED_STATUSES.includes(booking.payment?.status) || booking.payment.unbilled) {
+      throw new ConflictError("An invoice is only issued once the booking is paid");
+    }
+    if (booking.type === BookingType.LEASE) {
+      const first = await tx.rentInstallment.findUnique({
+        where: { bookingId_sequence: { bookingId, sequence: 1 } },
+        select: { id: true },
+      });
+      return this.issueInstallmentInvoice(tx, first.id);
+    }
+
+    const lineItems = this.buildLineItems(booking);
+    const invoice = await this.createDocument(tx, InvoiceType.INVOICE, {
+      bookingId,
+      currency: booking.currency,
+      subtotal: Number(booking.basePrice),
+      fees: Number(booking.fees),
+      taxes: Number(booking.taxes),
+      total: Number(booking.totalPrice),
+      lineItems,
+      billTo: this.billTo(booking),
+    });
+
+    logger.info(`Invoice ${invoice.number} issued for booking ${bookingId}`);
+    return invoice;
+  }
+
+  /**
+   * Issue the invoice for one paid month of a lease's rent, billing that
+   * month only. Safe to call more than once.
+   * @param {object} tx - Prisma transaction client
+   * @param {string} installmentId
+   * @returns {Promise<object>} Invoice
+   */
+  async issueInstallmentInvoice(tx, installmentId) {
+    const existing = await tx.invoice.findUnique({ where: { installmentId } });
+    if (existing) return existing;
+
+    const installment = await tx.rentInstallment.findUnique({
+      where: { id: installmentId },
+      include: { booking: { include: BOOKING_INCLUDE } },
+    });
+    if (!installment) throw new NotFoundError("Installment not found");
+    if (installment.status !== RentInstallmentStatus.PAID) {
+      throw new ConflictError("An invoice is only issued once the rent is paid");
+    }
+
+    const { booking } = installment;
+    const amount = Number(installment.amount);
+    const day = (date) => DateTime.fromJSDate(date, { zone: "utc" });
+    const billTo = this.billTo(booking);
+
+    const invoice = await this.createDocument(tx, InvoiceType.INVOICE, {
+      bookingId: booking.id,
+      installmentId,
+      currency: installment.currency,
+      subtotal: amount,
+      fees: 0,
+      taxes: 0,
+      total: amount,
+      lineItems: [
+        {
+          category: "ACCOMMODATION",
+          // periodEnd is exclusive
+          description: `Rent, month ${installment.sequence} (${day(installment.periodStart).toISODate()} to ${day(installment.periodEnd).minus({ days: 1 }).toISODate()})`,
+          amount,
+        },
+      ],
+      billTo: {
+        ...billTo,
+        stay: { ...billTo.stay, startDate: installment.periodStart, endDate: installment.periodEnd },
+      },
+    });
+
+    logger.info(
+      `Invoice ${invoice.number} issued for rent installment ${installment.sequence} of lease ${booking.id}`
+    );
+    return invoice;
+  }
+
+  /**
+   * Issue a credit note for a settled refund. Each invoice line is scaled
+   * by the refunded share so taxes are reversed in proportion; rounding
+   * differences go on the last line so the note totals the refund exactly.
+   * @param {object} tx - Prisma transaction client
+   * @param {string} paymentId - Payment whose refund has settled
+   * @returns {Promise<object|null>} Credit note, or null without a refund
+   */
+  async issueCreditNote(tx, paymentId) {
+    const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+    // A capture refunded for a cancelled booking was never invoiced
+    if (!payment?.refundId || !payment.refundAmount || payment.unbilled) return null;
+
+    const existing = await tx.invoice.findUnique({
+      where: { refundId: payment.refundId },
+    });
+    if (existing) return existing;
+
+    const invoice = await this.issueInvoice(tx, payment.bookingId);
+    const refundAmount = Number(payment.refundAmount);
+    const invoiceTotal = Number(invoice.total);
+    const share = invoiceTotal > 0 ? Math.min(refundAmount / invoiceTotal, 1) : 0;
+
+    const lineItems = invoice.lineItems.map((line) => ({
+      ...line,
+      amount: -round(line.amount * share),
+    }));
+    const drift = round(-refundAmount - lineItems.reduce((sum, line) => sum + line.amount, 0));
+    if (lineItems.length && drift) {
+      const last = lineItems[lineItems.length - 1];
+      last.amount = round(last.amount + drift);
+    }
+
+    const sumOf = (category) =>
+      round(
+        lineItems
+          .filter((line) => line.category === category)
+          .reduce((sum, line) => sum + line.amount, 0)
+      );
+
+    const creditNote = await this.createDocument(tx, InvoiceType.CREDIT_NOTE, {
+      bookingId: payment.bookingId,
+      creditedInvoiceId: invoice.id,
+      refundId: payment.refundId,
+      currency: invoice.currency,
+      subtotal: sumOf("ACCOMMODATION"),
+      fees: sumOf("FEE"),
+      taxes: sumOf("TAX"),
+      total: -refundAmount,
+      lineItems,
+      billTo: invoice.billTo,
+    });
+
+    logger.info(
+      `Credit note ${creditNote.number} issued against ${invoice.number} for refund ${payment.refundId}`
+    );
+    return creditNote;
+  }
+
+  /**
+   * Allocate the next number in the series and insert the document in the
+   * same transaction
+   */
+  async createDocument(tx, type, data) {
+    const issuer = config.get("invoices.issuerCode");
+    const issuedAt = new Date();
+    const year = DateTime.fromJSDate(issuedAt, { zone: "utc" }).year;
+
+    const { lastNumber } = await tx.invoiceSequence.upsert({
+      where: { issuer_type_year: { issuer, type, year } },
+      create: { issuer, type, year, lastNumber: 1 },
+      update: { lastNumber: { increment: 1 } },
+    });
+
+    const prefix =
+      type === InvoiceType.CREDIT_NOTE
+        ? config.get("invoices.creditNotePrefix")
+        : config.get("invoices.invoicePrefix");
+
+    return tx.invoice.create({
+      data: {
+        ...data,
+        type,
+        issuer,
+        year,
+        sequence: lastNumber,
+        number: `${prefix}-${issuer}-${year}-${String(lastNumber).padStart(6, "0")}`,
+        issuerDetails: {
+          name: config.get("invoices.issuerName"),
+          address: config.get("invoices.issuerAddress"),
+          taxId: config.get("invoices.issuerTaxId"),
+        },
+        issuedAt,
+      },
+    });
+  }
+
+  // Invoice lines from the breakdown stored at booking time
+  buildLineItems(booking) {
+    const breakdown = booking.priceBreakdown;
+    const nights = Math.round(
+      DateTime.fromJSDate(booking.endDate)
+        .diff(DateTime.fromJSDate(booking.startDate), "days").days
+    );
+
+    const lines = [
+      {
+        category: "ACCOMMODATION",
+        description:
+          breakdown?.type === "LEASE"
+            ? `Rent, ${breakdown.months} month(s)`
+            : `Accommodation, ${breakdown?.nightCount ?? nights} night(s)`,
+        amount: Number(booking.basePrice),
+      },
+    ];
+
+    if (breakdown) {
+      for (const fee of breakdown.fees || []) {
+        lines.push({ category: "FEE", description: fee.label, amount: fee.amount });
+      }
+      for (const tax of breakdown.taxes || []) {
+        lines.push({
+          category: "TAX",
+          description:
+            tax.calculationType === "PERCENTAGE" ? `${tax.name} (${tax.rate}%)` : tax.name,
+          amount: tax.amount,
+        });
+      }
+    } else {
+      // Bookings made before breakdowns were stored only have totals
+      if (Number(booking.fees)) {
+        lines.push({ category: "FEE", description: "Fees", amount: Number(booking.fees) });
+      }
+      if (Number(booking.taxes)) {
+        lines.push({ category: "TAX", description: "Taxes", amount: Number(booking.taxes) });
+      }
+    }
+
+    return lines;
+  }
+
+  billTo(booking) {
+    const profile = booking.tenant?.profile;
+    return {
+      name:
+        profile?.firstName || profile?.lastName
+          ? [profile.firstName, profile.lastName].filter(Boolean).join(" ")
+          : booking.tenant?.username,
+      email: booking.tenant?.email,
+      address: profile?.currentAddress || null,
+      stay: {
+        property: booking.property?.title,
+        address: [booking.property?.address, booking.property?.city, booking.property?.country]
+          .filter(Boolean)
+          .join(", "),
+        startDate: booking.startDate,
+        endDate: booking.endDate,
+        guests: booking.adults + booking.children,
+      },
+    };
+  }
+
+  /**
+   * Invoice and credit notes for a booking, issuing the invoice on first
+   * access for bookings paid before invoices were persisted. Leases also
+   * list one invoice per month of rent paid, the first being `invoice`.
+   * @returns {Promise<{invoice: object, rentInvoices: object[], creditNotes: object[]}>}
+   */
+  async getBookingDocuments(bookingId, actor) {
+    const booking = await this.assertCanView(bookingId, actor);
+
+    const invoice = await prisma.$transaction((tx) => this.issueInvoice(tx, booking.id));
+    const [rentInvoices, creditNotes] = await Promise.all([
+      prisma.invoice.findMany({
+        where: { bookingId, type: InvoiceType.INVOICE, installmentId: { not: null } },
+        orderBy: { issuedAt: "asc" },
+      }),
+      prisma.invoice.findMany({
+        where: { bookingId, type: InvoiceType.CREDIT_NOTE },
+        orderBy: { issuedAt: "asc" },
+      }),
+    ]);
+
+    return { invoice, rentInvoices, creditNotes };
+  }
+
+  async getInstallmentInvoice(bookingId, installmentId, actor) {
+    await this.assertCanView(bookingId, actor);
+
+    const invoice = await prisma.invoice.findFirst({
+      where: { bookingId, installmentId, type: InvoiceType.INVOICE },
+    });
+    if (!invoice) throw new NotFoundError("Invoice not found");
+    return invoice;
+  }
+
+  async getCreditNote(bookingId, creditNoteId, actor) {
+    await this.assertCanView(bookingId, actor);
+
+    const creditNote = await prisma.invoice.findFirst({
+      where: { id: creditNoteId, bookingId, type: InvoiceType.CREDIT_NOTE },
+      include: { creditedInvoice: { select: { number: true } } },
+    });
+    if (!creditNote) throw new NotFoundError("Credit note not found");
+    return creditNote;
+  }
+
+  async assertCanView(bookingId, { userId, isAdmin = false }) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: { id: true, tenantId: true, property: { select: { ownerId: true } } },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (!isAdmin && booking.tenantId !== userId && booking.property?.ownerId !== userId) {
+      throw new ForbiddenError("Not authorized to view this booking");
+    }
+    return booking;
+  }
+
+  /**
+   * Render an invoice or credit note as a PDF
+   * @param {object} document - Invoice row, with creditedInvoice for credit notes
+   * @returns {Buffer}
+   */
+  renderPdf(document) {
+    const isCreditNote = document.type === InvoiceType.CREDIT_NOTE;
+    const title = isCreditNote ? "CREDIT NOTE" : "INVOICE";
+    const pdf = new PdfDocument({
+      title: `${title} ${document.number}`,
+      author: document.issuerDetails.name,
+    });
+    const money = (amount) =>
+      `${Number(amount).toFixed(2)} ${document.currency}`;
+    const date = (value) =>
+      DateTime.fromJSDate(new Date(value), { zone: "utc" }).toISODate();
+    const right = PAGE_WIDTH - 50;
+
+    // Header
+    pdf.text(document.issuerDetails.name, 50, 60, { size: 16, bold: true });
+    let y = 78;
+    for (const line of [
+      document.issuerDetails.address,
+      document.issuerDetails.taxId && `Tax ID: ${document.issuerDetails.taxId}`,
+    ].filter(Boolean)) {
+      pdf.text(line, 50, y, { size: 9 });
+      y += 12;
+    }
+    pdf.text(title, right, 60, { size: 16, bold: true, align: "right" });
+    pdf.text(`No. ${document.number}`, right, 78, { align: "right" });
+    pdf.text(`Issued ${date(document.issuedAt)}`, right, 92, { align: "right" });
+    if (isCreditNote && document.creditedInvoice) {
+      pdf.text(`Credits invoice ${document.creditedInvoice.number}`, right, 106, {
+        align: "right",
+      });
+    }
+
+    // Customer and stay
+    const { billTo } = document;
+    y = 140;
+    pdf.text("Bill to", 50, y, { bold: true });
+    for (const line of [billTo.name, billTo.email, billTo.address].filter(Boolean)) {
+      y += 14;
+      pdf.text(line, 50, y);
+    }
+    y = 140;
+    pdf.text("Stay", 320, y, { bold: true });
+    for (const line of [
+      billTo.stay?.property,
+      billTo.stay?.address,
+      billTo.stay && `${date(billTo.stay.startDate)} to ${date(billTo.stay.endDate)}`,
+      billTo.stay && `${billTo.stay.guests} guest(s)`,
+    ].filter(Boolean)) {
+      y += 14;
+      pdf.text(line, 320, y);
+    }
+
+    // Lines
+    y = 240;
+    pdf.rect(50, y - 14, right - 50, 20);
+    pdf.text("Description", 56, y, { bold: true });
+    pdf.text("Amount", right - 6, y, { bold: true, align: "right" });
+    y += 22;
+    for (const line of document.lineItems) {
+      if (y > 760) {
+        pdf.addPage();
+        y = 60;
+      }
+      pdf.text(line.description, 56, y);
+      pdf.text(money(line.amount), right - 6, y, { align: "right" });
+      y += 18;
+    }
+
+    // Totals
+    if (y > 700) {
+      pdf.addPage();
+      y = 60;
+    }
+    pdf.line(50, y - 6, right, y - 6);
+    y += 10;
+    for (const [label, amount] of [
+      ["Subtotal", document.subtotal],
+      ["Fees", document.fees],
+      ["Taxes", document.taxes],
+    ]) {
+      pdf.text(label, right - 160, y);
+      pdf.text(money(amount), right - 6, y, { align: "right" });
+      y += 16;
+    }
+    pdf.text(isCreditNote ? "Total credited" : "Total", right - 160, y + 4, { bold: true });
+    pdf.text(money(document.total), right - 6, y + 4, { bold: true, align: "right" });
+
+    pdf.text(
+      isCreditNote
+        ? "This credit note reduces the amount owed on the invoice referenced above."
+        : "Thank you for your booking!",
+      50,
+      800,
+      { size: 9 }
+    );
+
+    return pdf.toBuffer();
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,544 @@
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { DateTime } from "luxon";
+import {
+  BookingError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import { sendEmail } from "../../utils/email.js";
+import { buildRentSchedule } from "../../utils/rent.js";
+import { AVAILABILITY_RULE_TYPES, NIGHT_STATUS } from "../../utils/availability.js";
+import { PricingService } from "../../utils/pricing.js";
+import { getProvider } from "../payments/providers/index.js";
+import LedgerService from "../payouts/ledger.js";
+import AvailabilityRuleService from "../availability-rules/service.js";
+import DepositService from "../deposits/service.js";
+import { invalidateCalendar } from "../calendars/cache.js";
+import InvoiceService from "./invoices.js";
+import { recordStatusChange } from "./lifecycle.js";
+import { assertGuestRequirements } from "./policy.js";
+import { resolveCancellationPolicy } from "./cancellation.js";
+import BookingService from "./service.js";
+import pkg from "@prisma/client";
+const {
+  BookingActorType,
+  BookingMode,
+  BookingStatus,
+  BookingType,
+  PaymentStatus,
+  PropertyListingType,
+  RentInstallmentStatus,
+} = pkg;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Leases whose rent is still being collected
+const COLLECTING_STATUSES = [
+  BookingStatus.PAID,
+  BookingStatus.ACTIVE,
+  BookingStatus.COMPLETED,
+];
+
+class LeaseService {
+  /**
+   * Book a rental listing for whole months. The rent is split into monthly
+   * installments; the first is charged with the booking payment and the
+   * rest are paid as they fall due.
+   * @param {Object} params
+   * @param {string} params.propertyId
+   * @param {string} params.userId - The tenant
+   * @param {string|Date} params.startDate - Move-in day
+   * @param {number} params.months - Lease term
+   * @returns {Promise<object>} Booking with payment and rentInstallments
+   */
+  async createLease({
+    propertyId,
+    userId,
+    startDate,
+    months,
+    adults = 1,
+    children = 0,
+    infants = 0,
+    specialRequests = null,
+    paymentMethod,
+  }) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        status: true,
+        listingType: true,
+        maxGuests: true,
+        currency: true,
+        bookingMode: true,
+        guestRequirements: true,
+        cancellationPolicy: true,
+        cancellationTiers: true,
+        rentalDetails: true,
+      },
+    });
+
+    this.assertLeasable(property, adults + children, startDate, months);
+    await assertGuestRequirements(prisma, property, userId);
+
+    const { rentalDetails } = property;
+    const schedule = buildRentSchedule({
+      startDate,
+      months,
+      monthlyRate: rentalDetails.monthlyRate,
+    });
+    const start = PricingService.toDay(startDate).toJSDate();
+    const end = schedule.endDate;
+
+    const booking = await this.withPropertyLock(propertyId, () =>
+      prisma.$transaction(async (tx) => {
+        await this.assertLeaseAvailable(tx, propertyId, start, end);
+
+        const instant = property.bookingMode === BookingMode.INSTANT;
+        const now = DateTime.now();
+        const currency = property.currency;
+        const [firstInstallment] = schedule.installments;
+
+        const created = await tx.booking.create({
+          data: {
+            propertyId,
+            tenantId: userId,
+            type: BookingType.LEASE,
+            leaseMonths: months,
+            startDate: start,
+            endDate: end,
+            totalPrice: schedule.total,
+            basePrice: schedule.total,
+            taxes: 0,
+            fees: 0,
+            discountAmount: 0,
+            priceBreakdown: {
+              currency,
+              type: BookingType.LEASE,
+              months,
+              monthlyRate: round(Number(rentalDetails.monthlyRate)),
+              baseSubtotal: schedule.total,
+              subtotal: schedule.total,
+              discountAmount: 0,
+              fees: [],
+              taxes: [],
+              totalPrice: schedule.total,
+            },
+            currency,
+            listingCurrency: currency,
+            exchangeRate: 1,
+            adults,
+            children,
+            infants,
+            specialRequests,
+            status: instant ? BookingStatus.CONFIRMED : BookingStatus.PENDING,
+            bookingMode: property.bookingMode,
+            cancellationPolicy: resolveCancellationPolicy(property),
+            ...(instant
+              ? {
+                  paymentDueAt: now
+                    .plus({ minutes: config.get("bookings.holdWindowMinutes") })
+                    .toJSDate(),
+                }
+              : {
+                  holdExpiresAt: now
+                    .plus({ hours: config.get("bookings.requestResponseHours") })
+                    .toJSDate(),
+                }),
+            // The booking payment covers the first month only
+            payment: {
+              create: {
+                amount: firstInstallment.amount,
+                currency,
+                status: PaymentStatus.PENDING,
+                userId,
+                propertyId,
+                paymentMethod,
+              },
+            },
+            rentInstallments: {
+              create: schedule.installments.map((installment) => ({
+                ...installment,
+                currency,
+              })),
+            },
+          },
+          include: {
+            property: { select: { id: true, title: true, address: true } },
+            payment: true,
+            rentInstallments: { orderBy: { sequence: "asc" } },
+          },
+        });
+
+        await recordStatusChange(tx, {
+          bookingId: created.id,
+          fromStatus: null,
+          toStatus: created.status,
+          actorId: userId,
+          actorType: BookingActorType.GUEST,
+          reason: instant ? "Lease created (instant book)" : "Lease requested",
+        });
+
+        created.deposit = await DepositService.createForBooking(
+          tx,
+          created,
+          rentalDetails.securityDeposit
+        );
+
+        await BookingService.updateAvailabilitySlots(tx, propertyId, created.id, start, end);
+        return created;
+      })
+    );
+
+    await invalidateCalendar(propertyId);
+    logger.info(
+      `Lease ${booking.id} for ${months} month(s) created on property ${propertyId} by user ${userId}`
+    );
+    return booking;
+  }
+
+  /**
+   * Rent schedule of a lease with what has been paid and what is owed
+   * @param {string} bookingId
+   * @param {{userId: string, isAdmin?: boolean}} actor - Tenant, host or admin
+   * @returns {Promise<{bookingId, currency, installments, totals}>}
+   */
+  async getSchedule(bookingId, { userId, isAdmin = false }) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: {
+        id: true,
+        type: true,
+        tenantId: true,
+        currency: true,
+        property: { select: { ownerId: true } },
+        rentInstallments: { orderBy: { sequence: "asc" } },
+      },
+    });
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (!isAdmin && booking.tenantId !== userId && booking.property.ownerId !== userId) {
+      throw new ForbiddenError("You do not have access to this booking");
+    }
+    if (booking.type !== BookingType.LEASE) {
+      throw new BookingError("Only leases have a rent schedule");
+    }
+
+    const sum = (statuses) =>
+      round(
+        booking.rentInstallments
+          .filter((item) => statuses.includes(item.status))
+          .reduce((total, item) => total + Number(item.amount), 0)
+      );
+
+    return {
+      bookingId: booking.id,
+      currency: booking.currency,
+      installments: booking.rentInstallments,
+      totals: {
+        paid: sum([RentInstallmentStatus.PAID]),
+        outstanding: sum([RentInstallmentStatus.PENDING, RentInstallmentStatus.OVERDUE]),
+        overdue: sum([RentInstallmentStatus.OVERDUE]),
+      },
+    };
+  }
+
+  /**
+   * Charge the tenant for one month of rent. Installments are paid in
+   * order; the first one is settled by the booking payment. Once the
+   * gateway has taken the rent its reference is stored, and a retry only
+   * books it instead of charging again.
+   * @param {string} bookingId
+   * @param {string} installmentId
+   * @param {string} userId - The tenant
+   * @param {string} [paymentMethod] - Defaults to the booking's payment method
+   * @returns {Promise<object>} Paid RentInstallment
+   */
+  async payInstallment(bookingId, installmentId, userId, paymentMethod) {
+    return this.withInstallmentLock(installmentId, async () => {
+      const installment = await prisma.rentInstallment.findFirst({
+        where: { id: installmentId, bookingId },
+        include: {
+          booking: {
+            include: {
+              payment: true,
+              property: { select: { ownerId: true } },
+            },
+          },
+        },
+      });
+      if (!installment) throw new NotFoundError("Installment not found");
+
+      const { booking } = installment;
+      if (booking.tenantId !== userId) {
+        throw new ForbiddenError("Only the tenant can pay rent");
+      }
+      if (![BookingStatus.PAID, BookingStatus.ACTIVE].includes(booking.status)) {
+        throw new BookingError(
+          `Rent can only be paid on a PAID or ACTIVE lease (current: ${booking.status})`
+        );
+      }
+      if (installment.sequence === 1) {
+        throw new BookingError("The first month is paid with the booking payment");
+      }
+      if (installment.status === RentInstallmentStatus.PAID) {
+        throw new ConflictError("Installment is already paid");
+      }
+      if (installment.status === RentInstallmentStatus.CANCELLED) {
+        throw new BookingError("Installment was cancelled");
+      }
+
+      const earlier = await prisma.rentInstallment.count({
+        where: {
+          bookingId,
+          sequence: { lt: installment.sequence },
+          status: { in: [RentInstallmentStatus.PENDING, RentInstallmentStatus.OVERDUE] },
+        },
+      });
+      if (earlier > 0) {
+        throw new BookingError("Earlier installments must be paid first");
+      }
+
+      let paid;
+      try {
+        // A retry after the gateway already took the rent only books it
+        if (!installment.transactionId) {
+          const charge = await this.charge(installment, booking.payment, paymentMethod);
+          // Stored before booking it, so a failure below never charges twice
+          await prisma.rentInstallment.update({
+            where: { id: installmentId },
+            data: { provider: booking.payment?.provider, ...charge },
+          });
+        }
+
+        paid = await prisma.$transaction(async (tx) => {
+          const updated = await tx.rentInstallment.update({
+            where: { id: installmentId },
+            data: {
+              status: RentInstallmentStatus.PAID,
+              paidAt: new Date(),
+              failureReason: null,
+            },
+          });
+          await LedgerService.postInstallment(tx, updated, booking.property.ownerId);
+          await InvoiceService.issueInstallmentInvoice(tx, updated.id);
+          return updated;
+        });
+      } catch (error) {
+        await prisma.rentInstallment.update({
+          where: { id: installmentId },
+          data: { failureReason: error.message?.slice(0, 255) },
+        });
+        throw error;
+      }
+
+      logger.info(`Rent installment ${paid.sequence} of lease ${bookingId} paid`);
+      return paid;
+    });
+  }
+
+  async charge(installment, payment, paymentMethod) {
+    const amount = Number(installment.amount);
+    const provider = getProvider(payment?.provider);
+    const authorization = await provider.authorize({
+      amount,
+      currency: installment.currency,
+      paymentMethod: paymentMethod || payment?.paymentMethod,
+      metadata: { bookingId: installment.bookingId, installmentId: installment.id },
+    });
+    if (authorization.status !== "authorized") {
+      throw new PaymentError(authorization.failureReason || "Rent payment declined");
+    }
+
+    const capture = await provider.capture({ intentId: authorization.intentId, amount });
+    if (capture.status !== "captured") {
+      // Release the hold on the tenant's card; a retry authorizes afresh
+      const voided = await provider
+        .void({ intentId: authorization.intentId })
+        .catch((error) => ({ status: "failed", failureReason: error.message }));
+      if (voided.status !== "voided") {
+        logger.error(
+          `Failed to void authorization ${authorization.intentId} for rent installment ${installment.id}`,
+          { reason: voided.failureReason }
+        );
+      }
+      throw new PaymentError(capture.failureReason || "Rent payment capture failed");
+    }
+
+    return {
+      paymentIntentId: authorization.intentId,
+      transactionId: capture.transactionId,
+    };
+  }
+
+  /**
+   * Flag unpaid installments past their due date and grace period
+   * @param {Date} [now]
+   * @returns {Promise<number>} Installments marked overdue
+   */
+  async markOverdue(now = new Date()) {
+    const cutoff = PricingService.toDay(now)
+      .minus({ days: config.get("leases.graceDays") })
+      .toJSDate();
+
+    const { count } = await prisma.rentInstallment.updateMany({
+      where: {
+        status: RentInstallmentStatus.PENDING,
+        // Rent taken at the gateway but not booked yet is not owed
+        transactionId: null,
+        dueDate: { lt: cutoff },
+        booking: { status: { in: COLLECTING_STATUSES } },
+      },
+      data: { status: RentInstallmentStatus.OVERDUE },
+    });
+    return count;
+  }
+
+  /**
+   * Overdue installments due another reminder
+   * @param {Date} [now]
+   * @returns {Promise<string[]>} Installment IDs
+   */
+  async findReminderCandidates(now = new Date()) {
+    const remindedBefore = DateTime.fromJSDate(now)
+      .minus({ days: config.get("leases.reminderIntervalDays") })
+      .toJSDate();
+
+    const installments = await prisma.rentInstallment.findMany({
+      where: {
+        status: RentInstallmentStatus.OVERDUE,
+        transactionId: null,
+        remindersSent: { lt: config.get("leases.maxReminders") },
+        OR: [{ lastRemindedAt: null }, { lastRemindedAt: { lt: remindedBefore } }],
+      },
+      select: { id: true },
+    });
+    return installments.map((installment) => installment.id);
+  }
+
+  async sendReminder(installmentId, now = new Date()) {
+    const installment = await prisma.rentInstallment.findUnique({
+      where: { id: installmentId },
+      include: {
+        booking: {
+          select: {
+            id: true,
+            tenant: { select: { email: true } },
+            property: { select: { title: true } },
+          },
+        },
+      },
+    });
+    if (installment?.status !== RentInstallmentStatus.OVERDUE) return;
+
+    const dueDate = PricingService.toDay(installment.dueDate).toISODate();
+    await sendEmail(
+      installment.booking.tenant.email,
+      `Rent overdue for ${installment.booking.property.title}`,
+      `<p>Your rent of ${Number(installment.amount).toFixed(2)} ${installment.currency} ` +
+        `was due on ${dueDate}.</p><p>Please pay it from your booking ` +
+        `${installment.booking.id} to keep your lease in good standing.</p>`
+    );
+
+    await prisma.rentInstallment.update({
+      where: { id: installmentId },
+      data: { remindersSent: { increment: 1 }, lastRemindedAt: now },
+    });
+  }
+
+  assertLeasable(property, totalGuests, startDate, months) {
+    if (!property) throw new NotFoundError("Property not found");
+    if (property.status !== "APPROVED") {
+      throw new BookingError("Property is not available for booking");
+    }
+    if (property.listingType !== PropertyListingType.RENT || !property.rentalDetails) {
+      throw new BookingError("Property is not listed for rent");
+    }
+    if (totalGuests > property.maxGuests) {
+      throw new BookingError(`Property can only accommodate ${property.maxGuests} guests`);
+    }
+
+    const { leaseTermMonths, availableFrom } = property.rentalDetails;
+    const minMonths = leaseTermMonths || 1;
+    if (months < minMonths) {
+      throw new ValidationError(`Minimum lease term is ${minMonths} month(s)`);
+    }
+    if (PricingService.toDay(startDate) < PricingService.toDay(availableFrom)) {
+      throw new BookingError(
+        `Property is available from ${PricingService.toDay(availableFrom).toISODate()}`
+      );
+    }
+  }
+
+  // Leases only conflict with other bookings, host blocks and blackouts.
+  // Weekly closures, minimum stays and the availability window are meant
+  // for nightly stays and do not apply to someone living in the property.
+  async assertLeaseAvailable(tx, propertyId, start, end) {
+    const nights = await AvailabilityRuleService.getCalendar(tx, propertyId, start, end);
+    const booked = nights.find((night) => night.status === NIGHT_STATUS.BOOKED);
+    if (booked) throw new ConflictError(`Date ${booked.date} is not available`);
+
+    // Checked on the slots themselves: a closure rule would hide the block
+    // in the calendar
+    const blocked = await tx.availability.findFirst({
+      where: {
+        propertyId,
+        isAvailable: false,
+        startDate: { lt: end },
+        endDate: { gt: start },
+      },
+      orderBy: { startDate: "asc" },
+    });
+    if (blocked) {
+      const date = DateTime.max(
+        PricingService.toDay(blocked.startDate),
+        PricingService.toDay(start)
+      );
+      throw new ConflictError(`Date ${date.toISODate()} is not available`);
+    }
+
+    const blackout = await tx.availabilityRule.findFirst({
+      where: {
+        propertyId,
+        type: AVAILABILITY_RULE_TYPES.BLACKOUT,
+        isActive: true,
+        AND: [
+          { OR: [{ startDate: null }, { startDate: { lt: end } }] },
+          { OR: [{ endDate: null }, { endDate: { gte: start } }] },
+        ],
+      },
+    });
+    if (blackout) {
+      throw new ConflictError(`Property is closed during the lease (${blackout.name})`);
+    }
+  }
+
+  async withPropertyLock(propertyId, fn) {
+    try {
+      return await withLock(`property:${propertyId}:lock`, fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Property is currently being modified by another request");
+      }
+      throw error;
+    }
+  }
+
+  async withInstallmentLock(installmentId, fn) {
+    try {
+      return await withLock(`rent-installment:${installmentId}:lock`, fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Installment is being paid, please retry");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new LeaseService();
@@ -0,0 +1,172 @@
+import { BookingError, ConflictError } from "../../utils/apiError.js";
+import pkg from "@prisma/client";
+const { BookingStatus, BookingActorType, BookingType, RentInstallmentStatus } = pkg;
+
+// Allowed moves between booking statuses. Every status write goes through
+// transitionBookingStatus so this table is the single source of truth.
+export const BOOKING_TRANSITIONS = {
+  [BookingStatus.PENDING]: [BookingStatus.CONFIRMED, BookingStatus.CANCELLED],
+  [BookingStatus.CONFIRMED]: [BookingStatus.PAID, BookingStatus.CANCELLED],
+  [BookingStatus.PAID]: [BookingStatus.ACTIVE, BookingStatus.CANCELLED],
+  [BookingStatus.ACTIVE]: [BookingStatus.COMPLETED],
+  [BookingStatus.COMPLETED]: [],
+  [BookingStatus.CANCELLED]: [BookingStatus.REFUND_PENDING],
+  [BookingStatus.REFUND_PENDING]: [BookingStatus.REFUNDED],
+  [BookingStatus.REFUNDED]: [],
+};
+
+export const canTransition = (currentStatus, newStatus) =>
+  Boolean(BOOKING_TRANSITIONS[currentStatus]?.includes(newStatus));
+
+export const assertTransition = (currentStatus, newStatus) => {
+  if (!BOOKING_TRANSITIONS[currentStatus]) {
+    throw new BookingError(`Invalid current status: ${currentStatus}`);
+  }
+
+  if (!canTransition(currentStatus, newStatus)) {
+    throw new BookingError(
+      `Invalid status transition: ${currentStatus} → ${newStatus}. ` +
+        `Allowed transitions: ${
+          BOOKING_TRANSITIONS[currentStatus].join(", ") || "none"
+        }`
+    );
+  }
+};
+
+/**
+ * Append a row to the booking's status history
+ * @param {object} tx - Prisma transaction client
+ * @param {Object} entry
+ * @param {string} entry.bookingId
+ * @param {string|null} entry.fromStatus - null for the creation entry
+ * @param {string} entry.toStatus
+ * @param {string} [entry.actorId]
+ * @param {string} [entry.actorType=SYSTEM]
+ * @param {string} [entry.reason]
+ */
+export const recordStatusChange = (
+  tx,
+  {
+    bookingId,
+    fromStatus,
+    toStatus,
+    actorId = null,
+    actorType = BookingActorType.SYSTEM,
+    reason = null,
+  }
+) =>
+  tx.bookingStatusHistory.create({
+    data: {
+      bookingId,
+      fromStatus,
+      toStatus,
+      actorId,
+      actorType,
+      reason: reason?.slice(0, 255) ?? null,
+    },
+  });
+
+/**
+ * Validate and apply a status change, recording who made it and why. The
+ * update is conditional on the status the caller read, so two concurrent
+ * transitions cannot both succeed.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} booking - Booking with at least id and status
+ * @param {string} newStatus - Target BookingStatus
+ * @param {Object} [options]
+ * @param {string} [options.actorId]
+ * @param {string} [options.actorType=SYSTEM] - GUEST, HOST, ADMIN or SYSTEM
+ * @param {string} [options.reason]
+ * @param {Object} [options.data] - Extra booking fields to write alongside
+ * @param {Object} [options.include] - Relations to return
+ * @returns {Promise<object>} Updated booking
+ */
+export const transitionBookingStatus = async (
+  tx,
+  booking,
+  newStatus,
+  { actorId = null, actorType, reason = null, data = {}, include } = {}
+) => {
+  assertTransition(booking.status, newStatus);
+
+  let updated;
+  try {
+    updated = await tx.booking.update({
+      where: { id: booking.id, status: booking.status },
+      data: { ...data, status: newStatus },
+      ...(include && { include }),
+    });
+  } catch (error) {
+    if (error.code === "P2025") {
+      throw new ConflictError(
+        `Booking ${booking.id} is no longer ${booking.status}`
+      );
+    }
+    throw error;
+  }
+
+  await recordStatusChange(tx, {
+    bookingId: booking.id,
+    fromStatus: booking.status,
+    toStatus: newStatus,
+    actorId,
+    actorType,
+    reason,
+  });
+
+  return updated;
+};
+
+/**
+ * Move a booking to PAID once its payment is captured, confirming it first
+ * when it is still PENDING. Bookings in any other status are left alone.
+ * @returns {Promise<object|null>} Updated booking, or null if nothing changed
+ */
+export const markBookingPaid = async (tx, bookingId, options = {}) => {
+  let booking = await tx.booking.findUnique({ where: { id: bookingId } });
+  if (!booking) return null;
+
+  if (booking.status === BookingStatus.PENDING) {
+    booking = await transitionBookingStatus(
+      tx,
+      booking,
+      BookingStatus.CONFIRMED,
+      options
+    );
+  }
+  if (booking.status !== BookingStatus.CONFIRMED) return null;
+
+  const paid = await transitionBookingStatus(tx, booking, BookingStatus.PAID, options);
+
+  // A lease's booking payment is its first month of rent
+  if (paid.type === BookingType.LEASE) {
+    await tx.rentInstallment.updateMany({
+      where: { bookingId, sequence: 1, status: RentInstallmentStatus.PENDING },
+      data: { status: RentInstallmentStatus.PAID, paidAt: new Date() },
+    });
+  }
+
+  return paid;
+};
+
+/**
+ * Finalize a refund for a cancelled booking, passing through REFUND_PENDING
+ * when the refund settled before the booking got there.
+ * @returns {Promise<object|null>} Updated booking, or null if nothing changed
+ */
+export const markBookingRefunded = async (tx, bookingId, options = {}) => {
+  let booking = await tx.booking.findUnique({ where: { id: bookingId } });
+  if (!booking) return null;
+
+  if (booking.status === BookingStatus.CANCELLED) {
+    booking = await transitionBookingStatus(
+      tx,
+      booking,
+      BookingStatus.REFUND_PENDING,
+      options
+    );
+  }
+  if (booking.status !== BookingStatus.REFUND_PENDING) return null;
+
+  return transitionBookingStatus(tx, booking, BookingStatus.REFUNDED, options);
+};
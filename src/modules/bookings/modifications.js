@@ -0,0 +1,689 @@
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { DateTime } from "luxon";
+import {
+  BookingError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import { getProvider } from "../payments/providers/index.js";
+import LedgerService from "../payouts/ledger.js";
+import { invalidateCalendar } from "../calendars/cache.js";
+import BookingService from "./service.js";
+import pkg from "@prisma/client";
+const {
+  BookingModificationStatus,
+  BookingStatus,
+  BookingType,
+  ModificationSettlementStatus,
+  PaymentStatus,
+} = pkg;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Bookings whose stay has not started and can still be changed
+const MODIFIABLE_STATUSES = [
+  BookingStatus.PENDING,
+  BookingStatus.CONFIRMED,
+  BookingStatus.PAID,
+];
+
+export const STAY_FIELDS = ["startDate", "endDate", "adults", "children", "infants"];
+
+/**
+ * Net amount settled through accepted changes: extra charges minus partial
+ * refunds, less any extra charge already returned
+ * @param {Array<object>} [modifications] - SETTLED BookingModification rows
+ * @returns {number}
+ */
+export const settledModificationTotal = (modifications = []) =>
+  round(
+    modifications
+      .filter((item) => item.settlementStatus === ModificationSettlementStatus.SETTLED)
+      .reduce(
+        (sum, item) => sum + Number(item.priceDelta) - Number(item.refundedAmount || 0),
+        0
+      )
+  );
+
+/**
+ * How much of a cancellation refund can still go back through the original
+ * payment: its captured amount less the partial refunds made for changes
+ * @param {object} payment
+ * @param {Array<object>} [modifications] - SETTLED BookingModification rows
+ * @returns {number}
+ */
+export const refundableOnPayment = (payment, modifications = []) =>
+  round(
+    Number(payment.amount) -
+      modifications
+        .filter(
+          (item) =>
+            item.settlementStatus === ModificationSettlementStatus.SETTLED &&
+            Number(item.priceDelta) < 0
+        )
+        .reduce((sum, item) => sum - Number(item.priceDelta), 0)
+  );
+
+class BookingModificationService {
+  /**
+   * Propose new dates or guest counts for a booking. The new stay is
+   * checked and priced exactly as a new booking would be, at the exchange
+   * rate locked in when the booking was made.
+   * @param {string} bookingId
+   * @param {string} userId - The booking's guest
+   * @param {Object} changes - Any of startDate, endDate, adults, children, infants
+   * @param {string} [message] - Note to the host
+   * @returns {Promise<object>} BookingModification
+   */
+  async requestModification(bookingId, userId, changes, message = null) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        property: {
+          select: {
+            id: true,
+            maxGuests: true,
+            minStay: true,
+            maxStay: true,
+            status: true,
+          },
+        },
+      },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (booking.tenantId !== userId) {
+      throw new ForbiddenError("Only the guest can request changes to this booking");
+    }
+    this.assertModifiable(booking);
+
+    const stay = {
+      startDate: changes.startDate ? new Date(changes.startDate) : booking.startDate,
+      endDate: changes.endDate ? new Date(changes.endDate) : booking.endDate,
+      adults: changes.adults ?? booking.adults,
+      children: changes.children ?? booking.children,
+      infants: changes.infants ?? booking.infants,
+    };
+    this.assertValidStay(booking, stay);
+
+    return this.withPropertyLock(booking.propertyId, async () => {
+      const open = await prisma.bookingModification.findFirst({
+        where: { bookingId, status: BookingModificationStatus.PENDING },
+        select: { id: true },
+      });
+      if (open) {
+        throw new ConflictError(
+          "This booking already has a change request waiting for the host"
+        );
+      }
+
+      const pricing = await this.priceStay(prisma, booking, stay);
+      const previousTotal = Number(booking.totalPrice);
+
+      const modification = await prisma.bookingModification.create({
+        data: {
+          bookingId,
+          requestedById: userId,
+          previousStay: {
+            startDate: booking.startDate,
+            endDate: booking.endDate,
+            adults: booking.adults,
+            children: booking.children,
+            infants: booking.infants,
+            totalPrice: previousTotal,
+            taxes: Number(booking.taxes),
+          },
+          ...stay,
+          currency: booking.currency,
+          previousTotal,
+          newTotal: pricing.totalPrice,
+          priceDelta: round(pricing.totalPrice - previousTotal),
+          pricing: {
+            totalPrice: pricing.totalPrice,
+            basePrice: pricing.basePrice,
+            taxes: pricing.taxes,
+            fees: pricing.fees,
+            discountAmount: pricing.discountAmount,
+            priceBreakdown: pricing.priceBreakdown,
+          },
+          message,
+          respondBy: DateTime.now()
+            .plus({ hours: config.get("bookings.requestResponseHours") })
+            .toJSDate(),
+        },
+      });
+
+      logger.info(
+        `Change requested for booking ${bookingId} (${modification.priceDelta} ${booking.currency})`,
+        { modificationId: modification.id }
+      );
+      return modification;
+    });
+  }
+
+  /**
+   * Change requests of a booking, newest first
+   * @param {string} bookingId
+   * @param {Object} actor
+   * @param {string} actor.userId
+   * @param {boolean} [actor.isAdmin=false]
+   */
+  async listModifications(bookingId, { userId, isAdmin = false }) {
+    const booking = await this.loadBooking(bookingId);
+    if (
+      !isAdmin &&
+      booking.tenantId !== userId &&
+      booking.property?.ownerId !== userId
+    ) {
+      throw new ForbiddenError("Not authorized to view this booking");
+    }
+
+    return prisma.bookingModification.findMany({
+      where: { bookingId },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Host accepts a change. Availability is re-checked and the booking's
+   * slots are swapped in one transaction under the property lock; the
+   * price difference of a paid booking is then charged or refunded.
+   * @returns {Promise<object>} BookingModification
+   */
+  async acceptModification(bookingId, modificationId, { userId, isAdmin = false }) {
+    const modification = await this.loadModification(bookingId, modificationId);
+    this.assertHost(modification.booking, { userId, isAdmin });
+    this.assertPending(modification);
+
+    const { accepted, payment, paid } = await this.withPropertyLock(
+      modification.booking.propertyId,
+      () =>
+        prisma.$transaction(async (tx) => {
+          const booking = await tx.booking.findUnique({
+            where: { id: bookingId },
+            include: { payment: true },
+          });
+          this.assertModifiable(booking);
+
+          // Flip the status first so a concurrent answer cannot also win
+          const claimed = await tx.bookingModification.updateMany({
+            where: { id: modificationId, status: BookingModificationStatus.PENDING },
+            data: {
+              status: BookingModificationStatus.ACCEPTED,
+              respondedById: userId,
+              respondedAt: new Date(),
+            },
+          });
+          if (!claimed.count) {
+            throw new ConflictError("The change request was already answered");
+          }
+
+          const { startDate, endDate, pricing } = modification;
+          await BookingService.checkAvailabilityWithLock(
+            tx,
+            booking.propertyId,
+            startDate,
+            endDate,
+            { bookingId }
+          );
+          await tx.availability.updateMany({
+            where: { propertyId: booking.propertyId, bookingId },
+            data: { isAvailable: true, bookingId: null },
+          });
+          await BookingService.updateAvailabilitySlots(
+            tx,
+            booking.propertyId,
+            bookingId,
+            startDate,
+            endDate
+          );
+
+          await tx.booking.update({
+            where: { id: bookingId },
+            data: {
+              startDate,
+              endDate,
+              adults: modification.adults,
+              children: modification.children,
+              infants: modification.infants,
+              totalPrice: pricing.totalPrice,
+              basePrice: pricing.basePrice,
+              taxes: pricing.taxes,
+              fees: pricing.fees,
+              discountAmount: pricing.discountAmount,
+              priceBreakdown: pricing.priceBreakdown,
+            },
+          });
+
+          // Unpaid bookings are simply repriced; paid ones settle the difference
+          const paid = booking.payment?.status === PaymentStatus.COMPLETED;
+          if (paid) {
+            await LedgerService.rescheduleEarnings(tx, bookingId, startDate);
+          } else if (booking.payment) {
+            await tx.payment.update({
+              where: { id: booking.payment.id },
+              data: { amount: pricing.totalPrice },
+            });
+          }
+
+          const accepted = await tx.bookingModification.update({
+            where: { id: modificationId },
+            data: {
+              settlementStatus:
+                paid && Number(modification.priceDelta) !== 0
+                  ? ModificationSettlementStatus.PENDING
+                  : ModificationSettlementStatus.NOT_REQUIRED,
+            },
+          });
+
+          return { accepted, payment: booking.payment, paid };
+        })
+    );
+
+    await invalidateCalendar(modification.booking.propertyId);
+    logger.info(`Change ${modificationId} to booking ${bookingId} accepted by ${userId}`);
+
+    // An authorization for the old amount can no longer be captured; the
+    // guest authorizes the new total instead
+    if (!paid && payment?.status === PaymentStatus.PENDING) {
+      await BookingService.voidOpenAuthorization(payment, userId, "Booking changed");
+    }
+
+    if (accepted.settlementStatus === ModificationSettlementStatus.PENDING) {
+      try {
+        return await this.settleModification(modificationId);
+      } catch (error) {
+        logger.error(`Settlement of change ${modificationId} failed`, {
+          error: error.message,
+        });
+        return prisma.bookingModification.findUnique({ where: { id: modificationId } });
+      }
+    }
+
+    return accepted;
+  }
+
+  async declineModification(bookingId, modificationId, { userId, isAdmin = false }, reason) {
+    const modification = await this.loadModification(bookingId, modificationId);
+    this.assertHost(modification.booking, { userId, isAdmin });
+
+    return this.answer(modification, BookingModificationStatus.DECLINED, {
+      respondedById: userId,
+      respondedAt: new Date(),
+      declineReason: reason || null,
+    });
+  }
+
+  async withdrawModification(bookingId, modificationId, userId) {
+    const modification = await this.loadModification(bookingId, modificationId);
+    if (modification.requestedById !== userId) {
+      throw new ForbiddenError("Only the guest who asked can withdraw this change");
+    }
+
+    return this.answer(modification, BookingModificationStatus.WITHDRAWN);
+  }
+
+  /**
+   * Charge or refund the price difference of an accepted change on a paid
+   * booking. An extra charge is authorized and captured on the guest's
+   * payment method as its own transaction; a decrease is refunded against
+   * the original payment. Once the gateway has moved the money its reference
+   * is stored, and a retry only books it instead of charging again.
+   * @param {string} modificationId
+   * @param {Object} [options]
+   * @param {string} [options.paymentMethod] - Overrides the booking's payment method
+   * @returns {Promise<object>} Settled BookingModification
+   */
+  async settleModification(modificationId, { paymentMethod } = {}) {
+    return this.withModificationLock(modificationId, async () => {
+      const modification = await prisma.bookingModification.findUnique({
+        where: { id: modificationId },
+        include: { booking: { include: { payment: true } } },
+      });
+      if (
+        ![ModificationSettlementStatus.PENDING, ModificationSettlementStatus.FAILED].includes(
+          modification?.settlementStatus
+        )
+      ) {
+        throw new ConflictError("This change has nothing left to settle");
+      }
+
+      const { payment } = modification.booking;
+      const delta = Number(modification.priceDelta);
+      // A retry after the gateway already moved the money only books it
+      const collected = delta > 0 ? modification.transactionId : modification.refundId;
+
+      let settled;
+      try {
+        if (!collected) {
+          const result =
+            delta > 0
+              ? await this.chargeDifference(modification, payment, delta, paymentMethod)
+              : await this.refundDifference(modification, payment, -delta);
+          // Stored before booking it, so a failure below never charges twice
+          await prisma.bookingModification.update({
+            where: { id: modificationId },
+            data: result,
+          });
+        }
+
+        settled = await prisma.$transaction(async (tx) => {
+          const settled = await tx.bookingModification.update({
+            where: { id: modificationId },
+            data: {
+              settlementStatus: ModificationSettlementStatus.SETTLED,
+              settledAt: new Date(),
+              failureReason: null,
+            },
+          });
+          await LedgerService.postModification(tx, settled, payment.id);
+          return settled;
+        });
+      } catch (error) {
+        await prisma.bookingModification.update({
+          where: { id: modificationId },
+          data: {
+            settlementStatus: ModificationSettlementStatus.FAILED,
+            failureReason: error.message?.slice(0, 255),
+          },
+        });
+        throw error;
+      }
+
+      logger.info(
+        `Change ${modificationId} settled: ${delta > 0 ? "charged" : "refunded"} ${Math.abs(delta)} ${modification.currency}`
+      );
+      return settled;
+    });
+  }
+
+  // Guest (or an admin) retries a settlement that failed
+  async retrySettlement(bookingId, modificationId, { userId, isAdmin = false }, paymentMethod) {
+    const modification = await this.loadModification(bookingId, modificationId);
+    if (!isAdmin && modification.booking.tenantId !== userId) {
+      throw new ForbiddenError("Only the guest can settle this change");
+    }
+    if (modification.settlementStatus !== ModificationSettlementStatus.FAILED) {
+      throw new ConflictError(
+        `Only failed settlements can be retried (current: ${modification.settlementStatus})`
+      );
+    }
+
+    return this.settleModification(modificationId, { paymentMethod });
+  }
+
+  async chargeDifference(modification, payment, amount, paymentMethod) {
+    const provider = getProvider(payment.provider);
+    const authorization = await provider.authorize({
+      amount,
+      currency: modification.currency,
+      paymentMethod: paymentMethod || payment.paymentMethod,
+      metadata: { bookingId: modification.bookingId, modificationId: modification.id },
+    });
+    if (authorization.status !== "authorized") {
+      throw new PaymentError(authorization.failureReason || "Extra charge declined");
+    }
+
+    const capture = await provider.capture({ intentId: authorization.intentId, amount });
+    if (capture.status !== "captured") {
+      // Release the hold on the guest's card; a retry authorizes afresh
+      const voided = await provider
+        .void({ intentId: authorization.intentId })
+        .catch((error) => ({ status: "failed", failureReason: error.message }));
+      if (voided.status !== "voided") {
+        logger.error(
+          `Failed to void authorization ${authorization.intentId} for change ${modification.id}`,
+          { reason: voided.failureReason }
+        );
+      }
+      throw new PaymentError(capture.failureReason || "Extra charge capture failed");
+    }
+
+    return {
+      paymentIntentId: authorization.intentId,
+      transactionId: capture.transactionId,
+    };
+  }
+
+  async refundDifference(modification, payment, amount) {
+    const provider = getProvider(payment.provider);
+    const result = await provider.refund({
+      transactionId: payment.transactionId,
+      amount,
+      reason: "Booking changed",
+    });
+    if (result.status === "failed") {
+      throw new PaymentError(result.failureReason || "Refund failed");
+    }
+
+    return { refundId: result.refundId };
+  }
+
+  /**
+   * Refund up to `amount` of the extra charges taken for changes, newest
+   * first. Used when a cancellation refund exceeds what the original
+   * payment can return.
+   * @param {string} bookingId
+   * @param {number} amount
+   * @param {string} [reason]
+   * @returns {Promise<number>} Amount refunded
+   */
+  async refundExtraCharges(bookingId, amount, reason = "Booking cancelled") {
+    const charges = await prisma.bookingModification.findMany({
+      where: {
+        bookingId,
+        settlementStatus: ModificationSettlementStatus.SETTLED,
+        priceDelta: { gt: 0 },
+      },
+      include: { booking: { select: { payment: { select: { provider: true } } } } },
+      orderBy: { settledAt: "desc" },
+    });
+
+    let remaining = round(amount);
+    for (const modification of charges) {
+      const value = Math.min(
+        remaining,
+        round(Number(modification.priceDelta) - Number(modification.refundedAmount))
+      );
+      if (value <= 0) continue;
+
+      const result = await getProvider(modification.booking.payment?.provider).refund({
+        transactionId: modification.transactionId,
+        amount: value,
+        reason,
+      });
+      if (result.status === "failed") {
+        throw new PaymentError(result.failureReason || "Refund of extra charge failed");
+      }
+
+      await prisma.$transaction(async (tx) => {
+        const updated = await tx.bookingModification.update({
+          where: { id: modification.id },
+          data: { refundedAmount: { increment: value } },
+        });
+        await tx.booking.updateMany({
+          where: { id: bookingId, refundDue: { gt: 0 } },
+          data: { refundDue: { decrement: value } },
+        });
+        await LedgerService.postModificationRefund(tx, updated, value, result.refundId);
+      });
+
+      remaining = round(remaining - value);
+      if (remaining <= 0) break;
+    }
+
+    return round(amount - remaining);
+  }
+
+  // Scheduler: close requests the host never answered
+  async expireStaleRequests(now = new Date()) {
+    const result = await prisma.bookingModification.updateMany({
+      where: { status: BookingModificationStatus.PENDING, respondBy: { lte: now } },
+      data: { status: BookingModificationStatus.EXPIRED },
+    });
+    return result.count;
+  }
+
+  // Price a stay for an existing booking, counting its own nights as free
+  async priceStay(client, booking, stay) {
+    const availability = await BookingService.checkAvailabilityWithLock(
+      client,
+      booking.propertyId,
+      stay.startDate,
+      stay.endDate,
+      { bookingId: booking.id }
+    );
+
+    return BookingService.convertPricing(
+      await BookingService.calculateTotalPrice(
+        client,
+        booking.propertyId,
+        availability,
+        stay.startDate,
+        stay.endDate,
+        stay.adults + stay.children
+      ),
+      booking.currency,
+      booking.exchangeRate !== null ? Number(booking.exchangeRate) : undefined
+    );
+  }
+
+  assertModifiable(booking) {
+    if (booking.type === BookingType.LEASE) {
+      throw new BookingError("Leases cannot be changed through change requests");
+    }
+    if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+      throw new BookingError(
+        `Only ${MODIFIABLE_STATUSES.join(", ")} bookings can be changed (current: ${booking.status})`
+      );
+    }
+    if (booking.startDate <= new Date()) {
+      throw new BookingError("A stay that has started cannot be changed");
+    }
+  }
+
+  assertValidStay(booking, stay) {
+    const unchanged = STAY_FIELDS.every((field) =>
+      stay[field] instanceof Date
+        ? stay[field].getTime() === new Date(booking[field]).getTime()
+        : stay[field] === booking[field]
+    );
+    if (unchanged) {
+      throw new ValidationError("The requested stay is the same as the current booking");
+    }
+    if (stay.startDate >= stay.endDate) {
+      throw new ValidationError("End date must be after start date");
+    }
+    if (stay.startDate < DateTime.now().startOf("day").toJSDate()) {
+      throw new ValidationError("Start date cannot be in the past");
+    }
+    if (stay.children + stay.infants > stay.adults * 2) {
+      throw new ValidationError("Too many children/infants per adult");
+    }
+
+    BookingService.assertBookable(
+      booking.property,
+      stay.adults + stay.children,
+      stay.startDate,
+      stay.endDate
+    );
+  }
+
+  assertPending(modification) {
+    if (modification.status !== BookingModificationStatus.PENDING) {
+      throw new ConflictError(`Change request is ${modification.status}, not PENDING`);
+    }
+    if (modification.respondBy <= new Date()) {
+      throw new ConflictError("The change request has expired");
+    }
+  }
+
+  assertHost(booking, { userId, isAdmin = false }) {
+    if (!isAdmin && booking.property?.ownerId !== userId) {
+      throw new ForbiddenError("Only the host can answer change requests");
+    }
+  }
+
+  // Move a PENDING request to its final status unless someone got there first
+  async answer(modification, status, data = {}) {
+    this.assertPending(modification);
+
+    const result = await prisma.bookingModification.updateMany({
+      where: { id: modification.id, status: BookingModificationStatus.PENDING },
+      data: { ...data, status },
+    });
+    if (!result.count) {
+      throw new ConflictError("The change request was already answered");
+    }
+
+    logger.info(`Change ${modification.id} to booking ${modification.bookingId} ${status.toLowerCase()}`);
+    return prisma.bookingModification.findUnique({ where: { id: modification.id } });
+  }
+
+  async loadBooking(bookingId) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: {
+        id: true,
+        tenantId: true,
+        propertyId: true,
+        property: { select: { ownerId: true } },
+      },
+    });
+    if (!booking) throw new NotFoundError("Booking not found");
+    return booking;
+  }
+
+  async loadModification(bookingId, modificationId) {
+    const modification = await prisma.bookingModification.findUnique({
+      where: { id: modificationId },
+      include: {
+        booking: {
+          select: {
+            id: true,
+            tenantId: true,
+            propertyId: true,
+            property: { select: { ownerId: true } },
+          },
+        },
+      },
+    });
+    if (!modification || modification.bookingId !== bookingId) {
+      throw new NotFoundError("Change request not found");
+    }
+    return modification;
+  }
+
+  // Same key createBooking takes, so changes and new bookings never race
+  async withPropertyLock(propertyId, fn) {
+    try {
+      return await withLock(`property:${propertyId}:lock`, fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Property is currently being modified by another request");
+      }
+      throw error;
+    }
+  }
+
+  async withModificationLock(modificationId, fn) {
+    try {
+      return await withLock(`booking-modification:${modificationId}:lock`, fn, {
+        ttl: 15000,
+      });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Change is being settled, please retry");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new BookingModificationService();
@@ -3,6 +3,9 @@ import { casbinRBAC, initializeCasbin } from '../../config/casbin.js';
 import prisma from '../../config/database.js';
 import { ForbiddenError, NotFoundError } from '../../utils/apiError.js';
 import logger from '../../config/logger.js';
+import { refundPercentAt, resolveCancellationPolicy } from './cancellation.js';
+import pkg from '@prisma/client';
+const { BookingActorType, BookingMode, BookingStatus, GuestRequirement } = pkg;
 
 // Initialize Casbin enforcer
 let enforcer;
@@ -15,6 +18,75 @@ let enforcer;
   }
 })();
 
+// Why a guest fails each instant-book requirement
+const UNMET_REQUIREMENT_MESSAGES = {
+  [GuestRequirement.VERIFIED_EMAIL]: 'Email address is not verified',
+  [GuestRequirement.COMPLETE_PROFILE]:
+    'Profile is incomplete (first name, last name and phone are required)',
+  [GuestRequirement.NO_CANCELLATIONS]: 'Guest has cancelled a previous booking',
+};
+
+/**
+ * Instant-book requirements a guest does not meet
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} userId
+ * @param {string[]} [requirements] - Property.guestRequirements
+ * @returns {Promise<Array<{requirement: string, message: string}>>}
+ */
+export const findUnmetGuestRequirements = async (client, userId, requirements = []) => {
+  if (!requirements.length) return [];
+
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: {
+      isVerified: true,
+      profile: { select: { firstName: true, lastName: true, phone: true } }
+    }
+  });
+
+  const checks = {
+    [GuestRequirement.VERIFIED_EMAIL]: async () => Boolean(user?.isVerified),
+    [GuestRequirement.COMPLETE_PROFILE]: async () =>
+      Boolean(user?.profile?.firstName && user.profile.lastName && user.profile.phone),
+    // Host declines and expired holds are not the guest's doing
+    [GuestRequirement.NO_CANCELLATIONS]: async () =>
+      (await client.bookingStatusHistory.count({
+        where: {
+          actorId: userId,
+          actorType: BookingActorType.GUEST,
+          toStatus: BookingStatus.CANCELLED
+        }
+      })) === 0
+  };
+
+  const unmet = [];
+  for (const requirement of requirements) {
+    if (!(await checks[requirement]())) {
+      unmet.push({ requirement, message: UNMET_REQUIREMENT_MESSAGES[requirement] });
+    }
+  }
+  return unmet;
+};
+
+/**
+ * Reject an instant booking by a guest who misses any of the property's
+ * requirements, naming each one. Request-to-book properties vet guests
+ * themselves, so nothing is checked for them.
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} property - With bookingMode and guestRequirements
+ * @param {string} userId
+ */
+export const assertGuestRequirements = async (client, property, userId) => {
+  if (property.bookingMode !== BookingMode.INSTANT) return;
+
+  const unmet = await findUnmetGuestRequirements(client, userId, property.guestRequirements);
+  if (unmet.length) {
+    throw new ForbiddenError(
+      `Instant booking requirements not met: ${unmet.map((item) => item.message).join('; ')}`
+    );
+  }
+};
+
 // Policy decision functions
 export const canCreateBooking = async (req, res, next) => {
   try {
@@ -34,7 +106,7 @@ export const canCreateBooking = async (req, res, next) => {
       select: { 
         status: true, 
         ownerId: true,
-        minStayDays: true
+        minStay: true
       }
     });
 
@@ -52,13 +124,13 @@ export const canCreateBooking = async (req, res, next) => {
     }
 
     // Check minimum stay requirement
-    if (property.minStayDays) {
+    if (property.minStay) {
       const start = new Date(req.body.startDate);
       const end = new Date(req.body.endDate);
       const stayDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
       
-      if (stayDays < property.minStayDays) {
-        throw new ForbiddenError(`Minimum stay requirement not met (${property.minStayDays} days)`);
+      if (stayDays < property.minStay) {
+        throw new ForbiddenError(`Minimum stay requirement not met (${property.minStay} days)`);
       }
     }
 
@@ -92,9 +164,11 @@ export const canModifyBooking = async (req, res, next) => {
         property: { 
           select: { 
             ownerId: true,
-            cancellationPolicy: true
+            cancellationPolicy: true,
+            cancellationTiers: true
           } 
         },
+        cancellationPolicy: true,
         status: true,
         startDate: true
       }
@@ -126,13 +200,15 @@ export const canModifyBooking = async (req, res, next) => {
         throw new ForbiddenError('Booking cannot be cancelled in its current state');
       }
 
-      // Check cancellation window
-      if (booking.property.cancellationPolicy) {
+      // Check cancellation window: nothing left to refund under the booked policy
+      const policy =
+        booking.cancellationPolicy || resolveCancellationPolicy(booking.property);
+      if (policy.tiers.length > 0) {
         const hoursUntilCheckin = Math.floor(
           (new Date(booking.startDate) - new Date()) / (1000 * 60 * 60)
         );
         
-        if (hoursUntilCheckin < booking.property.cancellationPolicy.windowHours) {
+        if (refundPercentAt(policy, hoursUntilCheckin) === 0) {
           if (!isAdmin) {
             throw new ForbiddenError('Cancellation window has passed');
           }
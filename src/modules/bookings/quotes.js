@@ -0,0 +1,92 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import config from "../../config/env.js";
+import { ValidationError } from "../../utils/apiError.js";
+
+const QUOTE_TOKEN_TYPE = "quote";
+
+const toISO = (date) => new Date(date).toISOString();
+
+/**
+ * Sign the stay and its price so createBooking can honour the quote
+ * @param {Object} stay - propertyId, startDate, endDate, guests and currency
+ * @param {Object} pricing - totals, currency and the itemized priceBreakdown
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export const signQuoteToken = (stay, pricing) => {
+  const ttlMinutes = config.get("bookings.quoteTtlMinutes");
+  const token = jwt.sign(
+    {
+      type: QUOTE_TOKEN_TYPE,
+      jti: crypto.randomBytes(8).toString("hex"),
+      stay: {
+        propertyId: stay.propertyId,
+        startDate: toISO(stay.startDate),
+        endDate: toISO(stay.endDate),
+        adults: stay.adults,
+        children: stay.children,
+        infants: stay.infants,
+        currency: stay.currency,
+      },
+      pricing: {
+        totalPrice: pricing.totalPrice,
+        basePrice: pricing.basePrice,
+        taxes: pricing.taxes,
+        fees: pricing.fees,
+        discountAmount: pricing.discountAmount,
+        currency: pricing.currency,
+        listingCurrency: pricing.listingCurrency,
+        exchangeRate: pricing.exchangeRate,
+        priceBreakdown: pricing.priceBreakdown,
+      },
+    },
+    config.get("bookings.quoteSecret"),
+    { expiresIn: ttlMinutes * 60, algorithm: "HS256" }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  };
+};
+
+/**
+ * Verify a quote token and check that it was issued for this exact stay
+ * @param {string} token
+ * @param {Object} stay - The stay being booked
+ * @returns {Object} Quoted pricing
+ */
+export const redeemQuoteToken = (token, stay) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.get("bookings.quoteSecret"), {
+      algorithms: ["HS256"],
+    });
+  } catch (error) {
+    throw new ValidationError(
+      error.name === "TokenExpiredError"
+        ? "Price quote has expired, please request a new quote"
+        : "Invalid price quote"
+    );
+  }
+
+  if (payload.type !== QUOTE_TOKEN_TYPE) {
+    throw new ValidationError("Invalid price quote");
+  }
+
+  const quoted = payload.stay;
+  const matches =
+    quoted.propertyId === stay.propertyId &&
+    quoted.startDate === toISO(stay.startDate) &&
+    quoted.endDate === toISO(stay.endDate) &&
+    quoted.adults === stay.adults &&
+    quoted.children === stay.children &&
+    quoted.infants === stay.infants &&
+    quoted.currency === stay.currency;
+
+  if (!matches) {
+    throw new ValidationError("Price quote does not match the requested stay");
+  }
+
+  return payload.pricing;
+};
@@ -4,6 +4,7 @@ import { authenticateUser } from "../../middlewares/authentication.js";
 import rateLimit from "express-rate-limit";
 import Joi from "joi";
 import { bookingSchemas, validate } from "./schema.js";
+import validateBody from "../../middlewares/validate.js";
 
 const router = express.Router();
 
@@ -54,6 +55,13 @@ router.post(
   BookingController.createBooking
 ); // Create new booking
 
+router.post(
+  "/leases",
+  bookingCreationLimiter,
+  validate(bookingSchemas.createLease),
+  BookingController.createLease
+); // Lease a rental listing by the month
+
 // router
 //   .route("/bulk")
 //   .post(bulkOperationLimiter, BookingController.createBulkBookings); // Bulk operations
@@ -71,7 +79,65 @@ router
   .route("/:id/cancel")
   .patch(bookingCreationLimiter, BookingController.cancelBooking); // Cancel booking
 
-router.route("/:id/invoice").get(BookingController.getInvoice); // Get booking invoice
+// Host lifecycle actions
+router.route("/:id/confirm").patch(BookingController.confirmBooking);
+router
+  .route("/:id/decline")
+  .patch(
+    validateBody(bookingSchemas.declineBooking),
+    BookingController.declineBooking
+  );
+router.route("/:id/check-in").patch(BookingController.checkIn);
+router.route("/:id/check-out").patch(BookingController.checkOut);
+
+// Change requests: the guest proposes, the host answers
+router
+  .route("/:id/modifications")
+  .get(BookingController.getModifications)
+  .post(
+    validateBody(bookingSchemas.requestModification),
+    BookingController.requestModification
+  );
+router
+  .route("/:id/modifications/:modificationId/accept")
+  .patch(BookingController.acceptModification);
+router
+  .route("/:id/modifications/:modificationId/decline")
+  .patch(
+    validateBody(bookingSchemas.declineModification),
+    BookingController.declineModification
+  );
+router
+  .route("/:id/modifications/:modificationId/withdraw")
+  .patch(BookingController.withdrawModification);
+router
+  .route("/:id/modifications/:modificationId/settle")
+  .post(
+    validateBody(bookingSchemas.settleModification),
+    BookingController.settleModification
+  ); // Retry a failed charge or refund
+
+// Monthly rent of leases
+router.route("/:id/installments").get(BookingController.getRentSchedule);
+router
+  .route("/:id/installments/:installmentId/pay")
+  .post(
+    validateBody(bookingSchemas.payInstallment),
+    BookingController.payInstallment
+  );
+
+router.route("/:id/history").get(BookingController.getStatusHistory); // Status history
+
+router.route("/:id/refund").get(BookingController.getRefundBreakdown); // Refund breakdown
+
+router.route("/:id/invoice").get(BookingController.getInvoice); // Invoice and credit notes
+router.route("/:id/invoice.pdf").get(BookingController.getInvoicePdf); // Invoice PDF
+router
+  .route("/:id/credit-notes/:creditNoteId.pdf")
+  .get(BookingController.getCreditNotePdf); // Credit note PDF
+router
+  .route("/:id/installments/:installmentId/invoice.pdf")
+  .get(BookingController.getInstallmentInvoicePdf); // Rent invoice PDF
 
 // Availability Check (public endpoint)
 router.get(
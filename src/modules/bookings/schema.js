@@ -136,6 +136,14 @@ export const bookingSchemas = {
       children: extendedJoi.number().integer().min(0).max(5).default(0),
       infants: extendedJoi.number().integer().min(0).max(3).default(0),
       specialRequests: extendedJoi.string().max(500).optional(),
+      paymentMethod: extendedJoi.string().max(20).optional(),
+      quoteToken: extendedJoi.string().optional(),
+      currency: extendedJoi
+        .string()
+        .uppercase()
+        .pattern(/^[A-Z]{3}$/)
+        .optional()
+        .messages({ "string.pattern.base": "Currency must be a 3-letter ISO code" }),
     })
     .custom((value, helpers) => {
       if (value.children + value.infants > value.adults * 2) {
@@ -165,6 +173,38 @@ export const bookingSchemas = {
     .min(1)
     .message("At least one field must be provided"),
 
+  // Whole-month stays on rental listings
+  createLease: extendedJoi
+    .object({
+      propertyId: extendedJoi
+        .string()
+        .guid({
+          version: ["uuidv4"],
+        })
+        .required()
+        .messages({
+          "string.guid": "Property ID must be a valid UUID",
+          "any.required": "Property ID is required",
+        }),
+      startDate: extendedJoi.luxonDate().required().futureDate().messages({
+        "any.required": "Move-in date is required",
+        "luxonDate.future": "Move-in date must be in the future",
+      }),
+      months: extendedJoi.number().integer().min(1).max(60).required().messages({
+        "any.required": "Lease term in months is required",
+        "number.max": "Leases can run at most 60 months",
+      }),
+      adults: extendedJoi.number().integer().min(1).max(10).default(1),
+      children: extendedJoi.number().integer().min(0).max(5).default(0),
+      infants: extendedJoi.number().integer().min(0).max(3).default(0),
+      specialRequests: extendedJoi.string().max(500).optional(),
+      paymentMethod: extendedJoi.string().max(20).optional(),
+    }),
+
+  payInstallment: extendedJoi.object({
+    paymentMethod: extendedJoi.string().max(20).optional(),
+  }),
+
   bookingIdParam: extendedJoi.object({
     id: extendedJoi
       .string()
@@ -174,6 +214,31 @@ export const bookingSchemas = {
       .required(),
   }),
 
+  declineBooking: extendedJoi.object({
+    reason: extendedJoi.string().trim().max(255).optional(),
+  }),
+
+  // Any stay field left out keeps its current value
+  requestModification: extendedJoi
+    .object({
+      startDate: extendedJoi.luxonDate().futureDate().optional(),
+      endDate: extendedJoi.luxonDate().futureDate().optional(),
+      adults: extendedJoi.number().integer().min(1).max(10).optional(),
+      children: extendedJoi.number().integer().min(0).max(5).optional(),
+      infants: extendedJoi.number().integer().min(0).max(3).optional(),
+      message: extendedJoi.string().trim().max(500).optional(),
+    })
+    .or("startDate", "endDate", "adults", "children", "infants")
+    .messages({ "object.missing": "Propose new dates or guest counts" }),
+
+  declineModification: extendedJoi.object({
+    reason: extendedJoi.string().trim().max(255).optional(),
+  }),
+
+  settleModification: extendedJoi.object({
+    paymentMethod: extendedJoi.string().max(20).optional(),
+  }),
+
   checkAvailability: extendedJoi.object({
     startDate: extendedJoi.luxonDate().optional().futureDate(),
     endDate: extendedJoi
@@ -1,23 +1,63 @@
 import prisma from "../../config/database.js";
-import { DateTime, Interval } from "luxon";
+import { DateTime } from "luxon";
 import redis from "../../config/redis.js";
+import config from "../../config/env.js";
 import {
   BookingError,
   ConflictError,
   NotFoundError,
   DatabaseError,
+  ForbiddenError,
   ValidationError,
 } from "../../utils/apiError.js";
 import logger from "../../config/logger.js";
 import pkg from "@prisma/client";
-const { BookingStatus, PaymentStatus } = pkg;
+const {
+  BookingActorType,
+  BookingMode,
+  BookingStatus,
+  BookingType,
+  ModificationSettlementStatus,
+  PaymentStatus,
+  RentInstallmentStatus,
+} = pkg;
 import { validate as isValidUUID } from "uuid";
 import { connect } from "mongoose";
+import PaymentService from "../payments/service.js";
+import PricingRuleService from "../pricing-rules/service.js";
+import AvailabilityRuleService from "../availability-rules/service.js";
+import TaxRuleService from "../taxes/service.js";
+import CurrencyService from "../currencies/service.js";
+import DepositService from "../deposits/service.js";
+import { PricingService } from "../../utils/pricing.js";
+import {
+  assertTransition,
+  recordStatusChange,
+  transitionBookingStatus,
+} from "./lifecycle.js";
+import { redeemQuoteToken, signQuoteToken } from "./quotes.js";
+import { invalidateCalendar } from "../calendars/cache.js";
+import { assertGuestRequirements } from "./policy.js";
+import {
+  describeCancellationPolicy,
+  refundPercentAt,
+  resolveCancellationPolicy,
+} from "./cancellation.js";
+import BookingModificationService, {
+  STAY_FIELDS,
+  refundableOnPayment,
+  settledModificationTotal,
+} from "./modifications.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const SETTLED_MODIFICATIONS = {
+  settlementStatus: ModificationSettlementStatus.SETTLED,
+};
 
 class BookingService {
   constructor() {
     this.LOCK_TIMEOUT = 5000; // 5 seconds
-    this.CANCELLATION_WINDOW = 48; // hours
     this.MAX_BULK_CONCURRENCY = 5;
     this.MIN_BOOKING_DAYS = 1;
     this.MAX_BOOKING_DAYS = 30;
@@ -33,6 +73,8 @@ class BookingService {
     children = 0,
     infants = 0,
     paymentMethod,
+    quoteToken,
+    currency,
   }) {
     // Input validation
     if (!isValidUUID(propertyId)) {
@@ -53,7 +95,7 @@ class BookingService {
     let lockAcquired = false;
 
     try {
-      return await prisma.$transaction(async (tx) => {
+      const booking = await prisma.$transaction(async (tx) => {
         // Acquire distributed lock with retry logic
         lockAcquired = await this.acquireLockWithRetry(propertyLockKey);
         if (!lockAcquired) {
@@ -71,39 +113,36 @@ class BookingService {
             minStay: true,
             maxStay: true,
             status: true,
+            currency: true,
+            bookingMode: true,
+            guestRequirements: true,
+            cancellationPolicy: true,
+            cancellationTiers: true,
+            rentalDetails: { select: { securityDeposit: true } },
           },
         });
 
-        if (!property) {
-          throw new NotFoundError("Property not found");
-        }
-
-        if (property.status !== "APPROVED") {
-          throw new BookingError("Property is not available for booking");
-        }
-
-        // Validate guest count
         const totalGuests = adults + children;
-        if (totalGuests > property.maxGuests) {
-          throw new BookingError(
-            `Property can only accommodate ${property.maxGuests} guests`
-          );
-        }
-
-        // Validate stay duration
-        const stayDuration = DateTime.fromJSDate(endDate).diff(
-          DateTime.fromJSDate(startDate),
-          "days"
-        ).days;
-        if (stayDuration < (property.minStay || this.MIN_BOOKING_DAYS)) {
-          throw new BookingError(
-            `Minimum stay is ${property.minStay || this.MIN_BOOKING_DAYS} days`
-          );
-        }
+        this.assertBookable(property, totalGuests, startDate, endDate);
+        await assertGuestRequirements(tx, property, userId);
 
-        if (property.maxStay && stayDuration > property.maxStay) {
-          throw new BookingError(`Maximum stay is ${property.maxStay} days`);
-        }
+        const bookingCurrency = await this.resolveCurrency(
+          tx,
+          currency,
+          userId,
+          property.currency
+        );
+        const quotedPricing = quoteToken
+          ? redeemQuoteToken(quoteToken, {
+              propertyId,
+              startDate,
+              endDate,
+              adults,
+              children,
+              infants,
+              currency: bookingCurrency,
+            })
+          : null;
 
         // Check availability
         const availability = await this.checkAvailabilityWithLock(
@@ -113,8 +152,8 @@ class BookingService {
           endDate
         );
 
-        // Calculate pricing
-        const { totalPrice, basePrice, taxes, fees } =
+        // Calculate pricing, converted at today's rate into the booking currency
+        const pricing = await this.convertPricing(
           await this.calculateTotalPrice(
             tx,
             propertyId,
@@ -122,7 +161,31 @@ class BookingService {
             startDate,
             endDate,
             totalGuests
+          ),
+          bookingCurrency
+        );
+
+        // A valid quote locks in the price the guest was shown
+        if (quotedPricing && quotedPricing.totalPrice !== pricing.totalPrice) {
+          logger.info(
+            `Honouring quoted price ${quotedPricing.totalPrice} (current ${pricing.totalPrice}) for property ${propertyId}`
           );
+        }
+        const {
+          totalPrice,
+          basePrice,
+          taxes,
+          fees,
+          discountAmount,
+          priceBreakdown,
+          listingCurrency,
+          exchangeRate,
+        } = quotedPricing || pricing;
+
+        // Instant bookings are confirmed and wait for payment; requests
+        // hold the dates until the host replies
+        const instant = property.bookingMode === BookingMode.INSTANT;
+        const now = DateTime.now();
 
         // Create booking with all details
         const booking = await tx.booking.create({
@@ -135,14 +198,33 @@ class BookingService {
             basePrice,
             taxes,
             fees,
+            discountAmount,
+            priceBreakdown,
+            currency: bookingCurrency,
+            listingCurrency,
+            exchangeRate,
             adults,
             children,
             infants,
-            status: BookingStatus.PENDING,
+            status: instant ? BookingStatus.CONFIRMED : BookingStatus.PENDING,
+            bookingMode: property.bookingMode,
+            // Later edits to the listing's policy leave this booking alone
+            cancellationPolicy: resolveCancellationPolicy(property),
+            ...(instant
+              ? {
+                  paymentDueAt: now
+                    .plus({ minutes: config.get("bookings.holdWindowMinutes") })
+                    .toJSDate(),
+                }
+              : {
+                  holdExpiresAt: now
+                    .plus({ hours: config.get("bookings.requestResponseHours") })
+                    .toJSDate(),
+                }),
             payment: {
               create: {
                 amount: totalPrice,
-                currency: "USD",
+                currency: bookingCurrency,
                 status: PaymentStatus.PENDING,
                 userId,
                 propertyId,
@@ -162,6 +244,21 @@ class BookingService {
           },
         });
 
+        await recordStatusChange(tx, {
+          bookingId: booking.id,
+          fromStatus: null,
+          toStatus: booking.status,
+          actorId: userId,
+          actorType: BookingActorType.GUEST,
+          reason: instant ? "Booking created (instant book)" : "Booking requested",
+        });
+
+        booking.deposit = await DepositService.createForBooking(
+          tx,
+          booking,
+          property.rentalDetails?.securityDeposit
+        );
+
         // Update availability
         await this.updateAvailabilitySlots(
           tx,
@@ -176,6 +273,9 @@ class BookingService {
         );
         return booking;
       });
+
+      await invalidateCalendar(propertyId);
+      return booking;
     } catch (error) {
       logger.error(`Booking creation failed: ${error.message}`, {
         propertyId,
@@ -211,118 +311,744 @@ class BookingService {
     return false;
   }
 
-  // Atomic cancellation with fee calculation
+  // Property-level checks shared by quoting and booking creation
+  assertBookable(property, totalGuests, startDate, endDate) {
+    if (!property) {
+      throw new NotFoundError("Property not found");
+    }
+
+    if (property.status !== "APPROVED") {
+      throw new BookingError("Property is not available for booking");
+    }
+
+    // Validate guest count
+    if (totalGuests > property.maxGuests) {
+      throw new BookingError(
+        `Property can only accommodate ${property.maxGuests} guests`
+      );
+    }
+
+    // Validate stay duration. The minimum depends on the check-in night and
+    // is checked against the availability calendar.
+    const stayDuration = DateTime.fromJSDate(endDate).diff(
+      DateTime.fromJSDate(startDate),
+      "days"
+    ).days;
+    if (stayDuration < this.MIN_BOOKING_DAYS) {
+      throw new BookingError(`Minimum stay is ${this.MIN_BOOKING_DAYS} days`);
+    }
+
+    if (property.maxStay && stayDuration > property.maxStay) {
+      throw new BookingError(`Maximum stay is ${property.maxStay} days`);
+    }
+  }
+
+  /**
+   * Itemized price for a prospective stay, computed exactly as
+   * createBooking would, plus a signed token that locks the price in
+   * @param {Object} params
+   * @param {string} params.propertyId
+   * @param {Date} params.startDate
+   * @param {Date} params.endDate
+   * @param {number} [params.adults=1]
+   * @param {number} [params.children=0]
+   * @param {number} [params.infants=0]
+   * @param {string} [params.currency] - Quote currency, resolved as for createBooking
+   * @param {string} [params.userId] - Signed-in guest, for their preferred currency
+   * @returns {Promise<object>} Quote
+   */
+  async quoteStay({
+    propertyId,
+    startDate,
+    endDate,
+    adults = 1,
+    children = 0,
+    infants = 0,
+    currency,
+    userId,
+  }) {
+    if (!isValidUUID(propertyId)) {
+      throw new ValidationError(`Invalid property ID format: ${propertyId}`);
+    }
+
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        maxGuests: true,
+        minStay: true,
+        maxStay: true,
+        status: true,
+        currency: true,
+        bookingMode: true,
+        cancellationPolicy: true,
+        cancellationTiers: true,
+      },
+    });
+
+    const totalGuests = adults + children;
+    this.assertBookable(property, totalGuests, startDate, endDate);
+
+    const quoteCurrency = await this.resolveCurrency(
+      prisma,
+      currency,
+      userId,
+      property.currency
+    );
+    const availability = await this.checkAvailabilityWithLock(
+      prisma,
+      propertyId,
+      startDate,
+      endDate
+    );
+    const pricing = await this.convertPricing(
+      await this.calculateTotalPrice(
+        prisma,
+        propertyId,
+        availability,
+        startDate,
+        endDate,
+        totalGuests
+      ),
+      quoteCurrency
+    );
+
+    const stay = {
+      propertyId,
+      startDate,
+      endDate,
+      adults,
+      children,
+      infants,
+      currency: quoteCurrency,
+    };
+    const { token, expiresAt } = signQuoteToken(stay, pricing);
+
+    return {
+      ...stay,
+      listingCurrency: pricing.listingCurrency,
+      exchangeRate: pricing.exchangeRate,
+      bookingMode: property.bookingMode,
+      cancellationPolicy: describeCancellationPolicy(
+        resolveCancellationPolicy(property),
+        startDate
+      ),
+      nights: pricing.nights,
+      adjustments: this.summarizeAdjustments(pricing.nights),
+      subtotal: pricing.basePrice,
+      discountAmount: pricing.discountAmount,
+      fees: pricing.feeItems,
+      feesTotal: pricing.fees,
+      taxes: pricing.taxItems,
+      taxesTotal: pricing.taxes,
+      totalPrice: pricing.totalPrice,
+      quoteToken: token,
+      expiresAt,
+    };
+  }
+
+  // Totals per pricing rule across all nights of a stay
+  summarizeAdjustments(nights) {
+    const totals = new Map();
+    for (const night of nights) {
+      for (const adjustment of night.adjustments) {
+        const entry = totals.get(adjustment.ruleId) || {
+          ruleId: adjustment.ruleId,
+          type: adjustment.type,
+          name: adjustment.name,
+          amount: 0,
+        };
+        entry.amount = Math.round((entry.amount + adjustment.amount) * 100) / 100;
+        totals.set(adjustment.ruleId, entry);
+      }
+    }
+    return [...totals.values()];
+  }
+
+  /**
+   * Currency a guest is quoted and books in: the one they asked for, else
+   * their profile preference, else the listing's own currency
+   */
+  async resolveCurrency(tx, requested, userId, listingCurrency) {
+    if (requested) return requested.toUpperCase();
+    if (!userId) return listingCurrency.toUpperCase();
+
+    const profile = await tx.profile.findUnique({
+      where: { userId },
+      select: { preferredCurrency: true },
+    });
+    return (profile?.preferredCurrency || listingCurrency).toUpperCase();
+  }
+
+  /**
+   * Convert a calculateTotalPrice result from the listing currency into
+   * `currency`. Line items are converted individually and the totals are
+   * summed from them, so the breakdown always adds up to what is charged.
+   * Pass `exchangeRate` to reprice at a rate locked in earlier.
+   * @returns {Promise<object>} Pricing with listingCurrency and exchangeRate
+   */
+  async convertPricing(pricing, currency, exchangeRate) {
+    const listingCurrency = pricing.currency;
+    exchangeRate ??= await CurrencyService.getRate(listingCurrency, currency);
+    const convert = (amount) => round(Number(amount) * exchangeRate);
+    const convertItems = (items) =>
+      items.map((item) => ({ ...item, amount: convert(item.amount) }));
+
+    const nights = pricing.nights.map((night) => ({
+      ...night,
+      basePrice: convert(night.basePrice),
+      price: convert(night.price),
+      adjustments: convertItems(night.adjustments),
+    }));
+    const feeItems = convertItems(pricing.feeItems);
+    const taxItems = convertItems(pricing.taxItems);
+
+    const basePrice = round(nights.reduce((sum, night) => sum + night.price, 0));
+    const fees = round(feeItems.reduce((sum, item) => sum + item.amount, 0));
+    const taxes = round(taxItems.reduce((sum, item) => sum + item.amount, 0));
+    const totalPrice = round(basePrice + fees + taxes);
+    const discountAmount = convert(pricing.discountAmount);
+
+    return {
+      ...pricing,
+      totalPrice,
+      basePrice,
+      taxes,
+      fees,
+      feeItems,
+      taxItems,
+      discountAmount,
+      currency: currency.toUpperCase(),
+      listingCurrency,
+      exchangeRate,
+      dailyPrices: nights.map((night) => night.price),
+      nights,
+      priceBreakdown: {
+        ...pricing.priceBreakdown,
+        currency: currency.toUpperCase(),
+        listingCurrency,
+        exchangeRate,
+        baseSubtotal: convert(pricing.priceBreakdown.baseSubtotal),
+        subtotal: basePrice,
+        discountAmount,
+        fees: feeItems,
+        taxes: taxItems,
+        totalPrice,
+      },
+    };
+  }
+
+  // Guest cancellation with fee calculation
   async cancelBooking(bookingId, userId, reason = null) {
+    return this.performCancellation(bookingId, {
+      actorId: userId,
+      actorType: BookingActorType.GUEST,
+      reason,
+      authorize: (booking) => {
+        if (booking.tenantId !== userId)
+          throw new BookingError("Unauthorized to cancel this booking");
+      },
+    });
+  }
+
+  // Atomic cancellation. The booking is cancelled (and marked REFUND_PENDING
+  // when money has to go back) in one transaction; the gateway refund runs
+  // after commit so a slow or failing provider never rolls it back.
+  async performCancellation(
+    bookingId,
+    { actorId, actorType, reason = null, authorize, waiveFee = false }
+  ) {
     try {
-      return await prisma.$transaction(async (tx) => {
+      const { booking, refund } = await prisma.$transaction(async (tx) => {
         const booking = await tx.booking.findUnique({
           where: { id: bookingId },
           include: {
             payment: true,
             property: {
               select: {
+                ownerId: true,
                 cancellationPolicy: true,
+                cancellationTiers: true,
               },
             },
+            modifications: { where: SETTLED_MODIFICATIONS },
           },
         });
 
         if (!booking) throw new NotFoundError("Booking not found");
-        if (booking.tenantId !== userId)
-          throw new BookingError("Unauthorized to cancel this booking");
+        authorize(booking);
 
-        this.validateStateTransition(booking.status, BookingStatus.CANCELLED);
-
-        const cancellationFee = this.calculateCancellationFee(booking);
-        const refundAmount = Number(booking.totalPrice) - cancellationFee;
+        const refund = this.buildRefundBreakdown(
+          waiveFee ? { ...booking, cancellationFee: 0 } : booking
+        );
+        const needsRefund =
+          booking.payment?.status === PaymentStatus.COMPLETED &&
+          refund.refundAmount > 0;
 
-        const [updatedBooking] = await Promise.all([
-          tx.booking.update({
-            where: { id: bookingId },
+        const transition = { actorId, actorType, reason };
+        let updatedBooking = await transitionBookingStatus(
+          tx,
+          booking,
+          BookingStatus.CANCELLED,
+          {
+            ...transition,
             data: {
-              status: BookingStatus.CANCELLED,
               cancellationReason: reason,
               cancellationDate: new Date(),
-              payment: {
-                update: {
-                  status:
-                    cancellationFee > 0
-                      ? PaymentStatus.PARTIALLY_REFUNDED
-                      : PaymentStatus.REFUNDED,
-                  refundAmount,
-                  refundedAt: new Date(),
-                },
-              },
+              cancellationFee: refund.cancellationFee,
+              ...(needsRefund && { refundDue: refund.refundAmount }),
             },
-          }),
-          this.releaseAvailabilitySlots(
+          }
+        );
+
+        if (needsRefund) {
+          updatedBooking = await transitionBookingStatus(
             tx,
-            booking.propertyId,
-            booking.startDate,
-            booking.endDate
-          ),
-        ]);
+            updatedBooking,
+            BookingStatus.REFUND_PENDING,
+            { ...transition, reason: `Refund of ${refund.refundAmount} requested` }
+          );
+        }
 
-        logger.info(
-          `Booking ${bookingId} cancelled by user ${userId} with refund ${refundAmount}`
+        await this.releaseAvailabilitySlots(
+          tx,
+          booking.propertyId,
+          booking.startDate,
+          booking.endDate
         );
 
-        return updatedBooking;
+        // Rent not yet collected is no longer owed
+        await tx.rentInstallment.updateMany({
+          where: {
+            bookingId,
+            status: { in: [RentInstallmentStatus.PENDING, RentInstallmentStatus.OVERDUE] },
+          },
+          data: { status: RentInstallmentStatus.CANCELLED },
+        });
+
+        return {
+          booking: {
+            ...updatedBooking,
+            payment: booking.payment,
+            modifications: booking.modifications,
+          },
+          refund: needsRefund ? refund : null,
+        };
+      });
+
+      await invalidateCalendar(booking.propertyId);
+      logger.info(
+        `Booking ${bookingId} cancelled by ${actorType.toLowerCase()}${
+          actorId ? ` ${actorId}` : ""
+        } with refund ${refund?.refundAmount ?? 0}`
+      );
+
+      if (booking.payment?.status === PaymentStatus.PENDING) {
+        await this.voidOpenAuthorization(booking.payment, actorId);
+      }
+
+      try {
+        await DepositService.releaseForBooking(bookingId, "Booking cancelled");
+      } catch (error) {
+        logger.error(`Failed to release deposit for cancelled booking ${bookingId}`, {
+          error: error.stack,
+        });
+      }
+
+      if (refund) {
+        try {
+          await this.issueRefund(bookingId, reason || "Booking cancelled");
+        } catch (error) {
+          // The amount stays in refundDue and the lifecycle job retries it,
+          // unless the gateway's refund webhook settles it first
+          logger.error(`Refund for cancelled booking ${bookingId} failed`, {
+            paymentId: booking.payment.id,
+            refundAmount: refund.refundAmount,
+            error: error.stack,
+          });
+        }
+      }
+
+      return prisma.booking.findUnique({
+        where: { id: bookingId },
+        include: { payment: true },
       });
     } catch (error) {
       logger.error(`Booking cancellation failed: ${error.message}`, {
         bookingId,
-        userId,
+        actorId,
         error: error.stack,
       });
       throw error;
     }
   }
 
-  // Enhanced availability checking
-  async checkAvailabilityWithLock(tx, propertyId, start, end) {
-    try {
-      const availability = await tx.availability.findMany({
-        where: {
-          propertyId,
-          startDate: { lte: end },
-          endDate: { gte: start },
-          isAvailable: true,
-          bookingId: null, // Only slots not already booked
-        },
-        orderBy: {
-          startDate: "asc",
+  // Loads a booking on behalf of its host (or an admin) for lifecycle actions
+  async getBookingForHost(tx, bookingId, { userId, isAdmin = false }) {
+    const booking = await tx.booking.findUnique({
+      where: { id: bookingId },
+      include: { property: { select: { ownerId: true } } },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (!isAdmin && booking.property?.ownerId !== userId) {
+      throw new ForbiddenError("Only the host can manage this booking");
+    }
+
+    return booking;
+  }
+
+  hostActorType(isAdmin) {
+    return isAdmin ? BookingActorType.ADMIN : BookingActorType.HOST;
+  }
+
+  /**
+   * Host accepts a pending booking request. The guest then has
+   * bookings.paymentWindowHours to pay before the booking expires.
+   * @param {string} bookingId
+   * @param {Object} actor
+   * @param {string} actor.userId
+   * @param {boolean} [actor.isAdmin=false]
+   */
+  async confirmBooking(bookingId, { userId, isAdmin = false }) {
+    const booking = await prisma.$transaction(async (tx) => {
+      const booking = await this.getBookingForHost(tx, bookingId, {
+        userId,
+        isAdmin,
+      });
+
+      if (booking.holdExpiresAt && booking.holdExpiresAt <= new Date()) {
+        throw new ConflictError("The booking request has expired");
+      }
+
+      return transitionBookingStatus(tx, booking, BookingStatus.CONFIRMED, {
+        actorId: userId,
+        actorType: this.hostActorType(isAdmin),
+        reason: "Confirmed by host",
+        data: {
+          holdExpiresAt: null,
+          paymentDueAt: DateTime.now()
+            .plus({ hours: config.get("bookings.paymentWindowHours") })
+            .toJSDate(),
         },
+        include: { payment: true },
       });
+    });
 
-      if (availability.length === 0) {
-        throw new ConflictError("No availability for selected dates");
+    logger.info(`Booking ${bookingId} confirmed by ${userId}`);
+    return booking;
+  }
+
+  /**
+   * Host turns down a pending booking request. Declines never carry a
+   * cancellation fee; anything already collected is refunded in full.
+   */
+  async declineBooking(bookingId, { userId, isAdmin = false }, reason) {
+    return this.performCancellation(bookingId, {
+      actorId: userId,
+      actorType: this.hostActorType(isAdmin),
+      reason: reason || "Declined by host",
+      waiveFee: true,
+      authorize: (booking) => {
+        if (!isAdmin && booking.property?.ownerId !== userId) {
+          throw new ForbiddenError("Only the host can manage this booking");
+        }
+        if (booking.status !== BookingStatus.PENDING) {
+          throw new BookingError(
+            `Only PENDING bookings can be declined (current: ${booking.status})`
+          );
+        }
+      },
+    });
+  }
+
+  // Host marks a paid booking as started once the guest arrives
+  async checkIn(bookingId, { userId, isAdmin = false }) {
+    return prisma.$transaction(async (tx) => {
+      const booking = await this.getBookingForHost(tx, bookingId, {
+        userId,
+        isAdmin,
+      });
+
+      if (DateTime.now() < DateTime.fromJSDate(booking.startDate).startOf("day")) {
+        throw new BookingError("Guests cannot check in before the start date");
       }
 
-      const bookingInterval = Interval.fromDateTimes(
-        DateTime.fromJSDate(start),
-        DateTime.fromJSDate(end)
+      return transitionBookingStatus(tx, booking, BookingStatus.ACTIVE, {
+        actorId: userId,
+        actorType: this.hostActorType(isAdmin),
+        reason: "Guest checked in",
+      });
+    });
+  }
+
+  // Host closes out an active stay. Leaving early frees the remaining nights.
+  async checkOut(bookingId, { userId, isAdmin = false }) {
+    const completed = await prisma.$transaction(async (tx) => {
+      const booking = await this.getBookingForHost(tx, bookingId, {
+        userId,
+        isAdmin,
+      });
+
+      const completed = await transitionBookingStatus(
+        tx,
+        booking,
+        BookingStatus.COMPLETED,
+        {
+          actorId: userId,
+          actorType: this.hostActorType(isAdmin),
+          reason: "Guest checked out",
+        }
       );
+      await DepositService.openClaimWindow(tx, bookingId);
 
-      // Check for continuous availability
-      let currentDate = DateTime.fromJSDate(start);
-      while (currentDate < DateTime.fromJSDate(end)) {
-        const isAvailable = availability.some(
-          (slot) =>
-            currentDate >= DateTime.fromJSDate(slot.startDate) &&
-            currentDate < DateTime.fromJSDate(slot.endDate)
-        );
+      return completed;
+    });
 
-        if (!isAvailable) {
-          throw new ConflictError(
-            `Date ${currentDate.toISODate()} is not available`
+    await invalidateCalendar(completed.propertyId);
+    return completed;
+  }
+
+  // Scheduler: cancel a PENDING booking whose hold ran out, or a CONFIRMED
+  // one that was not paid in time
+  async expireBooking(bookingId, reason = "Booking hold expired") {
+    return this.performCancellation(bookingId, {
+      actorId: null,
+      actorType: BookingActorType.SYSTEM,
+      reason,
+      waiveFee: true,
+      authorize: (booking) => {
+        const unpaid =
+          booking.status === BookingStatus.CONFIRMED &&
+          booking.paymentDueAt &&
+          booking.paymentDueAt <= new Date();
+        if (booking.status !== BookingStatus.PENDING && !unpaid) {
+          throw new BookingError(
+            `Only PENDING or unpaid CONFIRMED bookings can expire (current: ${booking.status})`
           );
         }
+      },
+    });
+  }
+
+  // Scheduler: start or finish a stay once its dates are reached
+  async advanceStay(bookingId, newStatus, reason) {
+    return prisma.$transaction(async (tx) => {
+      const booking = await tx.booking.findUnique({ where: { id: bookingId } });
+      if (!booking) throw new NotFoundError("Booking not found");
+
+      const updated = await transitionBookingStatus(tx, booking, newStatus, {
+        actorType: BookingActorType.SYSTEM,
+        reason,
+      });
+      if (newStatus === BookingStatus.COMPLETED) {
+        await DepositService.openClaimWindow(tx, bookingId);
+      }
+
+      return updated;
+    });
+  }
+
+  /**
+   * Status history for the guest, the host or an admin
+   * @returns {Promise<Array>} History entries, oldest first
+   */
+  async getStatusHistory(bookingId, { userId, isAdmin = false }) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: { tenantId: true, property: { select: { ownerId: true } } },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (
+      !isAdmin &&
+      booking.tenantId !== userId &&
+      booking.property?.ownerId !== userId
+    ) {
+      throw new ForbiddenError("Not authorized to view this booking");
+    }
 
-        currentDate = currentDate.plus({ days: 1 });
+    return prisma.bookingStatusHistory.findMany({
+      where: { bookingId },
+      orderBy: { createdAt: "asc" },
+    });
+  }
+
+  /**
+   * Send the refund still due on a cancelled booking to the gateway. The
+   * original payment returns at most what it still holds; the rest goes
+   * back against extra charges taken for changes. Each part lowers
+   * refundDue once the gateway accepts it, so a retry only sends what is
+   * still owed.
+   * @param {string} bookingId
+   * @param {string} [reason]
+   * @returns {Promise<number>} Amount still due afterwards
+   */
+  async issueRefund(bookingId, reason = "Booking cancelled") {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { payment: true, modifications: { where: SETTLED_MODIFICATIONS } },
+    });
+    if (!booking) throw new NotFoundError("Booking not found");
+
+    const due = Number(booking.refundDue ?? 0);
+    if (due <= 0) return 0;
+
+    const { payment } = booking;
+    const fromPayment =
+      payment?.status === PaymentStatus.COMPLETED && !payment.refundId
+        ? Math.min(due, refundableOnPayment(payment, booking.modifications))
+        : 0;
+    if (fromPayment > 0) {
+      await PaymentService.refundPayment(payment.id, { amount: fromPayment, reason });
+    }
+    if (due > fromPayment) {
+      await BookingModificationService.refundExtraCharges(
+        bookingId,
+        round(due - fromPayment),
+        reason
+      );
+    }
+
+    const { refundDue } = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: { refundDue: true },
+    });
+    const remaining = Number(refundDue ?? 0);
+    if (remaining > 0) {
+      logger.warn(`Booking ${bookingId} still has ${remaining} to refund`);
+    }
+    return remaining;
+  }
+
+  // Releases funds held for a booking that was cancelled (or repriced) before capture
+  async voidOpenAuthorization(payment, userId, reason = "Booking cancelled") {
+    if (!payment.paymentIntentId) return;
+
+    try {
+      await PaymentService.voidPayment(payment.id, { userId, isAdmin: true }, reason);
+    } catch (error) {
+      logger.warn(`Failed to void authorization for payment ${payment.id}`, {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Split what the guest paid into the cancellation fee and the refundable
+   * remainder. Cancelled bookings report the fee recorded at cancellation;
+   * live bookings get a quote as if they were cancelled now.
+   * @param {object} booking - Booking with payment, its SETTLED modifications
+   *   and the property's cancellation policy
+   * @returns {object} Refund breakdown
+   */
+  buildRefundBreakdown(booking) {
+    const totalPrice = Number(booking.totalPrice);
+    const payment = booking.payment;
+    // Extra charges and partial refunds from accepted changes count too
+    const amountPaid = [
+      PaymentStatus.COMPLETED,
+      PaymentStatus.PARTIALLY_REFUNDED,
+      PaymentStatus.REFUNDED,
+    ].includes(payment?.status)
+      ? round(Number(payment.amount) + settledModificationTotal(booking.modifications))
+      : 0;
+
+    const cancellationFee =
+      booking.cancellationFee !== null && booking.cancellationFee !== undefined
+        ? Number(booking.cancellationFee)
+        : Math.round(
+            Math.min(this.calculateCancellationFee(booking), totalPrice) * 100
+          ) / 100;
+    const refundAmount = Math.max(
+      Math.round((amountPaid - cancellationFee) * 100) / 100,
+      0
+    );
+
+    return {
+      bookingId: booking.id,
+      bookingStatus: booking.status,
+      currency: booking.currency,
+      totalPrice,
+      amountPaid,
+      cancellationFee,
+      refundAmount,
+      cancellationPolicy: describeCancellationPolicy(
+        booking.cancellationPolicy || resolveCancellationPolicy(booking.property),
+        booking.startDate
+      ),
+      refund: payment?.refundId
+        ? {
+            refundId: payment.refundId,
+            amount: Number(payment.refundAmount),
+            status: payment.status,
+            refundedAt: payment.refundedAt,
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Refund breakdown for the guest or the host of a booking
+   * @param {string} bookingId
+   * @param {Object} actor
+   * @param {string} actor.userId
+   * @param {boolean} [actor.isAdmin=false]
+   */
+  async getRefundBreakdown(bookingId, { userId, isAdmin = false }) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        payment: true,
+        property: {
+          select: { ownerId: true, cancellationPolicy: true, cancellationTiers: true },
+        },
+        modifications: { where: SETTLED_MODIFICATIONS },
+      },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (
+      !isAdmin &&
+      booking.tenantId !== userId &&
+      booking.property?.ownerId !== userId
+    ) {
+      throw new ForbiddenError("Not authorized to view this booking");
+    }
+
+    return this.buildRefundBreakdown(booking);
+  }
+
+  // Nights of the stay from the property's effective calendar. Nights held
+  // by `bookingId` count as free so an existing booking can be moved onto
+  // overlapping dates. The check-in night's minimum stay applies.
+  async checkAvailabilityWithLock(tx, propertyId, start, end, { bookingId } = {}) {
+    try {
+      const calendar = await AvailabilityRuleService.getCalendar(
+        tx,
+        propertyId,
+        start,
+        end,
+        { bookingId }
+      );
+
+      if (calendar.length === 0) {
+        throw new ConflictError("No availability for selected dates");
+      }
+
+      const unavailable = calendar.find((night) => !night.available);
+      if (unavailable) {
+        throw new ConflictError(`Date ${unavailable.date} is not available`);
+      }
+
+      const { date: checkIn, minStay } = calendar[0];
+      if (calendar.length < minStay) {
+        throw new BookingError(
+          `Minimum stay for check-in on ${checkIn} is ${minStay} nights`
+        );
       }
 
-      return availability;
+      return calendar;
     } catch (error) {
       logger.error(`Availability check failed for property ${propertyId}`, {
         start,
@@ -394,11 +1120,12 @@ class BookingService {
     }
   }
 
-  // Comprehensive price calculation
+  // Comprehensive price calculation through the property's pricing rules,
+  // host fees and the tax rules of the property's jurisdiction
   async calculateTotalPrice(
     tx,
     propertyId,
-    availability,
+    calendar,
     startDate,
     endDate,
     guestCount
@@ -409,6 +1136,12 @@ class BookingService {
         select: {
           basePrice: true,
           currency: true,
+          cleaningFee: true,
+          extraGuestFee: true,
+          extraGuestThreshold: true,
+          country: true,
+          state: true,
+          city: true,
         },
       });
 
@@ -416,41 +1149,65 @@ class BookingService {
         throw new NotFoundError("Property not found for price calculation");
       }
 
-      const start = DateTime.fromJSDate(startDate);
-      const end = DateTime.fromJSDate(endDate);
-      let basePrice = 0;
-      const dailyPrices = [];
-
-      // Calculate base price from availability slots
-      for (let day = start; day < end; day = day.plus({ days: 1 })) {
-        const slot = availability.find(
-          (s) =>
-            day >= DateTime.fromJSDate(s.startDate) &&
-            day < DateTime.fromJSDate(s.endDate)
-        );
-
-        if (!slot) {
-          throw new BookingError(`No availability for ${day.toISODate()}`);
-        }
+      const nights = this.buildNightlyRates(
+        calendar,
+        startDate,
+        endDate,
+        property.basePrice
+      );
+      const pricing = await PricingRuleService.priceNights(
+        tx,
+        propertyId,
+        nights
+      );
+      const basePrice = pricing.subtotal;
+      const nightCount = pricing.nights.length;
 
-        const dailyRate = Number(slot.price || property.basePrice);
-        basePrice += dailyRate;
-        dailyPrices.push(dailyRate);
-      }
+      const feeItems = PricingService.calculateFees(property, {
+        nightCount,
+        guests: guestCount,
+      });
+      const fees = round(feeItems.reduce((sum, item) => sum + item.amount, 0));
 
-      // Calculate taxes and fees (simplified example)
-      const taxes = basePrice * 0.1; // 10% tax
-      const fees = guestCount > 2 ? 20 : 0; // Extra guest fee
+      const taxRules = await TaxRuleService.findApplicableRules(
+        tx,
+        property,
+        new Date(startDate)
+      );
+      const taxItems = PricingService.calculateTaxes(taxRules, {
+        subtotal: basePrice,
+        feesTotal: fees,
+        nightCount,
+        guests: guestCount,
+      });
+      const taxes = round(taxItems.reduce((sum, item) => sum + item.amount, 0));
 
-      const totalPrice = basePrice + taxes + fees;
+      const totalPrice = round(basePrice + taxes + fees);
+      const discountAmount = Math.max(-pricing.adjustmentTotal, 0);
 
       return {
         totalPrice,
         basePrice,
         taxes,
         fees,
+        feeItems,
+        taxItems,
+        discountAmount,
         currency: property.currency,
-        dailyPrices,
+        dailyPrices: pricing.nights.map((night) => night.price),
+        nights: pricing.nights,
+        appliedRules: pricing.appliedRules,
+        // Stored on the booking so invoices reproduce the exact lines
+        priceBreakdown: {
+          currency: property.currency,
+          nightCount,
+          baseSubtotal: pricing.baseSubtotal,
+          subtotal: basePrice,
+          discountAmount,
+          fees: feeItems,
+          taxes: taxItems,
+          totalPrice,
+        },
       };
     } catch (error) {
       logger.error(`Price calculation failed for property ${propertyId}`, {
@@ -458,43 +1215,52 @@ class BookingService {
         endDate,
         error: error.stack,
       });
+      if (error instanceof BookingError) throw error;
       throw new BookingError("Failed to calculate booking price");
     }
   }
 
-  // Enhanced cancellation fee calculation
-  calculateCancellationFee(booking) {
-    try {
-      const policy = booking.property.cancellationPolicy || {};
-      const hoursUntilCheckin = DateTime.fromJSDate(booking.startDate).diffNow(
-        "hours"
-      ).hours;
-
-      if (hoursUntilCheckin < 0) {
-        return booking.totalPrice; // No refund after check-in time
+  // Base nightly rate for each night of the stay from the effective calendar
+  buildNightlyRates(calendar, startDate, endDate, fallbackPrice) {
+    const byDate = new Map(calendar.map((night) => [night.date, night]));
+    const end = PricingService.toDay(new Date(endDate));
+    const nights = [];
+
+    for (
+      let day = PricingService.toDay(new Date(startDate));
+      day < end;
+      day = day.plus({ days: 1 })
+    ) {
+      const night = byDate.get(day.toISODate());
+
+      if (!night) {
+        throw new BookingError(`No availability for ${day.toISODate()}`);
       }
 
-      if (hoursUntilCheckin < (policy.strictWindow || 24)) {
-        return booking.totalPrice * (policy.strictFee || 1); // 100% fee
-      }
+      nights.push({
+        date: day.toJSDate(),
+        price: Number(night.price || fallbackPrice),
+      });
+    }
 
-      if (
-        hoursUntilCheckin <
-        (policy.cancellationWindowHours || this.CANCELLATION_WINDOW)
-      ) {
-        return booking.totalPrice * (policy.feePercentage || 0.5); // 50% fee
-      }
+    return nights;
+  }
 
-      return booking.totalPrice * (policy.flexibleFee || 0); // 0% fee
-    } catch (error) {
-      logger.error(
-        `Cancellation fee calculation failed for booking ${booking.id}`,
-        {
-          error: error.stack,
-        }
-      );
-      return booking.totalPrice * 0.5; // Fallback to 50% fee
-    }
+  // Fee under the policy snapshotted when the booking was made. Bookings
+  // from before snapshots fall back to the listing's current policy.
+  calculateCancellationFee(booking) {
+    // A lease cancelled before move-in forfeits at most its first month
+    const totalPrice =
+      booking.type === BookingType.LEASE && booking.payment
+        ? Number(booking.payment.amount)
+        : Number(booking.totalPrice);
+    const policy =
+      booking.cancellationPolicy || resolveCancellationPolicy(booking.property);
+    const hoursUntilCheckin = DateTime.fromJSDate(booking.startDate).diffNow(
+      "hours"
+    ).hours;
+
+    return totalPrice * (1 - refundPercentAt(policy, hoursUntilCheckin) / 100);
   }
 
   // Bulk booking processing with enhanced error handling
@@ -547,30 +1313,7 @@ class BookingService {
 
   // State transition validation with all booking statuses
   validateStateTransition(currentStatus, newStatus) {
-    const validTransitions = {
-      [BookingStatus.PENDING]: [
-        BookingStatus.CONFIRMED,
-        BookingStatus.CANCELLED,
-      ],
-      [BookingStatus.CONFIRMED]: [BookingStatus.PAID, BookingStatus.CANCELLED],
-      [BookingStatus.PAID]: [BookingStatus.ACTIVE, BookingStatus.CANCELLED],
-      [BookingStatus.ACTIVE]: [BookingStatus.COMPLETED],
-      [BookingStatus.COMPLETED]: [],
-      [BookingStatus.CANCELLED]: [BookingStatus.REFUND_PENDING],
-      [BookingStatus.REFUND_PENDING]: [BookingStatus.REFUNDED],
-      [BookingStatus.REFUNDED]: [],
-    };
-
-    if (!validTransitions[currentStatus]) {
-      throw new BookingError(`Invalid current status: ${currentStatus}`);
-    }
-
-    if (!validTransitions[currentStatus].includes(newStatus)) {
-      throw new BookingError(
-        `Invalid status transition: ${currentStatus} → ${newStatus}. ` +
-          `Allowed transitions: ${validTransitions[currentStatus].join(", ")}`
-      );
-    }
+    assertTransition(currentStatus, newStatus);
   }
 
   /**
@@ -582,68 +1325,54 @@ class BookingService {
    */
   async checkAvailability(propertyId, startDate, endDate) {
     try {
-      // Convert to Luxon DateTime for proper comparison
-      const start = DateTime.fromJSDate(startDate);
-      const end = DateTime.fromJSDate(endDate);
-
       // Check if property exists
       const property = await prisma.property.findUnique({
         where: { id: propertyId },
-        select: { id: true, minStay: true, maxStay: true },
+        select: { id: true, maxStay: true, currency: true },
       });
 
       if (!property) {
         throw new NotFoundError("Property not found");
       }
 
-      // Get availability slots
-      const availability = await prisma.availability.findMany({
-        where: {
+      const calendar = await AvailabilityRuleService.getCalendar(
+        prisma,
+        propertyId,
+        startDate,
+        endDate
+      );
+      if (!calendar.length) {
+        throw new ValidationError("End date must be after start date");
+      }
+      const { minStay } = calendar[0];
+
+      const conflict = calendar.find((night) => !night.available);
+      if (conflict || calendar.length < minStay) {
+        return {
+          available: false,
+          firstConflict: conflict?.date ?? null,
+          reason: conflict ? conflict.status : "MIN_STAY",
           propertyId,
-          startDate: { lte: endDate },
-          endDate: { gte: startDate },
-          isAvailable: true,
-        },
-        orderBy: { startDate: "asc" },
-      });
-
-      // Check continuous availability
-      let currentDate = start;
-      const availableDates = [];
-      let totalPrice = 0;
-
-      while (currentDate <= end) {
-        const slot = availability.find(
-          (s) =>
-            currentDate >= DateTime.fromJSDate(s.startDate) &&
-            currentDate < DateTime.fromJSDate(s.endDate)
-        );
-
-        if (!slot) {
-          return {
-            available: false,
-            firstConflict: currentDate.toISODate(),
-            propertyId,
-            minStay: property.minStay,
-            maxStay: property.maxStay,
-          };
-        }
-
-        availableDates.push({
-          date: currentDate.toISODate(),
-          price: Number(slot.price),
-        });
-        totalPrice += Number(slot.price);
-        currentDate = currentDate.plus({ days: 1 });
+          minStay,
+          maxStay: property.maxStay,
+        };
       }
 
+      // Nights are priced through the same rules engine as bookings
+      const pricing = await PricingRuleService.priceNights(
+        prisma,
+        propertyId,
+        calendar.map(({ date, price }) => ({ date, price }))
+      );
+
       return {
         available: true,
         propertyId,
-        availableDates,
-        totalPrice,
-        currency: "USD", // Or get from property
-        minStay: property.minStay,
+        availableDates: pricing.nights.map(({ date, price }) => ({ date, price })),
+        totalPrice: pricing.subtotal,
+        appliedRules: pricing.appliedRules,
+        currency: property.currency,
+        minStay,
         maxStay: property.maxStay,
       };
     } catch (error) {
@@ -717,27 +1446,15 @@ class BookingService {
     }
   }
 
+  // Guests edit the free-text details of a booking here. Dates and guest
+  // counts change through BookingModificationService so the host can
+  // approve the new stay and the price difference is settled.
   async updateBooking(bookingId, userId, updates) {
     return await prisma.$transaction(async (tx) => {
       try {
-        // 1. First find the booking with necessary relations
         const booking = await tx.booking.findUnique({
           where: { id: bookingId },
-          include: {
-            property: {
-              select: {
-                id: true,
-                minStay: true,
-                maxStay: true,
-                availability: {
-                  where: {
-                    isAvailable: false,
-                    bookingId: bookingId,
-                  },
-                },
-              },
-            },
-          },
+          select: { id: true, tenantId: true, propertyId: true, status: true },
         });
 
         if (!booking) {
@@ -748,75 +1465,38 @@ class BookingService {
           throw new BookingError("Unauthorized to update this booking");
         }
 
-        // 2. Remove propertyId from updates if present
-        const { propertyId, ...validUpdates } = updates;
+        const { propertyId, status, specialRequests, ...rest } = updates;
 
-        if (propertyId && propertyId !== booking.property.id) {
+        if (status && status !== booking.status) {
           throw new ValidationError(
-            "Cannot change booking property after creation"
+            "Booking status can only be changed through lifecycle actions"
           );
         }
 
-        // 3. Validate dates if they're being updated
-        if (validUpdates.startDate || validUpdates.endDate) {
-          const startDate = validUpdates.startDate
-            ? new Date(validUpdates.startDate)
-            : new Date(booking.startDate);
-          const endDate = validUpdates.endDate
-            ? new Date(validUpdates.endDate)
-            : new Date(booking.endDate);
-
-          // Check date validity
-          if (startDate >= endDate) {
-            throw new ValidationError("End date must be after start date");
-          }
-
-          // Check against property stay requirements
-          const duration = (endDate - startDate) / (1000 * 60 * 60 * 24);
-          if (booking.property.minStay && duration < booking.property.minStay) {
-            throw new ValidationError(
-              `Minimum stay is ${booking.property.minStay} days`
-            );
-          }
-          if (booking.property.maxStay && duration > booking.property.maxStay) {
-            throw new ValidationError(
-              `Maximum stay is ${booking.property.maxStay} days`
-            );
-          }
-
-          // Check availability for new dates if dates are changing
-          const conflictingBookings = await tx.booking.findMany({
-            where: {
-              propertyId: booking.property.id,
-              id: { not: bookingId },
-              OR: [
-                { startDate: { lt: endDate }, endDate: { gt: startDate } },
-                { startDate: { gte: startDate, lte: endDate } },
-              ],
-            },
-          });
+        if (propertyId && propertyId !== booking.propertyId) {
+          throw new ValidationError(
+            "Cannot change booking property after creation"
+          );
+        }
 
-          if (conflictingBookings.length > 0) {
-            throw new ConflictError("Selected dates are not available");
-          }
+        const stayChanges = STAY_FIELDS.filter((field) => rest[field] !== undefined);
+        if (stayChanges.length > 0) {
+          throw new ValidationError(
+            `${stayChanges.join(", ")} can only be changed through a modification request (POST /api/bookings/${bookingId}/modifications)`
+          );
         }
 
-        // 4. Prepare update data
-        const updatedData = {
-          ...validUpdates,
-          ...(validUpdates.startDate && {
-            startDate: new Date(validUpdates.startDate),
-          }),
-          ...(validUpdates.endDate && {
-            endDate: new Date(validUpdates.endDate),
-          }),
-          updatedAt: new Date(),
-        };
+        const unsupported = Object.keys(rest);
+        if (unsupported.length > 0) {
+          throw new ValidationError(`Cannot update ${unsupported.join(", ")}`);
+        }
 
-        // 5. Perform the update
-        const updatedBooking = await tx.booking.update({
+        return await tx.booking.update({
           where: { id: bookingId },
-          data: updatedData,
+          data: {
+            ...(specialRequests !== undefined && { specialRequests }),
+            updatedAt: new Date(),
+          },
           include: {
             property: {
               select: {
@@ -827,40 +1507,6 @@ class BookingService {
             payment: true,
           },
         });
-
-        // 6. Update availability slots if dates changed
-        if (validUpdates.startDate || validUpdates.endDate) {
-          // Release old availability slots
-          await tx.availability.updateMany({
-            where: {
-              propertyId: booking.property.id,
-              bookingId: bookingId,
-            },
-            data: {
-              isAvailable: true,
-              bookingId: null,
-            },
-          });
-
-          // Reserve new availability slots
-          const newStartDate = updatedBooking.startDate;
-          const newEndDate = updatedBooking.endDate;
-
-          await tx.availability.updateMany({
-            where: {
-              propertyId: booking.property.id,
-              startDate: { lt: newEndDate },
-              endDate: { gt: newStartDate },
-              isAvailable: true,
-            },
-            data: {
-              isAvailable: false,
-              bookingId: bookingId,
-            },
-          });
-        }
-
-        return updatedBooking;
       } catch (error) {
         logger.error("Failed to update booking", {
           bookingId,
@@ -873,132 +1519,6 @@ class BookingService {
       }
     });
   }
-  async generateInvoice(bookingId) {
-    try {
-      const booking = await prisma.booking.findUnique({
-        where: { id: bookingId },
-        include: {
-          property: {
-            select: {
-              title: true,
-              address: true,
-              basePrice: true,
-            },
-          },
-          payment: true,
-          tenant: {
-            select: {
-              id: true,
-              username: true,
-              email: true,
-              profile: {
-                select: {
-                  firstName: true,
-                  lastName: true,
-                  phone: true, // Changed from phoneNumber to phone
-                  currentAddress: true,
-                },
-              },
-            },
-          },
-        },
-      });
-
-      if (!booking) {
-        throw new NotFoundError("Booking not found");
-      }
-
-      const tenantName = booking.tenant?.profile
-        ? `${booking.tenant.profile.firstName} ${booking.tenant.profile.lastName}`
-        : booking.tenant?.username;
-
-      // Get contact details from profile if available
-      const tenantContact = booking.tenant?.profile
-        ? {
-            phone: booking.tenant.profile.phone, // Changed from phoneNumber to phone
-            address: booking.tenant.profile.currentAddress,
-          }
-        : null;
-
-      // Calculate any additional fields
-      const subtotal = booking.property.basePrice;
-      const taxRate = 0.1; // Example 10% tax
-      const taxAmount = subtotal * taxRate;
-      const totalAmount = subtotal + taxAmount;
-
-      // Generate invoice data
-      const invoiceNumber = `INV-${bookingId.slice(
-        0,
-        8
-      )}-${DateTime.now().toFormat("yyyyMMdd")}`;
-
-      const invoice = {
-        invoiceNumber,
-        date: DateTime.now().toISO(),
-        dueDate: DateTime.now().plus({ days: 7 }).toISO(),
-
-        // Booking details
-        booking: {
-          id: booking.id,
-          startDate: booking.startDate,
-          endDate: booking.endDate,
-          adults: booking.adults,
-          children: booking.children,
-          BookingStatus: booking.status,
-        },
-
-        // Property details
-        property: {
-          title: booking.property.title,
-          address: booking.property.address,
-          basePrice: booking.property.basePrice,
-        },
-
-        // Payment details
-        payment: {
-          amount: booking.payment.amount,
-          status: booking.payment.status,
-          method: booking.payment.method,
-          transactionId: booking.payment.transactionId,
-        },
-
-        // User details
-        user: booking.tenant
-          ? {
-              name: tenantName,
-              email: booking.tenant.email,
-              ...tenantContact,
-            }
-          : null,
-
-        // Calculated amounts
-        amounts: {
-          subtotal,
-          taxRate: `${taxRate * 100}%`,
-          taxAmount,
-          totalAmount,
-          amountPaid: booking.payment.amount,
-          balanceDue: totalAmount - booking.payment.amount,
-        },
-
-        // Additional metadata
-        notes: "Thank you for your booking!",
-        terms: "Payment due within 7 days",
-      };
-
-      return {
-        success: true,
-        data: invoice,
-        message: "Invoice generated successfully",
-      };
-    } catch (error) {
-      logger.error("Failed to generate invoice", {
-        bookingId,
-        error: error.message,
-      });
-      throw error;
-    }
-  }
 }
 
 export default new BookingService();
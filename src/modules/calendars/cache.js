@@ -0,0 +1,57 @@
+// calendars/cache.js
+import redis from "../../config/redis.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import prisma from "../../config/database.js";
+import { ReindexReason, enqueueReindex } from "../search-index/outbox.js";
+
+// Cached calendars are keyed by a per-property version, so invalidating is
+// a single INCR and superseded entries simply expire
+const versionKey = (propertyId) => `calendar:${propertyId}:version`;
+
+/**
+ * Return the cached calendar for `variant`, building and caching it on a miss
+ * @param {string} propertyId
+ * @param {string} variant - Distinguishes views and ranges of one property
+ * @param {Function} build - Async producer of the calendar
+ */
+export const cachedCalendar = async (propertyId, variant, build) => {
+  const version = (await redis.get(versionKey(propertyId))) || 0;
+  const key = `calendar:${propertyId}:v${version}:${variant}`;
+
+  const cached = await redis.get(key);
+  if (cached) return JSON.parse(cached);
+
+  const calendar = await build();
+  await redis.setex(
+    key,
+    config.get("calendars.cacheTtlSeconds"),
+    JSON.stringify(calendar)
+  );
+  return calendar;
+};
+
+/**
+ * Drop every cached calendar of a property and queue a refresh of the
+ * availability date searches match against. Call after the change is
+ * committed; a failure only leaves entries to expire and the index to the
+ * nightly rebuild.
+ * @param {string} propertyId
+ */
+export const invalidateCalendar = async (propertyId) => {
+  try {
+    await redis.incr(versionKey(propertyId));
+  } catch (error) {
+    logger.warn(
+      `Calendar cache invalidation failed for property ${propertyId}: ${error.message}`
+    );
+  }
+
+  try {
+    await enqueueReindex(prisma, propertyId, ReindexReason.AVAILABILITY);
+  } catch (error) {
+    logger.warn(
+      `Search availability refresh could not be queued for property ${propertyId}: ${error.message}`
+    );
+  }
+};
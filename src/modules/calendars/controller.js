@@ -0,0 +1,257 @@
+import CalendarService from "./service.js";
+import CalendarViewService from "./view.js";
+import logger from "../../config/logger.js";
+import { calendarSchemas } from "./schema.js";
+import { ValidationError } from "../../utils/apiError.js";
+import { hasRole } from "../../utils/roleUtils.js";
+
+const actorFrom = (req) => ({
+  userId: req.user.id,
+  isAdmin: hasRole(req.user, "admin"),
+});
+
+const feedUrl = (req, token) =>
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/feed.ics?token=${token}`;
+
+class CalendarController {
+  /**
+   * @desc    Booked and blocked dates as an iCal feed for other platforms
+   * @route   GET /api/properties/:propertyId/calendars/feed.ics?token=
+   * @access  Public (secret token)
+   */
+  async getFeed(req, res, next) {
+    try {
+      const ics = await CalendarService.renderFeed(req.params.propertyId, req.query.token);
+
+      res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `inline; filename="${req.params.propertyId}.ics"`,
+        "Cache-Control": "private, max-age=300",
+      });
+      res.status(200).send(ics);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Day-by-day availability, price and minimum stay for a date picker
+   * @route   GET /api/properties/:id/calendar?from&to
+   * @access  Public
+   */
+  async getCalendar(req, res, next) {
+    try {
+      const calendar = await CalendarViewService.getPublicCalendar(req.params.id, {
+        from: req.query.from,
+        to: req.query.to,
+      });
+
+      res.status(200).json({ success: true, data: calendar });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Calendar with the booking holding each day and closure reasons
+   * @route   GET /api/properties/:id/calendar/host?from&to
+   * @access  Private (owner or admin)
+   */
+  async getHostCalendar(req, res, next) {
+    try {
+      const calendar = await CalendarViewService.getHostCalendar(
+        req.params.id,
+        { from: req.query.from, to: req.query.to },
+        actorFrom(req)
+      );
+
+      res.status(200).json({ success: true, data: calendar });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get the export URL of the property's iCal feed
+   * @route   GET /api/properties/:propertyId/calendars/export
+   * @access  Private (owner or admin)
+   */
+  async getExport(req, res, next) {
+    try {
+      const token = await CalendarService.getFeedToken(req.params.propertyId, actorFrom(req));
+
+      res.status(200).json({ success: true, data: { url: feedUrl(req, token) } });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Issue a new export URL; the old one stops working
+   * @route   POST /api/properties/:propertyId/calendars/export/rotate
+   * @access  Private (owner or admin)
+   */
+  async rotateExport(req, res, next) {
+    try {
+      const token = await CalendarService.getFeedToken(
+        req.params.propertyId,
+        actorFrom(req),
+        true
+      );
+
+      res.status(200).json({
+        success: true,
+        data: { url: feedUrl(req, token) },
+        message: "Export URL rotated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List linked and uploaded calendars with their sync status
+   * @route   GET /api/properties/:propertyId/calendars
+   * @access  Private (owner or admin)
+   */
+  async listCalendars(req, res, next) {
+    try {
+      const calendars = await CalendarService.listCalendars(
+        req.params.propertyId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({ success: true, data: calendars });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Imported events that overlap existing bookings
+   * @route   GET /api/properties/:propertyId/calendars/conflicts
+   * @access  Private (owner or admin)
+   */
+  async listConflicts(req, res, next) {
+    try {
+      const conflicts = await CalendarService.listConflicts(
+        req.params.propertyId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({ success: true, count: conflicts.length, data: conflicts });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Link an external iCal URL and import it
+   * @route   POST /api/properties/:propertyId/calendars
+   * @access  Private (owner or admin)
+   */
+  async addCalendar(req, res, next) {
+    const { propertyId } = req.params;
+
+    try {
+      const calendar = await CalendarService.addCalendar(propertyId, req.body, actorFrom(req));
+
+      res.status(201).json({
+        success: true,
+        data: calendar,
+        message: calendar.lastError
+          ? `Calendar linked, but the first import failed: ${calendar.lastError}`
+          : "Calendar linked and imported",
+      });
+    } catch (error) {
+      logger.error(`Linking calendar failed: ${error.message}`, {
+        propertyId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Import an uploaded .ics file
+   * @route   POST /api/properties/:propertyId/calendars/upload
+   * @access  Private (owner or admin)
+   */
+  async uploadCalendar(req, res, next) {
+    const { propertyId } = req.params;
+
+    try {
+      const { error, value } = calendarSchemas.uploadCalendar.validate(req.body, {
+        stripUnknown: true,
+      });
+      if (error) throw new ValidationError(error.message);
+
+      const calendar = await CalendarService.uploadCalendar(
+        propertyId,
+        value,
+        req.file?.buffer,
+        actorFrom(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: calendar,
+        message: `Imported ${calendar.eventCount} upcoming event(s)`,
+      });
+    } catch (error) {
+      logger.error(`Calendar upload failed: ${error.message}`, {
+        propertyId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Re-import a linked calendar now
+   * @route   POST /api/properties/:propertyId/calendars/:calendarId/sync
+   * @access  Private (owner or admin)
+   */
+  async syncCalendar(req, res, next) {
+    const { propertyId, calendarId } = req.params;
+
+    try {
+      const calendar = await CalendarService.refreshCalendar(
+        propertyId,
+        calendarId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({ success: true, data: calendar, message: "Calendar synced" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Unlink a calendar and free the dates it blocked
+   * @route   DELETE /api/properties/:propertyId/calendars/:calendarId
+   * @access  Private (owner or admin)
+   */
+  async removeCalendar(req, res, next) {
+    const { propertyId, calendarId } = req.params;
+
+    try {
+      await CalendarService.removeCalendar(propertyId, calendarId, actorFrom(req));
+
+      res.status(200).json({ success: true, message: "Calendar removed" });
+    } catch (error) {
+      logger.error(`Removing calendar failed: ${error.message}`, {
+        propertyId,
+        calendarId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new CalendarController();
@@ -0,0 +1,29 @@
+import express from "express";
+import CalendarController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { uploadCalendarFile } from "../../middlewares/upload.js";
+import { calendarSchemas } from "./schema.js";
+
+// Mounted under /properties/:propertyId/calendars
+const router = express.Router({ mergeParams: true });
+
+// Fetched by other platforms; the token in the query string is the credential
+router.get("/feed.ics", CalendarController.getFeed);
+
+router.use(authenticateUser());
+
+router
+  .route("/")
+  .get(CalendarController.listCalendars)
+  .post(validate(calendarSchemas.addCalendar), CalendarController.addCalendar);
+
+router.post("/upload", uploadCalendarFile, CalendarController.uploadCalendar);
+router.get("/conflicts", CalendarController.listConflicts);
+router.get("/export", CalendarController.getExport);
+router.post("/export/rotate", CalendarController.rotateExport);
+
+router.post("/:calendarId/sync", CalendarController.syncCalendar);
+router.delete("/:calendarId", CalendarController.removeCalendar);
+
+export default router;
@@ -0,0 +1,19 @@
+// calendars/schema.js
+import Joi from "joi";
+
+export const calendarSchemas = {
+  addCalendar: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    url: Joi.string()
+      .trim()
+      .max(2048)
+      .uri({ scheme: ["http", "https", "webcal"] })
+      .required()
+      // webcal:// is http(s) by another name
+      .custom((value) => value.replace(/^webcal:/i, "https:")),
+  }),
+
+  uploadCalendar: Joi.object({
+    name: Joi.string().trim().max(100).default("Uploaded calendar"),
+  }),
+};
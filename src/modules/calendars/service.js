@@ -0,0 +1,575 @@
+import { randomBytes } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import { buildICalendar, parseICalendar } from "../../utils/ical.js";
+import { invalidateCalendar } from "./cache.js";
+import { HOLDING_STATUSES } from "../availability-rules/service.js";
+import pkg from "@prisma/client";
+const { ExternalCalendarSource } = pkg;
+
+const MAX_REDIRECTS = 3;
+
+// Feeds are fetched server-side, so never from the internal network
+const PRIVATE_NETWORKS = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv6"));
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+class CalendarService {
+  /**
+   * Secret token of the property's .ics export, created on first use
+   * @param {string} propertyId
+   * @param {Object} actor
+   * @param {boolean} [rotate=false] - Issue a new token, breaking old links
+   * @returns {Promise<string>}
+   */
+  async getFeedToken(propertyId, actor, rotate = false) {
+    const property = await this.assertCanManage(propertyId, actor);
+    if (property.icalToken && !rotate) return property.icalToken;
+
+    const { icalToken } = await prisma.property.update({
+      where: { id: propertyId },
+      data: { icalToken: randomBytes(24).toString("hex") },
+      select: { icalToken: true },
+    });
+    if (rotate) logger.info(`iCal feed token rotated for property ${propertyId}`);
+    return icalToken;
+  }
+
+  /**
+   * Booked and blocked dates as an iCalendar feed. Blocks imported from
+   * other calendars are left out so platforms never re-import their own
+   * events.
+   * @param {string} propertyId
+   * @param {string} token - Feed token from the export URL
+   * @returns {Promise<string>}
+   */
+  async renderFeed(propertyId, token) {
+    const property = token
+      ? await prisma.property.findFirst({
+          where: { id: propertyId, icalToken: token, deletedAt: null },
+          select: { id: true, title: true },
+        })
+      : null;
+    if (!property) throw new NotFoundError("Calendar not found");
+
+    const today = startOfToday();
+    const [bookings, blocks] = await Promise.all([
+      prisma.booking.findMany({
+        where: { propertyId, status: { in: HOLDING_STATUSES }, endDate: { gt: today } },
+        select: { id: true, startDate: true, endDate: true },
+        orderBy: { startDate: "asc" },
+      }),
+      prisma.availability.findMany({
+        where: {
+          propertyId,
+          isAvailable: false,
+          bookingId: null,
+          externalCalendarId: null,
+          endDate: { gt: today },
+        },
+        select: { id: true, startDate: true, endDate: true },
+        orderBy: { startDate: "asc" },
+      }),
+    ]);
+
+    return buildICalendar({
+      name: property.title,
+      events: [
+        ...bookings.map((booking) => ({
+          uid: `booking-${booking.id}@rezo`,
+          start: booking.startDate,
+          end: booking.endDate,
+          summary: "Reserved",
+        })),
+        ...blocks.map((block) => ({
+          uid: `block-${block.id}@rezo`,
+          start: block.startDate,
+          end: block.endDate,
+          summary: "Not available",
+        })),
+      ],
+    });
+  }
+
+  async listCalendars(propertyId, actor) {
+    await this.assertCanManage(propertyId, actor);
+
+    return prisma.externalCalendar.findMany({
+      where: { propertyId },
+      orderBy: { createdAt: "asc" },
+    });
+  }
+
+  /**
+   * Imported events that overlap bookings, across all calendars of a property
+   * @returns {Promise<Array<object>>}
+   */
+  async listConflicts(propertyId, actor) {
+    const calendars = await this.listCalendars(propertyId, actor);
+
+    return calendars.flatMap((calendar) =>
+      calendar.conflicts.map((conflict) => ({
+        calendarId: calendar.id,
+        calendarName: calendar.name,
+        ...conflict,
+      }))
+    );
+  }
+
+  /**
+   * Register another platform's iCal URL and import it straight away. A
+   * failed first import keeps the calendar; the sync job retries it.
+   * @param {string} propertyId
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} data.url
+   * @param {Object} actor
+   */
+  async addCalendar(propertyId, { name, url }, actor) {
+    await this.assertCanManage(propertyId, actor);
+    await this.assertPublicUrl(url);
+
+    const existing = await prisma.externalCalendar.findFirst({
+      where: { propertyId, url },
+      select: { id: true },
+    });
+    if (existing) throw new ConflictError("This calendar is already linked");
+
+    const calendar = await prisma.externalCalendar.create({
+      data: {
+        propertyId,
+        name,
+        url,
+        source: ExternalCalendarSource.URL,
+        createdById: actor.userId,
+      },
+    });
+
+    try {
+      return await this.syncCalendar(calendar.id);
+    } catch {
+      return prisma.externalCalendar.findUnique({ where: { id: calendar.id } });
+    }
+  }
+
+  /**
+   * Import an uploaded .ics file. Uploading again under the same name
+   * replaces the blocks of the previous upload.
+   * @param {string} propertyId
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {Buffer} file - File contents
+   * @param {Object} actor
+   */
+  async uploadCalendar(propertyId, { name }, file, actor) {
+    await this.assertCanManage(propertyId, actor);
+    if (!file?.length) throw new BadRequestError("An .ics file is required");
+
+    const events = this.parse(file.toString("utf8"));
+    const calendar =
+      (await prisma.externalCalendar.findFirst({
+        where: { propertyId, name, source: ExternalCalendarSource.UPLOAD },
+      })) ||
+      (await prisma.externalCalendar.create({
+        data: {
+          propertyId,
+          name,
+          source: ExternalCalendarSource.UPLOAD,
+          createdById: actor.userId,
+        },
+      }));
+
+    return this.importEvents(calendar, events);
+  }
+
+  // Unlink a calendar and free the dates it blocked
+  async removeCalendar(propertyId, calendarId, actor) {
+    await this.assertCanManage(propertyId, actor);
+    const calendar = await this.getCalendar(propertyId, calendarId);
+
+    await this.withPropertyLock(propertyId, () =>
+      prisma.$transaction(async (tx) => {
+        await this.releaseBlocks(tx, calendar.id);
+        await tx.externalCalendar.delete({ where: { id: calendar.id } });
+      })
+    );
+    await invalidateCalendar(propertyId);
+    logger.info(`External calendar ${calendarId} removed from property ${propertyId}`);
+  }
+
+  // Host asks for an immediate refresh of a linked URL
+  async refreshCalendar(propertyId, calendarId, actor) {
+    await this.assertCanManage(propertyId, actor);
+    const calendar = await this.getCalendar(propertyId, calendarId);
+    if (calendar.source !== ExternalCalendarSource.URL) {
+      throw new ValidationError("Uploaded calendars are refreshed by uploading the file again");
+    }
+
+    return this.syncCalendar(calendar.id);
+  }
+
+  async findCalendarsToSync() {
+    return prisma.externalCalendar.findMany({
+      where: { source: ExternalCalendarSource.URL },
+      orderBy: { lastSyncedAt: { sort: "asc", nulls: "first" } },
+      select: { id: true },
+    });
+  }
+
+  /**
+   * Fetch a linked feed and replace the blocks it imported before. The
+   * error is recorded on the calendar and rethrown.
+   * @param {string} calendarId
+   * @returns {Promise<object>} Updated ExternalCalendar
+   */
+  async syncCalendar(calendarId) {
+    const calendar = await prisma.externalCalendar.findUnique({ where: { id: calendarId } });
+    if (!calendar) throw new NotFoundError("Calendar not found");
+
+    let events;
+    try {
+      events = this.parse(await this.fetchFeed(calendar.url));
+    } catch (error) {
+      await prisma.externalCalendar.update({
+        where: { id: calendarId },
+        data: { lastError: error.message.slice(0, 255) },
+      });
+      logger.warn(`iCal sync failed for calendar ${calendarId}`, { error: error.message });
+      throw error;
+    }
+
+    return this.importEvents(calendar, events);
+  }
+
+  /**
+   * Block the property's open dates covered by `events`, replacing the
+   * calendar's previous import. Dates already booked are never touched;
+   * events overlapping a booking are recorded as conflicts for the host.
+   * @param {object} calendar - ExternalCalendar
+   * @param {Array<{uid, summary, start, end}>} events
+   * @returns {Promise<object>} Updated ExternalCalendar
+   */
+  async importEvents(calendar, events) {
+    const today = startOfToday();
+    const upcoming = events.filter((event) => event.end > today);
+
+    const updated = await this.withPropertyLock(calendar.propertyId, () =>
+      prisma.$transaction(async (tx) => {
+        await this.releaseBlocks(tx, calendar.id);
+        const { basePrice } = await tx.property.findUnique({
+          where: { id: calendar.propertyId },
+          select: { basePrice: true },
+        });
+
+        const conflicts = [];
+        for (const event of upcoming) {
+          const overlap = {
+            propertyId: calendar.propertyId,
+            startDate: { lt: event.end },
+            endDate: { gt: event.start },
+          };
+
+          const bookings = await tx.booking.findMany({
+            where: { ...overlap, status: { in: HOLDING_STATUSES } },
+            select: { id: true, startDate: true, endDate: true },
+          });
+          conflicts.push(
+            ...bookings.map((booking) => ({
+              uid: event.uid,
+              summary: event.summary,
+              startDate: event.start,
+              endDate: event.end,
+              bookingId: booking.id,
+              bookingStartDate: booking.startDate,
+              bookingEndDate: booking.endDate,
+            }))
+          );
+
+          const slots = await tx.availability.findMany({
+            where: { ...overlap, isAvailable: true, bookingId: null },
+          });
+          for (const slot of slots) {
+            await this.blockSlot(tx, slot, event, calendar);
+          }
+          await this.blockGaps(tx, event, calendar, basePrice, today);
+        }
+
+        return tx.externalCalendar.update({
+          where: { id: calendar.id },
+          data: {
+            eventCount: upcoming.length,
+            conflicts,
+            lastSyncedAt: new Date(),
+            lastError: null,
+          },
+        });
+      })
+    );
+    await invalidateCalendar(calendar.propertyId);
+
+    if (updated.conflicts.length) {
+      logger.warn(
+        `iCal import for property ${calendar.propertyId} overlaps ${updated.conflicts.length} booking(s)`,
+        { calendarId: calendar.id, bookingIds: updated.conflicts.map((c) => c.bookingId) }
+      );
+    }
+    return updated;
+  }
+
+  // Mark the part of an open slot covered by `event` as blocked, splitting
+  // off the nights before and after it as their own open slots
+  async blockSlot(tx, slot, event, calendar) {
+    const from = new Date(Math.max(slot.startDate, event.start));
+    const to = new Date(Math.min(slot.endDate, event.end));
+    const blocked = {
+      isAvailable: false,
+      externalCalendarId: calendar.id,
+      externalEventUid: event.uid.slice(0, 255),
+      notes: `Blocked by ${calendar.name}`.slice(0, 255),
+    };
+
+    if (slot.startDate < from) {
+      await tx.availability.update({ where: { id: slot.id }, data: { endDate: from } });
+      await tx.availability.create({
+        data: { propertyId: slot.propertyId, startDate: from, endDate: to, price: slot.price, ...blocked },
+      });
+    } else {
+      await tx.availability.update({ where: { id: slot.id }, data: { endDate: to, ...blocked } });
+    }
+
+    if (slot.endDate > to) {
+      await tx.availability.create({
+        data: {
+          propertyId: slot.propertyId,
+          startDate: to,
+          endDate: slot.endDate,
+          price: slot.price,
+          notes: slot.notes,
+        },
+      });
+    }
+  }
+
+  // Nights of `event` without any slot are open through the availability
+  // window, so they get blocks of their own that are deleted on release
+  async blockGaps(tx, event, calendar, price, today) {
+    const slots = await tx.availability.findMany({
+      where: {
+        propertyId: calendar.propertyId,
+        startDate: { lt: event.end },
+        endDate: { gt: event.start },
+      },
+      select: { startDate: true, endDate: true },
+      orderBy: { startDate: "asc" },
+    });
+
+    let from = new Date(Math.max(event.start, today));
+    for (const slot of [...slots, { startDate: event.end, endDate: event.end }]) {
+      if (slot.startDate > from) {
+        await tx.availability.create({
+          data: {
+            propertyId: calendar.propertyId,
+            startDate: from,
+            endDate: new Date(Math.min(slot.startDate, event.end)),
+            price,
+            isAvailable: false,
+            importedGap: true,
+            externalCalendarId: calendar.id,
+            externalEventUid: event.uid.slice(0, 255),
+            notes: `Blocked by ${calendar.name}`.slice(0, 255),
+          },
+        });
+      }
+      if (slot.endDate > from) from = new Date(slot.endDate);
+    }
+  }
+
+  /**
+   * Lay imported blocks back over slots the host just replaced, the way the
+   * next sync would: nights of a new open slot are blocked and nights
+   * without any slot get blocks of their own
+   * @param {object} tx - Prisma transaction client
+   * @param {string} propertyId
+   * @param {Array<object>} blocks - Imported Availability rows removed with the old slots
+   */
+  async restoreBlocks(tx, propertyId, blocks) {
+    if (!blocks.length) return;
+
+    const today = startOfToday();
+    const [{ basePrice }, calendars] = await Promise.all([
+      tx.property.findUnique({ where: { id: propertyId }, select: { basePrice: true } }),
+      tx.externalCalendar.findMany({
+        where: { id: { in: [...new Set(blocks.map((block) => block.externalCalendarId))] } },
+        select: { id: true, name: true, propertyId: true },
+      }),
+    ]);
+    const byId = new Map(calendars.map((calendar) => [calendar.id, calendar]));
+
+    for (const block of blocks) {
+      const calendar = byId.get(block.externalCalendarId);
+      if (!calendar || block.endDate <= today) continue;
+
+      const event = {
+        uid: block.externalEventUid || block.id,
+        start: block.startDate,
+        end: block.endDate,
+      };
+      const slots = await tx.availability.findMany({
+        where: {
+          propertyId,
+          startDate: { lt: event.end },
+          endDate: { gt: event.start },
+          isAvailable: true,
+          bookingId: null,
+        },
+      });
+      for (const slot of slots) {
+        await this.blockSlot(tx, slot, event, calendar);
+      }
+      await this.blockGaps(tx, event, calendar, basePrice, today);
+    }
+  }
+
+  async releaseBlocks(tx, calendarId) {
+    await tx.availability.deleteMany({
+      where: { externalCalendarId: calendarId, importedGap: true },
+    });
+    await tx.availability.updateMany({
+      where: { externalCalendarId: calendarId },
+      data: {
+        isAvailable: true,
+        externalCalendarId: null,
+        externalEventUid: null,
+        notes: null,
+      },
+    });
+  }
+
+  parse(text) {
+    if (Buffer.byteLength(text) > config.get("calendars.maxFeedBytes")) {
+      throw new ValidationError("Calendar is too large to import");
+    }
+    try {
+      return parseICalendar(text);
+    } catch (error) {
+      throw new ValidationError(`Invalid calendar: ${error.message}`);
+    }
+  }
+
+  async fetchFeed(url) {
+    let target = url;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      await this.assertPublicUrl(target);
+
+      const response = await fetch(target, {
+        headers: { Accept: "text/calendar" },
+        redirect: "manual",
+        signal: AbortSignal.timeout(config.get("calendars.fetchTimeoutMs")),
+      });
+
+      if (response.status >= 300 && response.status < 400 && response.headers.get("location")) {
+        target = new URL(response.headers.get("location"), target).toString();
+        continue;
+      }
+      if (!response.ok) {
+        throw new BadRequestError(`Calendar feed responded with ${response.status}`);
+      }
+      if (Number(response.headers.get("content-length")) > config.get("calendars.maxFeedBytes")) {
+        throw new ValidationError("Calendar is too large to import");
+      }
+      return response.text();
+    }
+
+    throw new BadRequestError("Calendar feed redirected too many times");
+  }
+
+  async assertPublicUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new ValidationError("Calendar URL is not valid");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      throw new ValidationError("Calendar URL must use http or https");
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    const addresses = isIP(hostname)
+      ? [{ address: hostname, family: isIP(hostname) }]
+      : await lookup(hostname, { all: true }).catch(() => {
+          throw new ValidationError(`Cannot resolve ${hostname}`);
+        });
+    if (
+      addresses.some(({ address, family }) =>
+        PRIVATE_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4")
+      )
+    ) {
+      throw new ValidationError("Calendar URL must point to a public host");
+    }
+  }
+
+  async getCalendar(propertyId, calendarId) {
+    const calendar = await prisma.externalCalendar.findFirst({
+      where: { id: calendarId, propertyId },
+    });
+    if (!calendar) throw new NotFoundError("Calendar not found");
+    return calendar;
+  }
+
+  async assertCanManage(propertyId, { userId, isAdmin = false }) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true, icalToken: true },
+    });
+
+    if (!property) throw new NotFoundError("Property not found");
+    if (!isAdmin && property.ownerId !== userId) {
+      throw new ForbiddenError("Only the property owner can manage its calendars");
+    }
+    return property;
+  }
+
+  // Same key bookings take, so an import never races a new reservation
+  async withPropertyLock(propertyId, fn) {
+    try {
+      return await withLock(`property:${propertyId}:lock`, fn, { ttl: 30000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Property is currently being modified by another request");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new CalendarService();
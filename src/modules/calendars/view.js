@@ -0,0 +1,227 @@
+// calendars/view.js
+import { DateTime } from "luxon";
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { NIGHT_STATUS } from "../../utils/availability.js";
+import { PRICING_RULE_TYPES, PricingService } from "../../utils/pricing.js";
+import AvailabilityRuleService, {
+  HOLDING_STATUSES,
+} from "../availability-rules/service.js";
+import { cachedCalendar } from "./cache.js";
+
+export const DAY_STATUS = {
+  AVAILABLE: "AVAILABLE",
+  BOOKED: "BOOKED",
+  BLOCKED: "BLOCKED",
+  CHECK_IN_ONLY: "CHECK_IN_ONLY",
+  CHECK_OUT_ONLY: "CHECK_OUT_ONLY",
+};
+
+// Rules that price a night on its own. Stay-wide rules depend on the
+// length and lead time of a stay, so they only show up in quotes.
+const NIGHTLY_PRICING_RULES = [
+  PRICING_RULE_TYPES.SEASONAL,
+  PRICING_RULE_TYPES.WEEKEND,
+  PRICING_RULE_TYPES.MIN_PRICE,
+];
+
+const guestName = (tenant) => {
+  const profile = tenant?.profile;
+  return (
+    [profile?.firstName, profile?.lastName].filter(Boolean).join(" ") ||
+    tenant?.username ||
+    null
+  );
+};
+
+class CalendarViewService {
+  /**
+   * Day-by-day calendar for a date picker
+   * @param {string} propertyId
+   * @param {Object} range
+   * @param {string} [range.from] - First day (ISO date), defaults to this month
+   * @param {string} [range.to] - Last day, inclusive; defaults to the end of from's month
+   * @returns {Promise<{propertyId, from, to, currency, days: Array}>}
+   */
+  async getPublicCalendar(propertyId, range) {
+    const { from, to } = this.parseRange(range);
+    const property = await prisma.property.findFirst({
+      where: { id: propertyId, status: "APPROVED", deletedAt: null },
+      select: { id: true, currency: true },
+    });
+    if (!property) throw new NotFoundError("Property not found");
+
+    return cachedCalendar(
+      propertyId,
+      `public:${from.toISODate()}:${to.toISODate()}`,
+      () => this.build(property, from, to)
+    );
+  }
+
+  /**
+   * The public calendar plus, for each day, why it is closed and which
+   * booking holds the night
+   */
+  async getHostCalendar(propertyId, range, { userId, isAdmin = false }) {
+    const { from, to } = this.parseRange(range);
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, ownerId: true, currency: true },
+    });
+    if (!property) throw new NotFoundError("Property not found");
+    if (!isAdmin && property.ownerId !== userId) {
+      throw new ForbiddenError("Only the property owner can view the host calendar");
+    }
+
+    return cachedCalendar(
+      propertyId,
+      `host:${from.toISODate()}:${to.toISODate()}`,
+      () => this.build(property, from, to, { withBookings: true })
+    );
+  }
+
+  async build(property, from, to, { withBookings = false } = {}) {
+    const propertyId = property.id;
+
+    // One night either side: checking out on `from` needs the night
+    // before it, checking in on `to` needs the night of `to`
+    const start = from.minus({ days: 1 });
+    const end = to.plus({ days: 1 });
+    let nights = await AvailabilityRuleService.getCalendar(
+      prisma,
+      propertyId,
+      start.toJSDate(),
+      end.toJSDate()
+    );
+
+    // Checking in on the last days needs the nights their minimum stay covers
+    const reach = Math.max(...nights.map((night) => night.minStay)) - 1;
+    if (reach > 0) {
+      nights = nights.concat(
+        await AvailabilityRuleService.getCalendar(
+          prisma,
+          propertyId,
+          end.toJSDate(),
+          end.plus({ days: reach }).toJSDate()
+        )
+      );
+    }
+
+    const rules = await prisma.pricingRule.findMany({
+      where: { propertyId, isActive: true, type: { in: NIGHTLY_PRICING_RULES } },
+    });
+    const pricing = PricingService.priceStay({ nights, rules });
+    const bookings = withBookings ? await this.findBookings(propertyId, from, end) : [];
+
+    const today = DateTime.utc().toISODate();
+    const open = (index) => nights[index]?.available && nights[index].date >= today;
+    const canCheckIn = (index) => {
+      for (let offset = 0; offset < nights[index].minStay; offset++) {
+        if (!open(index + offset)) return false;
+      }
+      return true;
+    };
+
+    // nights[0] is the day before `from`
+    const days = [];
+    for (let index = 1; index < nights.length && nights[index].date <= to.toISODate(); index++) {
+      const night = nights[index];
+      const checkIn = canCheckIn(index);
+      const checkOut = Boolean(open(index - 1));
+
+      let status;
+      if (checkIn && checkOut) status = DAY_STATUS.AVAILABLE;
+      else if (checkIn) status = DAY_STATUS.CHECK_IN_ONLY;
+      else if (checkOut) status = DAY_STATUS.CHECK_OUT_ONLY;
+      else if (night.status === NIGHT_STATUS.BOOKED) status = DAY_STATUS.BOOKED;
+      else status = DAY_STATUS.BLOCKED;
+
+      const day = {
+        date: night.date,
+        status,
+        checkIn,
+        checkOut,
+        price: pricing.nights[index].price,
+        minStay: night.minStay,
+      };
+
+      if (withBookings) {
+        const booking = bookings.find(
+          (b) =>
+            night.date >= PricingService.toDay(b.startDate).toISODate() &&
+            night.date < PricingService.toDay(b.endDate).toISODate()
+        );
+        day.nightStatus = night.status;
+        day.reason = night.reason;
+        day.booking = booking
+          ? {
+              id: booking.id,
+              guestName: guestName(booking.tenant),
+              startDate: booking.startDate,
+              endDate: booking.endDate,
+            }
+          : null;
+      }
+
+      days.push(day);
+    }
+
+    return {
+      propertyId,
+      from: from.toISODate(),
+      to: to.toISODate(),
+      currency: property.currency,
+      days,
+    };
+  }
+
+  async findBookings(propertyId, from, end) {
+    return prisma.booking.findMany({
+      where: {
+        propertyId,
+        status: { in: HOLDING_STATUSES },
+        startDate: { lt: end.toJSDate() },
+        endDate: { gt: from.toJSDate() },
+      },
+      select: {
+        id: true,
+        startDate: true,
+        endDate: true,
+        tenant: {
+          select: {
+            username: true,
+            profile: { select: { firstName: true, lastName: true } },
+          },
+        },
+      },
+    });
+  }
+
+  parseRange({ from, to } = {}) {
+    const parse = (value, name) => {
+      const day = DateTime.fromISO(String(value), { zone: "utc" }).startOf("day");
+      if (!day.isValid) throw new ValidationError(`Invalid ${name} date: ${value}`);
+      return day;
+    };
+
+    const start = from ? parse(from, "from") : DateTime.utc().startOf("month");
+    const end = to ? parse(to, "to") : start.endOf("month").startOf("day");
+    if (end < start) {
+      throw new ValidationError("The to date must be on or after the from date");
+    }
+
+    const maxDays = config.get("calendars.maxRangeDays");
+    if (end.diff(start, "days").days >= maxDays) {
+      throw new ValidationError(`A calendar can cover at most ${maxDays} days`);
+    }
+
+    return { from: start, to: end };
+  }
+}
+
+export default new CalendarViewService();
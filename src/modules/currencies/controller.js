@@ -0,0 +1,124 @@
+import CurrencyService from "./service.js";
+import logger from "../../config/logger.js";
+import { BadRequestError } from "../../utils/apiError.js";
+import { currencySchemas } from "./schema.js";
+
+class CurrencyController {
+  /**
+   * @desc    Current exchange rates against the base currency
+   * @route   GET /api/currencies/rates
+   * @access  Public
+   */
+  async getRates(req, res, next) {
+    try {
+      const rates = await CurrencyService.getRates();
+
+      res.status(200).json({ success: true, data: rates });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Convert an amount between two currencies
+   * @route   GET /api/currencies/convert
+   * @access  Public
+   */
+  async convert(req, res, next) {
+    try {
+      const { error, value } = currencySchemas.convertQuery.validate(req.query);
+      if (error) throw new BadRequestError(error.details[0].message);
+
+      const result = await CurrencyService.convert(value.amount, value.from, value.to);
+
+      res.status(200).json({
+        success: true,
+        data: { ...result, from: value.from, originalAmount: value.amount },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Stored exchange rates with their source and last update
+   * @route   GET /api/currencies/rates/admin
+   * @access  Private (admin)
+   */
+  async listRates(req, res, next) {
+    try {
+      const rates = await CurrencyService.listRates();
+
+      res.status(200).json({ success: true, data: rates });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Set the exchange rate for a currency
+   * @route   PUT /api/currencies/rates/:currency
+   * @access  Private (admin)
+   */
+  async setRate(req, res, next) {
+    try {
+      const rate = await CurrencyService.setRate(
+        req.params.currency,
+        req.body.rate,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: rate,
+        message: "Exchange rate updated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Remove the exchange rate for a currency
+   * @route   DELETE /api/currencies/rates/:currency
+   * @access  Private (admin)
+   */
+  async deleteRate(req, res, next) {
+    try {
+      await CurrencyService.deleteRate(req.params.currency, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Exchange rate removed",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Import exchange rates from a CSV or JSON file
+   * @route   POST /api/currencies/rates/import
+   * @access  Private (admin)
+   */
+  async importRates(req, res, next) {
+    try {
+      const result = await CurrencyService.importRates(req.file, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: `Imported ${result.imported} exchange rates`,
+      });
+    } catch (error) {
+      logger.error(`Exchange rate import failed: ${error.message}`, {
+        userId: req.user.id,
+        file: req.file?.originalname,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new CurrencyController();
@@ -0,0 +1,26 @@
+import express from "express";
+import CurrencyController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { uploadRatesFile } from "../../middlewares/upload.js";
+import { currencySchemas } from "./schema.js";
+
+const router = express.Router();
+const adminOnly = authenticateUser({ roles: ["admin"] });
+
+router.get("/rates", CurrencyController.getRates);
+router.get("/convert", CurrencyController.convert);
+
+router.get("/rates/admin", adminOnly, CurrencyController.listRates);
+router.post(
+  "/rates/import",
+  adminOnly,
+  uploadRatesFile,
+  CurrencyController.importRates
+);
+router
+  .route("/rates/:currency")
+  .put(adminOnly, validate(currencySchemas.setRate), CurrencyController.setRate)
+  .delete(adminOnly, CurrencyController.deleteRate);
+
+export default router;
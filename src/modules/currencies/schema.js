@@ -0,0 +1,20 @@
+// currencies/schema.js
+import Joi from "joi";
+
+export const currencyCode = Joi.string()
+  .trim()
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({ "string.pattern.base": "Currency must be a 3-letter ISO code" });
+
+export const currencySchemas = {
+  setRate: Joi.object({
+    rate: Joi.number().positive().precision(8).required(),
+  }),
+
+  convertQuery: Joi.object({
+    amount: Joi.number().min(0).required(),
+    from: currencyCode.required(),
+    to: currencyCode.required(),
+  }),
+};
@@ -0,0 +1,226 @@
+import prisma from "../../config/database.js";
+import redis from "../../config/redis.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import {
+  BadRequestError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+
+const RATES_CACHE_KEY = "exchange_rates";
+const CODE_PATTERN = /^[A-Z]{3}$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class CurrencyService {
+  get baseCurrency() {
+    return config.get("currency.base").toUpperCase();
+  }
+
+  /**
+   * All rates keyed by currency, including the base currency at 1. Cached
+   * in Redis because every search and quote converts through it.
+   * @returns {Promise<{base: string, rates: Object<string, number>}>}
+   */
+  async getRates() {
+    const cached = await redis.get(RATES_CACHE_KEY).catch(() => null);
+    if (cached) return JSON.parse(cached);
+
+    const rows = await prisma.exchangeRate.findMany();
+    const rates = { [this.baseCurrency]: 1 };
+    for (const row of rows) rates[row.currency] = Number(row.rate);
+
+    const result = { base: this.baseCurrency, rates };
+    await redis
+      .setex(RATES_CACHE_KEY, config.get("currency.rateCacheSeconds"), JSON.stringify(result))
+      .catch((error) => logger.warn(`Failed to cache exchange rates: ${error.message}`));
+
+    return result;
+  }
+
+  /**
+   * Rate that converts an amount in `from` into `to`
+   * @param {string} from - ISO currency code
+   * @param {string} to - ISO currency code
+   * @param {Object} [rates] - Preloaded rate map from getRates
+   * @returns {Promise<number>}
+   */
+  async getRate(from, to, rates) {
+    const source = from.toUpperCase();
+    const target = to.toUpperCase();
+    if (source === target) return 1;
+
+    const table = rates || (await this.getRates()).rates;
+    for (const code of [source, target]) {
+      if (!table[code]) {
+        throw new ValidationError(`No exchange rate configured for ${code}`);
+      }
+    }
+
+    return table[target] / table[source];
+  }
+
+  /**
+   * Convert an amount between currencies, rounded to cents
+   * @returns {Promise<{amount: number, currency: string, rate: number}>}
+   */
+  async convert(amount, from, to) {
+    const rate = await this.getRate(from, to);
+    return {
+      amount: round(Number(amount) * rate),
+      currency: to.toUpperCase(),
+      rate,
+    };
+  }
+
+  async listRates() {
+    const rows = await prisma.exchangeRate.findMany({
+      orderBy: { currency: "asc" },
+    });
+    return { base: this.baseCurrency, rates: rows };
+  }
+
+  async setRate(currency, rate, adminId, source = "manual") {
+    const code = this.assertCode(currency);
+
+    const row = await prisma.exchangeRate.upsert({
+      where: { currency: code },
+      create: { currency: code, rate, source, updatedBy: adminId },
+      update: { rate, source, updatedBy: adminId },
+    });
+
+    await this.clearCache();
+    logger.info(`Exchange rate ${this.baseCurrency}/${code} set to ${rate} by ${adminId}`);
+    return row;
+  }
+
+  async deleteRate(currency, adminId) {
+    const code = this.assertCode(currency);
+
+    const existing = await prisma.exchangeRate.findUnique({
+      where: { currency: code },
+    });
+    if (!existing) throw new NotFoundError(`No exchange rate for ${code}`);
+
+    await prisma.exchangeRate.delete({ where: { currency: code } });
+    await this.clearCache();
+    logger.info(`Exchange rate for ${code} removed by ${adminId}`);
+  }
+
+  /**
+   * Replace or add rates from an uploaded CSV or JSON file. The whole file
+   * is validated first and applied in one transaction, so a bad row never
+   * leaves the table half updated.
+   *
+   * CSV: a `currency,rate` header followed by one row per currency.
+   * JSON: `{ "rates": { "PKR": 278.5 } }`, `{ "PKR": 278.5 }` or
+   * `[{ "currency": "PKR", "rate": 278.5 }]`.
+   * @param {Object} file - Multer file (buffer, originalname, mimetype)
+   * @param {string} adminId
+   * @returns {Promise<{imported: number, currencies: string[]}>}
+   */
+  async importRates(file, adminId) {
+    if (!file?.buffer?.length) {
+      throw new BadRequestError("A CSV or JSON rates file is required");
+    }
+
+    const isJson =
+      file.mimetype === "application/json" || /\.json$/i.test(file.originalname || "");
+    const entries = isJson
+      ? this.parseJsonRates(file.buffer.toString("utf8"))
+      : this.parseCsvRates(file.buffer.toString("utf8"));
+
+    const errors = [];
+    const rows = new Map();
+    entries.forEach(({ currency, rate }, index) => {
+      const code = String(currency || "").trim().toUpperCase();
+      const value = Number(rate);
+
+      if (!CODE_PATTERN.test(code)) {
+        errors.push({ row: index + 1, message: `Invalid currency code "${currency}"` });
+      } else if (!Number.isFinite(value) || value <= 0) {
+        errors.push({ row: index + 1, message: `Invalid rate for ${code}` });
+      } else if (code !== this.baseCurrency) {
+        rows.set(code, value);
+      }
+    });
+
+    if (errors.length) {
+      throw new BadRequestError("Exchange rate file contains invalid rows", errors);
+    }
+    if (!rows.size) {
+      throw new BadRequestError("Exchange rate file contains no rates");
+    }
+
+    const source = (file.originalname || "import").slice(0, 100);
+    await prisma.$transaction(
+      [...rows].map(([currency, rate]) =>
+        prisma.exchangeRate.upsert({
+          where: { currency },
+          create: { currency, rate, source, updatedBy: adminId },
+          update: { rate, source, updatedBy: adminId },
+        })
+      )
+    );
+
+    await this.clearCache();
+    logger.info(`Imported ${rows.size} exchange rates from ${source} by ${adminId}`);
+    return { imported: rows.size, currencies: [...rows.keys()] };
+  }
+
+  parseCsvRates(text) {
+    const lines = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+    const header = (lines.shift() || "").toLowerCase().split(",").map((h) => h.trim());
+    const currencyIndex = header.indexOf("currency");
+    const rateIndex = header.indexOf("rate");
+
+    if (currencyIndex === -1 || rateIndex === -1) {
+      throw new BadRequestError("CSV must have a currency,rate header");
+    }
+
+    return lines.map((line) => {
+      const cells = line.split(",").map((cell) => cell.trim());
+      return { currency: cells[currencyIndex], rate: cells[rateIndex] };
+    });
+  }
+
+  parseJsonRates(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new BadRequestError("Rates file is not valid JSON");
+    }
+
+    if (Array.isArray(data)) return data;
+
+    const rates = data?.rates && typeof data.rates === "object" ? data.rates : data;
+    if (!rates || typeof rates !== "object") {
+      throw new BadRequestError("Rates file has an unsupported JSON shape");
+    }
+    return Object.entries(rates).map(([currency, rate]) => ({ currency, rate }));
+  }
+
+  assertCode(currency) {
+    const code = String(currency || "").toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+      throw new ValidationError("Currency must be a 3-letter ISO code");
+    }
+    if (code === this.baseCurrency) {
+      throw new ValidationError(`${code} is the base currency and is always 1`);
+    }
+    return code;
+  }
+
+  async clearCache() {
+    await redis.del(RATES_CACHE_KEY).catch((error) => {
+      logger.warn(`Failed to clear exchange rate cache: ${error.message}`);
+    });
+  }
+}
+
+export default new CurrencyService();
@@ -0,0 +1,208 @@
+import DepositService from "./service.js";
+import logger from "../../config/logger.js";
+import { hasRole } from "../../utils/roleUtils.js";
+
+const actorFrom = (req) => ({
+  userId: req.user.id,
+  isAdmin: hasRole(req.user, "admin"),
+});
+
+class DepositController {
+  /**
+   * @desc    Get the booking's security deposit and damage claim
+   * @route   GET /api/bookings/:bookingId/deposit
+   * @access  Private (guest, host or admin)
+   */
+  async getDeposit(req, res, next) {
+    try {
+      const deposit = await DepositService.getDeposit(
+        req.params.bookingId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({ success: true, data: deposit });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Place the deposit hold on the guest's card
+   * @route   POST /api/bookings/:bookingId/deposit/hold
+   * @access  Private (guest)
+   */
+  async placeHold(req, res, next) {
+    const { bookingId } = req.params;
+
+    try {
+      const deposit = await DepositService.placeHold(
+        bookingId,
+        actorFrom(req),
+        req.body.paymentMethod
+      );
+
+      res.status(200).json({
+        success: true,
+        data: deposit,
+        message: "Security deposit held",
+      });
+    } catch (error) {
+      logger.error(`Deposit hold failed: ${error.message}`, {
+        bookingId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    File a damage claim with photo evidence
+   * @route   POST /api/bookings/:bookingId/deposit/claims
+   * @access  Private (host or admin)
+   */
+  async fileClaim(req, res, next) {
+    const { bookingId } = req.params;
+
+    try {
+      const { photos } = req.body;
+      const claim = await DepositService.fileClaim(
+        bookingId,
+        actorFrom(req),
+        {
+          ...req.body,
+          photos: photos ? [].concat(photos) : [],
+        },
+        req.files || []
+      );
+
+      res.status(201).json({
+        success: true,
+        data: claim,
+        message: "Damage claim filed",
+      });
+    } catch (error) {
+      logger.error(`Damage claim failed: ${error.message}`, {
+        bookingId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Accept a damage claim
+   * @route   PATCH /api/bookings/:bookingId/deposit/claims/:claimId/accept
+   * @access  Private (guest)
+   */
+  async acceptClaim(req, res, next) {
+    const { bookingId, claimId } = req.params;
+
+    try {
+      const claim = await DepositService.acceptClaim(
+        bookingId,
+        claimId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: claim,
+        message: "Damage claim accepted",
+      });
+    } catch (error) {
+      logger.error(`Accepting damage claim failed: ${error.message}`, {
+        bookingId,
+        claimId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Dispute a damage claim
+   * @route   PATCH /api/bookings/:bookingId/deposit/claims/:claimId/dispute
+   * @access  Private (guest)
+   */
+  async disputeClaim(req, res, next) {
+    const { bookingId, claimId } = req.params;
+
+    try {
+      const claim = await DepositService.disputeClaim(
+        bookingId,
+        claimId,
+        actorFrom(req),
+        req.body.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        data: claim,
+        message: "Damage claim disputed",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Resolve a disputed damage claim
+   * @route   PATCH /api/bookings/:bookingId/deposit/claims/:claimId/resolve
+   * @access  Private (admin)
+   */
+  async resolveClaim(req, res, next) {
+    const { bookingId, claimId } = req.params;
+
+    try {
+      const claim = await DepositService.resolveClaim(
+        bookingId,
+        claimId,
+        req.user.id,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: claim,
+        message: "Damage claim resolved",
+      });
+    } catch (error) {
+      logger.error(`Resolving damage claim failed: ${error.message}`, {
+        bookingId,
+        claimId,
+        adminId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Withdraw a damage claim
+   * @route   PATCH /api/bookings/:bookingId/deposit/claims/:claimId/withdraw
+   * @access  Private (host or admin)
+   */
+  async withdrawClaim(req, res, next) {
+    const { bookingId, claimId } = req.params;
+
+    try {
+      const claim = await DepositService.withdrawClaim(
+        bookingId,
+        claimId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: claim,
+        message: "Damage claim withdrawn",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new DepositController();
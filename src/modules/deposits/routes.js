@@ -0,0 +1,40 @@
+import express from "express";
+import DepositController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { uploadClaimPhotos } from "../../middlewares/upload.js";
+import { depositSchemas } from "./schema.js";
+
+// Mounted under /bookings/:bookingId/deposit
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser());
+
+router.get("/", DepositController.getDeposit);
+router.post(
+  "/hold",
+  validate(depositSchemas.placeHold),
+  DepositController.placeHold
+);
+
+router.post(
+  "/claims",
+  uploadClaimPhotos,
+  validate(depositSchemas.fileClaim),
+  DepositController.fileClaim
+);
+router.patch("/claims/:claimId/accept", DepositController.acceptClaim);
+router.patch(
+  "/claims/:claimId/dispute",
+  validate(depositSchemas.disputeClaim),
+  DepositController.disputeClaim
+);
+router.patch(
+  "/claims/:claimId/resolve",
+  authenticateUser({ roles: ["admin"] }),
+  validate(depositSchemas.resolveClaim),
+  DepositController.resolveClaim
+);
+router.patch("/claims/:claimId/withdraw", DepositController.withdrawClaim);
+
+export default router;
@@ -0,0 +1,25 @@
+// deposits/schema.js
+import Joi from "joi";
+
+export const depositSchemas = {
+  placeHold: Joi.object({
+    paymentMethod: Joi.string().max(100).optional(),
+  }),
+
+  fileClaim: Joi.object({
+    amount: Joi.number().positive().precision(2).required(),
+    description: Joi.string().trim().min(10).max(2000).required(),
+    photos: Joi.alternatives()
+      .try(Joi.array().items(Joi.string().uri()).max(10), Joi.string().uri())
+      .optional(),
+  }),
+
+  disputeClaim: Joi.object({
+    reason: Joi.string().trim().min(10).max(1000).required(),
+  }),
+
+  resolveClaim: Joi.object({
+    awardedAmount: Joi.number().min(0).precision(2).required(),
+    note: Joi.string().trim().max(1000).optional(),
+  }),
+};
@@ -0,0 +1,492 @@
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { DateTime } from "luxon";
+import {
+  BookingError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import { uploadToCloudinary } from "../../utils/fileStorage.js";
+import { getProvider } from "../payments/providers/index.js";
+import LedgerService from "../payouts/ledger.js";
+import pkg from "@prisma/client";
+const { BookingStatus, DamageClaimStatus, DepositStatus } = pkg;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Booking statuses in which a deposit hold may still be placed
+const HOLDABLE_BOOKING_STATUSES = [
+  BookingStatus.PENDING,
+  BookingStatus.CONFIRMED,
+  BookingStatus.PAID,
+  BookingStatus.ACTIVE,
+];
+
+class DepositService {
+  /**
+   * Create the deposit row for a new booking when the property asks for one
+   * @param {object} tx - Prisma transaction client
+   * @param {object} booking - Newly created booking
+   * @param {number|string|null} listingDeposit - RentalDetails.securityDeposit
+   * @returns {Promise<object|null>} Deposit, or null when none is required
+   */
+  async createForBooking(tx, booking, listingDeposit) {
+    const amount = Number(listingDeposit || 0);
+    if (amount <= 0) return null;
+
+    return tx.securityDeposit.create({
+      data: {
+        bookingId: booking.id,
+        amount: round(amount * Number(booking.exchangeRate ?? 1)),
+        currency: booking.currency,
+      },
+    });
+  }
+
+  async getDeposit(bookingId, actor) {
+    const { booking } = await this.loadForActor(bookingId, actor);
+    return booking.deposit;
+  }
+
+  /**
+   * Authorize the deposit on the guest's card
+   * @param {string} bookingId
+   * @param {Object} actor - The guest
+   * @param {string} [paymentMethod] - Defaults to the booking payment's method
+   */
+  async placeHold(bookingId, actor, paymentMethod) {
+    const { booking, deposit } = await this.loadForActor(bookingId, actor);
+    if (booking.tenantId !== actor.userId) {
+      throw new ForbiddenError("Only the guest can place the deposit hold");
+    }
+    if (!HOLDABLE_BOOKING_STATUSES.includes(booking.status)) {
+      throw new BookingError(
+        `A deposit cannot be held for a ${booking.status} booking`
+      );
+    }
+    if (![DepositStatus.PENDING, DepositStatus.FAILED].includes(deposit.status)) {
+      return deposit;
+    }
+
+    return this.withDepositLock(deposit.id, async () => {
+      const provider = getProvider();
+      const authorization = await provider.authorize({
+        amount: Number(deposit.amount),
+        currency: deposit.currency,
+        paymentMethod: paymentMethod || booking.payment?.paymentMethod || null,
+        metadata: { bookingId, depositId: deposit.id, userId: actor.userId },
+      });
+      const held = authorization.status === "authorized";
+
+      const updated = await prisma.securityDeposit.update({
+        where: { id: deposit.id },
+        data: {
+          provider: provider.name,
+          paymentIntentId: authorization.intentId,
+          status: held ? DepositStatus.HELD : DepositStatus.FAILED,
+          heldAt: held ? new Date() : null,
+          failureReason: held ? null : authorization.failureReason,
+        },
+      });
+
+      if (!held) {
+        throw new PaymentError(
+          authorization.failureReason || "Deposit hold declined"
+        );
+      }
+
+      logger.info(`Deposit ${deposit.id} held for booking ${bookingId}`);
+      return updated;
+    });
+  }
+
+  /**
+   * Start the damage claim window once the guest has checked out
+   * @param {object} tx - Prisma transaction client
+   * @param {string} bookingId
+   */
+  async openClaimWindow(tx, bookingId) {
+    await tx.securityDeposit.updateMany({
+      where: { bookingId, status: DepositStatus.HELD, claimWindowEndsAt: null },
+      data: {
+        claimWindowEndsAt: DateTime.now()
+          .plus({ hours: config.get("bookings.claimWindowHours") })
+          .toJSDate(),
+      },
+    });
+  }
+
+  /**
+   * File a damage claim against a held deposit
+   * @param {string} bookingId
+   * @param {Object} actor - The host (or an admin)
+   * @param {Object} claim - amount, description and photo URLs
+   * @param {Array<Object>} [files] - Uploaded evidence photos
+   */
+  async fileClaim(bookingId, actor, { amount, description, photos = [] }, files = []) {
+    const { booking, deposit } = await this.loadForActor(bookingId, actor);
+    this.assertHost(booking, actor);
+
+    if (booking.status !== BookingStatus.COMPLETED) {
+      throw new BookingError("Damage claims can only be filed after checkout");
+    }
+    if (deposit.status !== DepositStatus.HELD) {
+      throw new ConflictError(`Deposit is ${deposit.status}, not HELD`);
+    }
+    if (!deposit.claimWindowEndsAt || deposit.claimWindowEndsAt < new Date()) {
+      throw new ConflictError("The damage claim window has closed");
+    }
+    if (deposit.claim) {
+      throw new ConflictError("A damage claim has already been filed for this booking");
+    }
+    if (amount > Number(deposit.amount)) {
+      throw new ValidationError(
+        `Claim cannot exceed the deposit of ${Number(deposit.amount)} ${deposit.currency}`
+      );
+    }
+
+    const uploaded = await Promise.all(
+      files.map((file) =>
+        uploadToCloudinary(file.buffer, { folder: `damage-claims/${bookingId}` })
+      )
+    );
+
+    try {
+      const claim = await prisma.damageClaim.create({
+        data: {
+          depositId: deposit.id,
+          bookingId,
+          hostId: booking.property.ownerId,
+          amount,
+          description,
+          photos: [...photos, ...uploaded.map((result) => result.secure_url)],
+          respondBy: DateTime.now()
+            .plus({ hours: config.get("bookings.claimResponseHours") })
+            .toJSDate(),
+        },
+      });
+
+      logger.info(`Damage claim ${claim.id} of ${amount} filed on booking ${bookingId}`);
+      return claim;
+    } catch (error) {
+      if (error.code === "P2002") {
+        throw new ConflictError("A damage claim has already been filed for this booking");
+      }
+      throw error;
+    }
+  }
+
+  // Guest agrees to the claim; the claimed amount is collected from the hold
+  async acceptClaim(bookingId, claimId, actor) {
+    const { booking, claim } = await this.loadClaim(bookingId, claimId, actor);
+    this.assertGuest(booking, actor);
+
+    return this.settleClaim(claim, {
+      from: [DamageClaimStatus.OPEN],
+      status: DamageClaimStatus.ACCEPTED,
+      awardedAmount: Number(claim.amount),
+      data: { respondedAt: new Date() },
+    });
+  }
+
+  // Guest disputes the claim; the hold stays in place until an admin decides
+  async disputeClaim(bookingId, claimId, actor, reason) {
+    const { booking, claim } = await this.loadClaim(bookingId, claimId, actor);
+    this.assertGuest(booking, actor);
+
+    const result = await prisma.damageClaim.updateMany({
+      where: { id: claim.id, status: DamageClaimStatus.OPEN },
+      data: {
+        status: DamageClaimStatus.DISPUTED,
+        disputeReason: reason,
+        respondedAt: new Date(),
+      },
+    });
+    if (!result.count) {
+      throw new ConflictError(`Claim is ${claim.status}, not OPEN`);
+    }
+
+    logger.info(`Damage claim ${claim.id} disputed by guest ${actor.userId}`);
+    return prisma.damageClaim.findUnique({ where: { id: claim.id } });
+  }
+
+  // Admin decision on a disputed claim; awarding 0 releases the deposit
+  async resolveClaim(bookingId, claimId, adminId, { awardedAmount, note }) {
+    const { claim } = await this.loadClaim(bookingId, claimId, {
+      userId: adminId,
+      isAdmin: true,
+    });
+    if (awardedAmount > Number(claim.amount)) {
+      throw new ValidationError(
+        `Awarded amount cannot exceed the claim of ${Number(claim.amount)}`
+      );
+    }
+
+    return this.settleClaim(claim, {
+      from: [DamageClaimStatus.DISPUTED],
+      status: DamageClaimStatus.RESOLVED,
+      awardedAmount,
+      data: {
+        resolvedById: adminId,
+        resolutionNote: note || null,
+      },
+    });
+  }
+
+  // Host drops the claim; the deposit is released in full
+  async withdrawClaim(bookingId, claimId, actor) {
+    const { booking, claim } = await this.loadClaim(bookingId, claimId, actor);
+    this.assertHost(booking, actor);
+
+    return this.settleClaim(claim, {
+      from: [DamageClaimStatus.OPEN, DamageClaimStatus.DISPUTED],
+      status: DamageClaimStatus.WITHDRAWN,
+      awardedAmount: 0,
+    });
+  }
+
+  /**
+   * Move a claim to its final status and settle the deposit: capture the
+   * awarded amount from the hold, or void the hold when nothing is owed.
+   * Runs under the deposit lock and re-checks the claim status so a claim
+   * is never settled twice.
+   */
+  async settleClaim(claim, { from, status, awardedAmount, data = {} }) {
+    return this.withDepositLock(claim.depositId, async () => {
+      const current = await prisma.damageClaim.findUnique({
+        where: { id: claim.id },
+        include: { deposit: true },
+      });
+      if (!from.includes(current.status)) {
+        throw new ConflictError(`Claim is ${current.status}, not ${from.join(" or ")}`);
+      }
+
+      const deposit = await this.settleDeposit(current.deposit, awardedAmount);
+
+      const settled = await prisma.damageClaim.update({
+        where: { id: claim.id },
+        data: {
+          ...data,
+          status,
+          awardedAmount,
+          resolvedAt: new Date(),
+        },
+      });
+
+      logger.info(
+        `Damage claim ${claim.id} ${status.toLowerCase()}, ${awardedAmount} collected`,
+        { depositId: deposit.id, depositStatus: deposit.status }
+      );
+      return { ...settled, deposit };
+    });
+  }
+
+  // Capture `amount` from a held deposit, or release it when amount is 0
+  async settleDeposit(deposit, amount) {
+    if (deposit.status !== DepositStatus.HELD) {
+      throw new ConflictError(`Deposit is ${deposit.status}, not HELD`);
+    }
+    if (!amount) return this.voidHold(deposit);
+
+    const provider = getProvider(deposit.provider);
+    const result = await provider.capture({
+      intentId: deposit.paymentIntentId,
+      amount,
+    });
+    if (result.status !== "captured") {
+      await prisma.securityDeposit.update({
+        where: { id: deposit.id },
+        data: { failureReason: result.failureReason?.slice(0, 255) },
+      });
+      throw new PaymentError(result.failureReason || "Deposit capture failed");
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const captured = await tx.securityDeposit.update({
+        where: { id: deposit.id },
+        data: {
+          status:
+            amount < Number(deposit.amount)
+              ? DepositStatus.PARTIALLY_CAPTURED
+              : DepositStatus.CAPTURED,
+          transactionId: result.transactionId,
+          capturedAmount: amount,
+          settledAt: new Date(),
+          failureReason: null,
+        },
+      });
+
+      // The captured amount is owed to the host
+      const booking = await tx.booking.findUnique({
+        where: { id: deposit.bookingId },
+        select: { property: { select: { ownerId: true } } },
+      });
+      if (booking?.property?.ownerId) {
+        await LedgerService.postDamageClaim(tx, captured, booking.property.ownerId);
+      }
+
+      return captured;
+    });
+  }
+
+  async voidHold(deposit) {
+    const provider = getProvider(deposit.provider);
+    const result = await provider.void({ intentId: deposit.paymentIntentId });
+    if (result.status !== "voided") {
+      await prisma.securityDeposit.update({
+        where: { id: deposit.id },
+        data: { failureReason: result.failureReason?.slice(0, 255) },
+      });
+      throw new PaymentError(result.failureReason || "Deposit release failed");
+    }
+
+    return prisma.securityDeposit.update({
+      where: { id: deposit.id },
+      data: {
+        status: DepositStatus.RELEASED,
+        capturedAmount: 0,
+        settledAt: new Date(),
+        failureReason: null,
+      },
+    });
+  }
+
+  /**
+   * Release whatever deposit a booking holds, e.g. when it is cancelled.
+   * Deposits that were never held are simply closed.
+   * @returns {Promise<object|null>} Updated deposit
+   */
+  async releaseForBooking(bookingId, reason) {
+    const deposit = await prisma.securityDeposit.findUnique({
+      where: { bookingId },
+    });
+    if (!deposit) return null;
+
+    if ([DepositStatus.PENDING, DepositStatus.FAILED].includes(deposit.status)) {
+      return prisma.securityDeposit.update({
+        where: { id: deposit.id },
+        data: { status: DepositStatus.RELEASED, settledAt: new Date() },
+      });
+    }
+    if (deposit.status !== DepositStatus.HELD) return deposit;
+
+    const released = await this.withDepositLock(deposit.id, async () => {
+      const current = await prisma.securityDeposit.findUnique({
+        where: { id: deposit.id },
+      });
+      return current.status === DepositStatus.HELD
+        ? this.voidHold(current)
+        : current;
+    });
+
+    logger.info(`Deposit ${deposit.id} released: ${reason}`);
+    return released;
+  }
+
+  /**
+   * Scheduler: release held deposits whose claim window closed without a
+   * claim being filed
+   * @returns {Promise<string[]>} Booking ids whose deposits can be released
+   */
+  async findUnclaimedExpiredDeposits(now = new Date(), limit = 100) {
+    const deposits = await prisma.securityDeposit.findMany({
+      where: {
+        status: DepositStatus.HELD,
+        claimWindowEndsAt: { lte: now },
+        claim: { is: null },
+      },
+      select: { bookingId: true },
+      orderBy: { claimWindowEndsAt: "asc" },
+      take: limit,
+    });
+    return deposits.map((deposit) => deposit.bookingId);
+  }
+
+  /**
+   * Scheduler: claims the guest never answered are treated as accepted
+   * @returns {Promise<Array<{id: string, bookingId: string}>>}
+   */
+  async findUnansweredClaims(now = new Date(), limit = 100) {
+    return prisma.damageClaim.findMany({
+      where: { status: DamageClaimStatus.OPEN, respondBy: { lte: now } },
+      select: { id: true, bookingId: true },
+      orderBy: { respondBy: "asc" },
+      take: limit,
+    });
+  }
+
+  async autoAcceptClaim(claimId) {
+    const claim = await prisma.damageClaim.findUnique({ where: { id: claimId } });
+    if (!claim) throw new NotFoundError("Damage claim not found");
+
+    return this.settleClaim(claim, {
+      from: [DamageClaimStatus.OPEN],
+      status: DamageClaimStatus.ACCEPTED,
+      awardedAmount: Number(claim.amount),
+      data: { resolutionNote: "Accepted automatically: no response from guest" },
+    });
+  }
+
+  async loadForActor(bookingId, { userId, isAdmin = false }) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        payment: { select: { paymentMethod: true } },
+        property: { select: { ownerId: true } },
+        deposit: { include: { claim: true } },
+      },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (
+      !isAdmin &&
+      booking.tenantId !== userId &&
+      booking.property?.ownerId !== userId
+    ) {
+      throw new ForbiddenError("Not authorized to view this booking");
+    }
+    if (!booking.deposit) {
+      throw new NotFoundError("This booking has no security deposit");
+    }
+
+    return { booking, deposit: booking.deposit };
+  }
+
+  async loadClaim(bookingId, claimId, actor) {
+    const { booking, deposit } = await this.loadForActor(bookingId, actor);
+    if (!deposit.claim || deposit.claim.id !== claimId) {
+      throw new NotFoundError("Damage claim not found");
+    }
+    return { booking, deposit, claim: deposit.claim };
+  }
+
+  assertHost(booking, { userId, isAdmin = false }) {
+    if (!isAdmin && booking.property?.ownerId !== userId) {
+      throw new ForbiddenError("Only the host can manage damage claims");
+    }
+  }
+
+  assertGuest(booking, { userId }) {
+    if (booking.tenantId !== userId) {
+      throw new ForbiddenError("Only the guest can respond to a damage claim");
+    }
+  }
+
+  async withDepositLock(depositId, fn) {
+    try {
+      return await withLock(`deposit:${depositId}:lock`, fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Deposit is being updated, please retry");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new DepositService();
@@ -11,6 +11,17 @@ import profileRoutes from "./profile/routes.js";
 import bookingRoutes from "./bookings/routes.js";
 import redis from "../config/redis.js";
 import ownershipRequestRoutes from "./ownership-request/routes.js";
+import paymentRoutes from "./payments/routes.js";
+import pricingRuleRoutes from "./pricing-rules/routes.js";
+import availabilityRuleRoutes from "./availability-rules/routes.js";
+import taxRoutes from "./taxes/routes.js";
+import currencyRoutes from "./currencies/routes.js";
+import depositRoutes from "./deposits/routes.js";
+import payoutRoutes from "./payouts/routes.js";
+import calendarRoutes from "./calendars/routes.js";
+import saleRoutes from "./sales/routes.js";
+import searchIndexRoutes from "./search-index/routes.js";
+import savedSearchRoutes from "./saved-searches/routes.js";
 
 const routes = Router();
 routes.use("/auth", authRoutes);
@@ -18,11 +29,22 @@ routes.use("/roles", rolesRoutes);
 routes.use("/permissions", permissionsRoutes);
 routes.use("/user-roles", UserRoleRoutes);
 routes.use("/user-permissions", rolePermissionsRoutes);
+routes.use("/properties/:propertyId/pricing-rules", pricingRuleRoutes);
+routes.use("/properties/:propertyId/availability-rules", availabilityRuleRoutes);
+routes.use("/properties/:propertyId/calendars", calendarRoutes);
 routes.use("/properties", propertyRoutes);
 routes.use("/conversations", messageRoutes);
 routes.use("/profile", profileRoutes);
+routes.use("/bookings/:bookingId/deposit", depositRoutes);
 routes.use("/bookings", bookingRoutes);
 routes.use("/ownership-requests", ownershipRequestRoutes);
+routes.use("/payments", paymentRoutes);
+routes.use("/taxes", taxRoutes);
+routes.use("/currencies", currencyRoutes);
+routes.use("/owners", payoutRoutes);
+routes.use("/sales", saleRoutes);
+routes.use("/search-index", searchIndexRoutes);
+routes.use("/saved-searches", savedSearchRoutes);
 routes.get("/csrf-token", (req, res) => {
   res.cookie('CSRF-TOKEN', token, {
     httpOnly: false, // So frontend JS can read it
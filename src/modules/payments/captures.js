@@ -0,0 +1,40 @@
+import logger from "../../config/logger.js";
+import { markBookingPaid } from "../bookings/lifecycle.js";
+import InvoiceService from "../bookings/invoices.js";
+import LedgerService from "../payouts/ledger.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Book a payment the gateway just captured: the booking is paid, invoiced
+ * and charged in the ledger. A capture that lands once the booking was
+ * cancelled or expired is no sale, so the payment is marked unbilled and
+ * its whole amount is left for the lifecycle job to refund.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} payment - Payment as it was before the capture
+ * @param {Object} [options] - Actor and reason for the status history
+ * @returns {Promise<boolean>} Whether the capture was booked as a sale
+ */
+export const bookCapture = async (tx, payment, options = {}) => {
+  const paid = await markBookingPaid(tx, payment.bookingId, options);
+  if (paid) {
+    await InvoiceService.issueInvoice(tx, payment.bookingId);
+    await LedgerService.postCharge(tx, payment.id);
+    return true;
+  }
+
+  const booking = await tx.booking.findUnique({
+    where: { id: payment.bookingId },
+    select: { status: true, refundDue: true },
+  });
+  await tx.payment.update({ where: { id: payment.id }, data: { unbilled: true } });
+  await tx.booking.update({
+    where: { id: payment.bookingId },
+    data: { refundDue: round(Number(booking.refundDue ?? 0) + Number(payment.amount)) },
+  });
+
+  logger.warn(
+    `Payment ${payment.id} captured on a ${booking.status} booking; ${payment.amount} queued for refund`
+  );
+  return false;
+};
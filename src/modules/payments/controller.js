@@ -0,0 +1,172 @@
+import PaymentService from "./service.js";
+import WebhookService from "./webhooks.js";
+import logger from "../../config/logger.js";
+import { hasRole } from "../../utils/roleUtils.js";
+
+class PaymentController {
+  /**
+   * @desc    Create a payment intent for a pending booking
+   * @route   POST /api/payments/intents
+   * @access  Private
+   */
+  async createIntent(req, res, next) {
+    const { bookingId, paymentMethod } = req.body;
+    const userId = req.user.id;
+
+    try {
+      const payment = await PaymentService.createPaymentIntent({
+        bookingId,
+        userId,
+        paymentMethod,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: payment,
+        message: "Payment authorized",
+      });
+    } catch (error) {
+      logger.error(`Payment intent creation failed: ${error.message}`, {
+        bookingId,
+        userId,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get payment details
+   * @route   GET /api/payments/:id
+   * @access  Private (tenant, host or admin)
+   */
+  async getPayment(req, res, next) {
+    try {
+      const payment = await PaymentService.getPayment(req.params.id, {
+        userId: req.user.id,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({ success: true, data: payment });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Capture an authorized payment
+   * @route   POST /api/payments/:id/capture
+   * @access  Private (tenant or admin)
+   */
+  async capture(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const payment = await PaymentService.capturePayment(id, {
+        userId: req.user.id,
+        isAdmin: hasRole(req.user, "admin"),
+      });
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: "Payment captured",
+      });
+    } catch (error) {
+      logger.error(`Payment capture failed: ${error.message}`, {
+        paymentId: id,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Void an authorized payment
+   * @route   POST /api/payments/:id/void
+   * @access  Private (tenant or admin)
+   */
+  async void(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const payment = await PaymentService.voidPayment(
+        id,
+        { userId: req.user.id, isAdmin: hasRole(req.user, "admin") },
+        req.body.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: "Payment authorization voided",
+      });
+    } catch (error) {
+      logger.error(`Payment void failed: ${error.message}`, {
+        paymentId: id,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Refund a captured payment
+   * @route   POST /api/payments/:id/refund
+   * @access  Admin
+   */
+  async refund(req, res, next) {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    try {
+      const payment = await PaymentService.refundPayment(id, { amount, reason });
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: "Payment refunded",
+      });
+    } catch (error) {
+      logger.error(`Payment refund failed: ${error.message}`, {
+        paymentId: id,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Receive a signed gateway webhook
+   * @route   POST /api/payments/webhooks/:provider
+   * @access  Public (signature verified)
+   */
+  async handleWebhook(req, res, next) {
+    const { provider } = req.params;
+
+    try {
+      const result = await WebhookService.ingest(
+        provider,
+        req.rawBody || JSON.stringify(req.body),
+        req.headers
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: result.duplicate ? "Event already processed" : "Event received",
+      });
+    } catch (error) {
+      logger.error(`Webhook handling failed: ${error.message}`, {
+        provider,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new PaymentController();
@@ -0,0 +1,94 @@
+// payments/providers/base.js
+import { ConfigurationError } from "../../../utils/apiError.js";
+
+/**
+ * Contract every payment gateway adapter must fulfil.
+ *
+ * Amounts are plain decimal numbers in the payment currency. Each method
+ * resolves with a normalized result so the payment service never has to
+ * know which gateway it is talking to.
+ */
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve funds for a payment
+   * @param {Object} params
+   * @param {number} params.amount - Amount to reserve
+   * @param {string} params.currency - ISO currency code
+   * @param {string} [params.paymentMethod] - Gateway payment method reference
+   * @param {Object} [params.metadata] - Booking/payment references
+   * @returns {Promise<{intentId: string, status: "authorized"|"declined", failureReason?: string}>}
+   */
+  async authorize(params) {
+    throw new ConfigurationError(`${this.name} provider does not implement authorize`);
+  }
+
+  /**
+   * Collect previously authorized funds
+   * @param {Object} params
+   * @param {string} params.intentId - Intent returned by authorize
+   * @param {number} params.amount - Amount to capture
+   * @returns {Promise<{transactionId?: string, status: "captured"|"failed", failureReason?: string}>}
+   */
+  async capture(params) {
+    throw new ConfigurationError(`${this.name} provider does not implement capture`);
+  }
+
+  /**
+   * Release an authorization without collecting funds
+   * @param {Object} params
+   * @param {string} params.intentId - Intent returned by authorize
+   * @returns {Promise<{status: "voided"|"failed", failureReason?: string}>}
+   */
+  async void(params) {
+    throw new ConfigurationError(`${this.name} provider does not implement void`);
+  }
+
+  /**
+   * Return captured funds to the payer
+   * @param {Object} params
+   * @param {string} params.transactionId - Transaction returned by capture
+   * @param {number} params.amount - Amount to refund
+   * @param {string} [params.reason] - Free-text reason
+   * @returns {Promise<{refundId?: string, status: "succeeded"|"pending"|"failed", failureReason?: string}>}
+   */
+  async refund(params) {
+    throw new ConfigurationError(`${this.name} provider does not implement refund`);
+  }
+
+  /**
+   * Throw if the adapter lacks what it needs to run, such as its webhook
+   * signing secret. Checked at boot for the active provider.
+   * @throws {ConfigurationError}
+   */
+  assertConfigured() {
+    throw new ConfigurationError(`${this.name} provider does not declare its configuration`);
+  }
+
+  /**
+   * Check that a webhook request really came from the gateway
+   * @param {Object} params
+   * @param {Buffer|string} params.rawBody - Exact request body bytes
+   * @param {Object} params.headers - Lower-cased request headers
+   * @returns {boolean}
+   */
+  verifyWebhook(params) {
+    throw new ConfigurationError(`${this.name} provider does not support webhooks`);
+  }
+
+  /**
+   * Map a gateway webhook payload onto the normalized event shape. `type` is
+   * one of payment.authorized, payment.captured, payment.failed or
+   * payment.refunded; anything else is stored but ignored.
+   * @param {Object} payload - Parsed webhook body
+   * @returns {{id: string, type: string, intentId?: string, transactionId?: string, refundId?: string, amount?: number, failureReason?: string, occurredAt?: Date}}
+   */
+  parseWebhookEvent(payload) {
+    throw new ConfigurationError(`${this.name} provider does not support webhooks`);
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,61 @@
+// payments/providers/index.js
+import config from "../../../config/env.js";
+import { ConfigurationError } from "../../../utils/apiError.js";
+import { PaymentProvider } from "./base.js";
+import { LocalPaymentProvider } from "./local.js";
+
+const providers = new Map();
+
+/**
+ * Register a gateway adapter under its name
+ * @param {PaymentProvider} provider
+ */
+export const registerProvider = (provider) => {
+  if (!(provider instanceof PaymentProvider)) {
+    throw new ConfigurationError("Payment providers must extend PaymentProvider");
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Name of the gateway new payments go through: the configured one, else
+ * the local fake gateway outside production
+ * @returns {string|null} null when payments are disabled
+ */
+export const activeProviderName = () =>
+  config.get("payments.provider") || (config.get("env") !== "production" ? "local" : null);
+
+/**
+ * Resolve an adapter by name, defaulting to the active gateway
+ * @param {string} [name]
+ * @returns {PaymentProvider}
+ */
+export const getProvider = (name = activeProviderName()) => {
+  if (!name) {
+    throw new ConfigurationError("Payments are disabled: PAYMENT_PROVIDER is not set");
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new ConfigurationError(`Payment provider "${name}" is not registered`);
+  }
+  return provider;
+};
+
+/**
+ * Check the active gateway is registered and fully configured, so the
+ * server refuses to boot rather than accept unverifiable webhooks
+ * @returns {string|null} Active provider name, null when payments are disabled
+ * @throws {ConfigurationError}
+ */
+export const assertPaymentsConfigured = () => {
+  const name = activeProviderName();
+  if (name) getProvider(name).assertConfigured();
+  return name;
+};
+
+// The fake gateway settles payments without moving money: never in production
+if (config.get("env") !== "production") {
+  registerProvider(new LocalPaymentProvider());
+}
+
+export { PaymentProvider };
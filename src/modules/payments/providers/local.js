@@ -0,0 +1,203 @@
+// payments/providers/local.js
+import crypto from "crypto";
+import config from "../../../config/env.js";
+import logger from "../../../config/logger.js";
+import { PaymentProvider } from "./base.js";
+
+export const LOCAL_SIGNATURE_HEADER = "x-local-signature";
+
+// Stands in for an unset LOCAL_PAYMENT_WEBHOOK_SECRET: unguessable, but
+// only this process can sign webhooks with it
+let generatedSecret;
+const webhookSecret = () =>
+  config.get("payments.localWebhookSecret") ||
+  (generatedSecret ??= crypto.randomBytes(32).toString("hex"));
+
+// Payment methods that let local/test flows exercise failure paths
+export const LOCAL_TEST_METHODS = {
+  DECLINED: "pm_card_declined",
+  CAPTURE_FAILS: "pm_capture_fails",
+  REFUND_FAILS: "pm_refund_fails",
+};
+
+/**
+ * Fake in-process gateway for development and tests.
+ *
+ * State lives in memory, so intents do not survive a restart and are not
+ * shared between cluster workers. It is only registered outside
+ * production.
+ */
+export class LocalPaymentProvider extends PaymentProvider {
+  constructor() {
+    super("local");
+    this.intents = new Map();
+    this.transactions = new Map();
+  }
+
+  async authorize({ amount, currency, paymentMethod }) {
+    const intentId = `lpi_${crypto.randomUUID()}`;
+
+    if (paymentMethod === LOCAL_TEST_METHODS.DECLINED) {
+      return { intentId, status: "declined", failureReason: "Card declined" };
+    }
+
+    this.intents.set(intentId, {
+      amount: Number(amount),
+      currency,
+      paymentMethod,
+      status: "authorized",
+    });
+    return { intentId, status: "authorized" };
+  }
+
+  async capture({ intentId, amount }) {
+    const intent = this.intents.get(intentId);
+    if (!intent || intent.status !== "authorized") {
+      return { status: "failed", failureReason: "Unknown or inactive payment intent" };
+    }
+
+    if (intent.paymentMethod === LOCAL_TEST_METHODS.CAPTURE_FAILS) {
+      intent.status = "failed";
+      return { status: "failed", failureReason: "Capture rejected by issuer" };
+    }
+
+    if (Number(amount) > intent.amount) {
+      return { status: "failed", failureReason: "Capture exceeds authorized amount" };
+    }
+
+    const transactionId = `ltx_${crypto.randomUUID()}`;
+    intent.status = "captured";
+    this.transactions.set(transactionId, {
+      amount: Number(amount),
+      refunded: 0,
+      paymentMethod: intent.paymentMethod,
+    });
+    return { transactionId, status: "captured" };
+  }
+
+  async void({ intentId }) {
+    const intent = this.intents.get(intentId);
+    if (!intent || intent.status !== "authorized") {
+      return { status: "failed", failureReason: "Unknown or inactive payment intent" };
+    }
+
+    intent.status = "voided";
+    return { status: "voided" };
+  }
+
+  async refund({ transactionId, amount }) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      return { status: "failed", failureReason: "Unknown transaction" };
+    }
+
+    if (transaction.paymentMethod === LOCAL_TEST_METHODS.REFUND_FAILS) {
+      return { status: "failed", failureReason: "Refund rejected by issuer" };
+    }
+
+    if (transaction.refunded + Number(amount) > transaction.amount) {
+      return { status: "failed", failureReason: "Refund exceeds captured amount" };
+    }
+
+    transaction.refunded += Number(amount);
+    return { refundId: `lre_${crypto.randomUUID()}`, status: "succeeded" };
+  }
+
+  assertConfigured() {
+    if (!config.get("payments.localWebhookSecret")) {
+      logger.warn(
+        "LOCAL_PAYMENT_WEBHOOK_SECRET is not set: local webhooks are signed with a per-process secret"
+      );
+    }
+  }
+
+  verifyWebhook({ rawBody, headers }) {
+    const secret = webhookSecret();
+    const header = headers?.[LOCAL_SIGNATURE_HEADER];
+    if (!secret || !header || !rawBody) return false;
+
+    const parts = Object.fromEntries(
+      header.split(",").map((part) => part.trim().split("="))
+    );
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+
+    const tolerance = config.get("payments.webhookToleranceSeconds");
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      computeSignature(timestamp, rawBody, secret)
+    );
+    const received = Buffer.from(parts.v1);
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  parseWebhookEvent(payload) {
+    const data = payload?.data || {};
+    return {
+      id: payload?.id,
+      type: payload?.type,
+      intentId: data.intentId,
+      transactionId: data.transactionId,
+      refundId: data.refundId,
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      failureReason: data.failureReason,
+      occurredAt: payload?.created ? new Date(payload.created * 1000) : undefined,
+    };
+  }
+}
+
+const computeSignature = (timestamp, body, secret) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Build a local gateway event in the shape the webhook endpoint accepts
+ * @param {string} type - e.g. "payment.captured"
+ * @param {Object} data - intentId, transactionId, refundId, amount, failureReason
+ * @param {Object} [options]
+ * @param {string} [options.id] - Reuse an id to simulate redelivery
+ * @param {Date} [options.occurredAt]
+ */
+export const buildLocalWebhookEvent = (type, data, { id, occurredAt } = {}) => ({
+  id: id || `levt_${crypto.randomUUID()}`,
+  type,
+  created: Math.floor((occurredAt || new Date()).getTime() / 1000),
+  data,
+});
+
+/**
+ * Serialize and sign an event the way the local gateway would deliver it.
+ * Used by tests and scripts to replay webhook sequences.
+ * @param {Object} event - Output of buildLocalWebhookEvent
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Defaults to the local webhook secret
+ * @param {number} [options.timestamp] - Unix seconds, defaults to now
+ * @returns {{body: string, headers: Object}}
+ */
+export const signLocalWebhook = (event, { secret, timestamp } = {}) => {
+  const body = JSON.stringify(event);
+  const t = timestamp ?? Math.floor(Date.now() / 1000);
+  const signature = computeSignature(
+    t,
+    body,
+    secret || webhookSecret()
+  );
+
+  return {
+    body,
+    headers: {
+      "content-type": "application/json",
+      [LOCAL_SIGNATURE_HEADER]: `t=${t},v1=${signature}`,
+    },
+  };
+};
+
+export default LocalPaymentProvider;
@@ -0,0 +1,66 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import PaymentController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { paymentSchemas } from "./schema.js";
+
+const router = express.Router();
+
+const paymentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Allow 30 payment operations per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: "Too many payment attempts, please try again later",
+});
+
+// Gateways retry aggressively, so webhooks get a far larger budget
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 300,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: "Too many webhook deliveries, please retry later",
+});
+
+// No user auth: requests are authenticated by the provider signature
+router.post(
+  "/webhooks/:provider",
+  webhookLimiter,
+  PaymentController.handleWebhook
+);
+
+router.post(
+  "/intents",
+  authenticateUser(),
+  paymentLimiter,
+  validate(paymentSchemas.createIntent),
+  PaymentController.createIntent
+);
+
+router.get("/:id", authenticateUser(), PaymentController.getPayment);
+
+router.post(
+  "/:id/capture",
+  authenticateUser(),
+  paymentLimiter,
+  PaymentController.capture
+);
+
+router.post(
+  "/:id/void",
+  authenticateUser(),
+  paymentLimiter,
+  validate(paymentSchemas.voidPayment),
+  PaymentController.void
+);
+
+router.post(
+  "/:id/refund",
+  authenticateUser({ roles: ["admin"] }),
+  validate(paymentSchemas.refund),
+  PaymentController.refund
+);
+
+export default router;
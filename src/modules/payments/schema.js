@@ -0,0 +1,21 @@
+// payments/schema.js
+import Joi from "joi";
+
+export const paymentSchemas = {
+  createIntent: Joi.object({
+    bookingId: Joi.string().guid({ version: ["uuidv4"] }).required().messages({
+      "string.guid": "Booking ID must be a valid UUID",
+      "any.required": "Booking ID is required",
+    }),
+    paymentMethod: Joi.string().max(20).optional(),
+  }),
+
+  voidPayment: Joi.object({
+    reason: Joi.string().max(255).optional(),
+  }),
+
+  refund: Joi.object({
+    amount: Joi.number().positive().precision(2).optional(),
+    reason: Joi.string().max(255).optional(),
+  }),
+};
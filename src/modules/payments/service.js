@@ -0,0 +1,452 @@
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import pkg from "@prisma/client";
+const {
+  BookingActorType,
+  BookingMode,
+  BookingStatus,
+  DepositStatus,
+  PaymentStatus,
+} = pkg;
+import { getProvider } from "./providers/index.js";
+import { bookCapture } from "./captures.js";
+import { markBookingRefunded } from "../bookings/lifecycle.js";
+import InvoiceService from "../bookings/invoices.js";
+import LedgerService from "../payouts/ledger.js";
+import DepositService from "../deposits/service.js";
+
+// One lock per booking serializes authorization, capture, void and the
+// gateway's webhooks for its payment
+export const paymentLockKey = (bookingId) => `payment:${bookingId}`;
+
+class PaymentService {
+  /**
+   * Authorize the booking amount with the gateway and attach the intent to
+   * the booking's payment row. Calling it again for a booking that already
+   * holds a live authorization returns the existing payment.
+   * @param {Object} params
+   * @param {string} params.bookingId
+   * @param {string} params.userId - Tenant paying for the booking
+   * @param {string} [params.paymentMethod] - Gateway payment method reference
+   * @returns {Promise<object>} Payment record
+   */
+  async createPaymentIntent({ bookingId, userId, paymentMethod }) {
+    const payment = await this.withPaymentLock(bookingId, () =>
+      this.authorizeBooking({ bookingId, userId, paymentMethod })
+    );
+
+    // Hold the security deposit on the same card; a declined hold can be
+    // retried from the deposit endpoint without redoing the payment
+    const deposit = await prisma.securityDeposit.findUnique({
+      where: { bookingId },
+      select: { status: true },
+    });
+    if (deposit?.status === DepositStatus.PENDING) {
+      try {
+        await DepositService.placeHold(bookingId, { userId }, payment.paymentMethod);
+      } catch (error) {
+        logger.warn(`Deposit hold failed for booking ${bookingId}`, {
+          error: error.message,
+        });
+      }
+    }
+
+    return payment;
+  }
+
+  // Authorizes the booking amount; runs under the booking's payment lock
+  async authorizeBooking({ bookingId, userId, paymentMethod }) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { payment: true },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (booking.tenantId !== userId) {
+      throw new ForbiddenError("Not authorized to pay for this booking");
+    }
+    if (![BookingStatus.PENDING, BookingStatus.CONFIRMED].includes(booking.status)) {
+      throw new ConflictError(
+        `Payments can only be started for PENDING or CONFIRMED bookings (current: ${booking.status})`
+      );
+    }
+
+    if (
+      booking.status === BookingStatus.PENDING &&
+      booking.holdExpiresAt &&
+      booking.holdExpiresAt <= new Date()
+    ) {
+      throw new ConflictError("Booking hold has expired");
+    }
+    if (
+      booking.status === BookingStatus.CONFIRMED &&
+      booking.paymentDueAt &&
+      booking.paymentDueAt <= new Date()
+    ) {
+      throw new ConflictError("The payment deadline for this booking has passed");
+    }
+
+    const existing = booking.payment;
+    if (existing?.status === PaymentStatus.COMPLETED) {
+      throw new ConflictError("Booking has already been paid");
+    }
+    if (existing?.paymentIntentId && existing.status === PaymentStatus.PENDING) {
+      return existing;
+    }
+
+    // A lease's payment row holds its first month of rent, not the total
+    const amount = existing ? Number(existing.amount) : Number(booking.totalPrice);
+    const provider = getProvider();
+    const method = paymentMethod || existing?.paymentMethod || null;
+    const authorization = await provider.authorize({
+      amount,
+      currency: booking.currency,
+      paymentMethod: method,
+      metadata: { bookingId, userId },
+    });
+
+    const authorized = authorization.status === "authorized";
+    const paymentData = {
+      amount,
+      currency: booking.currency,
+      paymentMethod: method,
+      provider: provider.name,
+      paymentIntentId: authorization.intentId,
+      status: authorized ? PaymentStatus.PENDING : PaymentStatus.FAILED,
+      authorizedAt: authorized ? new Date() : null,
+      failureReason: authorized ? null : authorization.failureReason,
+      processedAt: authorized ? null : new Date(),
+    };
+
+    const payment = existing
+      ? await this.transition(existing.id, existing.status, paymentData)
+      : await prisma.payment.create({
+          data: {
+            ...paymentData,
+            bookingId,
+            userId,
+            propertyId: booking.propertyId,
+          },
+        });
+
+    if (!authorized) {
+      logger.warn(`Payment authorization declined for booking ${bookingId}`, {
+        paymentId: payment.id,
+        reason: authorization.failureReason,
+      });
+      throw new PaymentError(
+        authorization.failureReason || "Payment authorization declined"
+      );
+    }
+
+    logger.info(
+      `Payment intent ${authorization.intentId} created for booking ${bookingId}`
+    );
+    return payment;
+  }
+
+  /**
+   * Collect an authorized payment and move its booking to PAID
+   * @param {string} paymentId
+   * @param {Object} actor
+   * @param {string} actor.userId
+   * @param {boolean} [actor.isAdmin=false]
+   * @returns {Promise<object>} Updated payment
+   */
+  async capturePayment(paymentId, { userId, isAdmin = false }) {
+    const { bookingId } = await this.getAuthorizedPayment(paymentId, userId, isAdmin);
+    return this.withPaymentLock(bookingId, () =>
+      this.captureAuthorized(paymentId, { userId, isAdmin })
+    );
+  }
+
+  // Re-checks the authorization under the booking's payment lock, so a
+  // concurrent capture or webhook that already settled it is not repeated
+  async captureAuthorized(paymentId, { userId, isAdmin }) {
+    const payment = await this.getAuthorizedPayment(paymentId, userId, isAdmin);
+    if (
+      payment.booking.bookingMode === BookingMode.REQUEST &&
+      payment.booking.status === BookingStatus.PENDING
+    ) {
+      throw new ConflictError("The host has not accepted this booking request yet");
+    }
+    if (![BookingStatus.PENDING, BookingStatus.CONFIRMED].includes(payment.booking.status)) {
+      throw new ConflictError(
+        `Only PENDING or CONFIRMED bookings can be paid (current: ${payment.booking.status})`
+      );
+    }
+    const provider = getProvider(payment.provider);
+
+    const result = await provider.capture({
+      intentId: payment.paymentIntentId,
+      amount: Number(payment.amount),
+    });
+
+    if (result.status !== "captured") {
+      await this.transition(paymentId, PaymentStatus.PENDING, {
+        status: PaymentStatus.FAILED,
+        failureReason: result.failureReason || "Capture failed",
+        processedAt: new Date(),
+      });
+      logger.warn(`Payment ${paymentId} capture failed`, {
+        reason: result.failureReason,
+      });
+      throw new PaymentError(result.failureReason || "Payment capture failed");
+    }
+
+    const now = new Date();
+    const updatedPayment = await prisma.$transaction(async (tx) => {
+      const captured = await this.transition(
+        paymentId,
+        PaymentStatus.PENDING,
+        {
+          status: PaymentStatus.COMPLETED,
+          transactionId: result.transactionId,
+          capturedAt: now,
+          processedAt: now,
+          failureReason: null,
+        },
+        tx
+      );
+
+      await bookCapture(tx, payment, {
+        actorId: userId,
+        actorType: isAdmin ? BookingActorType.ADMIN : BookingActorType.GUEST,
+        reason: "Payment captured",
+      });
+
+      return captured;
+    });
+
+    logger.info(`Payment ${paymentId} captured (${result.transactionId})`);
+    return updatedPayment;
+  }
+
+  /**
+   * Release an authorization that will not be captured
+   * @param {string} paymentId
+   * @param {Object} actor
+   * @param {string} actor.userId
+   * @param {boolean} [actor.isAdmin=false]
+   * @param {string} [reason]
+   * @returns {Promise<object>} Updated payment
+   */
+  async voidPayment(paymentId, { userId, isAdmin = false }, reason = null) {
+    const { bookingId } = await this.getAuthorizedPayment(paymentId, userId, isAdmin);
+
+    return this.withPaymentLock(bookingId, async () => {
+      const payment = await this.getAuthorizedPayment(paymentId, userId, isAdmin);
+      const provider = getProvider(payment.provider);
+
+      const result = await provider.void({ intentId: payment.paymentIntentId });
+      if (result.status !== "voided") {
+        throw new PaymentError(result.failureReason || "Failed to void payment");
+      }
+
+      const updatedPayment = await this.transition(paymentId, PaymentStatus.PENDING, {
+        status: PaymentStatus.FAILED,
+        failureReason: reason || "Authorization voided",
+        processedAt: new Date(),
+      });
+
+      logger.info(`Payment ${paymentId} authorization voided`);
+      return updatedPayment;
+    });
+  }
+
+  /**
+   * Refund a captured payment in full or in part. A refund the gateway
+   * settles immediately finalizes the payment and moves a REFUND_PENDING
+   * booking to REFUNDED; a refund it reports as pending is recorded and
+   * finalized later by the payment.refunded webhook.
+   * @param {string} paymentId
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Defaults to the refund still due on a
+   *   cancelled booking, else the full captured amount
+   * @param {string} [options.reason]
+   * @returns {Promise<object>} Updated payment
+   */
+  async refundPayment(paymentId, { amount, reason } = {}) {
+    const found = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      select: { bookingId: true },
+    });
+    if (!found) throw new NotFoundError("Payment not found");
+
+    return this.withPaymentLock(found.bookingId, () =>
+      this.refundCaptured(paymentId, { amount, reason })
+    );
+  }
+
+  async refundCaptured(paymentId, { amount, reason }) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: { booking: { select: { refundDue: true } } },
+    });
+
+    if (payment.status !== PaymentStatus.COMPLETED) {
+      throw new ConflictError(
+        `Only completed payments can be refunded (current: ${payment.status})`
+      );
+    }
+    if (payment.refundId) {
+      throw new ConflictError("A refund is already in progress for this payment");
+    }
+
+    const capturedAmount = Number(payment.amount);
+    const refundDue = Number(payment.booking.refundDue ?? 0);
+    const refundAmount =
+      amount ?? (refundDue > 0 ? Math.min(refundDue, capturedAmount) : capturedAmount);
+    if (refundAmount <= 0 || refundAmount > capturedAmount) {
+      throw new ValidationError(
+        `Refund amount must be between 0 and ${capturedAmount}`
+      );
+    }
+
+    const provider = getProvider(payment.provider);
+    const result = await provider.refund({
+      transactionId: payment.transactionId,
+      amount: refundAmount,
+      reason,
+    });
+
+    if (result.status === "failed") {
+      logger.warn(`Refund failed for payment ${paymentId}`, {
+        reason: result.failureReason,
+      });
+      throw new PaymentError(result.failureReason || "Refund failed");
+    }
+
+    const settled = result.status === "succeeded";
+    const updatedPayment = await prisma.$transaction(async (tx) => {
+      const refunded = await this.transition(
+        paymentId,
+        PaymentStatus.COMPLETED,
+        {
+          refundId: result.refundId,
+          refundAmount,
+          ...(settled && {
+            status:
+              refundAmount < capturedAmount
+                ? PaymentStatus.PARTIALLY_REFUNDED
+                : PaymentStatus.REFUNDED,
+            refundedAt: new Date(),
+          }),
+        },
+        tx
+      );
+
+      // The gateway has the refund now; only the remainder is still owed
+      if (refundDue > 0) {
+        const remaining = Math.max(0, refundDue - refundAmount);
+        await tx.booking.update({
+          where: { id: payment.bookingId },
+          data: { refundDue: Math.round(remaining * 100) / 100 },
+        });
+      }
+
+      if (settled) {
+        await markBookingRefunded(tx, payment.bookingId, {
+          reason: "Refund settled",
+        });
+        await InvoiceService.issueCreditNote(tx, paymentId);
+        await LedgerService.postRefund(tx, paymentId);
+      }
+
+      return refunded;
+    });
+
+    logger.info(
+      `Payment ${paymentId} refund of ${refundAmount} ${settled ? "settled" : "pending"}`
+    );
+    return updatedPayment;
+  }
+
+  async getPayment(paymentId, { userId, isAdmin = false }) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: {
+        booking: {
+          select: {
+            id: true,
+            status: true,
+            tenantId: true,
+            property: { select: { ownerId: true } },
+          },
+        },
+      },
+    });
+
+    if (!payment) throw new NotFoundError("Payment not found");
+    if (
+      !isAdmin &&
+      payment.booking.tenantId !== userId &&
+      payment.booking.property?.ownerId !== userId
+    ) {
+      throw new ForbiddenError("Not authorized to view this payment");
+    }
+
+    return payment;
+  }
+
+  // Loads a payment that still holds a live authorization for the caller
+  async getAuthorizedPayment(paymentId, userId, isAdmin) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: {
+        booking: { select: { tenantId: true, status: true, bookingMode: true } },
+      },
+    });
+
+    if (!payment) throw new NotFoundError("Payment not found");
+    if (!isAdmin && payment.booking.tenantId !== userId) {
+      throw new ForbiddenError("Not authorized to manage this payment");
+    }
+    if (payment.status !== PaymentStatus.PENDING || !payment.paymentIntentId) {
+      throw new ConflictError("Payment has no active authorization");
+    }
+
+    return payment;
+  }
+
+  /**
+   * Write a status change only if the payment is still in the status it was
+   * read in, so a racing capture or webhook is never overwritten
+   * @param {string} paymentId
+   * @param {string} fromStatus - Status the change was decided on
+   * @param {Object} data
+   * @param {Object} [client] - Prisma client or transaction
+   * @returns {Promise<object>} Updated payment
+   */
+  async transition(paymentId, fromStatus, data, client = prisma) {
+    const { count } = await client.payment.updateMany({
+      where: { id: paymentId, status: fromStatus },
+      data,
+    });
+    if (!count) {
+      throw new ConflictError("Payment was updated concurrently, please retry");
+    }
+    return client.payment.findUnique({ where: { id: paymentId } });
+  }
+
+  async withPaymentLock(bookingId, fn) {
+    try {
+      return await withLock(paymentLockKey(bookingId), fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Payment is being processed, please retry");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new PaymentService();
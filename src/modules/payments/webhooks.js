@@ -0,0 +1,296 @@
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import pkg from "@prisma/client";
+const { PaymentStatus, WebhookEventStatus, Prisma } = pkg;
+import { getProvider } from "./providers/index.js";
+import { paymentLockKey } from "./service.js";
+import { bookCapture } from "./captures.js";
+import { markBookingRefunded } from "../bookings/lifecycle.js";
+import InvoiceService from "../bookings/invoices.js";
+import LedgerService from "../payouts/ledger.js";
+
+const DONE_STATUSES = [WebhookEventStatus.PROCESSED, WebhookEventStatus.IGNORED];
+
+class WebhookService {
+  /**
+   * Verify, store and apply a gateway webhook.
+   *
+   * Every event is persisted before it is applied, and (provider, eventId) is
+   * unique, so a redelivered event that was already handled is acknowledged
+   * without touching payments again. Status changes only ever move a payment
+   * forward, which makes out-of-order delivery harmless.
+   * @param {string} providerName - Gateway name from the URL
+   * @param {Buffer|string} rawBody - Exact request body bytes
+   * @param {Object} headers - Request headers
+   * @returns {Promise<{eventId: string, status: string, duplicate: boolean}>}
+   */
+  async ingest(providerName, rawBody, headers) {
+    const provider = this.resolveProvider(providerName);
+
+    if (!provider.verifyWebhook({ rawBody, headers })) {
+      throw new UnauthorizedError("Invalid webhook signature");
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString());
+    } catch {
+      throw new BadRequestError("Webhook body is not valid JSON");
+    }
+
+    const event = provider.parseWebhookEvent(payload);
+    if (!event?.id || !event?.type) {
+      throw new BadRequestError("Webhook event is missing an id or type");
+    }
+
+    const record = await this.recordEvent(provider.name, event, payload, headers);
+    if (DONE_STATUSES.includes(record.status)) {
+      return { eventId: event.id, status: record.status, duplicate: true };
+    }
+
+    // Serialize with other events and with API captures and voids of the
+    // same booking's payment, so they are applied one at a time
+    const payment = await this.findPayment(event);
+    const lockKey = payment
+      ? paymentLockKey(payment.bookingId)
+      : `payment:${event.intentId || event.transactionId || event.id}:webhook-lock`;
+    try {
+      return await withLock(lockKey, () => this.processEvent(record.id, event));
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Webhook event is already being processed");
+      }
+      throw error;
+    }
+  }
+
+  resolveProvider(name) {
+    try {
+      return getProvider(name);
+    } catch {
+      throw new NotFoundError(`Unknown payment provider: ${name}`);
+    }
+  }
+
+  // Stores the raw event, returning the existing row on redelivery
+  async recordEvent(providerName, event, payload, headers) {
+    try {
+      return await prisma.paymentWebhookEvent.create({
+        data: {
+          provider: providerName,
+          eventId: event.id,
+          type: event.type,
+          payload,
+          signature: this.extractSignature(headers),
+          occurredAt: event.occurredAt || null,
+        },
+      });
+    } catch (error) {
+      if (
+        error instanceof Prisma.PrismaClientKnownRequestError &&
+        error.code === "P2002"
+      ) {
+        return prisma.paymentWebhookEvent.findUnique({
+          where: {
+            provider_eventId: { provider: providerName, eventId: event.id },
+          },
+        });
+      }
+      throw error;
+    }
+  }
+
+  async processEvent(recordId, event) {
+    const record = await prisma.paymentWebhookEvent.findUnique({
+      where: { id: recordId },
+    });
+    if (DONE_STATUSES.includes(record.status)) {
+      return { eventId: event.id, status: record.status, duplicate: true };
+    }
+
+    const payment = await this.findPayment(event);
+    if (!payment) {
+      // The gateway can call back before our own write lands; fail so it retries
+      await this.markFailed(recordId, "No payment matches this event");
+      throw new ConflictError("No payment matches this webhook event");
+    }
+
+    try {
+      const status = await prisma.$transaction(async (tx) => {
+        // Claim the event inside the transaction so a concurrent delivery
+        // that slipped past the lock cannot apply it a second time
+        const claimed = await tx.paymentWebhookEvent.updateMany({
+          where: { id: recordId, status: { notIn: DONE_STATUSES } },
+          data: {
+            status: WebhookEventStatus.PROCESSED,
+            paymentId: payment.id,
+            attempts: { increment: 1 },
+            processedAt: new Date(),
+            error: null,
+          },
+        });
+        if (!claimed.count) return null;
+
+        const applied = await this.applyEvent(tx, payment, event);
+        if (!applied) {
+          await tx.paymentWebhookEvent.update({
+            where: { id: recordId },
+            data: { status: WebhookEventStatus.IGNORED },
+          });
+          return WebhookEventStatus.IGNORED;
+        }
+        return WebhookEventStatus.PROCESSED;
+      });
+
+      if (!status) {
+        return { eventId: event.id, status: WebhookEventStatus.PROCESSED, duplicate: true };
+      }
+
+      logger.info(`Webhook ${event.type} (${event.id}) ${status.toLowerCase()}`, {
+        paymentId: payment.id,
+      });
+      return { eventId: event.id, status, duplicate: false };
+    } catch (error) {
+      await this.markFailed(recordId, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a normalized event to its payment and booking. Each update is
+   * guarded by the statuses it may move from, so stale or replayed events
+   * are no-ops.
+   * @returns {Promise<boolean>} Whether anything changed
+   */
+  async applyEvent(tx, payment, event) {
+    const occurredAt = event.occurredAt || new Date();
+
+    switch (event.type) {
+      case "payment.authorized": {
+        const result = await tx.payment.updateMany({
+          where: {
+            id: payment.id,
+            status: PaymentStatus.PENDING,
+            authorizedAt: null,
+          },
+          data: { authorizedAt: occurredAt },
+        });
+        return result.count > 0;
+      }
+
+      case "payment.captured": {
+        const result = await tx.payment.updateMany({
+          where: {
+            id: payment.id,
+            status: { in: [PaymentStatus.PENDING, PaymentStatus.FAILED] },
+          },
+          data: {
+            status: PaymentStatus.COMPLETED,
+            transactionId: event.transactionId || payment.transactionId,
+            capturedAt: occurredAt,
+            processedAt: new Date(),
+            failureReason: null,
+          },
+        });
+        if (!result.count) return false;
+
+        // A late capture on a cancelled booking is queued for refund instead
+        await bookCapture(tx, payment, {
+          reason: `Payment captured (webhook ${event.id})`,
+        });
+        return true;
+      }
+
+      case "payment.failed": {
+        const result = await tx.payment.updateMany({
+          where: { id: payment.id, status: PaymentStatus.PENDING },
+          data: {
+            status: PaymentStatus.FAILED,
+            failureReason: event.failureReason || "Payment failed at gateway",
+            processedAt: new Date(),
+          },
+        });
+        return result.count > 0;
+      }
+
+      case "payment.refunded": {
+        const refundAmount = event.amount ?? Number(payment.amount);
+        const result = await tx.payment.updateMany({
+          where: {
+            id: payment.id,
+            status: {
+              in: [
+                PaymentStatus.PENDING,
+                PaymentStatus.FAILED,
+                PaymentStatus.COMPLETED,
+              ],
+            },
+          },
+          data: {
+            status:
+              refundAmount < Number(payment.amount)
+                ? PaymentStatus.PARTIALLY_REFUNDED
+                : PaymentStatus.REFUNDED,
+            transactionId: payment.transactionId || event.transactionId,
+            refundId: event.refundId || payment.refundId,
+            refundAmount,
+            refundedAt: occurredAt,
+          },
+        });
+        if (!result.count) return false;
+
+        await markBookingRefunded(tx, payment.bookingId, {
+          reason: `Refund settled (webhook ${event.id})`,
+        });
+        await InvoiceService.issueCreditNote(tx, payment.id);
+        await LedgerService.postRefund(tx, payment.id);
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  async findPayment(event) {
+    if (event.intentId) {
+      const payment = await prisma.payment.findUnique({
+        where: { paymentIntentId: event.intentId },
+      });
+      if (payment) return payment;
+    }
+    if (event.transactionId) {
+      return prisma.payment.findUnique({
+        where: { transactionId: event.transactionId },
+      });
+    }
+    return null;
+  }
+
+  async markFailed(recordId, message) {
+    await prisma.paymentWebhookEvent.update({
+      where: { id: recordId },
+      data: {
+        status: WebhookEventStatus.FAILED,
+        attempts: { increment: 1 },
+        error: message?.slice(0, 500),
+      },
+    });
+  }
+
+  extractSignature(headers = {}) {
+    const signature = Object.entries(headers).find(([name]) =>
+      name.toLowerCase().endsWith("signature")
+    )?.[1];
+    return typeof signature === "string" ? signature.slice(0, 512) : null;
+  }
+}
+
+export default new WebhookService();
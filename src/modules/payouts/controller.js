@@ -0,0 +1,208 @@
+import PayoutService from "./service.js";
+import logger from "../../config/logger.js";
+import { ValidationError } from "../../utils/apiError.js";
+import { hasRole } from "../../utils/roleUtils.js";
+import pkg from "@prisma/client";
+const { PayoutStatus } = pkg;
+
+const actorFrom = (req) => ({
+  userId: req.user.id,
+  isAdmin: hasRole(req.user, "admin"),
+});
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new ValidationError(`${name} must be a valid date`);
+  return date;
+};
+
+const rangeFrom = (query) => ({
+  from: parseDate(query.from, "from"),
+  to: parseDate(query.to, "to"),
+});
+
+const sendCsv = (res, filename, csv) => {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(csv);
+};
+
+class PayoutController {
+  /**
+   * @desc    Available, pending and paid-out earnings per currency
+   * @route   GET /api/owners/me/balance
+   * @access  Private (host)
+   */
+  async getBalance(req, res, next) {
+    try {
+      const balances = await PayoutService.getBalance(req.user.id);
+
+      res.status(200).json({ success: true, data: balances });
+    } catch (error) {
+      logger.error(`Failed to fetch host balance: ${error.message}`, {
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List the host's payouts
+   * @route   GET /api/owners/me/payouts
+   * @access  Private (host)
+   */
+  async listPayouts(req, res, next) {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    try {
+      const pageNum = parseInt(page, 10);
+      const limitNum = parseInt(limit, 10);
+
+      if (isNaN(pageNum) || pageNum < 1) throw new ValidationError("Page must be a positive number");
+      if (isNaN(limitNum) || limitNum < 1) throw new ValidationError("Limit must be a positive number");
+      if (limitNum > 100) throw new ValidationError("Maximum limit is 100");
+      if (status && !Object.values(PayoutStatus).includes(status)) {
+        throw new ValidationError(
+          `Status must be one of ${Object.values(PayoutStatus).join(", ")}`
+        );
+      }
+
+      const { payouts, total } = await PayoutService.listPayouts(req.user.id, {
+        status,
+        page: pageNum,
+        limit: limitNum,
+      });
+
+      res.status(200).json({
+        success: true,
+        count: payouts.length,
+        total,
+        pages: Math.ceil(total / limitNum),
+        currentPage: pageNum,
+        data: payouts,
+      });
+    } catch (error) {
+      logger.error(`Failed to fetch payouts: ${error.message}`, {
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a payout with the ledger entries it settled
+   * @route   GET /api/owners/me/payouts/:payoutId
+   * @access  Private (host or admin)
+   */
+  async getPayout(req, res, next) {
+    try {
+      const payout = await PayoutService.getPayout(req.params.payoutId, actorFrom(req));
+
+      res.status(200).json({ success: true, data: payout });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Download the settlement statement of a payout as CSV
+   * @route   GET /api/owners/me/payouts/:payoutId/statement.csv
+   * @access  Private (host or admin)
+   */
+  async getPayoutStatementCsv(req, res, next) {
+    const { payoutId } = req.params;
+
+    try {
+      const { csv } = await PayoutService.getPayoutStatementCsv(payoutId, actorFrom(req));
+
+      sendCsv(res, `payout-${payoutId}.csv`, csv);
+    } catch (error) {
+      logger.error(`Payout statement failed: ${error.message}`, {
+        payoutId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Ledger lines and balances for a period
+   * @route   GET /api/owners/me/statement?from=&to=
+   * @access  Private (host)
+   */
+  async getStatement(req, res, next) {
+    try {
+      const statement = await PayoutService.getStatement(req.user.id, rangeFrom(req.query));
+
+      res.status(200).json({ success: true, data: statement });
+    } catch (error) {
+      logger.error(`Failed to build statement: ${error.message}`, {
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Download the statement for a period as CSV
+   * @route   GET /api/owners/me/statement.csv?from=&to=
+   * @access  Private (host)
+   */
+  async getStatementCsv(req, res, next) {
+    try {
+      const range = rangeFrom(req.query);
+      const csv = await PayoutService.getStatementCsv(req.user.id, range);
+      const period = [range.from, range.to]
+        .filter(Boolean)
+        .map((date) => date.toISOString().slice(0, 10))
+        .join("_");
+
+      sendCsv(res, `statement${period ? `-${period}` : ""}.csv`, csv);
+    } catch (error) {
+      logger.error(`Statement export failed: ${error.message}`, {
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Credit or debit a host's balance by hand
+   * @route   POST /api/owners/:ownerId/adjustments
+   * @access  Private (admin)
+   */
+  async createAdjustment(req, res, next) {
+    const { ownerId } = req.params;
+
+    try {
+      const transaction = await PayoutService.createAdjustment(
+        ownerId,
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        data: transaction,
+        message: "Adjustment posted",
+      });
+    } catch (error) {
+      logger.error(`Ledger adjustment failed: ${error.message}`, {
+        ownerId,
+        adminId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new PayoutController();
@@ -0,0 +1,427 @@
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { randomUUID } from "crypto";
+import { DateTime } from "luxon";
+import pkg from "@prisma/client";
+const { LedgerAccount, LedgerDirection, LedgerTransactionType, PaymentStatus } = pkg;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Payment statuses that mean the guest was charged at some point
+const CHARGED_STATUSES = [
+  PaymentStatus.COMPLETED,
+  PaymentStatus.PARTIALLY_REFUNDED,
+  PaymentStatus.REFUNDED,
+];
+
+const debit = (account, amount, extra = {}) => ({
+  account,
+  direction: LedgerDirection.DEBIT,
+  amount,
+  ...extra,
+});
+
+const credit = (account, amount, extra = {}) => ({
+  account,
+  direction: LedgerDirection.CREDIT,
+  amount,
+  ...extra,
+});
+
+/**
+ * Double-entry ledger for guest money. Every posting is a balanced
+ * LedgerTransaction keyed by a business reference, so replaying a capture,
+ * refund or webhook never posts twice.
+ *
+ *   CHARGE        Dr GUEST_CLEARING  Cr TAX_PAYABLE, PLATFORM_REVENUE, HOST_PAYABLE
+ *   REFUND        the charge reversed in proportion to the refunded share
+ *   DAMAGE_CLAIM  Dr GUEST_CLEARING  Cr HOST_PAYABLE (no commission)
+ *   ADJUSTMENT    between PLATFORM_REVENUE and HOST_PAYABLE
+ *   PAYOUT        Dr HOST_PAYABLE    Cr GUEST_CLEARING
+ *
+ * All methods take a transaction client so postings commit together with
+ * the payment change that caused them.
+ */
+class LedgerService {
+  /**
+   * Post a balanced transaction, or return the one already posted under
+   * `reference`
+   * @param {object} tx - Prisma transaction client
+   * @param {Object} params
+   * @param {Array<Object>} params.entries - From debit()/credit(); zero lines are dropped
+   * @returns {Promise<object>} LedgerTransaction with entries
+   */
+  async post(tx, { entries, ...data }) {
+    const existing = await tx.ledgerTransaction.findUnique({
+      where: { reference: data.reference },
+      include: { entries: true },
+    });
+    if (existing) return existing;
+
+    const lines = entries
+      .map((entry) => ({ ...entry, amount: round(entry.amount) }))
+      .filter((entry) => entry.amount > 0);
+    const total = (direction) =>
+      round(
+        lines
+          .filter((entry) => entry.direction === direction)
+          .reduce((sum, entry) => sum + entry.amount, 0)
+      );
+    if (total(LedgerDirection.DEBIT) !== total(LedgerDirection.CREDIT)) {
+      throw new Error(
+        `Unbalanced ledger transaction ${data.reference}: ` +
+          `${total(LedgerDirection.DEBIT)} Dr / ${total(LedgerDirection.CREDIT)} Cr`
+      );
+    }
+
+    return tx.ledgerTransaction.create({
+      data: {
+        ...data,
+        entries: {
+          create: lines.map((entry) => ({ ...entry, currency: data.currency })),
+        },
+      },
+      include: { entries: true },
+    });
+  }
+
+  /**
+   * Record a captured payment. The host's share becomes payable once the
+   * stay has started.
+   * @param {object} tx - Prisma transaction client
+   * @param {string} paymentId
+   * @returns {Promise<object|null>} Posting, or null when nothing was charged
+   */
+  async postCharge(tx, paymentId) {
+    const payment = await tx.payment.findUnique({
+      where: { id: paymentId },
+      include: {
+        booking: {
+          select: {
+            startDate: true,
+            taxes: true,
+            property: { select: { ownerId: true } },
+          },
+        },
+      },
+    });
+    // Unbilled captures are refunded in full and never reach the host
+    if (!payment || !CHARGED_STATUSES.includes(payment.status) || payment.unbilled) {
+      return null;
+    }
+
+    const hostId = payment.booking.property?.ownerId;
+    if (!hostId) {
+      logger.warn(`Payment ${paymentId} has no host to credit; ledger skipped`);
+      return null;
+    }
+
+    return this.post(tx, {
+      type: LedgerTransactionType.CHARGE,
+      reference: `charge:${paymentId}`,
+      hostId,
+      bookingId: payment.bookingId,
+      paymentId,
+      currency: payment.currency,
+      description: "Guest payment captured",
+      occurredAt: payment.capturedAt || new Date(),
+      entries: this.chargeEntries(
+        Number(payment.amount),
+        Number(payment.booking.taxes || 0),
+        { hostId, availableAt: this.releaseDate(payment.booking.startDate) }
+      ),
+    });
+  }
+
+  /**
+   * Record a settled refund by reversing the charge in proportion
+   * @param {object} tx - Prisma transaction client
+   * @param {string} paymentId - Payment whose refund has settled
+   * @returns {Promise<object|null>} Posting, or null without a refund
+   */
+  async postRefund(tx, paymentId) {
+    const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+    if (!payment?.refundId || !payment.refundAmount) return null;
+
+    const charge = await this.postCharge(tx, paymentId);
+    if (!charge) return null;
+
+    return this.post(tx, {
+      type: LedgerTransactionType.REFUND,
+      reference: `refund:${payment.refundId}`,
+      hostId: charge.hostId,
+      bookingId: payment.bookingId,
+      paymentId,
+      currency: payment.currency,
+      description: "Guest refund settled",
+      occurredAt: payment.refundedAt || new Date(),
+      entries: this.reversalEntries(charge, Number(payment.refundAmount)),
+    });
+  }
+
+  /**
+   * Record the settled price difference of an accepted booking change. An
+   * extra charge is split like a charge, with only the increase in taxes
+   * held for remittance; a partial refund reverses the original charge in
+   * proportion.
+   * @param {object} tx - Prisma transaction client
+   * @param {object} modification - BookingModification with settlement details
+   * @param {string} paymentId - The booking's original payment
+   * @returns {Promise<object|null>}
+   */
+  async postModification(tx, modification, paymentId) {
+    const delta = Number(modification.priceDelta);
+    if (!delta) return null;
+
+    const charge = await this.postCharge(tx, paymentId);
+    if (!charge) return null;
+
+    const base = {
+      reference: `modification:${modification.id}`,
+      hostId: charge.hostId,
+      bookingId: modification.bookingId,
+      paymentId,
+      currency: modification.currency,
+      occurredAt: modification.settledAt || new Date(),
+    };
+
+    if (delta < 0) {
+      return this.post(tx, {
+        ...base,
+        type: LedgerTransactionType.REFUND,
+        description: "Booking change refunded",
+        entries: this.reversalEntries(charge, -delta),
+      });
+    }
+
+    const taxIncrease =
+      Number(modification.pricing.taxes || 0) -
+      Number(modification.previousStay.taxes || 0);
+    return this.post(tx, {
+      ...base,
+      type: LedgerTransactionType.CHARGE,
+      description: "Booking change charged",
+      entries: this.chargeEntries(delta, Math.max(taxIncrease, 0), {
+        hostId: charge.hostId,
+        availableAt: this.releaseDate(modification.startDate),
+      }),
+    });
+  }
+
+  /**
+   * Record a rent installment paid after move-in. The host's share becomes
+   * payable once the month it covers has started.
+   * @param {object} tx - Prisma transaction client
+   * @param {object} installment - Paid RentInstallment
+   * @param {string} hostId
+   * @returns {Promise<object>}
+   */
+  async postInstallment(tx, installment, hostId) {
+    return this.post(tx, {
+      type: LedgerTransactionType.CHARGE,
+      reference: `installment:${installment.id}`,
+      hostId,
+      bookingId: installment.bookingId,
+      currency: installment.currency,
+      description: `Rent installment ${installment.sequence} collected`,
+      occurredAt: installment.paidAt || new Date(),
+      entries: this.chargeEntries(Number(installment.amount), 0, {
+        hostId,
+        availableAt: this.releaseDate(installment.periodStart),
+      }),
+    });
+  }
+
+  /**
+   * Record the refund of (part of) a booking change's extra charge
+   * @param {object} tx - Prisma transaction client
+   * @param {object} modification - BookingModification that was charged
+   * @param {number} amount
+   * @param {string} refundId - Gateway refund reference
+   * @returns {Promise<object|null>}
+   */
+  async postModificationRefund(tx, modification, amount, refundId) {
+    const charge = await tx.ledgerTransaction.findUnique({
+      where: { reference: `modification:${modification.id}` },
+      include: { entries: true },
+    });
+    if (!charge) return null;
+
+    return this.post(tx, {
+      type: LedgerTransactionType.REFUND,
+      reference: `refund:${refundId}`,
+      hostId: charge.hostId,
+      bookingId: modification.bookingId,
+      paymentId: charge.paymentId,
+      currency: charge.currency,
+      description: "Booking change charge refunded",
+      entries: this.reversalEntries(charge, amount),
+    });
+  }
+
+  /**
+   * Credit the host with an amount captured from a security deposit
+   * @param {object} tx - Prisma transaction client
+   * @param {object} deposit - Settled SecurityDeposit
+   * @param {string} hostId
+   * @returns {Promise<object|null>}
+   */
+  async postDamageClaim(tx, deposit, hostId) {
+    const amount = Number(deposit.capturedAmount || 0);
+    if (!amount) return null;
+
+    return this.post(tx, {
+      type: LedgerTransactionType.DAMAGE_CLAIM,
+      reference: `damage-claim:${deposit.id}`,
+      hostId,
+      bookingId: deposit.bookingId,
+      currency: deposit.currency,
+      description: "Damage claim collected from security deposit",
+      occurredAt: deposit.settledAt || new Date(),
+      entries: [
+        debit(LedgerAccount.GUEST_CLEARING, amount),
+        credit(LedgerAccount.HOST_PAYABLE, amount, {
+          hostId,
+          availableAt: new Date(),
+        }),
+      ],
+    });
+  }
+
+  /**
+   * Manual correction of a host's balance, funded from (or returned to)
+   * platform revenue. Payable immediately.
+   * @param {object} tx - Prisma transaction client
+   * @param {Object} params
+   * @param {number} params.amount - Positive credits the host, negative debits
+   * @returns {Promise<object>}
+   */
+  async postAdjustment(tx, { hostId, amount, currency, description, bookingId = null, createdById }) {
+    const value = Math.abs(amount);
+    const hostEntry = { hostId, availableAt: new Date() };
+
+    return this.post(tx, {
+      type: LedgerTransactionType.ADJUSTMENT,
+      reference: `adjustment:${randomUUID()}`,
+      hostId,
+      bookingId,
+      currency,
+      description,
+      createdById,
+      entries:
+        amount > 0
+          ? [
+              debit(LedgerAccount.PLATFORM_REVENUE, value),
+              credit(LedgerAccount.HOST_PAYABLE, value, hostEntry),
+            ]
+          : [
+              debit(LedgerAccount.HOST_PAYABLE, value, hostEntry),
+              credit(LedgerAccount.PLATFORM_REVENUE, value),
+            ],
+    });
+  }
+
+  /**
+   * Record money leaving the platform to the host. The host entry is
+   * settled by the payout itself so it never counts towards the next one.
+   * @param {object} tx - Prisma transaction client
+   * @param {object} payout
+   * @returns {Promise<object>}
+   */
+  async postPayout(tx, payout) {
+    return this.post(tx, {
+      type: LedgerTransactionType.PAYOUT,
+      reference: `payout:${payout.id}`,
+      hostId: payout.hostId,
+      payoutId: payout.id,
+      currency: payout.currency,
+      description: "Payout to host",
+      occurredAt: payout.paidAt || new Date(),
+      entries: [
+        debit(LedgerAccount.HOST_PAYABLE, Number(payout.amount), {
+          hostId: payout.hostId,
+          availableAt: payout.periodEnd,
+          payoutId: payout.id,
+        }),
+        credit(LedgerAccount.GUEST_CLEARING, Number(payout.amount)),
+      ],
+    });
+  }
+
+  /**
+   * Move a booking's unpaid host earnings to the release date of its new
+   * check-in after the stay was rescheduled
+   * @param {object} tx - Prisma transaction client
+   * @param {string} bookingId
+   * @param {Date} startDate - New check-in
+   */
+  async rescheduleEarnings(tx, bookingId, startDate) {
+    return tx.ledgerEntry.updateMany({
+      where: {
+        account: LedgerAccount.HOST_PAYABLE,
+        payoutId: null,
+        transaction: {
+          bookingId,
+          type: { in: [LedgerTransactionType.CHARGE, LedgerTransactionType.REFUND] },
+        },
+      },
+      data: { availableAt: this.releaseDate(startDate) },
+    });
+  }
+
+  // Taxes are held for remittance, commission is taken from the rest and
+  // the remainder is owed to the host
+  chargeEntries(total, taxes, hostEntry) {
+    const taxed = Math.min(taxes, total);
+    const commission = round(
+      ((total - taxed) * config.get("payouts.commissionPercent")) / 100
+    );
+
+    return [
+      debit(LedgerAccount.GUEST_CLEARING, total),
+      credit(LedgerAccount.TAX_PAYABLE, taxed),
+      credit(LedgerAccount.PLATFORM_REVENUE, commission),
+      credit(LedgerAccount.HOST_PAYABLE, round(total - taxed - commission), hostEntry),
+    ];
+  }
+
+  // Reverse `amount` of a charge posting in proportion to its entries, with
+  // rounding drift taken from the host's share. The host debit becomes
+  // payable when the original earnings did, so money returned before
+  // check-in cancels out earnings that were never paid.
+  reversalEntries(charge, amount) {
+    const charged = (account) =>
+      charge.entries.find((entry) => entry.account === account);
+    const chargedAmount = (account) => Number(charged(account)?.amount || 0);
+
+    const chargeTotal = chargedAmount(LedgerAccount.GUEST_CLEARING);
+    const share = chargeTotal > 0 ? Math.min(amount / chargeTotal, 1) : 0;
+    const taxes = round(chargedAmount(LedgerAccount.TAX_PAYABLE) * share);
+    const commission = round(chargedAmount(LedgerAccount.PLATFORM_REVENUE) * share);
+
+    return [
+      credit(LedgerAccount.GUEST_CLEARING, amount),
+      debit(LedgerAccount.TAX_PAYABLE, taxes),
+      debit(LedgerAccount.PLATFORM_REVENUE, commission),
+      debit(LedgerAccount.HOST_PAYABLE, amount - taxes - commission, {
+        hostId: charge.hostId,
+        availableAt: charged(LedgerAccount.HOST_PAYABLE)?.availableAt || new Date(),
+      }),
+    ];
+  }
+
+  // Earnings for a stay become payable a configurable delay after check-in
+  releaseDate(checkIn) {
+    return DateTime.fromJSDate(new Date(checkIn))
+      .plus({ hours: config.get("payouts.releaseDelayHours") })
+      .toJSDate();
+  }
+
+  // Signed value of a HOST_PAYABLE entry from the host's point of view
+  hostAmount(entry) {
+    const amount = Number(entry.amount);
+    return entry.direction === LedgerDirection.CREDIT ? amount : -amount;
+  }
+}
+
+export default new LedgerService();
@@ -0,0 +1,29 @@
+import express from "express";
+import PayoutController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { payoutSchemas } from "./schema.js";
+
+// Mounted under /owners
+const router = express.Router();
+
+router.use(authenticateUser());
+
+router.get("/me/balance", PayoutController.getBalance);
+router.get("/me/payouts", PayoutController.listPayouts);
+router.get(
+  "/me/payouts/:payoutId/statement.csv",
+  PayoutController.getPayoutStatementCsv
+);
+router.get("/me/payouts/:payoutId", PayoutController.getPayout);
+router.get("/me/statement", PayoutController.getStatement);
+router.get("/me/statement.csv", PayoutController.getStatementCsv);
+
+router.post(
+  "/:ownerId/adjustments",
+  authenticateUser({ roles: ["admin"] }),
+  validate(payoutSchemas.createAdjustment),
+  PayoutController.createAdjustment
+);
+
+export default router;
@@ -0,0 +1,11 @@
+// payouts/schema.js
+import Joi from "joi";
+
+export const payoutSchemas = {
+  createAdjustment: Joi.object({
+    amount: Joi.number().precision(2).invalid(0).required(),
+    currency: Joi.string().length(3).uppercase().required(),
+    description: Joi.string().trim().min(3).max(500).required(),
+    bookingId: Joi.string().uuid().optional(),
+  }),
+};
@@ -0,0 +1,380 @@
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import { toCsv } from "../../utils/csv.js";
+import LedgerService from "./ledger.js";
+import pkg from "@prisma/client";
+const { LedgerAccount, LedgerDirection, PayoutStatus } = pkg;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const HOST_ENTRY_INCLUDE = {
+  transaction: {
+    select: {
+      type: true,
+      reference: true,
+      bookingId: true,
+      description: true,
+      occurredAt: true,
+    },
+  },
+};
+
+const STATEMENT_COLUMNS = [
+  { key: "date", header: "Date" },
+  { key: "type", header: "Type" },
+  { key: "bookingId", header: "Booking" },
+  { key: "description", header: "Description" },
+  { key: "currency", header: "Currency" },
+  { key: "amount", header: "Amount" },
+  { key: "balance", header: "Balance" },
+  { key: "availableAt", header: "Payable from" },
+  { key: "payoutId", header: "Payout" },
+];
+
+class PayoutService {
+  /**
+   * Host balance per currency: `available` is payable now, `pending` waits
+   * for check-in plus the release delay, `paidOut` has already been sent
+   * @param {string} hostId
+   * @param {Date} [now]
+   * @returns {Promise<Array<{currency, available, pending, paidOut}>>}
+   */
+  async getBalance(hostId, now = new Date()) {
+    const [unpaid, payouts] = await Promise.all([
+      prisma.ledgerEntry.findMany({
+        where: { hostId, account: LedgerAccount.HOST_PAYABLE, payoutId: null },
+        select: { direction: true, amount: true, currency: true, availableAt: true },
+      }),
+      prisma.payout.groupBy({
+        by: ["currency"],
+        where: { hostId, status: PayoutStatus.PAID },
+        _sum: { amount: true },
+      }),
+    ]);
+
+    const balances = new Map();
+    const balanceFor = (currency) => {
+      if (!balances.has(currency)) {
+        balances.set(currency, { currency, available: 0, pending: 0, paidOut: 0 });
+      }
+      return balances.get(currency);
+    };
+
+    for (const entry of unpaid) {
+      const balance = balanceFor(entry.currency);
+      const key = entry.availableAt && entry.availableAt <= now ? "available" : "pending";
+      balance[key] = round(balance[key] + LedgerService.hostAmount(entry));
+    }
+    for (const row of payouts) {
+      balanceFor(row.currency).paidOut = round(Number(row._sum.amount || 0));
+    }
+
+    return [...balances.values()];
+  }
+
+  async listPayouts(hostId, { status, page = 1, limit = 20 } = {}) {
+    const where = { hostId, ...(status && { status }) };
+
+    const [payouts, total] = await Promise.all([
+      prisma.payout.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: { _count: { select: { entries: true } } },
+      }),
+      prisma.payout.count({ where }),
+    ]);
+
+    return { payouts, total };
+  }
+
+  /**
+   * A payout with the ledger entries it settled
+   * @param {string} payoutId
+   * @param {Object} actor
+   * @param {string} actor.userId
+   * @param {boolean} [actor.isAdmin=false]
+   */
+  async getPayout(payoutId, { userId, isAdmin = false }) {
+    const payout = await prisma.payout.findUnique({
+      where: { id: payoutId },
+      include: {
+        entries: {
+          where: { transaction: { payoutId: null } },
+          include: HOST_ENTRY_INCLUDE,
+          orderBy: { createdAt: "asc" },
+        },
+      },
+    });
+
+    // Hosts only learn that their own payouts exist
+    if (!payout || (!isAdmin && payout.hostId !== userId)) {
+      throw new NotFoundError("Payout not found");
+    }
+    return payout;
+  }
+
+  /**
+   * Host-side ledger lines for a period with running balances per currency
+   * @param {string} hostId
+   * @param {Object} [range]
+   * @param {Date} [range.from]
+   * @param {Date} [range.to]
+   * @returns {Promise<{openingBalances: Object, closingBalances: Object, lines: Array}>}
+   */
+  async getStatement(hostId, { from, to } = {}) {
+    if (from && to && from > to) {
+      throw new ValidationError("`from` must be before `to`");
+    }
+
+    const hostWhere = { hostId, account: LedgerAccount.HOST_PAYABLE };
+    const opening = from
+      ? await prisma.ledgerEntry.groupBy({
+          by: ["currency", "direction"],
+          where: { ...hostWhere, transaction: { occurredAt: { lt: from } } },
+          _sum: { amount: true },
+        })
+      : [];
+
+    const entries = await prisma.ledgerEntry.findMany({
+      where: {
+        ...hostWhere,
+        transaction: {
+          occurredAt: { ...(from && { gte: from }), ...(to && { lte: to }) },
+        },
+      },
+      include: HOST_ENTRY_INCLUDE,
+      orderBy: [{ transaction: { occurredAt: "asc" } }, { createdAt: "asc" }],
+    });
+
+    const openingBalances = {};
+    for (const row of opening) {
+      const amount = Number(row._sum.amount || 0);
+      openingBalances[row.currency] = round(
+        (openingBalances[row.currency] || 0) +
+          (row.direction === LedgerDirection.CREDIT ? amount : -amount)
+      );
+    }
+
+    const running = { ...openingBalances };
+    const lines = entries.map((entry) => {
+      const amount = LedgerService.hostAmount(entry);
+      running[entry.currency] = round((running[entry.currency] || 0) + amount);
+      return {
+        date: entry.transaction.occurredAt,
+        type: entry.transaction.type,
+        bookingId: entry.transaction.bookingId,
+        description: entry.transaction.description,
+        currency: entry.currency,
+        amount: amount.toFixed(2),
+        balance: running[entry.currency].toFixed(2),
+        availableAt: entry.availableAt,
+        payoutId: entry.payoutId,
+      };
+    });
+
+    return { openingBalances, closingBalances: running, lines };
+  }
+
+  async getStatementCsv(hostId, range) {
+    const { lines } = await this.getStatement(hostId, range);
+    return toCsv(STATEMENT_COLUMNS, lines);
+  }
+
+  // Settlement statement for one payout: the entries it paid out
+  async getPayoutStatementCsv(payoutId, actor) {
+    const payout = await this.getPayout(payoutId, actor);
+
+    let balance = 0;
+    const lines = payout.entries.map((entry) => {
+      const amount = LedgerService.hostAmount(entry);
+      balance = round(balance + amount);
+      return {
+        date: entry.transaction.occurredAt,
+        type: entry.transaction.type,
+        bookingId: entry.transaction.bookingId,
+        description: entry.transaction.description,
+        currency: entry.currency,
+        amount: amount.toFixed(2),
+        balance: balance.toFixed(2),
+        availableAt: entry.availableAt,
+        payoutId: payout.id,
+      };
+    });
+
+    return { payout, csv: toCsv(STATEMENT_COLUMNS, lines) };
+  }
+
+  /**
+   * Manually credit or debit a host's balance
+   * @param {string} hostId
+   * @param {Object} adjustment
+   * @param {number} adjustment.amount - Positive credits the host
+   * @param {string} adjustment.currency
+   * @param {string} adjustment.description
+   * @param {string} [adjustment.bookingId]
+   * @param {string} adminId
+   */
+  async createAdjustment(hostId, { amount, currency, description, bookingId }, adminId) {
+    const host = await prisma.user.findUnique({
+      where: { id: hostId },
+      select: { id: true },
+    });
+    if (!host) throw new NotFoundError("Host not found");
+
+    if (bookingId) {
+      const booking = await prisma.booking.findUnique({
+        where: { id: bookingId },
+        select: { property: { select: { ownerId: true } } },
+      });
+      if (booking?.property?.ownerId !== hostId) {
+        throw new ValidationError("Booking does not belong to this host");
+      }
+    }
+
+    const transaction = await prisma.$transaction((tx) =>
+      LedgerService.postAdjustment(tx, {
+        hostId,
+        amount,
+        currency: currency.toUpperCase(),
+        description,
+        bookingId,
+        createdById: adminId,
+      })
+    );
+
+    logger.info(`Ledger adjustment of ${amount} ${currency} for host ${hostId}`, {
+      adminId,
+      transactionId: transaction.id,
+    });
+    return transaction;
+  }
+
+  /**
+   * Hosts and currencies with payable entries not yet assigned to a payout
+   * @param {Date} [now]
+   * @returns {Promise<Array<{hostId: string, currency: string}>>}
+   */
+  async findPayableHosts(now = new Date()) {
+    const rows = await prisma.ledgerEntry.groupBy({
+      by: ["hostId", "currency"],
+      where: {
+        account: LedgerAccount.HOST_PAYABLE,
+        hostId: { not: null },
+        payoutId: null,
+        availableAt: { lte: now },
+      },
+    });
+    return rows.map(({ hostId, currency }) => ({ hostId, currency }));
+  }
+
+  /**
+   * Gather a host's payable entries in one currency into a SCHEDULED
+   * payout. Nothing is scheduled while refunds or adjustments leave the
+   * payable balance at or below zero; those entries wait for future
+   * earnings to net against.
+   * @param {string} hostId
+   * @param {string} currency
+   * @param {Date} [now]
+   * @returns {Promise<object|null>} Payout, or null when nothing is owed
+   */
+  async schedulePayout(hostId, currency, now = new Date()) {
+    return this.withHostLock(hostId, () =>
+      prisma.$transaction(async (tx) => {
+        const entries = await tx.ledgerEntry.findMany({
+          where: {
+            hostId,
+            currency,
+            account: LedgerAccount.HOST_PAYABLE,
+            payoutId: null,
+            availableAt: { lte: now },
+          },
+          select: { id: true, direction: true, amount: true, availableAt: true },
+        });
+
+        const amount = round(
+          entries.reduce((sum, entry) => sum + LedgerService.hostAmount(entry), 0)
+        );
+        if (amount <= 0) return null;
+
+        const payout = await tx.payout.create({
+          data: {
+            hostId,
+            amount,
+            currency,
+            periodStart: new Date(
+              Math.min(...entries.map((entry) => entry.availableAt.getTime()))
+            ),
+            periodEnd: now,
+          },
+        });
+
+        const assigned = await tx.ledgerEntry.updateMany({
+          where: { id: { in: entries.map((entry) => entry.id) }, payoutId: null },
+          data: { payoutId: payout.id },
+        });
+        if (assigned.count !== entries.length) {
+          throw new ConflictError("Ledger entries changed while scheduling payout");
+        }
+
+        logger.info(
+          `Payout ${payout.id} of ${amount} ${currency} scheduled for host ${hostId}`,
+          { entries: entries.length }
+        );
+        return payout;
+      })
+    );
+  }
+
+  async findScheduledPayouts(limit = 100) {
+    return prisma.payout.findMany({
+      where: { status: PayoutStatus.SCHEDULED },
+      orderBy: { createdAt: "asc" },
+      take: limit,
+      select: { id: true },
+    });
+  }
+
+  /**
+   * Record the transfer of a scheduled payout and post it to the ledger.
+   * Safe to call twice: only a SCHEDULED payout is settled.
+   * @param {string} payoutId
+   * @returns {Promise<object|null>} Paid payout, or null if already settled
+   */
+  async settlePayout(payoutId) {
+    return prisma.$transaction(async (tx) => {
+      const paidAt = new Date();
+      const result = await tx.payout.updateMany({
+        where: { id: payoutId, status: PayoutStatus.SCHEDULED },
+        data: { status: PayoutStatus.PAID, paidAt },
+      });
+      if (!result.count) return null;
+
+      const payout = await tx.payout.findUnique({ where: { id: payoutId } });
+      await LedgerService.postPayout(tx, payout);
+
+      logger.info(`Payout ${payoutId} of ${payout.amount} ${payout.currency} paid`);
+      return payout;
+    });
+  }
+
+  async withHostLock(hostId, fn) {
+    try {
+      return await withLock(`payouts:${hostId}:lock`, fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Host payouts are being updated, please retry");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new PayoutService();
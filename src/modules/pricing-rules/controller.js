@@ -0,0 +1,112 @@
+import PricingRuleService from "./service.js";
+import logger from "../../config/logger.js";
+import { hasRole } from "../../utils/roleUtils.js";
+
+const actorFrom = (req) => ({
+  userId: req.user.id,
+  isAdmin: hasRole(req.user, "admin"),
+});
+
+class PricingRuleController {
+  /**
+   * @desc    List pricing rules for a property
+   * @route   GET /api/properties/:propertyId/pricing-rules
+   * @access  Private (owner or admin)
+   */
+  async listRules(req, res, next) {
+    try {
+      const rules = await PricingRuleService.listRules(
+        req.params.propertyId,
+        actorFrom(req)
+      );
+
+      res.status(200).json({ success: true, data: rules });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Add a pricing rule
+   * @route   POST /api/properties/:propertyId/pricing-rules
+   * @access  Private (owner or admin)
+   */
+  async createRule(req, res, next) {
+    const { propertyId } = req.params;
+
+    try {
+      const rule = await PricingRuleService.createRule(
+        propertyId,
+        req.body,
+        actorFrom(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: "Pricing rule created",
+      });
+    } catch (error) {
+      logger.error(`Pricing rule creation failed: ${error.message}`, {
+        propertyId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a pricing rule
+   * @route   PATCH /api/properties/:propertyId/pricing-rules/:ruleId
+   * @access  Private (owner or admin)
+   */
+  async updateRule(req, res, next) {
+    const { propertyId, ruleId } = req.params;
+
+    try {
+      const rule = await PricingRuleService.updateRule(
+        propertyId,
+        ruleId,
+        req.body,
+        actorFrom(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: rule,
+        message: "Pricing rule updated",
+      });
+    } catch (error) {
+      logger.error(`Pricing rule update failed: ${error.message}`, {
+        propertyId,
+        ruleId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a pricing rule
+   * @route   DELETE /api/properties/:propertyId/pricing-rules/:ruleId
+   * @access  Private (owner or admin)
+   */
+  async deleteRule(req, res, next) {
+    const { propertyId, ruleId } = req.params;
+
+    try {
+      await PricingRuleService.deleteRule(propertyId, ruleId, actorFrom(req));
+
+      res.status(200).json({
+        success: true,
+        message: "Pricing rule deleted",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new PricingRuleController();
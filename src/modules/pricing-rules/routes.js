@@ -0,0 +1,22 @@
+import express from "express";
+import PricingRuleController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { pricingRuleSchemas } from "./schema.js";
+
+// Mounted under /properties/:propertyId/pricing-rules
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser());
+
+router
+  .route("/")
+  .get(PricingRuleController.listRules)
+  .post(validate(pricingRuleSchemas.createRule), PricingRuleController.createRule);
+
+router
+  .route("/:ruleId")
+  .patch(validate(pricingRuleSchemas.updateRule), PricingRuleController.updateRule)
+  .delete(PricingRuleController.deleteRule);
+
+export default router;
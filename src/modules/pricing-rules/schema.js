@@ -0,0 +1,72 @@
+// pricing-rules/schema.js
+import Joi from "joi";
+
+const RULE_TYPES = [
+  "SEASONAL",
+  "WEEKEND",
+  "LENGTH_OF_STAY",
+  "LAST_MINUTE",
+  "EARLY_BIRD",
+  "MIN_PRICE",
+];
+
+const ruleFields = {
+  name: Joi.string().trim().max(100),
+  adjustmentPercent: Joi.number().min(-100).max(500).precision(2),
+  amount: Joi.number().positive().precision(2),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date()
+    .iso()
+    .when("startDate", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("startDate")),
+    }),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  minNights: Joi.number().integer().min(1),
+  leadDays: Joi.number().integer().min(0),
+  priority: Joi.number().integer().min(0).max(100),
+  isActive: Joi.boolean(),
+};
+
+// Fields each rule type needs to be evaluated
+const requiredByType = {
+  SEASONAL: ["startDate", "endDate"],
+  WEEKEND: ["adjustmentPercent"],
+  LENGTH_OF_STAY: ["minNights", "adjustmentPercent"],
+  LAST_MINUTE: ["leadDays", "adjustmentPercent"],
+  EARLY_BIRD: ["leadDays", "adjustmentPercent"],
+  MIN_PRICE: ["amount"],
+};
+
+export const pricingRuleSchemas = {
+  createRule: Joi.object({
+    type: Joi.string()
+      .valid(...RULE_TYPES)
+      .required(),
+    ...ruleFields,
+    name: ruleFields.name.required(),
+  }).custom((value, helpers) => {
+    const missing = requiredByType[value.type].filter(
+      (field) => value[field] === undefined
+    );
+    if (missing.length) {
+      return helpers.message(
+        `${value.type} rules require: ${missing.join(", ")}`
+      );
+    }
+    if (
+      value.type === "SEASONAL" &&
+      value.amount === undefined &&
+      value.adjustmentPercent === undefined
+    ) {
+      return helpers.message(
+        "SEASONAL rules require either amount or adjustmentPercent"
+      );
+    }
+    return value;
+  }),
+
+  updateRule: Joi.object(ruleFields).min(1),
+};
+
+export { requiredByType };
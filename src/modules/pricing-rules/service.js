@@ -0,0 +1,104 @@
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { PricingService } from "../../utils/pricing.js";
+import { invalidateCalendar } from "../calendars/cache.js";
+import { requiredByType } from "./schema.js";
+
+class PricingRuleService {
+  async listRules(propertyId, actor) {
+    await this.assertCanManage(propertyId, actor);
+
+    return prisma.pricingRule.findMany({
+      where: { propertyId },
+      orderBy: [{ type: "asc" }, { priority: "desc" }, { createdAt: "asc" }],
+    });
+  }
+
+  async createRule(propertyId, data, actor) {
+    await this.assertCanManage(propertyId, actor);
+
+    const rule = await prisma.pricingRule.create({
+      data: { ...data, propertyId },
+    });
+
+    logger.info(`Pricing rule ${rule.id} (${rule.type}) added to property ${propertyId}`);
+    await invalidateCalendar(propertyId);
+    return rule;
+  }
+
+  async updateRule(propertyId, ruleId, data, actor) {
+    await this.assertCanManage(propertyId, actor);
+    const existing = await this.getRule(propertyId, ruleId);
+
+    // Re-check the merged rule so an update cannot strip a required field
+    const merged = { ...existing, ...data };
+    const missing = requiredByType[existing.type].filter(
+      (field) => merged[field] === null || merged[field] === undefined
+    );
+    if (missing.length) {
+      throw new ValidationError(
+        `${existing.type} rules require: ${missing.join(", ")}`
+      );
+    }
+    if (merged.startDate && merged.endDate && merged.startDate > merged.endDate) {
+      throw new ValidationError("End date must be on or after start date");
+    }
+
+    const rule = await prisma.pricingRule.update({ where: { id: ruleId }, data });
+    await invalidateCalendar(propertyId);
+    return rule;
+  }
+
+  async deleteRule(propertyId, ruleId, actor) {
+    await this.assertCanManage(propertyId, actor);
+    await this.getRule(propertyId, ruleId);
+
+    await prisma.pricingRule.delete({ where: { id: ruleId } });
+    logger.info(`Pricing rule ${ruleId} removed from property ${propertyId}`);
+    await invalidateCalendar(propertyId);
+  }
+
+  /**
+   * Price a stay with the property's active rules. `client` may be a
+   * transaction so booking creation prices against the same snapshot it
+   * writes.
+   * @param {object} client - Prisma client or transaction
+   * @param {string} propertyId
+   * @param {Array<{date: Date, price: number}>} nights - Base rate per night
+   * @param {Date} [bookedAt]
+   */
+  async priceNights(client, propertyId, nights, bookedAt = new Date()) {
+    const rules = await client.pricingRule.findMany({
+      where: { propertyId, isActive: true },
+    });
+
+    return PricingService.priceStay({ nights, rules, bookedAt });
+  }
+
+  async getRule(propertyId, ruleId) {
+    const rule = await prisma.pricingRule.findFirst({
+      where: { id: ruleId, propertyId },
+    });
+    if (!rule) throw new NotFoundError("Pricing rule not found");
+    return rule;
+  }
+
+  async assertCanManage(propertyId, { userId, isAdmin = false }) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true },
+    });
+
+    if (!property) throw new NotFoundError("Property not found");
+    if (!isAdmin && property.ownerId !== userId) {
+      throw new ForbiddenError("Only the property owner can manage pricing rules");
+    }
+  }
+}
+
+export default new PricingRuleService();
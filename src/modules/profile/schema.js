@@ -69,6 +69,14 @@ export const profileSchema = Joi.object({
 
   postalCode: Joi.string().max(20).allow(null, ""),
 
+  preferredCurrency: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .allow(null)
+    .messages({
+      "string.pattern.base": "Preferred currency must be a 3-letter ISO code",
+    }),
+
   // timeZone: Joi.string()
   //   .valid(...timezones)
   //   .messages({
@@ -1,6 +1,7 @@
 import { Prisma } from "@prisma/client";
 import prisma from "../../config/database.js";
 import { uploadToCloudinary } from "../../utils/fileStorage.js";
+import CurrencyService from "../currencies/service.js";
 import { profileSchema, profileUpdateSchema } from "./schema.js";
 
 export class ProfileService {
@@ -19,6 +20,9 @@ export class ProfileService {
         `Validation error: ${error.details.map((d) => d.message).join(", ")}`
       );
     }
+    if (value.preferredCurrency) {
+      await this.assertPreferredCurrency(value.preferredCurrency);
+    }
 
     return prisma.profile.upsert({
       where: { userId },
@@ -47,6 +51,9 @@ export class ProfileService {
         `Validation error: ${error.details.map((d) => d.message).join(", ")}`
       );
     }
+    if (value.preferredCurrency) {
+      await this.assertPreferredCurrency(value.preferredCurrency);
+    }
 
     return prisma.profile.update({
       where: { userId },
@@ -57,6 +64,19 @@ export class ProfileService {
     });
   }
 
+  /**
+   * Only currencies with an exchange rate can be booked in
+   * @param {string} currency - Upper-cased ISO code
+   */
+  static async assertPreferredCurrency(currency) {
+    const { rates } = await CurrencyService.getRates();
+    if (!rates[currency]) {
+      throw new Error(
+        `Validation error: No exchange rate configured for ${currency}`
+      );
+    }
+  }
+
   /**
    * Get profile by user ID
    * @param {string} userId
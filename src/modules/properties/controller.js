@@ -1,9 +1,12 @@
 // properties/controller.js
 import { PropertyService } from "./service.js";
+import SearchIndexService from "../search-index/service.js";
 import {
   propertySchema,
+  cancellationPolicySchema,
   validateWithJoi,
   searchParamsSchema,
+  mapSearchSchema,
   suggestionsSchema,
   reindexSchema,
 } from "./schema.js";
@@ -232,6 +235,14 @@ export class PropertyController {
         "\n =========================="
       );
       const data = req.body;
+      if ("cancellationPolicy" in data || "cancellationTiers" in data) {
+        const { error, value } = validateWithJoi(cancellationPolicySchema, {
+          cancellationPolicy: data.cancellationPolicy,
+          cancellationTiers: data.cancellationTiers,
+        });
+        if (error) return res.status(400).json({ error: error.message });
+        Object.assign(data, value);
+      }
       const property = await PropertyService.updateProperty(
         req.params.id,
         req.user.id,
@@ -367,16 +378,63 @@ export class PropertyController {
         status: "success",
         data: results.data,
         pagination: results.pagination,
+        facets: results.facets,
       });
     } catch (error) {
       console.error("Property search failed:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         status: "error",
         message: error.message || "Failed to search properties",
       });
     }
   }
 
+  /**
+   * Search a map viewport or drawn polygon for pins or clusters
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  static async searchMap(req, res) {
+    try {
+      const { error, value } = mapSearchSchema.validate(req.query, {
+        abortEarly: false,
+        allowUnknown: false,
+        convert: true,
+      });
+
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: "Validation failed",
+          errors: error.details.map((detail) => ({
+            field: detail.path.join("."),
+            message: detail.message,
+          })),
+        });
+      }
+
+      const result = await PropertyService.searchMap({
+        ...value,
+        amenities: value.amenities
+          ? Array.isArray(value.amenities)
+            ? value.amenities
+            : [value.amenities]
+          : [],
+      });
+
+      res.json({
+        status: "success",
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Map search failed: ${error.message}`);
+      res.status(error.statusCode || 500).json({
+        status: "error",
+        message: error.message || "Failed to search the map",
+      });
+    }
+  }
+
   /**
    * Get search suggestions
    * @param {Object} req - Express request
@@ -431,7 +489,7 @@ export class PropertyController {
         });
       }
 
-      await PropertyService.indexProperty(value.propertyId);
+      await SearchIndexService.reindex(value.propertyId);
 
       res.json({
         status: "success",
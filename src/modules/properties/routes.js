@@ -4,8 +4,12 @@ import { PropertyController } from "./controller.js";
 import {
   authenticateUser,
   authorizeAccess,
+  identifyUser,
 } from "../../middlewares/authentication.js";
 import prisma from "../../config/database.js";
+import rateLimit from "express-rate-limit";
+import BookingController from "../bookings/controller.js";
+import CalendarController from "../calendars/controller.js";
 
 const router = Router();
 // Public routes
@@ -137,6 +141,12 @@ router.patch(
  *           type: number
  *         description: Maximum price filter
  *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *         description: Currency of the price filter and displayPrice (defaults to the base currency)
+ *       - in: query
  *         name: minBedrooms
  *         schema:
  *           type: integer
@@ -154,6 +164,45 @@ router.patch(
  *           type: string
  *         description: Property type filter
  *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City filter, as returned in the city facet
+ *       - in: query
+ *         name: listingType
+ *         schema:
+ *           type: string
+ *           enum: [RENT, SALE]
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *         description: Minimum average review rating
+ *       - in: query
+ *         name: checkIn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First night of the stay; with checkOut, only listings free for the whole stay are returned and displayPrice is the stay total. Price filters, price sorting and price facets then use the stay's nightly rates, before discounts, fees and taxes
+ *       - in: query
+ *         name: checkOut
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Departure day of the stay
+ *       - in: query
+ *         name: guests
+ *         schema:
+ *           type: integer
+ *         description: Adults and children the listing must accommodate
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, price_asc, price_desc, rating, distance, newest]
+ *           default: relevance
+ *         description: distance needs latitude and longitude; price sorts use the requested currency
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -167,9 +216,9 @@ router.patch(
  *         description: Results per page
  *     responses:
  *       200:
- *         description: Successful search
+ *         description: Successful search. `facets` counts every matching listing by propertyType, city, bedrooms, listingType, amenities, price range and rating band
  *       400:
- *         description: Invalid parameters
+ *         description: Invalid parameters, or text and location search combined
  *       500:
  *         description: Server error
  */
@@ -179,6 +228,46 @@ router.get(
   PropertyController.searchProperties
 );
 
+/**
+ * @swagger
+ * /api/properties/search/map:
+ *   get:
+ *     summary: Search a map viewport for pins or clusters
+ *     description: >
+ *       Takes the same filters as /search. Below the cluster zoom, or when the
+ *       area holds too many listings, nearby listings are grouped into clusters
+ *       with a count, centre, extent and price range; lone listings are pins.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *           example: "2.25,48.81,2.42,48.90"
+ *         description: Viewport as minLng,minLat,maxLng,maxLat (minLng above maxLng crosses the antimeridian). Required unless polygon is given
+ *       - in: query
+ *         name: polygon
+ *         schema:
+ *           type: string
+ *         description: Drawn area as a JSON-encoded GeoJSON Polygon without holes
+ *       - in: query
+ *         name: zoom
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 22
+ *         description: Map zoom level, which sets the cluster size
+ *     responses:
+ *       200:
+ *         description: "`data.mode` is pins or clusters; `data.pins` and `data.clusters` hold the results"
+ *       400:
+ *         description: Invalid geometry or filters
+ *       500:
+ *         description: Server error
+ */
+router.get("/search/map", PropertyController.searchMap);
+
 /**
  * @swagger
  * /api/properties/suggestions:
@@ -216,7 +305,7 @@ router.get("/suggestions", PropertyController.getSearchSuggestions);
  *         description: ID of the property to reindex
  *     responses:
  *       200:
- *         description: Successfully reindexed
+ *         description: Reindexed, or removed from the index if the listing is not approved
  *       400:
  *         description: Missing property ID
  *       500:
@@ -283,6 +372,100 @@ router.delete(
   PropertyController.rejectProperty
 );
 
+/**
+ * @swagger
+ * /api/properties/{id}/quote:
+ *   get:
+ *     summary: Price a stay with a nightly breakdown
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: start
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: end
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: adults
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: children
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: currency
+ *         description: Currency to quote in, defaults to the signed-in guest's preferred currency, else the listing currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *     responses:
+ *       200:
+ *         description: Quote with a signed quoteToken for booking creation
+ *       409:
+ *         description: Dates not available
+ */
+router.get(
+  "/:id/quote",
+  rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 30, // 30 quotes per minute
+    message: "Too many quote requests, please slow down",
+  }),
+  identifyUser(),
+  BookingController.getQuote
+);
+
+/**
+ * @swagger
+ * /api/properties/{id}/calendar:
+ *   get:
+ *     summary: Per-day availability, nightly price and minimum stay
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: First day, defaults to the start of this month
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Last day (inclusive), defaults to the end of from's month
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Days with status AVAILABLE, BOOKED, BLOCKED, CHECK_IN_ONLY or CHECK_OUT_ONLY
+ *       404:
+ *         description: Property not found
+ */
+router.get("/:id/calendar", CalendarController.getCalendar);
+router.get(
+  "/:id/calendar/host",
+  authenticateUser(),
+  CalendarController.getHostCalendar
+);
+
 router.get("/:id", PropertyController.getProperty);
 router.get("/", PropertyController.listApprovedProperties);
 export default router;
@@ -1,5 +1,49 @@
 // properties/validation.js
 import Joi from "joi";
+import { SEARCH_SORTS } from "./service.js";
+import { geoJSON } from "../../utils/geospatial.js";
+
+// Host-defined cancellation tiers: refund `refundPercent` when cancelled at
+// least `hoursBefore` hours before check-in. Earlier deadlines must not
+// refund less than later ones.
+const cancellationTiersSchema = Joi.array()
+  .items(
+    Joi.object({
+      hoursBefore: Joi.number().integer().min(0).max(8760).required(),
+      refundPercent: Joi.number().integer().min(0).max(100).required(),
+    })
+  )
+  .min(1)
+  .max(5)
+  .unique("hoursBefore")
+  .custom((tiers, helpers) => {
+    const ordered = [...tiers].sort((a, b) => b.hoursBefore - a.hoursBefore);
+    const increasing = ordered.some(
+      (tier, index) => index > 0 && tier.refundPercent > ordered[index - 1].refundPercent
+    );
+    return increasing ? helpers.error("cancellationTiers.order") : ordered;
+  })
+  .messages({
+    "cancellationTiers.order":
+      "Refunds cannot grow closer to check-in: earlier tiers must refund at least as much",
+  });
+
+const cancellationPolicyKeys = {
+  cancellationPolicy: Joi.string()
+    .valid("FLEXIBLE", "MODERATE", "STRICT", "NON_REFUNDABLE", "CUSTOM")
+    .optional(),
+  cancellationTiers: Joi.when("cancellationPolicy", {
+    is: "CUSTOM",
+    then: cancellationTiersSchema.required(),
+    otherwise: Joi.forbidden(),
+  }),
+};
+
+// Policy change on an existing listing
+export const cancellationPolicySchema = Joi.object(cancellationPolicyKeys).with(
+  "cancellationTiers",
+  "cancellationPolicy"
+);
 
 // Reusable validation schemas
 export const propertySchema = Joi.object({
@@ -32,6 +76,16 @@ export const propertySchema = Joi.object({
   maxGuests: Joi.number().integer().positive().required(),
   minStay: Joi.number().integer().positive().required(),
   maxStay: Joi.number().integer().positive().optional(),
+  availabilityWindowDays: Joi.number().integer().min(1).max(730).allow(null).optional(),
+  cleaningFee: Joi.number().min(0).precision(2).optional(),
+  extraGuestFee: Joi.number().min(0).precision(2).optional(),
+  extraGuestThreshold: Joi.number().integer().positive().optional(),
+  bookingMode: Joi.string().valid("INSTANT", "REQUEST").optional(),
+  guestRequirements: Joi.array()
+    .items(Joi.string().valid("VERIFIED_EMAIL", "COMPLETE_PROFILE", "NO_CANCELLATIONS"))
+    .unique()
+    .optional(),
+  ...cancellationPolicyKeys,
   amenities: Joi.array().items(Joi.string()).optional(),
   location: Joi.alternatives().try(
     // Old format: { lat, lng }
@@ -70,21 +124,65 @@ export const validateWithJoi = (schema, data) => {
   return schema.validate(data, options);
 };
 
-export const searchParamsSchema = Joi.object({
+// Filters shared by list and map search
+export const searchFilterKeys = {
   query: Joi.string().trim().optional(),
-  latitude: Joi.number().min(-90).max(90).optional(),
-  longitude: Joi.number().min(-180).max(180).optional(),
-  radius: Joi.number().integer().min(100).max(50000).default(5000),
   minPrice: Joi.number().min(0).optional(),
   maxPrice: Joi.number().min(0).optional(),
+  currency: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .optional(),
   minBedrooms: Joi.number().integer().min(0).optional(),
   amenities: Joi.alternatives()
     .try(Joi.string(), Joi.array().items(Joi.string()))
     .optional(),
   propertyType: Joi.string().optional(),
+  city: Joi.string().trim().max(50).optional(),
+  listingType: Joi.string().valid("RENT", "SALE").optional(),
+  minRating: Joi.number().min(0).max(5).optional(),
+  checkIn: Joi.date().iso().optional(),
+  checkOut: Joi.date().iso().greater(Joi.ref("checkIn")).optional().messages({
+    "date.greater": "checkOut must be after checkIn",
+  }),
+  guests: Joi.number().integer().min(1).max(50).optional(),
+};
+
+export const searchParamsSchema = Joi.object({
+  ...searchFilterKeys,
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional(),
+  radius: Joi.number().integer().min(100).max(50000).default(5000),
+  sort: Joi.string()
+    .valid(...SEARCH_SORTS)
+    .default("relevance"),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
-}).with("latitude", "longitude");
+})
+  .with("latitude", "longitude")
+  .and("checkIn", "checkOut");
+
+// Parse or check geometry, turning geospatial helper errors into Joi messages
+export const geometry = (parse) => (value, helpers) => {
+  try {
+    return parse(value);
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+};
+
+export const mapSearchSchema = Joi.object({
+  ...searchFilterKeys,
+  bbox: Joi.string()
+    .custom(geometry((value) => geoJSON.parseBoundingBox(value)))
+    .description("minLng,minLat,maxLng,maxLat"),
+  polygon: Joi.string()
+    .custom(geometry((value) => geoJSON.validatePolygon(JSON.parse(value))))
+    .description("GeoJSON Polygon"),
+  zoom: Joi.number().min(0).max(22).required(),
+})
+  .xor("bbox", "polygon")
+  .and("checkIn", "checkOut");
 
 export const suggestionsSchema = Joi.object({
   terms: Joi.string().required().messages({
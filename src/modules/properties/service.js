@@ -1,6 +1,8 @@
 // src/modules/properties/service.js
 import prisma from "../../config/database.js";
-import { PricingService } from "../../utils/pricing.js";
+import config from "../../config/env.js";
+import { logger } from "../../config/logger.js";
+import { DateTime } from "luxon";
 import {
   DatabaseError,
   ValidationError,
@@ -9,11 +11,90 @@ import {
   InvalidInputError,
   AuthError,
 } from "../../utils/apiError.js";
-import { geoJSON } from "../../utils/geospatial.js";
+import { geoJSON, mapHelpers } from "../../utils/geospatial.js";
 import redis from "../../config/redis.js";
 import { Prisma } from "@prisma/client";
 import { validate as isValidUUID } from "uuid";
 import PropertySearch from "../../models/PropertyDetails.js";
+import CurrencyService from "../currencies/service.js";
+import AvailabilityRuleService, {
+  HOLDING_STATUSES,
+} from "../availability-rules/service.js";
+import BookingService from "../bookings/service.js";
+import { PricingService } from "../../utils/pricing.js";
+import { invalidateCalendar } from "../calendars/cache.js";
+import CalendarService from "../calendars/service.js";
+import { ReindexReason, enqueueReindex } from "../search-index/outbox.js";
+import {
+  describeCancellationPolicy,
+  resolveCancellationPolicy,
+} from "../bookings/cancellation.js";
+
+// Sort orders property search accepts. Relevance ranks by text score,
+// else by distance, else by search boost and rating.
+export const SEARCH_SORTS = [
+  "relevance",
+  "price_asc",
+  "price_desc",
+  "rating",
+  "distance",
+  "newest",
+];
+
+// Lower bounds of the rating facet's bands; the last band includes 5
+const RATING_BANDS = [0, 3, 4, 4.5, 5.01];
+
+// Count listings per value of `field`, most common first
+const countBy = (field, limit = 50) => [
+  { $match: { [field.slice(1)]: { $nin: [null, ""] } } },
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit },
+];
+
+// Stays priced at once while a date search prices its page
+const STAY_PRICING_CONCURRENCY = 10;
+
+// Facet pipelines run over every listing that matches the search
+const SEARCH_FACETS = {
+  propertyType: countBy("$propertyType"),
+  city: countBy("$city", 20),
+  bedrooms: [
+    { $group: { _id: { $ifNull: ["$bedrooms", 0] }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ],
+  listingType: countBy("$listingType"),
+  amenities: [{ $unwind: "$amenities" }, ...countBy("$amenities", 30)],
+  priceRanges: [
+    { $match: { price: { $gt: 0 } } },
+    { $bucketAuto: { groupBy: "$price", buckets: 6, granularity: "1-2-5" } },
+  ],
+  ratings: [
+    {
+      $bucket: {
+        groupBy: {
+          $cond: [{ $gt: ["$stats.reviewCount", 0] }, "$stats.rating", -1],
+        },
+        boundaries: RATING_BANDS,
+        default: "unrated",
+      },
+    },
+  ],
+};
+
+// What a map pin carries; the full listing is fetched when a pin is opened
+const MAP_PIN = {
+  propertyId: "$propertyId",
+  title: "$title",
+  longitude: { $arrayElemAt: ["$location.coordinates", 0] },
+  latitude: { $arrayElemAt: ["$location.coordinates", 1] },
+  price: "$price",
+  photo: { $arrayElemAt: ["$photos", 0] },
+  rating: "$stats.rating",
+};
+
+const roundPrice = (price) =>
+  price == null ? null : Math.round(price * 100) / 100;
 
 export class PropertyService {
   /**
@@ -36,6 +117,7 @@ export class PropertyService {
         if (propertyData.amenities || propertyData.roomSpecs) {
           await this.createRelationalData(tx, property.id, propertyData);
         }
+        await enqueueReindex(tx, property.id, ReindexReason.PROPERTY);
 
         // await this.createRelationalData(tx, property.id, propertyData);
         return property;
@@ -160,7 +242,10 @@ export class PropertyService {
       ]);
 
       const result = {
-        data: properties,
+        data: properties.map((property) => ({
+          ...property,
+          cancellationTerms: this.describeCancellation(property),
+        })),
         meta: {
           page,
           limit,
@@ -362,7 +447,7 @@ export class PropertyService {
         throw new ValidationError("At least one availability slot required");
       }
 
-      return await prisma.$transaction(async (tx) => {
+      const result = await prisma.$transaction(async (tx) => {
         // 1. Validate slots before any DB operations
         const validatedSlots = availabilitySlots.map((slot) => {
           const startDate = new Date(slot.startDate);
@@ -380,14 +465,13 @@ export class PropertyService {
             throw new ValidationError("Invalid base price");
           }
 
+          // Slots store the host's base nightly rate; pricing rules are
+          // applied when a stay is quoted or booked
           return {
             ...slot,
             startDate,
             endDate,
-            price: PricingService.calculateDynamicPrice(
-              slot.basePrice,
-              slot.dates
-            ),
+            price: slot.basePrice,
           };
         });
 
@@ -407,7 +491,7 @@ export class PropertyService {
         const bookingConflict = await tx.booking.findFirst({
           where: {
             propertyId,
-            status: { not: "CANCELLED" },
+            status: { in: HOLDING_STATUSES },
             OR: validatedSlots.map((slot) => ({
               AND: [
                 { startDate: { lt: slot.endDate } },
@@ -426,13 +510,27 @@ export class PropertyService {
           );
         }
 
-        // 4. Atomic update in batches
-        await tx.availability.deleteMany({ where: { propertyId } });
-
+        // 4. Atomic update in batches. Only the host's own slots are
+        // replaced: rows held by bookings stay, and imported calendar
+        // blocks are laid back over the new slots.
+        const [booked, imported] = await Promise.all([
+          tx.availability.findMany({
+            where: { propertyId, bookingId: { not: null } },
+            select: { startDate: true, endDate: true },
+          }),
+          tx.availability.findMany({
+            where: { propertyId, bookingId: null, externalCalendarId: { not: null } },
+          }),
+        ]);
+        await tx.availability.deleteMany({ where: { propertyId, bookingId: null } });
+
+        const hostSlots = validatedSlots.flatMap((slot) =>
+          this.carveSlot(slot, booked)
+        );
         const BATCH_SIZE = 100;
-        for (let i = 0; i < validatedSlots.length; i += BATCH_SIZE) {
+        for (let i = 0; i < hostSlots.length; i += BATCH_SIZE) {
           await tx.availability.createMany({
-            data: validatedSlots.slice(i, i + BATCH_SIZE).map((slot) => ({
+            data: hostSlots.slice(i, i + BATCH_SIZE).map((slot) => ({
               propertyId,
               startDate: slot.startDate,
               endDate: slot.endDate,
@@ -442,12 +540,16 @@ export class PropertyService {
             skipDuplicates: true,
           });
         }
+        await CalendarService.restoreBlocks(tx, propertyId, imported);
 
         // 5. Update search index after successful transaction
         // await SearchIndexService.refreshPricing(propertyId);
 
         return { success: true, updatedSlots: validatedSlots.length };
       });
+
+      await invalidateCalendar(propertyId);
+      return result;
     } catch (error) {
       if (error instanceof Prisma.PrismaClientKnownRequestError) {
         this.handleDatabaseError(error, "Availability update failed");
@@ -456,6 +558,22 @@ export class PropertyService {
     }
   }
 
+  // The parts of a host slot not covered by `taken` ranges
+  static carveSlot(slot, taken) {
+    const overlapping = taken
+      .filter((range) => range.startDate < slot.endDate && range.endDate > slot.startDate)
+      .sort((a, b) => a.startDate - b.startDate);
+
+    const parts = [];
+    let from = slot.startDate;
+    for (const range of overlapping) {
+      if (range.startDate > from) parts.push({ ...slot, startDate: from, endDate: range.startDate });
+      if (range.endDate > from) from = range.endDate;
+    }
+    if (from < slot.endDate) parts.push({ ...slot, startDate: from });
+    return parts;
+  }
+
   /**
    * Safely delete property with archival pattern
    */
@@ -479,7 +597,10 @@ export class PropertyService {
       // Add any other related tables here if needed
 
       // 3. Delete the property itself
-      await prisma.property.delete({ where: { id: propertyId } });
+      await prisma.$transaction([
+        prisma.property.delete({ where: { id: propertyId } }),
+        enqueueReindex(prisma, propertyId, ReindexReason.PROPERTY),
+      ]);
       return { success: true };
     } catch (error) {
       console.error("Error in deleteProperty:", error);
@@ -543,6 +664,7 @@ export class PropertyService {
         if (updateOperations.length > 0) {
           await Promise.all(updateOperations);
         }
+        await enqueueReindex(tx, propertyId, ReindexReason.PROPERTY);
 
         return property;
       });
@@ -550,7 +672,7 @@ export class PropertyService {
       //  Post-update operations
       await Promise.all([
         redis.del(`property:${propertyId}`),
-        SearchIndexService.update(propertyId),
+        invalidateCalendar(propertyId),
         redis.setex(
           `property:${propertyId}`,
           CACHE_TTL,
@@ -606,6 +728,20 @@ export class PropertyService {
       maxGuests: data.maxGuests,
       minStay: data.minStay,
       maxStay: data.maxStay,
+      availabilityWindowDays: data.availabilityWindowDays,
+      cleaningFee: data.cleaningFee,
+      extraGuestFee: data.extraGuestFee,
+      extraGuestThreshold: data.extraGuestThreshold,
+      bookingMode: data.bookingMode,
+      guestRequirements: data.guestRequirements,
+      cancellationPolicy: data.cancellationPolicy,
+      // Tiers only apply to CUSTOM; switching to a preset clears them
+      cancellationTiers:
+        data.cancellationPolicy === "CUSTOM"
+          ? data.cancellationTiers
+          : data.cancellationPolicy
+          ? Prisma.DbNull
+          : undefined,
       houseRules: data.houseRules,
       photos: data.photos || [],
       virtualTours: data.virtualTours || [],
@@ -633,6 +769,7 @@ export class PropertyService {
   static enrichPropertyData(property) {
     return {
       ...property,
+      cancellationTerms: this.describeCancellation(property),
       stats: {
         bookings: property._count?.bookings || 0,
         reviews: property._count?.reviews || 0,
@@ -641,6 +778,11 @@ export class PropertyService {
     };
   }
 
+  // Refund timeline shown on listings, relative to check-in
+  static describeCancellation(property) {
+    return describeCancellationPolicy(resolveCancellationPolicy(property));
+  }
+
   static async createRelationalData(tx, propertyId, propertyData) {
     // Implementation of relational data creation
     // Example:
@@ -655,111 +797,128 @@ export class PropertyService {
   }
 
   /**
-   * Full-text search properties with filters
+   * Full-text search properties with filters, facet counts and sorting
    * @param {Object} params - Search parameters
    * @param {string} params.query - Search query string
    * @param {number} params.latitude - Location latitude
    * @param {number} params.longitude - Location longitude
    * @param {number} params.radius - Search radius in meters
-   * @param {number} params.minPrice - Minimum price filter
-   * @param {number} params.maxPrice - Maximum price filter
+   * @param {number} params.minPrice - Minimum nightly price, or the stay's
+   *   nightly rates summed when dates are given, in `currency`
+   * @param {number} params.maxPrice - Maximum nightly price, or the stay's
+   *   nightly rates summed when dates are given, in `currency`
+   * @param {string} params.currency - Currency prices are filtered and shown in
    * @param {number} params.minBedrooms - Minimum bedrooms
    * @param {string[]} params.amenities - Required amenities
    * @param {string} params.propertyType - Property type filter
+   * @param {string} [params.city]
+   * @param {string} [params.listingType] - RENT or SALE
+   * @param {number} [params.minRating]
+   * @param {Date} [params.checkIn] - With checkOut, only listings free for the stay
+   * @param {Date} [params.checkOut]
+   * @param {number} [params.guests] - Adults and children
+   * @param {string} [params.sort] - One of SEARCH_SORTS
    * @param {number} params.page - Pagination page
    * @param {number} params.limit - Results per page
-   * @returns {Promise<Object>} Search results
+   * @returns {Promise<{data, pagination, facets}>} Facets count every listing matching the filters
    */
-  static async searchProperties({
-    query,
-    latitude,
-    longitude,
-    radius = 5000,
-    minPrice,
-    maxPrice,
-    minBedrooms,
-    amenities = [],
-    propertyType,
-    page = 1,
-    limit = 20,
-  }) {
-    try {
-      // Build the MongoDB search query
-      const mongoQuery = {};
-      const prismaWhere = {};
-
-      // Text search
-      if (query) {
-        mongoQuery.$text = { $search: query };
-      }
+  static async searchProperties(params) {
+    const {
+      query,
+      latitude,
+      longitude,
+      radius = 5000,
+      minPrice,
+      maxPrice,
+      currency,
+      checkIn,
+      checkOut,
+      guests,
+      sort = "relevance",
+      page = 1,
+      limit = 20,
+    } = params;
 
-      // Location-based search
-      if (latitude && longitude) {
-        mongoQuery.location = {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: [longitude, latitude],
-            },
-            $maxDistance: radius,
-          },
-        };
+    try {
+      const { rates } = await CurrencyService.getRates();
+      const displayCurrency = (currency || CurrencyService.baseCurrency).toUpperCase();
+      const hasLocation = latitude != null && longitude != null;
 
-        // Add to Prisma where for additional filtering
-        prismaWhere.location = {
-          path: ["lat", "lng"],
-          equals: [latitude, longitude],
-        };
+      if (query && hasLocation) {
+        throw new ValidationError("Text and location search cannot be combined");
       }
-
-      // Price range filter
-      if (minPrice || maxPrice) {
-        prismaWhere.basePrice = {};
-        if (minPrice) prismaWhere.basePrice.gte = new Prisma.Decimal(minPrice);
-        if (maxPrice) prismaWhere.basePrice.lte = new Prisma.Decimal(maxPrice);
+      if (sort === "distance" && !hasLocation) {
+        throw new ValidationError("Sorting by distance needs latitude and longitude");
       }
-
-      // Bedrooms filter
-      if (minBedrooms) {
-        prismaWhere.roomSpecs = {
-          some: {
-            type: "BEDROOM",
-            count: { gte: minBedrooms },
-          },
-        };
+      const byPrice = minPrice != null || maxPrice != null || sort.startsWith("price");
+      if (byPrice && !rates[displayCurrency]) {
+        throw new ValidationError(`No exchange rate configured for ${displayCurrency}`);
       }
 
-      // Amenities filter
-      if (amenities.length > 0) {
-        prismaWhere.amenities = {
-          some: {
-            name: { in: amenities },
+      // With dates, price filters, sorting and price facets use the stay's
+      // nightly rates from the index; only the page returned is priced live
+      const byStay = Boolean(checkIn && checkOut);
+      const amount = byStay
+        ? this.stayRateExpression(this.stayNights(checkIn, checkOut))
+        : "$basePrice";
+
+      // Text and distance stages must open the pipeline
+      const match = this.searchFilters(params);
+      const pipeline = [
+        hasLocation
+          ? {
+              $geoNear: {
+                near: { type: "Point", coordinates: [longitude, latitude] },
+                distanceField: "distance",
+                maxDistance: radius,
+                spherical: true,
+                query: match,
+              },
+            }
+          : { $match: query ? { $text: { $search: query }, ...match } : match },
+        {
+          $addFields: {
+            price: this.priceExpression(displayCurrency, rates, amount),
+            ...(query && { score: { $meta: "textScore" } }),
           },
-        };
+        },
+        { $addFields: { priced: { $gt: ["$price", null] } } },
+      ];
+
+      const price = {};
+      if (minPrice != null) price.$gte = minPrice;
+      if (maxPrice != null) price.$lte = maxPrice;
+      if (Object.keys(price).length) pipeline.push({ $match: { price } });
+
+      pipeline.push({
+        $facet: {
+          results: [
+            { $sort: this.searchSort(sort, { query, hasLocation }) },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { propertyId: 1, distance: 1, maxStay: "$availability.maxStay" } },
+          ],
+          total: [{ $count: "count" }],
+          ...SEARCH_FACETS,
+        },
+      });
+      const [{ results, total, ...facets }] = await PropertySearch.aggregate(pipeline);
+
+      const totalCount = total[0]?.count || 0;
+      let hits = results;
+      let stays = new Map();
+      if (byStay) {
+        // A calendar changed since it was indexed drops its listing from
+        // the page rather than showing dates that cannot be booked
+        stays = await this.priceStays(results, { checkIn, checkOut, guests });
+        hits = results.filter((hit) => stays.has(hit.propertyId));
       }
 
-      // Property type filter
-      if (propertyType) {
-        prismaWhere.roomSpecs = {
-          some: {
-            type: propertyType,
-          },
-        };
-      }
-      this.syncAllApprovedProperties();
-      // First search in MongoDB for performance
-      const mongoResults = await PropertySearch.find(mongoQuery)
-        .skip((page - 1) * limit)
-        .limit(limit)
-        .lean();
-
-      // Then get full details from Prisma
-      const propertyIds = mongoResults.map((p) => p.propertyId);
-      const prismaResults = await prisma.property.findMany({
-        where: {
-          ...prismaWhere,
-          id: { in: propertyIds },
-        },
+      // Then get full details from Prisma, in the index's order
+      const propertyIds = hits.map((p) => p.propertyId);
+      const distances = new Map(hits.map((p) => [p.propertyId, p.distance]));
+      const found = await prisma.property.findMany({
+        where: { id: { in: propertyIds } },
         include: {
           roomSpecs: true,
           amenities: true,
@@ -775,9 +934,14 @@ export class PropertyService {
             },
           },
         },
-        skip: (page - 1) * limit,
-        take: limit,
       });
+      const byId = new Map(found.map((property) => [property.id, property]));
+      const prismaResults = propertyIds
+        .map((id) => byId.get(id))
+        .filter(Boolean)
+        .map((property) =>
+          byStay ? { ...property, stay: stays.get(property.id) } : property
+        );
 
       // Calculate average ratings
       const resultsWithStats = prismaResults.map((property) => {
@@ -787,6 +951,16 @@ export class PropertyService {
 
         return {
           ...property,
+          // The whole stay when dates were given, else the nightly rate
+          displayPrice: property.stay
+            ? this.toDisplayAmount(
+                property.stay.totalPrice,
+                property.stay.currency,
+                displayCurrency,
+                rates
+              )
+            : this.toDisplayPrice(property, displayCurrency, rates),
+          ...(hasLocation && { distance: Math.round(distances.get(property.id)) }),
           quickStats: {
             rating: avgRating,
             reviewCount: property._count.reviews,
@@ -795,9 +969,6 @@ export class PropertyService {
         };
       });
 
-      // Get total count for pagination
-      const totalCount = await PropertySearch.countDocuments(mongoQuery);
-
       return {
         data: resultsWithStats,
         pagination: {
@@ -806,13 +977,448 @@ export class PropertyService {
           limit,
           totalPages: Math.ceil(totalCount / limit),
         },
+        facets: this.formatFacets(facets, displayCurrency),
       };
     } catch (error) {
       console.error("Property search failed:", error);
+      if (error instanceof ValidationError) throw error;
       throw new Error("Failed to search properties");
     }
   }
 
+  /**
+   * Index conditions for every filter except text, location and price,
+   * which need their own pipeline stages
+   * @returns {Object} MongoDB match
+   */
+  static searchFilters({
+    minBedrooms,
+    amenities = [],
+    propertyType,
+    city,
+    listingType,
+    minRating,
+    guests,
+    checkIn,
+    checkOut,
+  }) {
+    const match = {};
+    if (minBedrooms) match.bedrooms = { $gte: minBedrooms };
+    if (amenities.length > 0) match.amenities = { $all: amenities };
+    if (propertyType) match.propertyType = propertyType;
+    if (city) match.city = city;
+    if (listingType) match.listingType = listingType;
+    if (minRating) match["stats.rating"] = { $gte: minRating };
+    if (guests) match.maxGuests = { $gte: guests };
+
+    // Dates are matched against the availability copied into the index
+    if (checkIn && checkOut) {
+      if (listingType === "SALE") {
+        throw new ValidationError("Dates only apply to rental listings");
+      }
+      match.listingType = "RENT";
+      match.$and = this.stayConditions(checkIn, checkOut);
+    }
+    return match;
+  }
+
+  // Nightly rate, or another listing-currency `amount`, in `currency`; null
+  // for listings whose currency has no rate
+  static priceExpression(currency, rates, amount = "$basePrice") {
+    if (!rates[currency]) return null;
+
+    return {
+      $multiply: [
+        amount,
+        {
+          $switch: {
+            branches: Object.entries(rates).map(([code, rate]) => ({
+              case: { $eq: ["$currency", code] },
+              then: rates[currency] / rate,
+            })),
+            default: null,
+          },
+        },
+      ],
+    };
+  }
+
+  // Sort stage for a SEARCH_SORTS key; _id keeps pages stable on ties
+  static searchSort(sort, { query, hasLocation }) {
+    switch (sort) {
+      case "price_asc":
+        return { priced: -1, price: 1, _id: 1 };
+      case "price_desc":
+        return { priced: -1, price: -1, _id: 1 };
+      case "rating":
+        return { "stats.rating": -1, "stats.reviewCount": -1, _id: 1 };
+      case "distance":
+        return { distance: 1, _id: 1 };
+      case "newest":
+        return { createdAt: -1, _id: 1 };
+      default:
+        if (query) return { score: -1, _id: 1 };
+        if (hasLocation) return { distance: 1, _id: 1 };
+        return { searchBoost: -1, "stats.rating": -1, createdAt: -1, _id: 1 };
+    }
+  }
+
+  // Facet buckets from the aggregation, in response shape
+  static formatFacets(facets, currency) {
+    const values = (buckets) =>
+      buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+    return {
+      propertyType: values(facets.propertyType),
+      city: values(facets.city),
+      bedrooms: values(facets.bedrooms),
+      listingType: values(facets.listingType),
+      amenities: values(facets.amenities),
+      priceRanges: facets.priceRanges.map(({ _id, count }) => ({
+        min: _id.min,
+        max: _id.max,
+        currency,
+        count,
+      })),
+      ratings: facets.ratings.map(({ _id, count }) =>
+        _id === "unrated"
+          ? { min: null, max: null, unrated: true, count }
+          : {
+              min: _id,
+              max: Math.min(RATING_BANDS[RATING_BANDS.indexOf(_id) + 1], 5),
+              count,
+            }
+      ),
+    };
+  }
+
+  /**
+   * Map search over a viewport or a drawn polygon, answered from the search
+   * index alone. Zoomed out, or when the area holds more than
+   * `search.maxMapPins` listings, listings are grouped into grid clusters
+   * with counts and price ranges; otherwise each listing is a pin.
+   * @param {Object} params - searchProperties filters, minus location,
+   *   sorting and paging
+   * @param {Object} [params.bbox] - { minLng, minLat, maxLng, maxLat }
+   * @param {Object} [params.polygon] - GeoJSON Polygon; takes precedence over bbox
+   * @param {number} params.zoom - Map zoom level
+   * @returns {Promise<{mode, zoom, total, currency, clusters, pins}>}
+   *   Clusters of one listing are returned as pins
+   */
+  static async searchMap(params) {
+    const { bbox, polygon, zoom, query, minPrice, maxPrice, currency } = params;
+
+    try {
+      const { rates } = await CurrencyService.getRates();
+      const displayCurrency = (currency || CurrencyService.baseCurrency).toUpperCase();
+      if ((minPrice != null || maxPrice != null) && !rates[displayCurrency]) {
+        throw new ValidationError(`No exchange rate configured for ${displayCurrency}`);
+      }
+
+      const match = {
+        ...this.searchFilters(params),
+        ...(polygon
+          ? mapHelpers.mongoPolygonQuery(geoJSON.validatePolygon(polygon))
+          : mapHelpers.mongoBoundingBoxQuery(bbox)),
+      };
+      const pipeline = [
+        { $match: query ? { $text: { $search: query }, ...match } : match },
+        { $addFields: { price: this.priceExpression(displayCurrency, rates) } },
+      ];
+
+      const price = {};
+      if (minPrice != null) price.$gte = minPrice;
+      if (maxPrice != null) price.$lte = maxPrice;
+      if (Object.keys(price).length) pipeline.push({ $match: { price } });
+
+      const result = { zoom, currency: displayCurrency };
+
+      if (zoom >= config.get("search.clusterMaxZoom")) {
+        const maxPins = config.get("search.maxMapPins");
+        const pins = await PropertySearch.aggregate([
+          ...pipeline,
+          { $sort: { searchBoost: -1, _id: 1 } },
+          { $limit: maxPins + 1 },
+          { $project: { _id: 0, ...MAP_PIN } },
+        ]);
+
+        if (pins.length <= maxPins) {
+          return {
+            ...result,
+            mode: "pins",
+            total: pins.length,
+            clusters: [],
+            pins: pins.map((pin) => ({ ...pin, price: roundPrice(pin.price) })),
+          };
+        }
+      }
+
+      const cell = mapHelpers.cellSize(zoom, config.get("search.clusterGridSize"));
+      const cells = await PropertySearch.aggregate([
+        ...pipeline,
+        { $addFields: { pin: MAP_PIN } },
+        {
+          $group: {
+            _id: {
+              x: { $floor: { $divide: ["$pin.longitude", cell] } },
+              y: { $floor: { $divide: ["$pin.latitude", cell] } },
+            },
+            count: { $sum: 1 },
+            latitude: { $avg: "$pin.latitude" },
+            longitude: { $avg: "$pin.longitude" },
+            minLat: { $min: "$pin.latitude" },
+            maxLat: { $max: "$pin.latitude" },
+            minLng: { $min: "$pin.longitude" },
+            maxLng: { $max: "$pin.longitude" },
+            minPrice: { $min: "$price" },
+            maxPrice: { $max: "$price" },
+            pin: { $first: "$pin" },
+          },
+        },
+      ]);
+
+      return {
+        ...result,
+        mode: "clusters",
+        total: cells.reduce((sum, c) => sum + c.count, 0),
+        clusters: cells
+          .filter((c) => c.count > 1)
+          .map((c) => ({
+            count: c.count,
+            latitude: c.latitude,
+            longitude: c.longitude,
+            // Extent of the listings inside, to zoom the map onto them
+            bounds: {
+              minLng: c.minLng,
+              minLat: c.minLat,
+              maxLng: c.maxLng,
+              maxLat: c.maxLat,
+            },
+            minPrice: roundPrice(c.minPrice),
+            maxPrice: roundPrice(c.maxPrice),
+          })),
+        pins: cells
+          .filter((c) => c.count === 1)
+          .map((c) => ({ ...c.pin, price: roundPrice(c.pin.price) })),
+      };
+    } catch (error) {
+      logger.error(`Map search failed: ${error.message}`, { error: error.stack });
+      if (error instanceof ValidationError || error instanceof InvalidInputError) {
+        throw error;
+      }
+      throw new Error("Failed to search the map");
+    }
+  }
+
+  /**
+   * Whether an indexed listing satisfies search filters and an area, as
+   * searchProperties would find it. Used to match saved searches.
+   * @param {string} propertyId
+   * @param {Object} params - searchProperties filters plus `area`
+   * @param {Object} [params.area] - { latitude, longitude, radius },
+   *   { bbox } or { polygon }
+   * @returns {Promise<boolean>}
+   */
+  static async listingMatches(propertyId, { area, ...params }) {
+    const { query, minPrice, maxPrice, currency } = params;
+    const match = { propertyId, ...this.searchFilters(params), ...this.areaQuery(area) };
+    const pipeline = [{ $match: query ? { $text: { $search: query }, ...match } : match }];
+
+    if (minPrice != null || maxPrice != null) {
+      const { rates } = await CurrencyService.getRates();
+      const displayCurrency = (currency || CurrencyService.baseCurrency).toUpperCase();
+      if (!rates[displayCurrency]) return false;
+
+      const price = {};
+      if (minPrice != null) price.$gte = minPrice;
+      if (maxPrice != null) price.$lte = maxPrice;
+      pipeline.push(
+        { $addFields: { price: this.priceExpression(displayCurrency, rates) } },
+        { $match: { price } }
+      );
+    }
+
+    const [hit] = await PropertySearch.aggregate([...pipeline, { $limit: 1 }, { $project: { _id: 1 } }]);
+    return Boolean(hit);
+  }
+
+  // Index conditions for a stored search area
+  static areaQuery(area) {
+    if (!area) return {};
+    if (area.polygon) return mapHelpers.mongoPolygonQuery(area.polygon);
+    if (area.bbox) return mapHelpers.mongoBoundingBoxQuery(area.bbox);
+    return mapHelpers.mongoRadiusQuery(area.latitude, area.longitude, area.radius);
+  }
+
+  // GeoJSON covering a stored search area, to find the areas a point is in
+  static areaGeometry(area) {
+    if (!area) return null;
+    if (area.polygon) return { type: "Polygon", coordinates: area.polygon.coordinates };
+    if (area.bbox) return mapHelpers.boundingBoxGeometry(area.bbox);
+    return mapHelpers.circleGeometry(area.latitude, area.longitude, area.radius);
+  }
+
+  /**
+   * Nights of a stay as ISO dates, within the horizon the index covers
+   * @param {Date|string} checkIn
+   * @param {Date|string} checkOut
+   * @returns {string[]}
+   */
+  static stayNights(checkIn, checkOut) {
+    const start = PricingService.toDay(checkIn);
+    const end = PricingService.toDay(checkOut);
+    const horizon = config.get("search.availabilityHorizonDays");
+    if (end <= start) {
+      throw new ValidationError("checkOut must be after checkIn");
+    }
+    if (end > DateTime.utc().startOf("day").plus({ days: horizon })) {
+      throw new ValidationError(`Dates can be searched up to ${horizon} days ahead`);
+    }
+
+    const nights = [];
+    for (let day = start; day < end; day = day.plus({ days: 1 })) {
+      nights.push(day.toISODate());
+    }
+    return nights;
+  }
+
+  // Listing-currency sum of a stay's indexed nightly rates
+  static stayRateExpression(nights) {
+    return {
+      $add: [
+        { $multiply: ["$availability.nightlyRate", nights.length] },
+        {
+          $sum: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ["$availability.rateExceptions", []] },
+                  cond: { $in: ["$$this.date", nights] },
+                },
+              },
+              in: { $subtract: ["$$this.price", "$availability.nightlyRate"] },
+            },
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Index conditions for listings free for a stay, bookable on its
+   * check-in night for its length
+   * @param {Date|string} checkIn
+   * @param {Date|string} checkOut
+   * @returns {Array<object>} MongoDB $and clauses
+   */
+  static stayConditions(checkIn, checkOut) {
+    const nights = this.stayNights(checkIn, checkOut);
+    const arrival = nights[0];
+
+    return [
+      { "availability.through": { $gte: nights[nights.length - 1] } },
+      { "availability.unavailableNights": { $nin: nights } },
+      {
+        $or: [
+          { "availability.maxStay": null },
+          { "availability.maxStay": { $gte: nights.length } },
+        ],
+      },
+      {
+        $or: [
+          {
+            "availability.minStayExceptions": {
+              $elemMatch: { date: arrival, minStay: { $lte: nights.length } },
+            },
+          },
+          {
+            "availability.minStay": { $lte: nights.length },
+            "availability.minStayExceptions.date": { $ne: arrival },
+          },
+        ],
+      },
+    ];
+  }
+
+  /**
+   * Check each listing of a results page against its live calendar and
+   * price the stay. Listings whose calendar changed since they were indexed
+   * drop out, as do listings that fail to price, so one bad listing never
+   * fails a search.
+   * @param {Array<{propertyId, maxStay}>} candidates - Index hits
+   * @returns {Promise<Map<string, object>>} Stay pricing by listing id
+   */
+  static async priceStays(candidates, { checkIn, checkOut, guests = 1 }) {
+    const stays = new Map();
+
+    const priceStay = async ({ propertyId, maxStay }) => {
+      const calendar = await AvailabilityRuleService.getCalendar(
+        prisma,
+        propertyId,
+        checkIn,
+        checkOut
+      );
+      const tooShort = calendar.length < calendar[0].minStay;
+      const tooLong = maxStay && calendar.length > maxStay;
+      if (calendar.some((night) => !night.available) || tooShort || tooLong) {
+        return;
+      }
+
+      const pricing = await BookingService.calculateTotalPrice(
+        prisma,
+        propertyId,
+        calendar,
+        checkIn,
+        checkOut,
+        guests
+      );
+      stays.set(propertyId, {
+        checkIn: PricingService.toDay(checkIn).toISODate(),
+        checkOut: PricingService.toDay(checkOut).toISODate(),
+        nights: calendar.length,
+        subtotal: pricing.basePrice,
+        fees: pricing.fees,
+        taxes: pricing.taxes,
+        totalPrice: pricing.totalPrice,
+        currency: pricing.currency,
+      });
+    };
+
+    for (let i = 0; i < candidates.length; i += STAY_PRICING_CONCURRENCY) {
+      await Promise.all(
+        candidates.slice(i, i + STAY_PRICING_CONCURRENCY).map((candidate) =>
+          priceStay(candidate).catch((error) => {
+            logger.warn(
+              `Could not price a stay at property ${candidate.propertyId}: ${error.message}`
+            );
+          })
+        )
+      );
+    }
+    return stays;
+  }
+
+  // Base price converted for display; null when the listing currency has no rate
+  static toDisplayPrice(property, currency, rates) {
+    return this.toDisplayAmount(property.basePrice, property.currency, currency, rates);
+  }
+
+  static toDisplayAmount(amount, listingCurrency, currency, rates) {
+    const rate =
+      listingCurrency === currency
+        ? 1
+        : rates[listingCurrency] && rates[currency]
+          ? rates[currency] / rates[listingCurrency]
+          : null;
+
+    return rate === null
+      ? null
+      : {
+          amount: Math.round(Number(amount) * rate * 100) / 100,
+          currency,
+        };
+  }
+
   /**
    * Update property status and handle search indexing
    * @param {string} propertyId
@@ -820,26 +1426,22 @@ export class PropertyService {
    * @returns {Promise<Property>}
    */
   static async updatePropertyStatus(propertyId, status) {
-    const property = await prisma.property.update({
-      where: { id: propertyId },
-      data: { status },
-      include: {
-        roomSpecs: true,
-        amenities: true,
-      },
-    });
+    // The outbox worker indexes approved listings and drops the rest
+    const [property] = await prisma.$transaction([
+      prisma.property.update({
+        where: { id: propertyId },
+        data: { status },
+        include: {
+          roomSpecs: true,
+          amenities: true,
+        },
+      }),
+      enqueueReindex(prisma, propertyId, ReindexReason.STATUS),
+    ]);
 
     // Clear relevant caches when status changes
     await this.clearPropertyCaches(propertyId, status);
 
-    // Automatically index when status changes to APPROVED
-    if (status === "APPROVED") {
-      await this.indexProperty(propertyId);
-    } else if (status !== "APPROVED") {
-      // Remove from search index if status changes from APPROVED
-      await PropertySearch.deleteOne({ propertyId });
-    }
-
     return property;
   }
 
@@ -916,7 +1518,7 @@ export class PropertyService {
         propertyId: property.id,
         title: property.title,
         description: property.description,
-        basePrice: property.basePrice,
+        basePrice: Number(property.basePrice),
         currency: property.currency,
         location: {
           type: "Point",
@@ -926,6 +1528,8 @@ export class PropertyService {
           ],
         },
         address: property.address,
+        city: property.city,
+        listingType: property.listingType,
         maxGuests: property.maxGuests,
         amenities: property.amenities.map((a) => a.name),
         propertyType: property.roomSpecs.find((r) => r.type !== "BEDROOM")
@@ -938,8 +1542,10 @@ export class PropertyService {
           reviewCount: property.reviews.length,
           bookedCount: property._count.bookings,
         },
+        availability: await this.buildAvailabilityIndex(property),
         createdAt: property.createdAt,
         updatedAt: new Date(),
+        indexedAt: new Date(),
       };
 
       // Upsert with atomic operation
@@ -956,6 +1562,52 @@ export class PropertyService {
     }
   }
 
+  /**
+   * Refresh only the availability copied into a listing's search document.
+   * Listings that are not indexed are left alone.
+   * @param {string} propertyId
+   */
+  static async indexAvailability(propertyId) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, status: true, basePrice: true, minStay: true, maxStay: true },
+    });
+    if (property?.status !== "APPROVED") return null;
+
+    const availability = await this.buildAvailabilityIndex(property);
+    await PropertySearch.updateOne({ propertyId }, { $set: { availability } });
+    return availability;
+  }
+
+  // Effective calendar from today over the search horizon, as stored in the index
+  static async buildAvailabilityIndex(property) {
+    const today = DateTime.utc().startOf("day");
+    const horizon = config.get("search.availabilityHorizonDays");
+    const nights = await AvailabilityRuleService.getCalendar(
+      prisma,
+      property.id,
+      today.toJSDate(),
+      today.plus({ days: horizon }).toJSDate()
+    );
+    const minStay = property.minStay || 1;
+    const nightlyRate = Number(property.basePrice);
+
+    return {
+      through: today.plus({ days: horizon - 1 }).toISODate(),
+      unavailableNights: nights.filter((night) => !night.available).map((night) => night.date),
+      minStay,
+      maxStay: property.maxStay ?? null,
+      minStayExceptions: nights
+        .filter((night) => night.minStay !== minStay)
+        .map((night) => ({ date: night.date, minStay: night.minStay })),
+      nightlyRate,
+      rateExceptions: nights
+        .filter((night) => night.available && night.price !== nightlyRate)
+        .map((night) => ({ date: night.date, price: night.price })),
+      indexedAt: new Date(),
+    };
+  }
+
   /**
    * Get property suggestions based on search history
    * @param {string[]} searchHistory - Array of previous search terms
@@ -1041,41 +1693,17 @@ export class PropertyService {
     }
   }
 
-  static async syncAllApprovedProperties() {
-    try {
-      const approvedProperties = await prisma.property.findMany({
-        where: { status: "APPROVED" },
-        select: { id: true },
-      });
-
-      const results = await Promise.allSettled(
-        approvedProperties.map((p) => PropertyService.indexProperty(p.id))
-      );
-
-      const successful = results.filter((r) => r.status === "fulfilled").length;
-      const failed = results.filter((r) => r.status === "rejected").length;
-
-      console.log(`Search index sync complete. 
-        Successful: ${successful}, Failed: ${failed}`);
-
-      return { successful, failed };
-    } catch (error) {
-      console.error("Bulk sync failed:", error);
-      throw error;
-    }
-  }
-
   static async CreateRoomSpec(propertyId, roomSpecData) {
     try {
-      const roomSpec = await prisma.roomSpec.create({
-        data: {
-          propertyId,
-          ...roomSpecData,
-        },
-      });
-
-      // Update the search index if necessary
-      await PropertyService.indexProperty(propertyId);
+      const [roomSpec] = await prisma.$transaction([
+        prisma.roomSpec.create({
+          data: {
+            propertyId,
+            ...roomSpecData,
+          },
+        }),
+        enqueueReindex(prisma, propertyId, ReindexReason.ROOM_SPECS),
+      ]);
 
       return roomSpec;
     } catch (error) {
@@ -1096,13 +1724,13 @@ export class PropertyService {
         select: { id: true },
       });
       if (!roomSpec) throw new NotFoundError("Room specification not found");
-      const UpdateRoomSpec = await prisma.roomSpec.update({
-        where: { id: roomSpecId },
-        data: roomSpecData,
-      });
-
-      // Update the search index if necessary
-      await PropertyService.indexProperty(propertyId);
+      const [UpdateRoomSpec] = await prisma.$transaction([
+        prisma.roomSpec.update({
+          where: { id: roomSpecId },
+          data: roomSpecData,
+        }),
+        enqueueReindex(prisma, propertyId, ReindexReason.ROOM_SPECS),
+      ]);
 
       return UpdateRoomSpec;
     } catch (error) {
@@ -1124,12 +1752,12 @@ export class PropertyService {
       });
       if (!roomSpec) throw new NotFoundError("Room specification not found");
 
-      const deletedRoomSpec = await prisma.roomSpec.delete({
-        where: { id: roomSpecId },
-      });
-
-      // Update the search index if necessary
-      await PropertyService.indexProperty(propertyId);
+      const [deletedRoomSpec] = await prisma.$transaction([
+        prisma.roomSpec.delete({
+          where: { id: roomSpecId },
+        }),
+        enqueueReindex(prisma, propertyId, ReindexReason.ROOM_SPECS),
+      ]);
 
       return deletedRoomSpec;
     } catch (error) {
@@ -5,6 +5,7 @@ import mongoClient from "../../config/mongodb.js";
 import { ForbiddenError, NotFoundError } from "../../utils/apiError.js";
 import { sanitizeReview } from "./schema.js";
 import logger from "../../config/logger.js";
+import { ReindexReason, enqueueReindex } from "../search-index/outbox.js";
 
 const REVIEW_CACHE_TTL = 3600; // 1 hour
 const RATING_CACHE_TTL = 86400; // 24 hours
@@ -44,6 +45,7 @@ export const createReview = async (userId, { bookingId, rating, comment }) => {
         comment: sanitizedComment,
       },
     });
+    await enqueueReindex(tx, booking.propertyId, ReindexReason.REVIEW);
 
     await updateRatingCache(booking.propertyId);
     await updateTopReviewsCache(booking.propertyId);
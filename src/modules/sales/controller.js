@@ -0,0 +1,390 @@
+import SaleOfferService from "./offers.js";
+import ViewingService from "./viewings.js";
+import logger from "../../config/logger.js";
+import { ValidationError } from "../../utils/apiError.js";
+import { hasRole } from "../../utils/roleUtils.js";
+import pkg from "@prisma/client";
+const { SaleOfferStatus, ViewingStatus } = pkg;
+
+const actorFrom = (req) => ({
+  userId: req.user.id,
+  isAdmin: hasRole(req.user, "admin"),
+});
+
+// Optional ?status= filter, checked against the enum
+const statusFilter = (req, statuses) => {
+  const { status } = req.query;
+  if (!status) return {};
+  if (!Object.values(statuses).includes(status)) {
+    throw new ValidationError(`Unknown status: ${status}`);
+  }
+  return { status };
+};
+
+class SaleController {
+  /**
+   * @desc    Make an offer on a sale listing
+   * @route   POST /api/sales/properties/:propertyId/offers
+   * @access  Private
+   */
+  async submitOffer(req, res, next) {
+    const { propertyId } = req.params;
+
+    try {
+      const offer = await SaleOfferService.submitOffer(propertyId, req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: offer,
+        message: "Offer sent to the seller",
+      });
+    } catch (error) {
+      logger.error(`Offer submission failed: ${error.message}`, {
+        propertyId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Offers received on a listing
+   * @route   GET /api/sales/properties/:propertyId/offers
+   * @access  Private (seller or admin)
+   */
+  async listPropertyOffers(req, res, next) {
+    try {
+      const offers = await SaleOfferService.listPropertyOffers(
+        req.params.propertyId,
+        actorFrom(req),
+        statusFilter(req, SaleOfferStatus)
+      );
+
+      res.status(200).json({ success: true, count: offers.length, data: offers });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Offers the current user has made
+   * @route   GET /api/sales/offers
+   * @access  Private
+   */
+  async listMyOffers(req, res, next) {
+    try {
+      const offers = await SaleOfferService.listBuyerOffers(
+        req.user.id,
+        statusFilter(req, SaleOfferStatus)
+      );
+
+      res.status(200).json({ success: true, count: offers.length, data: offers });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    An offer and every step of its negotiation
+   * @route   GET /api/sales/offers/:id
+   * @access  Private (buyer, seller or admin)
+   */
+  async getOffer(req, res, next) {
+    try {
+      const offer = await SaleOfferService.getOffer(req.params.id, actorFrom(req));
+      res.status(200).json({ success: true, data: offer });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Propose different terms
+   * @route   POST /api/sales/offers/:id/counter
+   * @access  Private (the party whose turn it is)
+   */
+  async counterOffer(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const offer = await SaleOfferService.counterOffer(id, actorFrom(req), req.body);
+
+      res.status(200).json({
+        success: true,
+        data: offer,
+        message: "Counter-offer sent",
+      });
+    } catch (error) {
+      logger.error(`Counter-offer failed: ${error.message}`, {
+        offerId: id,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Accept the terms on the table
+   * @route   PATCH /api/sales/offers/:id/accept
+   * @access  Private (the party whose turn it is)
+   */
+  async acceptOffer(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const offer = await SaleOfferService.acceptOffer(
+        id,
+        actorFrom(req),
+        req.body.message
+      );
+
+      res.status(200).json({ success: true, data: offer, message: "Offer accepted" });
+    } catch (error) {
+      logger.error(`Offer acceptance failed: ${error.message}`, {
+        offerId: id,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reject the terms on the table
+   * @route   PATCH /api/sales/offers/:id/reject
+   * @access  Private (the party whose turn it is)
+   */
+  async rejectOffer(req, res, next) {
+    try {
+      const offer = await SaleOfferService.rejectOffer(
+        req.params.id,
+        actorFrom(req),
+        req.body.message
+      );
+
+      res.status(200).json({ success: true, data: offer, message: "Offer rejected" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Withdraw an open offer
+   * @route   PATCH /api/sales/offers/:id/withdraw
+   * @access  Private (buyer)
+   */
+  async withdrawOffer(req, res, next) {
+    try {
+      const offer = await SaleOfferService.withdrawOffer(
+        req.params.id,
+        req.user.id,
+        req.body.message
+      );
+
+      res.status(200).json({ success: true, data: offer, message: "Offer withdrawn" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Upcoming viewing slots with places left
+   * @route   GET /api/sales/properties/:propertyId/viewing-slots
+   * @access  Public
+   */
+  async listSlots(req, res, next) {
+    try {
+      const slots = await ViewingService.listOpenSlots(req.params.propertyId);
+      res.status(200).json({ success: true, count: slots.length, data: slots });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Publish a viewing slot
+   * @route   POST /api/sales/properties/:propertyId/viewing-slots
+   * @access  Private (seller or admin)
+   */
+  async createSlot(req, res, next) {
+    const { propertyId } = req.params;
+
+    try {
+      const slot = await ViewingService.createSlot(propertyId, actorFrom(req), req.body);
+
+      res.status(201).json({
+        success: true,
+        data: slot,
+        message: "Viewing slot published",
+      });
+    } catch (error) {
+      logger.error(`Viewing slot creation failed: ${error.message}`, {
+        propertyId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Withdraw a viewing slot and cancel its viewings
+   * @route   DELETE /api/sales/properties/:propertyId/viewing-slots/:slotId
+   * @access  Private (seller or admin)
+   */
+  async cancelSlot(req, res, next) {
+    const { propertyId, slotId } = req.params;
+
+    try {
+      const slot = await ViewingService.cancelSlot(
+        propertyId,
+        slotId,
+        actorFrom(req),
+        req.body?.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        data: slot,
+        message: "Viewing slot withdrawn",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Viewings booked on a listing
+   * @route   GET /api/sales/properties/:propertyId/viewings
+   * @access  Private (seller or admin)
+   */
+  async listPropertyViewings(req, res, next) {
+    try {
+      const viewings = await ViewingService.listPropertyViewings(
+        req.params.propertyId,
+        actorFrom(req),
+        statusFilter(req, ViewingStatus)
+      );
+
+      res.status(200).json({ success: true, count: viewings.length, data: viewings });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Request a viewing in a slot
+   * @route   POST /api/sales/viewing-slots/:slotId/viewings
+   * @access  Private
+   */
+  async requestViewing(req, res, next) {
+    const { slotId } = req.params;
+
+    try {
+      const viewing = await ViewingService.requestViewing(
+        slotId,
+        req.user.id,
+        req.body.message
+      );
+
+      res.status(201).json({
+        success: true,
+        data: viewing,
+        message: "Viewing requested",
+      });
+    } catch (error) {
+      logger.error(`Viewing request failed: ${error.message}`, {
+        slotId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Viewings the current user has requested
+   * @route   GET /api/sales/viewings
+   * @access  Private
+   */
+  async listMyViewings(req, res, next) {
+    try {
+      const viewings = await ViewingService.listBuyerViewings(
+        req.user.id,
+        statusFilter(req, ViewingStatus)
+      );
+
+      res.status(200).json({ success: true, count: viewings.length, data: viewings });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    A viewing and its history
+   * @route   GET /api/sales/viewings/:id
+   * @access  Private (buyer, seller or admin)
+   */
+  async getViewing(req, res, next) {
+    try {
+      const viewing = await ViewingService.getViewing(req.params.id, actorFrom(req));
+      res.status(200).json({ success: true, data: viewing });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Confirm a viewing request
+   * @route   PATCH /api/sales/viewings/:id/confirm
+   * @access  Private (seller or admin)
+   */
+  async confirmViewing(req, res, next) {
+    try {
+      const viewing = await ViewingService.confirmViewing(req.params.id, actorFrom(req));
+      res.status(200).json({ success: true, data: viewing, message: "Viewing confirmed" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Decline a viewing request
+   * @route   PATCH /api/sales/viewings/:id/decline
+   * @access  Private (seller or admin)
+   */
+  async declineViewing(req, res, next) {
+    try {
+      const viewing = await ViewingService.declineViewing(
+        req.params.id,
+        actorFrom(req),
+        req.body.reason
+      );
+      res.status(200).json({ success: true, data: viewing, message: "Viewing declined" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Cancel a viewing
+   * @route   PATCH /api/sales/viewings/:id/cancel
+   * @access  Private (buyer, seller or admin)
+   */
+  async cancelViewing(req, res, next) {
+    try {
+      const viewing = await ViewingService.cancelViewing(
+        req.params.id,
+        actorFrom(req),
+        req.body.reason
+      );
+      res.status(200).json({ success: true, data: viewing, message: "Viewing cancelled" });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new SaleController();
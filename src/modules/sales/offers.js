@@ -0,0 +1,454 @@
+// sales/offers.js
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import { notifyUsers } from "../../utils/notifications.js";
+import pkg from "@prisma/client";
+const { PropertyListingType, SaleActorType, SaleOfferStatus } = pkg;
+
+// Offers still being negotiated
+export const OPEN_OFFER_STATUSES = [SaleOfferStatus.PENDING, SaleOfferStatus.COUNTERED];
+
+// Whose turn it is on an open offer
+const AWAITING = {
+  [SaleOfferStatus.PENDING]: SaleActorType.SELLER,
+  [SaleOfferStatus.COUNTERED]: SaleActorType.BUYER,
+};
+
+const formatAmount = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+/**
+ * Load a sale listing and check it takes offers and viewings
+ * @param {object} client - Prisma client or transaction
+ * @param {string} propertyId
+ * @returns {Promise<object>} Property with saleDetails
+ */
+export const loadSaleListing = async (client, propertyId) => {
+  const property = await client.property.findFirst({
+    where: { id: propertyId, deletedAt: null },
+    select: {
+      id: true,
+      ownerId: true,
+      title: true,
+      status: true,
+      listingType: true,
+      currency: true,
+      saleDetails: { select: { salePrice: true, priceNegotiable: true } },
+    },
+  });
+  if (!property) throw new NotFoundError("Property not found");
+  if (property.listingType !== PropertyListingType.SALE || !property.saleDetails) {
+    throw new BadRequestError("Property is not listed for sale");
+  }
+  return property;
+};
+
+class SaleOfferService {
+  /**
+   * Make an offer on a sale listing. A buyer has at most one open offer
+   * per listing; a non-negotiable listing takes nothing below its price.
+   * @param {string} propertyId
+   * @param {string} buyerId
+   * @param {Object} terms
+   * @param {number} terms.amount - In the listing currency
+   * @param {string} [terms.conditions]
+   * @param {string} [terms.message] - Note to the seller
+   * @returns {Promise<object>} SaleOffer
+   */
+  async submitOffer(propertyId, buyerId, { amount, conditions = null, message = null }) {
+    const property = await loadSaleListing(prisma, propertyId);
+    if (property.status !== "APPROVED") {
+      throw new BadRequestError("Property is not open for offers");
+    }
+    if (property.ownerId === buyerId) {
+      throw new ForbiddenError("You cannot make an offer on your own listing");
+    }
+
+    const { salePrice, priceNegotiable } = property.saleDetails;
+    if (!priceNegotiable && amount < Number(salePrice)) {
+      throw new ValidationError(
+        `The asking price of ${formatAmount(salePrice, property.currency)} is not negotiable`
+      );
+    }
+
+    const offer = await this.withListingLock(propertyId, async () => {
+      await this.assertOpenForOffers(prisma, propertyId);
+
+      const open = await prisma.saleOffer.findMany({
+        where: { buyerId, status: { in: OPEN_OFFER_STATUSES } },
+        select: { propertyId: true },
+      });
+      if (open.some((item) => item.propertyId === propertyId)) {
+        throw new ConflictError("You already have an open offer on this property");
+      }
+      const maxOpen = config.get("sales.maxOpenOffersPerBuyer");
+      if (open.length >= maxOpen) {
+        throw new ConflictError(
+          `You can have at most ${maxOpen} open offers; withdraw one first`
+        );
+      }
+
+      return prisma.$transaction(async (tx) => {
+        const created = await tx.saleOffer.create({
+          data: {
+            propertyId,
+            buyerId,
+            amount,
+            currency: property.currency,
+            conditions,
+          },
+        });
+        await this.recordEvent(tx, created, {
+          fromStatus: null,
+          actorId: buyerId,
+          actorType: SaleActorType.BUYER,
+          message,
+          withTerms: true,
+        });
+        return created;
+      });
+    });
+
+    logger.info(`Offer ${offer.id} made on property ${propertyId} by user ${buyerId}`);
+    await notifyUsers([property.ownerId, buyerId], {
+      title: `New offer on ${property.title}`,
+      body: `An offer of ${formatAmount(amount, property.currency)} was made${
+        conditions ? ` subject to: ${conditions}` : ""
+      }.`,
+      context: { offerId: offer.id, propertyId },
+    });
+    return offer;
+  }
+
+  /**
+   * Propose different terms. The seller counters a PENDING offer and the
+   * buyer counters back on a COUNTERED one.
+   * @param {string} offerId
+   * @param {{userId: string}} actor
+   * @param {Object} terms - amount, conditions, message
+   * @returns {Promise<object>} SaleOffer
+   */
+  async counterOffer(offerId, actor, { amount, conditions, message = null }) {
+    const offer = await this.getOfferForParty(offerId, actor);
+    const party = this.assertTurn(offer, actor);
+    const toStatus =
+      party === SaleActorType.SELLER ? SaleOfferStatus.COUNTERED : SaleOfferStatus.PENDING;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const countered = await this.claim(tx, offer, toStatus, {
+        amount,
+        ...(conditions !== undefined && { conditions }),
+        rounds: { increment: 1 },
+        respondedAt: new Date(),
+      });
+      await this.recordEvent(tx, countered, {
+        fromStatus: offer.status,
+        actorId: actor.userId,
+        actorType: party,
+        message,
+        withTerms: true,
+      });
+      return countered;
+    });
+
+    await this.notifyParties(offer, {
+      title: `Counter-offer on ${offer.property.title}`,
+      body: `The ${party.toLowerCase()} proposed ${formatAmount(updated.amount, updated.currency)}${
+        updated.conditions ? ` subject to: ${updated.conditions}` : ""
+      }.`,
+    });
+    return updated;
+  }
+
+  /**
+   * Agree to the terms on the table. Accepting closes every other open
+   * offer on the listing.
+   * @param {string} offerId
+   * @param {{userId: string}} actor - The party whose turn it is
+   * @param {string} [message]
+   * @returns {Promise<object>} SaleOffer
+   */
+  async acceptOffer(offerId, actor, message = null) {
+    const offer = await this.getOfferForParty(offerId, actor);
+    const party = this.assertTurn(offer, actor);
+
+    const { accepted, closed } = await this.withListingLock(offer.propertyId, () =>
+      prisma.$transaction(async (tx) => {
+        await this.assertOpenForOffers(tx, offer.propertyId);
+
+        const now = new Date();
+        const accepted = await this.claim(tx, offer, SaleOfferStatus.ACCEPTED, {
+          respondedAt: now,
+          acceptedAt: now,
+        });
+        await this.recordEvent(tx, accepted, {
+          fromStatus: offer.status,
+          actorId: actor.userId,
+          actorType: party,
+          message,
+        });
+
+        const closed = await tx.saleOffer.findMany({
+          where: {
+            propertyId: offer.propertyId,
+            id: { not: offer.id },
+            status: { in: OPEN_OFFER_STATUSES },
+          },
+        });
+        if (closed.length) {
+          await tx.saleOffer.updateMany({
+            where: { id: { in: closed.map((item) => item.id) } },
+            data: { status: SaleOfferStatus.REJECTED, respondedAt: now },
+          });
+          await tx.saleOfferEvent.createMany({
+            data: closed.map((item) => ({
+              offerId: item.id,
+              fromStatus: item.status,
+              toStatus: SaleOfferStatus.REJECTED,
+              actorType: SaleActorType.SYSTEM,
+              message: "Another offer was accepted",
+            })),
+          });
+        }
+
+        return { accepted, closed };
+      })
+    );
+
+    logger.info(
+      `Offer ${offerId} on property ${offer.propertyId} accepted; ${closed.length} other offer(s) closed`
+    );
+    await this.notifyParties(offer, {
+      title: `Offer accepted on ${offer.property.title}`,
+      body: `The ${party.toLowerCase()} accepted ${formatAmount(accepted.amount, accepted.currency)}.`,
+    });
+    for (const item of closed) {
+      await notifyUsers([item.buyerId], {
+        title: `Offer closed on ${offer.property.title}`,
+        body: "The seller accepted another offer, so yours was closed.",
+        context: { offerId: item.id, propertyId: offer.propertyId },
+      });
+    }
+    return accepted;
+  }
+
+  /**
+   * Turn down the terms on the table, ending the negotiation
+   * @param {string} offerId
+   * @param {{userId: string}} actor - The party whose turn it is
+   * @param {string} [message]
+   * @returns {Promise<object>} SaleOffer
+   */
+  async rejectOffer(offerId, actor, message = null) {
+    const offer = await this.getOfferForParty(offerId, actor);
+    const party = this.assertTurn(offer, actor);
+
+    const rejected = await prisma.$transaction(async (tx) => {
+      const updated = await this.claim(tx, offer, SaleOfferStatus.REJECTED, {
+        respondedAt: new Date(),
+      });
+      await this.recordEvent(tx, updated, {
+        fromStatus: offer.status,
+        actorId: actor.userId,
+        actorType: party,
+        message,
+      });
+      return updated;
+    });
+
+    await this.notifyParties(offer, {
+      title: `Offer rejected on ${offer.property.title}`,
+      body: `The ${party.toLowerCase()} rejected ${formatAmount(offer.amount, offer.currency)}${
+        message ? `: ${message}` : "."
+      }`,
+    });
+    return rejected;
+  }
+
+  /**
+   * The buyer takes back an open offer, whoever's turn it is
+   * @param {string} offerId
+   * @param {string} userId - The buyer
+   * @param {string} [message]
+   * @returns {Promise<object>} SaleOffer
+   */
+  async withdrawOffer(offerId, userId, message = null) {
+    const offer = await this.getOfferForParty(offerId, { userId });
+    if (offer.buyerId !== userId) {
+      throw new ForbiddenError("Only the buyer can withdraw an offer");
+    }
+    if (!OPEN_OFFER_STATUSES.includes(offer.status)) {
+      throw new BadRequestError(`Offer is already ${offer.status.toLowerCase()}`);
+    }
+
+    const withdrawn = await prisma.$transaction(async (tx) => {
+      const updated = await this.claim(tx, offer, SaleOfferStatus.WITHDRAWN);
+      await this.recordEvent(tx, updated, {
+        fromStatus: offer.status,
+        actorId: userId,
+        actorType: SaleActorType.BUYER,
+        message,
+      });
+      return updated;
+    });
+
+    await this.notifyParties(offer, {
+      title: `Offer withdrawn on ${offer.property.title}`,
+      body: `The buyer withdrew the offer of ${formatAmount(offer.amount, offer.currency)}.`,
+    });
+    return withdrawn;
+  }
+
+  /**
+   * An offer with its full history, for the buyer, the seller or an admin
+   */
+  async getOffer(offerId, actor) {
+    const offer = await this.getOfferForParty(offerId, actor);
+    const events = await prisma.saleOfferEvent.findMany({
+      where: { offerId },
+      orderBy: { createdAt: "asc" },
+    });
+    const { property, ...rest } = offer;
+    return { ...rest, property: { id: property.id, title: property.title }, events };
+  }
+
+  /**
+   * Offers received on a listing, for its seller or an admin
+   * @param {string} propertyId
+   * @param {{userId: string, isAdmin?: boolean}} actor
+   * @param {Object} [filters]
+   * @param {string} [filters.status]
+   * @returns {Promise<Array<object>>}
+   */
+  async listPropertyOffers(propertyId, { userId, isAdmin = false }, { status } = {}) {
+    const property = await loadSaleListing(prisma, propertyId);
+    if (!isAdmin && property.ownerId !== userId) {
+      throw new ForbiddenError("Only the seller can view offers on this listing");
+    }
+
+    return prisma.saleOffer.findMany({
+      where: { propertyId, ...(status && { status }) },
+      include: {
+        buyer: {
+          select: {
+            id: true,
+            username: true,
+            profile: { select: { firstName: true, lastName: true } },
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Offers a buyer has made
+   * @param {string} buyerId
+   * @param {Object} [filters]
+   * @param {string} [filters.status]
+   * @returns {Promise<Array<object>>}
+   */
+  async listBuyerOffers(buyerId, { status } = {}) {
+    return prisma.saleOffer.findMany({
+      where: { buyerId, ...(status && { status }) },
+      include: { property: { select: { id: true, title: true, address: true } } },
+      orderBy: { updatedAt: "desc" },
+    });
+  }
+
+  async getOfferForParty(offerId, { userId, isAdmin = false }) {
+    const offer = await prisma.saleOffer.findUnique({
+      where: { id: offerId },
+      include: { property: { select: { id: true, ownerId: true, title: true } } },
+    });
+    if (!offer) throw new NotFoundError("Offer not found");
+    if (!isAdmin && offer.buyerId !== userId && offer.property.ownerId !== userId) {
+      throw new ForbiddenError("You do not have access to this offer");
+    }
+    return offer;
+  }
+
+  // The caller must be the party the open offer is waiting on
+  assertTurn(offer, { userId }) {
+    const awaiting = AWAITING[offer.status];
+    if (!awaiting) {
+      throw new BadRequestError(`Offer is already ${offer.status.toLowerCase()}`);
+    }
+
+    const party =
+      offer.property.ownerId === userId
+        ? SaleActorType.SELLER
+        : offer.buyerId === userId
+          ? SaleActorType.BUYER
+          : null;
+    if (party !== awaiting) {
+      throw new ForbiddenError(`This offer is waiting on the ${awaiting.toLowerCase()}`);
+    }
+    return party;
+  }
+
+  async assertOpenForOffers(client, propertyId) {
+    const accepted = await client.saleOffer.findFirst({
+      where: { propertyId, status: SaleOfferStatus.ACCEPTED },
+      select: { id: true },
+    });
+    if (accepted) {
+      throw new ConflictError("The seller has already accepted an offer on this property");
+    }
+  }
+
+  // Move the offer on only if nobody else answered it first
+  async claim(tx, offer, toStatus, data = {}) {
+    const { count } = await tx.saleOffer.updateMany({
+      where: { id: offer.id, status: offer.status },
+      data: { ...data, status: toStatus },
+    });
+    if (count === 0) {
+      throw new ConflictError("Offer was updated by someone else, reload it and try again");
+    }
+    return tx.saleOffer.findUnique({ where: { id: offer.id } });
+  }
+
+  async recordEvent(tx, offer, { fromStatus, actorId = null, actorType, message, withTerms = false }) {
+    return tx.saleOfferEvent.create({
+      data: {
+        offerId: offer.id,
+        fromStatus,
+        toStatus: offer.status,
+        ...(withTerms && { amount: offer.amount, conditions: offer.conditions }),
+        message,
+        actorId,
+        actorType,
+      },
+    });
+  }
+
+  async notifyParties(offer, { title, body }) {
+    await notifyUsers([offer.buyerId, offer.property.ownerId], {
+      title,
+      body,
+      context: { offerId: offer.id, propertyId: offer.propertyId },
+    });
+  }
+
+  async withListingLock(propertyId, fn) {
+    try {
+      return await withLock(`sale-offers:${propertyId}:lock`, fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Offers on this property are being updated, please retry");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new SaleOfferService();
@@ -0,0 +1,62 @@
+import express from "express";
+import SaleController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { saleSchemas } from "./schema.js";
+
+// Mounted under /sales: offers and viewings on sale listings
+const router = express.Router();
+
+// Buyers browse open viewing slots without signing in
+router.get("/properties/:propertyId/viewing-slots", SaleController.listSlots);
+
+router.use(authenticateUser());
+
+// Offers
+router
+  .route("/properties/:propertyId/offers")
+  .get(SaleController.listPropertyOffers)
+  .post(validate(saleSchemas.submitOffer), SaleController.submitOffer);
+router.get("/offers", SaleController.listMyOffers);
+router.get("/offers/:id", SaleController.getOffer);
+router.post("/offers/:id/counter", validate(saleSchemas.counterOffer), SaleController.counterOffer);
+router.patch("/offers/:id/accept", validate(saleSchemas.answerOffer), SaleController.acceptOffer);
+router.patch("/offers/:id/reject", validate(saleSchemas.answerOffer), SaleController.rejectOffer);
+router.patch(
+  "/offers/:id/withdraw",
+  validate(saleSchemas.answerOffer),
+  SaleController.withdrawOffer
+);
+
+// Viewings
+router.post(
+  "/properties/:propertyId/viewing-slots",
+  validate(saleSchemas.createSlot),
+  SaleController.createSlot
+);
+router.delete(
+  "/properties/:propertyId/viewing-slots/:slotId",
+  validate(saleSchemas.withReason),
+  SaleController.cancelSlot
+);
+router.get("/properties/:propertyId/viewings", SaleController.listPropertyViewings);
+router.post(
+  "/viewing-slots/:slotId/viewings",
+  validate(saleSchemas.requestViewing),
+  SaleController.requestViewing
+);
+router.get("/viewings", SaleController.listMyViewings);
+router.get("/viewings/:id", SaleController.getViewing);
+router.patch("/viewings/:id/confirm", SaleController.confirmViewing);
+router.patch(
+  "/viewings/:id/decline",
+  validate(saleSchemas.withReason),
+  SaleController.declineViewing
+);
+router.patch(
+  "/viewings/:id/cancel",
+  validate(saleSchemas.withReason),
+  SaleController.cancelViewing
+);
+
+export default router;
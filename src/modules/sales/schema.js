@@ -0,0 +1,43 @@
+// sales/schema.js
+import Joi from "joi";
+
+const terms = {
+  amount: Joi.number().positive().precision(2),
+  conditions: Joi.string().trim().max(1000).allow(null),
+  message: Joi.string().trim().max(500),
+};
+
+export const saleSchemas = {
+  submitOffer: Joi.object({
+    ...terms,
+    amount: terms.amount.required(),
+  }),
+
+  counterOffer: Joi.object({
+    ...terms,
+    amount: terms.amount.required(),
+  }),
+
+  // Accepting, rejecting or withdrawing
+  answerOffer: Joi.object({
+    message: terms.message,
+  }),
+
+  createSlot: Joi.object({
+    startsAt: Joi.date().iso().required(),
+    endsAt: Joi.date().iso().greater(Joi.ref("startsAt")).required().messages({
+      "date.greater": "endsAt must be after startsAt",
+    }),
+    capacity: Joi.number().integer().min(1).max(50).default(1),
+    notes: Joi.string().trim().max(255),
+  }),
+
+  requestViewing: Joi.object({
+    message: terms.message,
+  }),
+
+  // Declining or cancelling a viewing, or withdrawing a slot
+  withReason: Joi.object({
+    reason: Joi.string().trim().max(255),
+  }),
+};
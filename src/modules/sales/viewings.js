@@ -0,0 +1,436 @@
+// sales/viewings.js
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { DateTime } from "luxon";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { withLock } from "../../utils/locking.js";
+import { loadSaleListing } from "./offers.js";
+import { notifyUsers } from "../../utils/notifications.js";
+import pkg from "@prisma/client";
+const { SaleActorType, ViewingStatus } = pkg;
+
+// Viewings holding a place in their slot
+const ACTIVE_VIEWING_STATUSES = [ViewingStatus.REQUESTED, ViewingStatus.CONFIRMED];
+
+export const VIEWING_TRANSITIONS = {
+  [ViewingStatus.REQUESTED]: [
+    ViewingStatus.CONFIRMED,
+    ViewingStatus.DECLINED,
+    ViewingStatus.CANCELLED,
+  ],
+  [ViewingStatus.CONFIRMED]: [ViewingStatus.CANCELLED],
+  [ViewingStatus.DECLINED]: [],
+  [ViewingStatus.CANCELLED]: [],
+};
+
+const formatTime = (date) =>
+  DateTime.fromJSDate(date, { zone: "utc" }).toFormat("yyyy-LL-dd HH:mm 'UTC'");
+
+class ViewingService {
+  /**
+   * Publish a time the listing can be shown
+   * @param {string} propertyId
+   * @param {{userId: string, isAdmin?: boolean}} actor - Seller or admin
+   * @param {Object} slot - startsAt, endsAt, capacity, notes
+   * @returns {Promise<object>} ViewingSlot
+   */
+  async createSlot(propertyId, actor, { startsAt, endsAt, capacity = 1, notes = null }) {
+    await this.assertSeller(propertyId, actor);
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (start <= new Date()) {
+      throw new ValidationError("A viewing slot must start in the future");
+    }
+    if (end <= start) {
+      throw new ValidationError("A viewing slot must end after it starts");
+    }
+
+    const overlapping = await prisma.viewingSlot.findFirst({
+      where: {
+        propertyId,
+        cancelledAt: null,
+        startsAt: { lt: end },
+        endsAt: { gt: start },
+      },
+      select: { id: true },
+    });
+    if (overlapping) {
+      throw new ConflictError("The slot overlaps another viewing slot on this listing");
+    }
+
+    const created = await prisma.viewingSlot.create({
+      data: { propertyId, startsAt: start, endsAt: end, capacity, notes },
+    });
+    logger.info(`Viewing slot ${created.id} published for property ${propertyId}`);
+    return created;
+  }
+
+  /**
+   * Upcoming slots with room left, for buyers choosing a time
+   * @param {string} propertyId
+   * @returns {Promise<Array<object>>} Slots with `remaining` places
+   */
+  async listOpenSlots(propertyId) {
+    const property = await loadSaleListing(prisma, propertyId);
+    if (property.status !== "APPROVED") throw new NotFoundError("Property not found");
+
+    const slots = await prisma.viewingSlot.findMany({
+      where: { propertyId, cancelledAt: null, startsAt: { gt: this.noticeCutoff() } },
+      include: {
+        _count: {
+          select: { viewings: { where: { status: { in: ACTIVE_VIEWING_STATUSES } } } },
+        },
+      },
+      orderBy: { startsAt: "asc" },
+    });
+
+    return slots
+      .map(({ _count, ...slot }) => ({ ...slot, remaining: slot.capacity - _count.viewings }))
+      .filter((slot) => slot.remaining > 0);
+  }
+
+  /**
+   * Withdraw a slot. Viewings booked into it are cancelled and their
+   * buyers told.
+   * @param {string} propertyId
+   * @param {string} slotId
+   * @param {{userId: string, isAdmin?: boolean}} actor - Seller or admin
+   * @param {string} [reason]
+   * @returns {Promise<object>} ViewingSlot
+   */
+  async cancelSlot(propertyId, slotId, actor, reason = null) {
+    const property = await this.assertSeller(propertyId, actor);
+    const slot = await prisma.viewingSlot.findFirst({ where: { id: slotId, propertyId } });
+    if (!slot) throw new NotFoundError("Viewing slot not found");
+    if (slot.cancelledAt) throw new BadRequestError("Viewing slot is already cancelled");
+
+    const { cancelled, viewings } = await this.withSlotLock(slotId, () =>
+      prisma.$transaction(async (tx) => {
+        const cancelled = await tx.viewingSlot.update({
+          where: { id: slotId },
+          data: { cancelledAt: new Date() },
+        });
+        const viewings = await tx.viewing.findMany({
+          where: { slotId, status: { in: ACTIVE_VIEWING_STATUSES } },
+        });
+        for (const viewing of viewings) {
+          await this.transition(tx, viewing, ViewingStatus.CANCELLED, {
+            actorId: actor.userId,
+            actorType: this.sellerActorType(actor, property),
+            reason: reason || "Viewing slot withdrawn",
+          });
+        }
+        return { cancelled, viewings };
+      })
+    );
+
+    if (viewings.length) {
+      await notifyUsers(
+        viewings.map((viewing) => viewing.buyerId),
+        {
+          title: `Viewing cancelled at ${property.title}`,
+          body: `The seller withdrew the viewing on ${formatTime(slot.startsAt)}${
+            reason ? `: ${reason}` : "."
+          }`,
+          context: { slotId, propertyId },
+        }
+      );
+    }
+    return cancelled;
+  }
+
+  /**
+   * Ask to view a listing in one of its slots. The seller confirms or
+   * declines the request.
+   * @param {string} slotId
+   * @param {string} buyerId
+   * @param {string} [message] - Note to the seller
+   * @returns {Promise<object>} Viewing
+   */
+  async requestViewing(slotId, buyerId, message = null) {
+    const slot = await prisma.viewingSlot.findUnique({ where: { id: slotId } });
+    if (!slot || slot.cancelledAt) throw new NotFoundError("Viewing slot not found");
+
+    const property = await loadSaleListing(prisma, slot.propertyId);
+    if (property.status !== "APPROVED") {
+      throw new BadRequestError("Property is not open for viewings");
+    }
+    if (property.ownerId === buyerId) {
+      throw new ForbiddenError("You cannot book a viewing of your own listing");
+    }
+    if (slot.startsAt <= this.noticeCutoff()) {
+      throw new BadRequestError(
+        `Viewings must be requested at least ${config.get("sales.viewingNoticeHours")} hours ahead`
+      );
+    }
+
+    const viewing = await this.withSlotLock(slotId, () =>
+      prisma.$transaction(async (tx) => {
+        const taken = await tx.viewing.findMany({
+          where: { slotId, status: { in: ACTIVE_VIEWING_STATUSES } },
+          select: { buyerId: true },
+        });
+        if (taken.some((item) => item.buyerId === buyerId)) {
+          throw new ConflictError("You already have a viewing in this slot");
+        }
+        if (taken.length >= slot.capacity) {
+          throw new ConflictError("This viewing slot is fully booked");
+        }
+
+        const created = await tx.viewing.create({
+          data: { slotId, propertyId: slot.propertyId, buyerId, message },
+        });
+        await this.recordEvent(tx, created, {
+          fromStatus: null,
+          actorId: buyerId,
+          actorType: SaleActorType.BUYER,
+        });
+        return created;
+      })
+    );
+
+    logger.info(`Viewing ${viewing.id} requested for slot ${slotId} by user ${buyerId}`);
+    await notifyUsers([property.ownerId, buyerId], {
+      title: `Viewing requested at ${property.title}`,
+      body: `A viewing was requested for ${formatTime(slot.startsAt)}.`,
+      context: { viewingId: viewing.id, propertyId: slot.propertyId },
+    });
+    return viewing;
+  }
+
+  async confirmViewing(viewingId, actor) {
+    const viewing = await this.getViewingForParty(viewingId, actor);
+    const actorType = this.assertSellerOf(viewing, actor);
+
+    const confirmed = await prisma.$transaction((tx) =>
+      this.transition(tx, viewing, ViewingStatus.CONFIRMED, {
+        actorId: actor.userId,
+        actorType,
+      })
+    );
+
+    await this.notifyParties(viewing, {
+      title: `Viewing confirmed at ${viewing.slot.property.title}`,
+      body: `Your viewing on ${formatTime(viewing.slot.startsAt)} is confirmed.`,
+    });
+    return confirmed;
+  }
+
+  async declineViewing(viewingId, actor, reason = null) {
+    const viewing = await this.getViewingForParty(viewingId, actor);
+    const actorType = this.assertSellerOf(viewing, actor);
+
+    const declined = await prisma.$transaction((tx) =>
+      this.transition(tx, viewing, ViewingStatus.DECLINED, {
+        actorId: actor.userId,
+        actorType,
+        reason,
+      })
+    );
+
+    await this.notifyParties(viewing, {
+      title: `Viewing declined at ${viewing.slot.property.title}`,
+      body: `The seller declined the viewing on ${formatTime(viewing.slot.startsAt)}${
+        reason ? `: ${reason}` : "."
+      }`,
+    });
+    return declined;
+  }
+
+  /**
+   * Call off a viewing that has not happened yet. Either side can.
+   */
+  async cancelViewing(viewingId, actor, reason = null) {
+    const viewing = await this.getViewingForParty(viewingId, actor);
+    if (viewing.slot.startsAt <= new Date()) {
+      throw new BadRequestError("A viewing that has started cannot be cancelled");
+    }
+
+    const actorType =
+      viewing.buyerId === actor.userId
+        ? SaleActorType.BUYER
+        : this.sellerActorType(actor, viewing.slot.property);
+    const cancelled = await prisma.$transaction((tx) =>
+      this.transition(tx, viewing, ViewingStatus.CANCELLED, {
+        actorId: actor.userId,
+        actorType,
+        reason,
+      })
+    );
+
+    await this.notifyParties(viewing, {
+      title: `Viewing cancelled at ${viewing.slot.property.title}`,
+      body: `The ${actorType.toLowerCase()} cancelled the viewing on ${formatTime(
+        viewing.slot.startsAt
+      )}${reason ? `: ${reason}` : "."}`,
+    });
+    return cancelled;
+  }
+
+  /**
+   * A viewing with its history, for the buyer, the seller or an admin
+   */
+  async getViewing(viewingId, actor) {
+    const viewing = await this.getViewingForParty(viewingId, actor);
+    const events = await prisma.viewingEvent.findMany({
+      where: { viewingId },
+      orderBy: { createdAt: "asc" },
+    });
+    const { property, ...slot } = viewing.slot;
+    return {
+      ...viewing,
+      slot,
+      property: { id: property.id, title: property.title },
+      events,
+    };
+  }
+
+  async listBuyerViewings(buyerId, { status } = {}) {
+    return prisma.viewing.findMany({
+      where: { buyerId, ...(status && { status }) },
+      include: {
+        slot: {
+          include: { property: { select: { id: true, title: true, address: true } } },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+  }
+
+  /**
+   * Viewings booked on a listing, for its seller or an admin
+   */
+  async listPropertyViewings(propertyId, actor, { status } = {}) {
+    await this.assertSeller(propertyId, actor);
+
+    return prisma.viewing.findMany({
+      where: { propertyId, ...(status && { status }) },
+      include: {
+        slot: { select: { id: true, startsAt: true, endsAt: true } },
+        buyer: {
+          select: {
+            id: true,
+            username: true,
+            profile: { select: { firstName: true, lastName: true } },
+          },
+        },
+      },
+      orderBy: { slot: { startsAt: "asc" } },
+    });
+  }
+
+  async transition(tx, viewing, toStatus, { actorId = null, actorType, reason = null }) {
+    if (!VIEWING_TRANSITIONS[viewing.status]?.includes(toStatus)) {
+      throw new BadRequestError(
+        `Cannot move a viewing from ${viewing.status} to ${toStatus}`
+      );
+    }
+
+    const { count } = await tx.viewing.updateMany({
+      where: { id: viewing.id, status: viewing.status },
+      data: { status: toStatus },
+    });
+    if (count === 0) {
+      throw new ConflictError("Viewing was updated by someone else, reload it and try again");
+    }
+
+    const updated = await tx.viewing.findUnique({ where: { id: viewing.id } });
+    await this.recordEvent(tx, updated, {
+      fromStatus: viewing.status,
+      actorId,
+      actorType,
+      reason,
+    });
+    return updated;
+  }
+
+  async recordEvent(tx, viewing, { fromStatus, actorId = null, actorType, reason = null }) {
+    return tx.viewingEvent.create({
+      data: {
+        viewingId: viewing.id,
+        fromStatus,
+        toStatus: viewing.status,
+        actorId,
+        actorType,
+        reason,
+      },
+    });
+  }
+
+  async getViewingForParty(viewingId, { userId, isAdmin = false }) {
+    const viewing = await prisma.viewing.findUnique({
+      where: { id: viewingId },
+      include: {
+        slot: {
+          include: { property: { select: { id: true, ownerId: true, title: true } } },
+        },
+      },
+    });
+    if (!viewing) throw new NotFoundError("Viewing not found");
+    if (
+      !isAdmin &&
+      viewing.buyerId !== userId &&
+      viewing.slot.property.ownerId !== userId
+    ) {
+      throw new ForbiddenError("You do not have access to this viewing");
+    }
+    return viewing;
+  }
+
+  async assertSeller(propertyId, { userId, isAdmin = false }) {
+    const property = await loadSaleListing(prisma, propertyId);
+    if (!isAdmin && property.ownerId !== userId) {
+      throw new ForbiddenError("Only the seller can manage viewings of this listing");
+    }
+    return property;
+  }
+
+  assertSellerOf(viewing, actor) {
+    if (!actor.isAdmin && viewing.slot.property.ownerId !== actor.userId) {
+      throw new ForbiddenError("Only the seller can answer a viewing request");
+    }
+    return this.sellerActorType(actor, viewing.slot.property);
+  }
+
+  sellerActorType({ userId, isAdmin = false }, property) {
+    return isAdmin && property.ownerId !== userId
+      ? SaleActorType.ADMIN
+      : SaleActorType.SELLER;
+  }
+
+  // Slots starting before this are too close to request
+  noticeCutoff() {
+    return DateTime.now()
+      .plus({ hours: config.get("sales.viewingNoticeHours") })
+      .toJSDate();
+  }
+
+  async notifyParties(viewing, { title, body }) {
+    await notifyUsers([viewing.buyerId, viewing.slot.property.ownerId], {
+      title,
+      body,
+      context: { viewingId: viewing.id, propertyId: viewing.propertyId },
+    });
+  }
+
+  async withSlotLock(slotId, fn) {
+    try {
+      return await withLock(`viewing-slot:${slotId}:lock`, fn, { ttl: 15000 });
+    } catch (error) {
+      if (error.message === "LockAcquisitionError") {
+        throw new ConflictError("Viewing slot is being updated, please retry");
+      }
+      throw error;
+    }
+  }
+}
+
+export default new ViewingService();
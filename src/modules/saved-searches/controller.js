@@ -0,0 +1,76 @@
+import SavedSearchService from "./service.js";
+import logger from "../../config/logger.js";
+
+class SavedSearchController {
+  /**
+   * @desc    The current user's saved searches
+   * @route   GET /api/saved-searches
+   * @access  Private
+   */
+  async listSearches(req, res, next) {
+    try {
+      const searches = await SavedSearchService.listSearches(req.user.id);
+      res.status(200).json({ success: true, count: searches.length, data: searches });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Save a search and how often to hear about new matches
+   * @route   POST /api/saved-searches
+   * @access  Private
+   */
+  async createSearch(req, res, next) {
+    try {
+      const search = await SavedSearchService.createSearch(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: search,
+        message: "Search saved",
+      });
+    } catch (error) {
+      logger.error(`Saving search failed: ${error.message}`, {
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Rename a saved search or change its alert frequency
+   * @route   PATCH /api/saved-searches/:id
+   * @access  Private
+   */
+  async updateSearch(req, res, next) {
+    try {
+      const search = await SavedSearchService.updateSearch(
+        req.user.id,
+        req.params.id,
+        req.body
+      );
+
+      res.status(200).json({ success: true, data: search, message: "Saved search updated" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a saved search
+   * @route   DELETE /api/saved-searches/:id
+   * @access  Private
+   */
+  async deleteSearch(req, res, next) {
+    try {
+      await SavedSearchService.deleteSearch(req.user.id, req.params.id);
+      res.status(200).json({ success: true, message: "Saved search deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new SavedSearchController();
@@ -0,0 +1,21 @@
+import express from "express";
+import SavedSearchController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { savedSearchSchemas } from "./schema.js";
+
+const router = express.Router();
+
+router.use(authenticateUser());
+
+router
+  .route("/")
+  .get(SavedSearchController.listSearches)
+  .post(validate(savedSearchSchemas.createSearch), SavedSearchController.createSearch);
+
+router
+  .route("/:id")
+  .patch(validate(savedSearchSchemas.updateSearch), SavedSearchController.updateSearch)
+  .delete(SavedSearchController.deleteSearch);
+
+export default router;
@@ -0,0 +1,48 @@
+// saved-searches/schema.js
+import Joi from "joi";
+import { geometry, searchFilterKeys } from "../properties/schema.js";
+import { geoJSON } from "../../utils/geospatial.js";
+import { SAVED_SEARCH_FREQUENCIES } from "../../models/UserPreferences.js";
+
+// A radius around a point, a map viewport or a drawn polygon
+const area = Joi.alternatives().try(
+  Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    radius: Joi.number().integer().min(100).max(50000).default(5000),
+  }),
+  Joi.object({
+    bbox: Joi.string()
+      .custom(geometry((value) => geoJSON.parseBoundingBox(value)))
+      .required(),
+  }),
+  Joi.object({
+    polygon: Joi.object()
+      .custom(geometry((value) => geoJSON.validatePolygon(value)))
+      .required(),
+  })
+);
+
+const frequency = Joi.string().valid(...SAVED_SEARCH_FREQUENCIES);
+
+export const savedSearchSchemas = {
+  createSearch: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    filters: Joi.object({
+      ...searchFilterKeys,
+      amenities: Joi.array().items(Joi.string()).single(),
+      checkIn: searchFilterKeys.checkIn.min("now").messages({
+        "date.min": "checkIn must be in the future",
+      }),
+    })
+      .and("checkIn", "checkOut")
+      .default({}),
+    area: area.optional(),
+    frequency: frequency.default("DAILY"),
+  }),
+
+  updateSearch: Joi.object({
+    name: Joi.string().trim().max(100),
+    frequency,
+  }).min(1),
+};
@@ -0,0 +1,290 @@
+// saved-searches/service.js
+import { isValidObjectId } from "mongoose";
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import UserPreferences from "../../models/UserPreferences.js";
+import PropertySearch from "../../models/PropertyDetails.js";
+import { PropertyService } from "../properties/service.js";
+import { notifyUsers } from "../../utils/notifications.js";
+import { NotFoundError, ValidationError } from "../../utils/apiError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum gap between two digests of one saved search
+const DIGEST_INTERVALS = { DAILY: DAY_MS, WEEKLY: 7 * DAY_MS };
+
+const ALERTING = ["INSTANT", "DAILY", "WEEKLY"];
+
+// Listing titles are host-written and end up in email HTML
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+// Saved searches checked and alerted at once for one listing
+const MATCH_CONCURRENCY = 10;
+
+// Conditions on a saved search, or on the saved search under `prefix`,
+// that the index can check cheaply: it alerts, its dates are ahead and
+// its area and exact-value filters do not rule the listing out
+const candidateConditions = (listing, now, prefix = "") => {
+  const unsetOr = (field, condition) => ({
+    $or: [{ [prefix + field]: null }, { [prefix + field]: condition }],
+  });
+
+  return {
+    [`${prefix}frequency`]: { $in: ALERTING },
+    $and: [
+      unsetOr("filters.checkIn", { $gte: now }),
+      unsetOr("filters.city", listing.city ?? null),
+      unsetOr("filters.propertyType", listing.propertyType ?? null),
+      unsetOr("filters.listingType", listing.listingType ?? null),
+      unsetOr("areaGeometry", { $geoIntersects: { $geometry: listing.location } }),
+    ],
+  };
+};
+
+const assertSearchId = (searchId) => {
+  if (!isValidObjectId(searchId)) throw new NotFoundError("Saved search not found");
+};
+
+class SavedSearchService {
+  async listSearches(userId) {
+    const prefs = await UserPreferences.findOne({ userId }, { savedSearches: 1 }).lean();
+    return prefs?.savedSearches || [];
+  }
+
+  /**
+   * Save a search for the user
+   * @param {string} userId
+   * @param {Object} data - name, filters, area, frequency
+   */
+  async createSearch(userId, data) {
+    const max = config.get("savedSearches.maxPerUser");
+    const saved = await this.listSearches(userId);
+    if (saved.length >= max) {
+      throw new ValidationError(`You can keep at most ${max} saved searches`);
+    }
+
+    const search = { ...data, areaGeometry: PropertyService.areaGeometry(data.area) };
+    const prefs = await UserPreferences.findOneAndUpdate(
+      { userId },
+      { $push: { savedSearches: search } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+    return prefs.savedSearches[prefs.savedSearches.length - 1];
+  }
+
+  /**
+   * Rename a saved search or change how often it alerts. Queued alerts
+   * are dropped when alerts are turned off.
+   */
+  async updateSearch(userId, searchId, { name, frequency }) {
+    assertSearchId(searchId);
+    const set = {};
+    if (name !== undefined) set["savedSearches.$.name"] = name;
+    if (frequency !== undefined) set["savedSearches.$.frequency"] = frequency;
+    if (frequency === "NEVER") set["savedSearches.$.pendingAlerts"] = [];
+
+    const prefs = await UserPreferences.findOneAndUpdate(
+      { userId, "savedSearches._id": searchId },
+      { $set: set },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!prefs) throw new NotFoundError("Saved search not found");
+
+    return prefs.savedSearches.find((search) => String(search._id) === String(searchId));
+  }
+
+  async deleteSearch(userId, searchId) {
+    assertSearchId(searchId);
+    const { modifiedCount } = await UserPreferences.updateOne(
+      { userId, "savedSearches._id": searchId },
+      { $pull: { savedSearches: { _id: searchId } } }
+    );
+    if (!modifiedCount) throw new NotFoundError("Saved search not found");
+  }
+
+  /**
+   * Match a listing that was just approved or got cheaper against every
+   * alerting saved search. One query finds the searches whose area and
+   * simple filters could take the listing; each is then checked in full.
+   * INSTANT searches are notified now; the others queue the match for
+   * their next digest.
+   * @param {string} propertyId
+   * @param {Object} change
+   * @param {string} change.change - NEW_LISTING or PRICE_DROP
+   * @param {number} change.price - Nightly rate in `currency`
+   * @param {number} [change.previousPrice]
+   * @param {string} change.currency
+   * @returns {Promise<number>} Saved searches matched
+   */
+  async matchListing(propertyId, change) {
+    const [property, listing] = await Promise.all([
+      prisma.property.findUnique({
+        where: { id: propertyId },
+        select: { title: true, ownerId: true },
+      }),
+      PropertySearch.findOne(
+        { propertyId },
+        { location: 1, city: 1, propertyType: 1, listingType: 1 }
+      ).lean(),
+    ]);
+    if (!property || !listing) return 0;
+
+    const now = new Date();
+    const alert = { propertyId, title: property.title, ...change, matchedAt: now };
+    const cursor = UserPreferences.aggregate([
+      {
+        $match: {
+          // Hosts are not alerted about their own listings
+          userId: { $ne: property.ownerId },
+          savedSearches: { $elemMatch: candidateConditions(listing, now) },
+        },
+      },
+      { $unwind: "$savedSearches" },
+      { $match: candidateConditions(listing, now, "savedSearches.") },
+      { $project: { _id: 0, userId: 1, search: "$savedSearches" } },
+    ]).cursor();
+
+    let matched = 0;
+    let batch = [];
+    const alertBatch = async () => {
+      const results = await Promise.all(batch.map((item) => this.alertSearch(item, alert)));
+      matched += results.filter(Boolean).length;
+      batch = [];
+    };
+    for await (const item of cursor) {
+      batch.push(item);
+      if (batch.length >= MATCH_CONCURRENCY) await alertBatch();
+    }
+    if (batch.length) await alertBatch();
+
+    return matched;
+  }
+
+  // Alerts one saved search if the listing matches it. A failure is logged
+  // and never keeps the listing's other searches from being alerted.
+  async alertSearch({ userId, search }, alert) {
+    try {
+      if (!(await this.matches(alert.propertyId, search))) return false;
+
+      if (search.frequency === "INSTANT") {
+        await this.deliver(userId, search, [alert]);
+        await this.markNotified(userId, search._id, alert.matchedAt);
+      } else {
+        await UserPreferences.updateOne(
+          { userId, "savedSearches._id": search._id },
+          { $push: { "savedSearches.$.pendingAlerts": alert } }
+        );
+      }
+      return true;
+    } catch (error) {
+      logger.warn(`Saved search ${search._id} could not be alerted: ${error.message}`, {
+        userId,
+        propertyId: alert.propertyId,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Saved searches with queued matches whose digest interval has passed
+   * @param {Date} now
+   * @returns {Promise<Array<{userId, search}>>}
+   */
+  async findDueDigests(now) {
+    const users = await UserPreferences.find(
+      { "savedSearches.pendingAlerts.0": { $exists: true } },
+      { userId: 1, savedSearches: 1 }
+    ).lean();
+
+    return users.flatMap(({ userId, savedSearches }) =>
+      savedSearches
+        .filter((search) => {
+          if (!search.pendingAlerts?.length) return false;
+          // Alerts queued before a switch to INSTANT go out straight away
+          if (search.frequency === "INSTANT") return true;
+          const interval = DIGEST_INTERVALS[search.frequency];
+          return (
+            interval &&
+            (!search.lastNotifiedAt || now - search.lastNotifiedAt >= interval)
+          );
+        })
+        .map((search) => ({ userId, search }))
+    );
+  }
+
+  /**
+   * Send one saved search's queued matches and clear them. Matches queued
+   * while sending are kept for the next digest.
+   * @param {Object} item - { userId, search } from findDueDigests
+   * @param {Date} now
+   */
+  async sendDigest({ userId, search }, now) {
+    await this.deliver(userId, search, search.pendingAlerts);
+
+    const last = search.pendingAlerts.reduce(
+      (latest, alert) => (alert.matchedAt > latest ? alert.matchedAt : latest),
+      new Date(0)
+    );
+    await UserPreferences.updateOne(
+      { userId, "savedSearches._id": search._id },
+      {
+        $pull: { "savedSearches.$.pendingAlerts": { matchedAt: { $lte: last } } },
+        $set: { "savedSearches.$.lastNotifiedAt": now },
+      }
+    );
+  }
+
+  // A search whose dates have passed no longer matches anything
+  async matches(propertyId, { filters = {}, area }) {
+    if (filters.checkIn && new Date(filters.checkIn) < new Date()) return false;
+
+    try {
+      return await PropertyService.listingMatches(propertyId, {
+        ...filters,
+        amenities: filters.amenities || [],
+        area,
+      });
+    } catch (error) {
+      // e.g. dates beyond the availability horizon
+      if (error instanceof ValidationError) return false;
+      throw error;
+    }
+  }
+
+  // One notification and email per saved search, latest news per listing
+  async deliver(userId, search, alerts) {
+    const latest = [
+      ...new Map(alerts.map((alert) => [alert.propertyId, alert])).values(),
+    ];
+    const describe = (alert) =>
+      alert.change === "PRICE_DROP"
+        ? `${alert.title}: now ${alert.price} ${alert.currency} (was ${alert.previousPrice})`
+        : `${alert.title}: new at ${alert.price} ${alert.currency}`;
+
+    await notifyUsers([userId], {
+      title: `${latest.length} new match${latest.length === 1 ? "" : "es"} for "${search.name}"`,
+      body: latest.map(describe).join("; "),
+      html: `<ul>${latest
+        .map((alert) => `<li>${escapeHtml(describe(alert))}</li>`)
+        .join("")}</ul>`,
+      context: {
+        savedSearchId: String(search._id),
+        propertyIds: latest.map((alert) => alert.propertyId),
+      },
+    });
+  }
+
+  async markNotified(userId, searchId, at) {
+    await UserPreferences.updateOne(
+      { userId, "savedSearches._id": searchId },
+      { $set: { "savedSearches.$.lastNotifiedAt": at } }
+    );
+  }
+}
+
+export default new SavedSearchService();
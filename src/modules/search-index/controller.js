@@ -0,0 +1,44 @@
+import SearchIndexService from "./service.js";
+import logger from "../../config/logger.js";
+
+class SearchIndexController {
+  /**
+   * @desc    Compare the search index with the database
+   * @route   GET /api/search-index/drift
+   * @access  Private (admin)
+   */
+  async getDrift(req, res, next) {
+    try {
+      const report = await SearchIndexService.reportDrift();
+
+      res.status(200).json({ success: true, data: report });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Queue every listing for reindexing
+   * @route   POST /api/search-index/rebuild
+   * @access  Private (admin)
+   */
+  async rebuild(req, res, next) {
+    try {
+      const result = await SearchIndexService.rebuild();
+
+      res.status(202).json({
+        success: true,
+        data: result,
+        message: `${result.queued} listing(s) queued for reindexing`,
+      });
+    } catch (error) {
+      logger.error(`Search index rebuild failed: ${error.message}`, {
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+}
+
+export default new SearchIndexController();
@@ -0,0 +1,39 @@
+// search-index/outbox.js
+import prisma from "../../config/database.js";
+
+// Why a listing was queued. Availability-only events refresh just the
+// availability block of an existing search document.
+export const ReindexReason = Object.freeze({
+  PROPERTY: "property",
+  STATUS: "status",
+  ROOM_SPECS: "room-specs",
+  REVIEW: "review",
+  AVAILABILITY: "availability",
+  REBUILD: "rebuild",
+  NIGHTLY: "nightly",
+});
+
+/**
+ * Queue a listing for reindexing. Pass the transaction client so the event
+ * commits or rolls back with the change that caused it.
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} propertyId
+ * @param {string} reason - A ReindexReason
+ */
+export const enqueueReindex = (client, propertyId, reason) =>
+  client.searchIndexEvent.create({ data: { propertyId, reason } });
+
+/**
+ * Queue many listings at once, e.g. for a rebuild
+ * @param {string[]} propertyIds
+ * @param {string} reason - A ReindexReason
+ * @returns {Promise<number>} Events written
+ */
+export const enqueueReindexMany = async (propertyIds, reason) => {
+  if (!propertyIds.length) return 0;
+
+  const { count } = await prisma.searchIndexEvent.createMany({
+    data: propertyIds.map((propertyId) => ({ propertyId, reason })),
+  });
+  return count;
+};
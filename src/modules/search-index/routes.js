@@ -0,0 +1,12 @@
+import express from "express";
+import SearchIndexController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+
+const router = express.Router();
+
+router.use(authenticateUser({ roles: ["admin"] }));
+
+router.get("/drift", SearchIndexController.getDrift);
+router.post("/rebuild", SearchIndexController.rebuild);
+
+export default router;
@@ -0,0 +1,320 @@
+// search-index/service.js
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import PropertySearch from "../../models/PropertyDetails.js";
+import { PropertyService } from "../properties/service.js";
+import { enqueueSavedSearchMatch } from "../../jobs/savedSearchMatches.js";
+import { ReindexReason, enqueueReindexMany } from "./outbox.js";
+import pkg from "@prisma/client";
+const { SearchIndexEventStatus } = pkg;
+
+// Listing ids returned per drift category; counts are always complete
+const DRIFT_SAMPLE_SIZE = 50;
+// Listings compared per database round trip
+const DRIFT_BATCH_SIZE = 1000;
+
+class SearchIndexService {
+  /**
+   * Apply queued reindex events until none are due. Events are grouped by
+   * listing and each listing is rebuilt from its current state, so
+   * duplicates and out-of-order events cost one reindex at most.
+   * @returns {Promise<{processed: number, failed: number, pruned: number}>}
+   */
+  async processOutbox() {
+    const batchSize = config.get("search.outboxBatchSize");
+    let processed = 0;
+    let failed = 0;
+
+    for (;;) {
+      const events = await prisma.searchIndexEvent.findMany({
+        where: {
+          status: SearchIndexEventStatus.PENDING,
+          availableAt: { lte: new Date() },
+        },
+        orderBy: { createdAt: "asc" },
+        take: batchSize,
+      });
+      if (!events.length) break;
+
+      const byProperty = new Map();
+      events.forEach((event) => {
+        byProperty.set(event.propertyId, [
+          ...(byProperty.get(event.propertyId) || []),
+          event,
+        ]);
+      });
+
+      for (const [propertyId, propertyEvents] of byProperty) {
+        try {
+          const before = await PropertySearch.findOne(
+            { propertyId },
+            { basePrice: 1, currency: 1 }
+          ).lean();
+          await this.reindex(propertyId, {
+            availabilityOnly: propertyEvents.every(
+              (event) => event.reason === ReindexReason.AVAILABILITY
+            ),
+          });
+          await prisma.searchIndexEvent.updateMany({
+            where: {
+              id: { in: propertyEvents.map((event) => event.id) },
+              status: SearchIndexEventStatus.PENDING,
+            },
+            data: {
+              status: SearchIndexEventStatus.PROCESSED,
+              processedAt: new Date(),
+            },
+          });
+          processed += propertyEvents.length;
+          await this.announceChange(propertyId, before, propertyEvents);
+        } catch (error) {
+          await this.recordFailure(propertyEvents, error);
+          failed += propertyEvents.length;
+        }
+      }
+
+      // Failed events are pushed into the future, so a short batch means
+      // the due backlog is drained
+      if (events.length < batchSize) break;
+    }
+
+    const pruned = await this.pruneProcessed();
+    return { processed, failed, pruned };
+  }
+
+  /**
+   * Bring one listing's search document in line with the database:
+   * approved listings are indexed, anything else is removed
+   * @param {string} propertyId
+   * @param {Object} [options]
+   * @param {boolean} [options.availabilityOnly] - Only refresh availability
+   *   when the listing is already indexed
+   * @returns {Promise<"indexed"|"removed">}
+   */
+  async reindex(propertyId, { availabilityOnly = false } = {}) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { status: true },
+    });
+
+    if (property?.status !== "APPROVED") {
+      await PropertySearch.deleteOne({ propertyId });
+      return "removed";
+    }
+
+    if (availabilityOnly && (await PropertySearch.exists({ propertyId }))) {
+      await PropertyService.indexAvailability(propertyId);
+    } else {
+      await PropertyService.indexProperty(propertyId);
+    }
+    return "indexed";
+  }
+
+  /**
+   * Compare the search index with the database. Both sides are walked in
+   * batches of ids, so memory stays flat however many listings there are.
+   * Events still pending in the outbox account for some drift until the
+   * next worker run.
+   * @returns {Promise<Object>} Counts and sample listing ids per category
+   */
+  async reportDrift() {
+    const drift = { missing: [], orphaned: [], stale: [] };
+    const counts = { missing: 0, orphaned: 0, stale: 0 };
+    const record = (category, propertyId) => {
+      counts[category]++;
+      if (drift[category].length < DRIFT_SAMPLE_SIZE) drift[category].push(propertyId);
+    };
+
+    // Approved listings, each looked up in the index
+    let approved = 0;
+    let after;
+    for (;;) {
+      const properties = await prisma.property.findMany({
+        where: { status: "APPROVED", ...(after && { id: { gt: after } }) },
+        select: { id: true, updatedAt: true, _count: { select: { reviews: true } } },
+        orderBy: { id: "asc" },
+        take: DRIFT_BATCH_SIZE,
+      });
+      if (!properties.length) break;
+      approved += properties.length;
+      after = properties[properties.length - 1].id;
+
+      const documents = await PropertySearch.find(
+        { propertyId: { $in: properties.map((p) => p.id) } },
+        { propertyId: 1, indexedAt: 1, "stats.reviewCount": 1 }
+      ).lean();
+      const indexed = new Map(documents.map((doc) => [doc.propertyId, doc]));
+
+      for (const p of properties) {
+        const doc = indexed.get(p.id);
+        if (!doc) {
+          record("missing", p.id);
+        } else if (
+          // Edited since indexing, or reviewed without the index hearing of it
+          !doc.indexedAt ||
+          doc.indexedAt < p.updatedAt ||
+          doc.stats?.reviewCount !== p._count.reviews
+        ) {
+          record("stale", p.id);
+        }
+      }
+    }
+
+    // Index documents, each looked up among approved listings
+    let indexed = 0;
+    let batch = [];
+    const checkOrphans = async () => {
+      const found = await prisma.property.findMany({
+        where: { id: { in: batch }, status: "APPROVED" },
+        select: { id: true },
+      });
+      const current = new Set(found.map((p) => p.id));
+      batch.filter((id) => !current.has(id)).forEach((id) => record("orphaned", id));
+      batch = [];
+    };
+    const cursor = PropertySearch.find({}, { propertyId: 1 })
+      .lean()
+      .batchSize(DRIFT_BATCH_SIZE)
+      .cursor();
+    for await (const doc of cursor) {
+      indexed++;
+      batch.push(doc.propertyId);
+      if (batch.length >= DRIFT_BATCH_SIZE) await checkOrphans();
+    }
+    if (batch.length) await checkOrphans();
+
+    const [outbox, oldestPending] = await Promise.all([
+      prisma.searchIndexEvent.groupBy({
+        by: ["status"],
+        where: {
+          status: { in: [SearchIndexEventStatus.PENDING, SearchIndexEventStatus.FAILED] },
+        },
+        _count: { _all: true },
+      }),
+      prisma.searchIndexEvent.findFirst({
+        where: { status: SearchIndexEventStatus.PENDING },
+        orderBy: { createdAt: "asc" },
+        select: { createdAt: true },
+      }),
+    ]);
+
+    const countOf = (status) =>
+      outbox.find((group) => group.status === status)?._count._all || 0;
+    const sample = (category) => ({
+      count: counts[category],
+      propertyIds: drift[category],
+    });
+
+    return {
+      checkedAt: new Date(),
+      approved,
+      indexed,
+      inSync: !counts.missing && !counts.orphaned && !counts.stale,
+      missing: sample("missing"),
+      orphaned: sample("orphaned"),
+      stale: sample("stale"),
+      outbox: {
+        pending: countOf(SearchIndexEventStatus.PENDING),
+        failed: countOf(SearchIndexEventStatus.FAILED),
+        oldestPendingAt: oldestPending?.createdAt || null,
+      },
+    };
+  }
+
+  /**
+   * Queue every approved listing, plus every indexed one that should not
+   * be, for reindexing by the outbox worker
+   * @param {string} [reason]
+   * @returns {Promise<{queued: number}>}
+   */
+  async rebuild(reason = ReindexReason.REBUILD) {
+    const [properties, indexedIds] = await Promise.all([
+      prisma.property.findMany({ where: { status: "APPROVED" }, select: { id: true } }),
+      PropertySearch.distinct("propertyId"),
+    ]);
+
+    const ids = new Set([...properties.map((p) => p.id), ...indexedIds]);
+    const queued = await enqueueReindexMany([...ids], reason);
+
+    logger.info(`Search index rebuild queued for ${queued} listing(s)`, { reason });
+    return { queued };
+  }
+
+  /**
+   * Queue listings that were just approved or got cheaper for matching
+   * against saved searches. Best effort: a failure is logged and never
+   * retries the events, which would no longer see the change.
+   * @param {string} propertyId
+   * @param {Object|null} before - Search document before reindexing
+   * @param {Object[]} events - Events that caused the reindex
+   */
+  async announceChange(propertyId, before, events) {
+    try {
+      const after = await PropertySearch.findOne(
+        { propertyId },
+        { basePrice: 1, currency: 1 }
+      ).lean();
+      if (!after) return;
+
+      let change = null;
+      // Rebuilds also recreate missing documents; only approval is news
+      if (!before && events.some((event) => event.reason === ReindexReason.STATUS)) {
+        change = { change: "NEW_LISTING" };
+      } else if (
+        before &&
+        before.currency === after.currency &&
+        after.basePrice < before.basePrice
+      ) {
+        change = { change: "PRICE_DROP", previousPrice: before.basePrice };
+      }
+      if (!change) return;
+
+      await enqueueSavedSearchMatch(propertyId, {
+        ...change,
+        price: after.basePrice,
+        currency: after.currency,
+      });
+    } catch (error) {
+      logger.warn(`Could not queue saved search matching for property ${propertyId}: ${error.message}`);
+    }
+  }
+
+  // Back off exponentially, then give up and leave the event FAILED
+  async recordFailure(events, error) {
+    const maxAttempts = config.get("search.outboxMaxAttempts");
+
+    logger.warn(`Search reindex failed for property ${events[0].propertyId}: ${error.message}`);
+
+    await Promise.all(
+      events.map((event) => {
+        const attempts = event.attempts + 1;
+        return prisma.searchIndexEvent.update({
+          where: { id: event.id },
+          data: {
+            attempts,
+            lastError: error.message.slice(0, 500),
+            status:
+              attempts >= maxAttempts
+                ? SearchIndexEventStatus.FAILED
+                : SearchIndexEventStatus.PENDING,
+            availableAt: new Date(Date.now() + 2 ** attempts * 60 * 1000),
+          },
+        });
+      })
+    );
+  }
+
+  async pruneProcessed() {
+    const cutoff = new Date(
+      Date.now() - config.get("search.outboxRetentionDays") * 24 * 60 * 60 * 1000
+    );
+
+    const { count } = await prisma.searchIndexEvent.deleteMany({
+      where: { status: SearchIndexEventStatus.PROCESSED, processedAt: { lt: cutoff } },
+    });
+    return count;
+  }
+}
+
+export default new SearchIndexService();
@@ -0,0 +1,103 @@
+import TaxRuleService from "./service.js";
+import logger from "../../config/logger.js";
+
+class TaxRuleController {
+  /**
+   * @desc    List tax rules
+   * @route   GET /api/taxes
+   * @access  Private (admin)
+   */
+  async listRules(req, res, next) {
+    try {
+      const rules = await TaxRuleService.listRules(req.query);
+
+      res.status(200).json({ success: true, data: rules });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get a tax rule
+   * @route   GET /api/taxes/:ruleId
+   * @access  Private (admin)
+   */
+  async getRule(req, res, next) {
+    try {
+      const rule = await TaxRuleService.getRule(req.params.ruleId);
+
+      res.status(200).json({ success: true, data: rule });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Create a tax rule
+   * @route   POST /api/taxes
+   * @access  Private (admin)
+   */
+  async createRule(req, res, next) {
+    try {
+      const rule = await TaxRuleService.createRule(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: "Tax rule created",
+      });
+    } catch (error) {
+      logger.error(`Tax rule creation failed: ${error.message}`, {
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a tax rule
+   * @route   PATCH /api/taxes/:ruleId
+   * @access  Private (admin)
+   */
+  async updateRule(req, res, next) {
+    const { ruleId } = req.params;
+
+    try {
+      const rule = await TaxRuleService.updateRule(ruleId, req.body, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: rule,
+        message: "Tax rule updated",
+      });
+    } catch (error) {
+      logger.error(`Tax rule update failed: ${error.message}`, {
+        ruleId,
+        userId: req.user.id,
+        error: error.stack,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a tax rule
+   * @route   DELETE /api/taxes/:ruleId
+   * @access  Private (admin)
+   */
+  async deleteRule(req, res, next) {
+    try {
+      await TaxRuleService.deleteRule(req.params.ruleId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: "Tax rule deleted",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new TaxRuleController();
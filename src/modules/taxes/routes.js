@@ -0,0 +1,22 @@
+import express from "express";
+import TaxRuleController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validate from "../../middlewares/validate.js";
+import { taxRuleSchemas } from "./schema.js";
+
+const router = express.Router();
+
+router.use(authenticateUser({ roles: ["admin"] }));
+
+router
+  .route("/")
+  .get(TaxRuleController.listRules)
+  .post(validate(taxRuleSchemas.createRule), TaxRuleController.createRule);
+
+router
+  .route("/:ruleId")
+  .get(TaxRuleController.getRule)
+  .patch(validate(taxRuleSchemas.updateRule), TaxRuleController.updateRule)
+  .delete(TaxRuleController.deleteRule);
+
+export default router;
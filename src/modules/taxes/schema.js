@@ -0,0 +1,58 @@
+// taxes/schema.js
+import Joi from "joi";
+
+const CALCULATION_TYPES = ["PERCENTAGE", "PER_NIGHT", "PER_GUEST_PER_NIGHT"];
+const CATEGORIES = ["SALES", "VAT", "OCCUPANCY", "TOURISM", "OTHER"];
+
+const ruleFields = {
+  name: Joi.string().trim().max(100),
+  country: Joi.string().trim().max(50),
+  state: Joi.string().trim().max(50).allow(null),
+  city: Joi.string().trim().max(50).allow(null),
+  category: Joi.string().valid(...CATEGORIES),
+  rate: Joi.number().positive().max(100).precision(3),
+  amount: Joi.number().positive().precision(2),
+  includeFees: Joi.boolean(),
+  maxNights: Joi.number().integer().min(1).allow(null),
+  validFrom: Joi.date().iso().allow(null),
+  validTo: Joi.date()
+    .iso()
+    .allow(null)
+    .when("validFrom", {
+      is: Joi.date().required(),
+      then: Joi.date().min(Joi.ref("validFrom")),
+    }),
+  isActive: Joi.boolean(),
+};
+
+// Percentage taxes need a rate, flat taxes an amount
+const requiredByType = {
+  PERCENTAGE: ["rate"],
+  PER_NIGHT: ["amount"],
+  PER_GUEST_PER_NIGHT: ["amount"],
+};
+
+export const taxRuleSchemas = {
+  createRule: Joi.object({
+    ...ruleFields,
+    name: ruleFields.name.required(),
+    country: ruleFields.country.required(),
+    calculationType: Joi.string()
+      .valid(...CALCULATION_TYPES)
+      .required(),
+  }).custom((value, helpers) => {
+    const missing = requiredByType[value.calculationType].filter(
+      (field) => value[field] === undefined
+    );
+    if (missing.length) {
+      return helpers.message(
+        `${value.calculationType} taxes require: ${missing.join(", ")}`
+      );
+    }
+    return value;
+  }),
+
+  updateRule: Joi.object(ruleFields).min(1),
+};
+
+export { requiredByType };
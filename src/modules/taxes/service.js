@@ -0,0 +1,97 @@
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import { NotFoundError, ValidationError } from "../../utils/apiError.js";
+import { requiredByType } from "./schema.js";
+
+class TaxRuleService {
+  /**
+   * List tax rules, optionally narrowed to a jurisdiction
+   * @param {Object} [filters] - country, state, city, isActive
+   */
+  async listRules({ country, state, city, isActive } = {}) {
+    const where = {};
+    if (country) where.country = { equals: country, mode: "insensitive" };
+    if (state) where.state = { equals: state, mode: "insensitive" };
+    if (city) where.city = { equals: city, mode: "insensitive" };
+    if (isActive !== undefined) where.isActive = isActive === true || isActive === "true";
+
+    return prisma.taxRule.findMany({
+      where,
+      orderBy: [{ country: "asc" }, { state: "asc" }, { city: "asc" }, { name: "asc" }],
+    });
+  }
+
+  async getRule(ruleId) {
+    const rule = await prisma.taxRule.findUnique({ where: { id: ruleId } });
+    if (!rule) throw new NotFoundError("Tax rule not found");
+    return rule;
+  }
+
+  async createRule(data, adminId) {
+    const rule = await prisma.taxRule.create({ data });
+
+    logger.info(`Tax rule ${rule.id} (${rule.name}) created by ${adminId}`, {
+      jurisdiction: [rule.country, rule.state, rule.city].filter(Boolean).join("/"),
+    });
+    return rule;
+  }
+
+  async updateRule(ruleId, data, adminId) {
+    const existing = await this.getRule(ruleId);
+
+    // Re-check the merged rule so an update cannot strip the rate or amount
+    const merged = { ...existing, ...data };
+    const missing = requiredByType[existing.calculationType].filter(
+      (field) => merged[field] === null || merged[field] === undefined
+    );
+    if (missing.length) {
+      throw new ValidationError(
+        `${existing.calculationType} taxes require: ${missing.join(", ")}`
+      );
+    }
+    if (merged.validFrom && merged.validTo && merged.validFrom > merged.validTo) {
+      throw new ValidationError("validTo must be on or after validFrom");
+    }
+
+    const rule = await prisma.taxRule.update({ where: { id: ruleId }, data });
+    logger.info(`Tax rule ${ruleId} updated by ${adminId}`);
+    return rule;
+  }
+
+  async deleteRule(ruleId, adminId) {
+    await this.getRule(ruleId);
+
+    await prisma.taxRule.delete({ where: { id: ruleId } });
+    logger.info(`Tax rule ${ruleId} deleted by ${adminId}`);
+  }
+
+  /**
+   * Active rules covering a property's location on a given date. A rule
+   * with no state or city applies to the whole country (or state), so
+   * national, regional and city taxes stack.
+   * @param {object} client - Prisma client or transaction
+   * @param {Object} location - Property country, state and city
+   * @param {Date} [date] - Stay start date, checked against the validity window
+   */
+  async findApplicableRules(client, { country, state, city }, date = new Date()) {
+    if (!country) return [];
+
+    const insensitive = (value) => ({ equals: value, mode: "insensitive" });
+
+    return client.taxRule.findMany({
+      where: {
+        isActive: true,
+        country: insensitive(country),
+        OR: [{ state: null }, ...(state ? [{ state: insensitive(state) }] : [])],
+        AND: [
+          { OR: [{ city: null }, ...(city ? [{ city: insensitive(city) }] : [])] },
+          { OR: [{ validFrom: null }, { validFrom: { lte: date } }] },
+          { OR: [{ validTo: null }, { validTo: { gte: date } }] },
+        ],
+      },
+      orderBy: [{ category: "asc" }, { createdAt: "asc" }],
+    });
+  }
+}
+
+export default new TaxRuleService();
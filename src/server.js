@@ -9,6 +9,8 @@ import { disconnectMongoDB } from "./config/mongodb.js";
 import { disconnectRedis } from "./config/redis.js";
 import { logger } from "./config/logger.js";
 import { initializeSocket } from "./websocket/socketManager.js";
+import { startJobs, stopJobs } from "./jobs/index.js";
+import { assertPaymentsConfigured } from "./modules/payments/providers/index.js";
 
 const PORT = config.get("port");
 
@@ -33,6 +35,7 @@ const startServer = async () => {
       },
       onSignal: async () => {
         logger.info("⚠️ Closing connections...");
+        await stopJobs();
         await Promise.all([
           disconnectDB(),
           disconnectRedis(),
@@ -74,6 +77,8 @@ const startServer = async () => {
       `);
     });
 
+    await startJobs();
+
     return server;
   } catch (error) {
     logger.error("❌ Failed to start server:", error);
@@ -81,6 +86,16 @@ const startServer = async () => {
   }
 };
 
+// Refuse to boot with a payment gateway that cannot verify its webhooks
+try {
+  if (!assertPaymentsConfigured()) {
+    logger.warn("⚠️ PAYMENT_PROVIDER is not set: payments are disabled");
+  }
+} catch (error) {
+  logger.error(`❌ Payments misconfigured: ${error.message}`);
+  process.exit(1);
+}
+
 // ========================
 // Clustering (Only for Production)
 // ========================
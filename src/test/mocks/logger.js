@@ -0,0 +1,11 @@
+// Silent logger for unit tests; assert on its calls where logging matters
+export const logger = {
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+export const httpLogger = jest.fn();
+
+export default logger;
@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+
+// Stand-in for the generated @prisma/client in unit tests: the enums are
+// read from the schema, so they never drift from the real ones
+const schema = fs.readFileSync(
+  path.join(__dirname, "../../../prisma/schema.prisma"),
+  "utf8"
+);
+
+const enums = Object.fromEntries(
+  [...schema.matchAll(/^enum (\w+) \{([^}]*)\}/gm)].map(([, name, body]) => {
+    const values = body
+      .split("\n")
+      .map((line) => line.replace(/\/\/.*/, "").trim())
+      .filter(Boolean);
+    return [name, Object.fromEntries(values.map((value) => [value, value]))];
+  })
+);
+
+class PrismaClientKnownRequestError extends Error {
+  constructor(message, { code, meta } = {}) {
+    super(message);
+    this.code = code;
+    this.meta = meta;
+  }
+}
+
+class PrismaClientValidationError extends Error {}
+
+export const Prisma = {
+  PrismaClientKnownRequestError,
+  PrismaClientValidationError,
+  DbNull: "DbNull",
+  JsonNull: "JsonNull",
+};
+
+export class PrismaClient {}
+
+export default { ...enums, Prisma, PrismaClient };
@@ -1,7 +1,22 @@
-import  prisma  from '../config/database.js';
-import redis from "../config/redis.js";
+import path from "path";
+
+// Unit tests mock the database and Redis; the rest run against real ones
+const isUnitTest = expect
+  .getState()
+  .testPath.split(path.sep)
+  .includes("unit");
+
+let prisma;
+let redis;
+
+beforeAll(async () => {
+  if (isUnitTest) return;
+  ({ default: prisma } = await import("../config/database.js"));
+  ({ default: redis } = await import("../config/redis.js"));
+});
 
 beforeEach(async () => {
+  if (!prisma) return;
   await prisma.$transaction([
     prisma.session.deleteMany(),
     prisma.oTPVerification.deleteMany(),
@@ -10,6 +25,7 @@ beforeEach(async () => {
 });
 
 afterAll(async () => {
+  if (!prisma) return;
   await prisma.$disconnect();
-  await redis.quit(); 
-});
\ No newline at end of file
+  await redis.quit();
+});
@@ -0,0 +1,136 @@
+import { AvailabilityCalendar, NIGHT_STATUS } from "../../../utils/availability.js";
+
+const PROPERTY = { basePrice: 100, minStay: 2, availabilityWindowDays: null };
+const TODAY = new Date("2030-05-01T00:00:00Z");
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+const slot = (from, to, fields = {}) => ({
+  startDate: day(from),
+  endDate: day(to),
+  price: 120,
+  isAvailable: true,
+  bookingId: null,
+  ...fields,
+});
+
+// Saturday 1 June to Saturday 8 June 2030
+const week = (params) =>
+  AvailabilityCalendar.expand({
+    startDate: "2030-06-01",
+    endDate: "2030-06-08",
+    property: PROPERTY,
+    today: TODAY,
+    ...params,
+  });
+
+const statuses = (nights) => nights.map((night) => night.status);
+
+describe("AvailabilityCalendar.expand", () => {
+  it("opens the nights of a slot at its price and closes the rest", () => {
+    const nights = week({ slots: [slot("2030-06-01", "2030-06-05")] });
+
+    expect(statuses(nights)).toEqual([
+      ...Array(4).fill(NIGHT_STATUS.AVAILABLE),
+      ...Array(3).fill(NIGHT_STATUS.CLOSED),
+    ]);
+    expect(nights[0]).toEqual({
+      date: "2030-06-01",
+      status: NIGHT_STATUS.AVAILABLE,
+      available: true,
+      price: 120,
+      minStay: 2,
+      reason: null,
+    });
+    expect(nights[6].reason).toBe("No availability");
+  });
+
+  it("opens nights without a slot at the base price within the availability window", () => {
+    const nights = week({ property: { ...PROPERTY, availabilityWindowDays: 35 } });
+
+    // The window runs 35 nights from 1 May, up to 4 June
+    expect(statuses(nights)).toEqual([
+      ...Array(4).fill(NIGHT_STATUS.AVAILABLE),
+      ...Array(3).fill(NIGHT_STATUS.CLOSED),
+    ]);
+    expect(nights[0].price).toBe(100);
+  });
+
+  it("closes the weekdays of a weekly closure and the dates of a blackout", () => {
+    const nights = week({
+      slots: [slot("2030-06-01", "2030-06-08")],
+      rules: [
+        { type: "WEEKLY_CLOSURE", name: "Closed Sundays", daysOfWeek: [0] },
+        {
+          type: "BLACKOUT",
+          name: "Renovation",
+          startDate: day("2030-06-05"),
+          endDate: day("2030-06-06"),
+        },
+        // Inactive rules are ignored
+        { type: "BLACKOUT", name: "Old", isActive: false },
+      ],
+    });
+
+    expect(nights.filter((night) => !night.available)).toEqual([
+      expect.objectContaining({ date: "2030-06-02", reason: "Closed Sundays" }),
+      expect.objectContaining({ date: "2030-06-05", reason: "Renovation" }),
+      expect.objectContaining({ date: "2030-06-06", reason: "Renovation" }),
+    ]);
+  });
+
+  it("shows booked nights before closures and blocks", () => {
+    const nights = week({
+      slots: [
+        slot("2030-06-01", "2030-06-03", { bookingId: "booking-1" }),
+        slot("2030-06-03", "2030-06-05", { isAvailable: false, notes: "Blocked by Airbnb" }),
+        slot("2030-06-05", "2030-06-08"),
+      ],
+      rules: [{ type: "WEEKLY_CLOSURE", name: "Closed Sundays", daysOfWeek: [0] }],
+      bookings: [{ id: "booking-2", startDate: day("2030-06-07"), endDate: day("2030-06-09") }],
+    });
+
+    expect(statuses(nights)).toEqual([
+      NIGHT_STATUS.BOOKED,
+      NIGHT_STATUS.BOOKED,
+      NIGHT_STATUS.BLOCKED,
+      NIGHT_STATUS.BLOCKED,
+      NIGHT_STATUS.AVAILABLE,
+      NIGHT_STATUS.AVAILABLE,
+      NIGHT_STATUS.BOOKED,
+    ]);
+    expect(nights[2].reason).toBe("Blocked by Airbnb");
+  });
+
+  it("counts a booking's own nights as free when it is being changed", () => {
+    const nights = week({
+      slots: [slot("2030-06-01", "2030-06-03", { bookingId: "booking-1", isAvailable: false })],
+      bookings: [{ id: "booking-1", startDate: day("2030-06-01"), endDate: day("2030-06-03") }],
+      bookingId: "booking-1",
+    });
+
+    expect(statuses(nights).slice(0, 2)).toEqual([
+      NIGHT_STATUS.AVAILABLE,
+      NIGHT_STATUS.AVAILABLE,
+    ]);
+  });
+
+  it("prices and sets minimum stays from the highest priority rule", () => {
+    const nights = week({
+      slots: [slot("2030-06-01", "2030-06-08")],
+      rules: [
+        { type: "PRICE_OVERRIDE", price: 150, daysOfWeek: [5, 6], priority: 0 },
+        {
+          type: "PRICE_OVERRIDE",
+          price: 200,
+          startDate: day("2030-06-07"),
+          endDate: day("2030-06-07"),
+          priority: 10,
+        },
+        { type: "MIN_STAY", minStay: 3, daysOfWeek: [6] },
+      ],
+    });
+
+    expect(nights.map((night) => night.price)).toEqual([150, 120, 120, 120, 120, 120, 200]);
+    expect(nights.map((night) => night.minStay)).toEqual([3, 2, 2, 2, 2, 2, 2]);
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  describeCancellationPolicy,
+  refundPercentAt,
+  resolveCancellationPolicy,
+} from "../../../modules/bookings/cancellation.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+
+describe("cancellation policies", () => {
+  it("refunds by the tier whose deadline the guest beat", () => {
+    const strict = resolveCancellationPolicy({ cancellationPolicy: "STRICT" });
+
+    expect(refundPercentAt(strict, 400)).toBe(100);
+    expect(refundPercentAt(strict, 336)).toBe(100);
+    expect(refundPercentAt(strict, 200)).toBe(50);
+    expect(refundPercentAt(strict, 100)).toBe(0);
+    expect(refundPercentAt(strict, -1)).toBe(0);
+  });
+
+  it("falls back to the moderate preset for listings without a policy", () => {
+    const policy = resolveCancellationPolicy({ cancellationPolicy: null });
+
+    expect(policy).toMatchObject({ type: "MODERATE", name: "Moderate", version: 1 });
+    expect(refundPercentAt(policy, 2)).toBe(50);
+  });
+
+  it("orders a host's custom tiers by deadline", () => {
+    const policy = resolveCancellationPolicy({
+      cancellationPolicy: "CUSTOM",
+      cancellationTiers: [
+        { id: "tier-2", hoursBefore: 48, refundPercent: 25 },
+        { id: "tier-1", hoursBefore: 240, refundPercent: 80 },
+      ],
+    });
+
+    expect(policy).toEqual({
+      type: "CUSTOM",
+      name: "Custom",
+      version: null,
+      tiers: [
+        { hoursBefore: 240, refundPercent: 80 },
+        { hoursBefore: 48, refundPercent: 25 },
+      ],
+    });
+    expect(refundPercentAt(policy, 72)).toBe(25);
+  });
+
+  it("dates each step of the timeline from the check-in", () => {
+    const policy = resolveCancellationPolicy({ cancellationPolicy: "MODERATE" });
+
+    const { timeline } = describeCancellationPolicy(policy, "2030-06-10T15:00:00Z");
+
+    expect(timeline.map((step) => step.description)).toEqual([
+      "Full refund if cancelled before 5 Jun 2030, 15:00 UTC",
+      "50% refund if cancelled before 10 Jun 2030, 15:00 UTC",
+      "No refund after that",
+    ]);
+    expect(timeline[0].deadline).toEqual(new Date("2030-06-05T15:00:00Z"));
+  });
+
+  it("describes listing policies relative to check-in", () => {
+    const flexible = resolveCancellationPolicy({ cancellationPolicy: "FLEXIBLE" });
+    const nonRefundable = resolveCancellationPolicy({ cancellationPolicy: "NON_REFUNDABLE" });
+
+    expect(describeCancellationPolicy(flexible).timeline.map((step) => step.description)).toEqual([
+      "Full refund if cancelled at least 1 day before check-in",
+      "No refund after that",
+    ]);
+    expect(describeCancellationPolicy(nonRefundable).timeline).toEqual([
+      { hoursBefore: null, refundPercent: 0, deadline: null, description: "No refund" },
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+import prisma from "../../../config/database.js";
+import BookingService from "../../../modules/bookings/service.js";
+import { redeemQuoteToken } from "../../../modules/bookings/quotes.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/redis.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/calendars/cache.js", () => ({ invalidateCalendar: jest.fn() }));
+jest.mock("../../../modules/bookings/policy.js", () => ({
+  assertGuestRequirements: jest.fn(),
+}));
+
+const PROPERTY_ID = "7d4bbd8e-3f4f-4c63-9d0e-8f3a2c1b5a10";
+
+const STAY = {
+  propertyId: PROPERTY_ID,
+  startDate: new Date("2030-05-01T00:00:00Z"),
+  endDate: new Date("2030-05-04T00:00:00Z"),
+  adults: 2,
+  children: 0,
+  infants: 0,
+};
+
+const pricingIn = (currency) => ({
+  listingCurrency: "EUR",
+  exchangeRate: currency === "EUR" ? 1 : 1.1,
+  nights: [],
+  basePrice: 300,
+  discountAmount: 0,
+  feeItems: [],
+  fees: 0,
+  taxItems: [],
+  taxes: 0,
+  totalPrice: 300,
+  priceBreakdown: {},
+});
+
+beforeEach(() => {
+  Object.assign(prisma, {
+    property: {
+      findUnique: async () => ({
+        id: PROPERTY_ID,
+        maxGuests: 4,
+        minStay: 1,
+        maxStay: 30,
+        status: "APPROVED",
+        currency: "EUR",
+        bookingMode: "INSTANT",
+        cancellationPolicy: "FLEXIBLE",
+        cancellationTiers: null,
+      }),
+    },
+    profile: {
+      findUnique: jest.fn(async ({ where }) =>
+        where.userId === "guest-usd" ? { preferredCurrency: "usd" } : { preferredCurrency: null }
+      ),
+    },
+  });
+  jest.spyOn(BookingService, "assertBookable").mockImplementation(() => {});
+  jest.spyOn(BookingService, "checkAvailabilityWithLock").mockResolvedValue([]);
+  jest.spyOn(BookingService, "calculateTotalPrice").mockResolvedValue({});
+  jest
+    .spyOn(BookingService, "convertPricing")
+    .mockImplementation(async (pricing, currency) => pricingIn(currency));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("booking currency", () => {
+  it("quotes a signed-in guest in their preferred currency", async () => {
+    const quote = await BookingService.quoteStay({ ...STAY, userId: "guest-usd" });
+
+    expect(quote.currency).toBe("USD");
+    expect(BookingService.convertPricing).toHaveBeenCalledWith(expect.anything(), "USD");
+  });
+
+  it("quotes anonymous guests and guests without a preference in the listing currency", async () => {
+    const anonymous = await BookingService.quoteStay(STAY);
+    const noPreference = await BookingService.quoteStay({ ...STAY, userId: "guest-none" });
+
+    expect(anonymous.currency).toBe("EUR");
+    expect(noPreference.currency).toBe("EUR");
+    expect(prisma.profile.findUnique).toHaveBeenCalledTimes(1);
+  });
+
+  it("prefers the currency asked for over the profile", async () => {
+    const quote = await BookingService.quoteStay({
+      ...STAY,
+      userId: "guest-usd",
+      currency: "gbp",
+    });
+
+    expect(quote.currency).toBe("GBP");
+  });
+
+  it("resolves a booking's currency as its quote did, so the quote can be redeemed", async () => {
+    const quote = await BookingService.quoteStay({ ...STAY, userId: "guest-usd" });
+    const bookingCurrency = await BookingService.resolveCurrency(
+      prisma,
+      undefined,
+      "guest-usd",
+      "EUR"
+    );
+
+    expect(() =>
+      redeemQuoteToken(quote.quoteToken, { ...STAY, currency: bookingCurrency })
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,217 @@
+import config from "../../../config/env.js";
+import InvoiceService from "../../../modules/bookings/invoices.js";
+import { ConflictError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+
+const BOOKING = {
+  id: "lease-1",
+  type: "LEASE",
+  currency: "EUR",
+  startDate: new Date("2026-04-01T00:00:00Z"),
+  endDate: new Date("2026-07-01T00:00:00Z"),
+  basePrice: 4500,
+  totalPrice: 4500,
+  fees: 0,
+  taxes: 0,
+  adults: 2,
+  children: 0,
+  priceBreakdown: { type: "LEASE", months: 3, fees: [], taxes: [] },
+  payment: { id: "payment-1", status: "COMPLETED", amount: 1500, unbilled: false },
+  property: { title: "Loft", address: "1 Main St", city: "Lisbon", country: "PT" },
+  tenant: { username: "tenant", email: "tenant@example.com", profile: null },
+};
+
+const installment = (sequence, fields = {}) => ({
+  id: `installment-${sequence}`,
+  bookingId: BOOKING.id,
+  sequence,
+  periodStart: new Date(Date.UTC(2026, 2 + sequence, 1)),
+  periodEnd: new Date(Date.UTC(2026, 3 + sequence, 1)),
+  amount: 1500,
+  currency: "EUR",
+  status: "PAID",
+  ...fields,
+});
+
+// Invoices and installments of one booking, numbered in one series
+const createTx = (installments, booking = BOOKING, payment = null) => {
+  const invoices = [];
+  let lastNumber = 0;
+
+  return {
+    invoices,
+    booking: { findUnique: async () => booking },
+    payment: { findUnique: async () => payment },
+    rentInstallment: {
+      findUnique: async ({ where }) => {
+        const found = where.bookingId_sequence
+          ? installments.find((item) => item.sequence === where.bookingId_sequence.sequence)
+          : installments.find((item) => item.id === where.id);
+        return found ? { ...found, booking: BOOKING } : null;
+      },
+    },
+    invoice: {
+      findFirst: async ({ where }) =>
+        invoices.find((item) => item.bookingId === where.bookingId && item.type === where.type) ||
+        null,
+      findUnique: async ({ where }) =>
+        invoices.find((item) =>
+          where.refundId
+            ? item.refundId === where.refundId
+            : item.installmentId === where.installmentId
+        ) || null,
+      create: async ({ data }) => {
+        const invoice = { id: `invoice-${invoices.length + 1}`, ...data };
+        invoices.push(invoice);
+        return invoice;
+      },
+    },
+    invoiceSequence: {
+      upsert: async () => ({ lastNumber: ++lastNumber }),
+    },
+  };
+};
+
+beforeAll(() => {
+  config.set("invoices.issuerCode", "CR");
+});
+
+describe("lease invoices", () => {
+  it("invoices the booking payment of a lease as its first month only", async () => {
+    const tx = createTx([installment(1), installment(2, { status: "PENDING" })]);
+
+    const invoice = await InvoiceService.issueInvoice(tx, BOOKING.id);
+
+    expect(invoice).toMatchObject({
+      installmentId: "installment-1",
+      subtotal: 1500,
+      total: 1500,
+      lineItems: [
+        {
+          category: "ACCOMMODATION",
+          description: "Rent, month 1 (2026-04-01 to 2026-04-30)",
+          amount: 1500,
+        },
+      ],
+    });
+    expect(invoice.billTo.stay).toMatchObject({
+      startDate: new Date("2026-04-01T00:00:00Z"),
+      endDate: new Date("2026-05-01T00:00:00Z"),
+    });
+  });
+
+  it("invoices each later month for its own amount", async () => {
+    const tx = createTx([installment(1), installment(2, { amount: 750 })]);
+
+    await InvoiceService.issueInvoice(tx, BOOKING.id);
+    const second = await InvoiceService.issueInstallmentInvoice(tx, "installment-2");
+
+    expect(second).toMatchObject({ installmentId: "installment-2", total: 750 });
+    expect(second.lineItems[0].description).toBe("Rent, month 2 (2026-05-01 to 2026-05-31)");
+    expect(tx.invoices.map((item) => item.sequence)).toEqual([1, 2]);
+  });
+
+  it("issues one invoice per month however often it is asked", async () => {
+    const tx = createTx([installment(1), installment(2)]);
+
+    const first = await InvoiceService.issueInstallmentInvoice(tx, "installment-2");
+    const again = await InvoiceService.issueInstallmentInvoice(tx, "installment-2");
+
+    expect(again).toBe(first);
+    expect(tx.invoices).toHaveLength(1);
+  });
+
+  it("refuses to invoice rent that is not paid yet", async () => {
+    const tx = createTx([installment(1), installment(2, { status: "OVERDUE" })]);
+
+    await expect(InvoiceService.issueInstallmentInvoice(tx, "installment-2")).rejects.toThrow(
+      ConflictError
+    );
+  });
+});
+
+describe("stay invoices", () => {
+  const STAY = {
+    ...BOOKING,
+    id: "booking-1",
+    type: "STAY",
+    startDate: new Date("2026-04-01T00:00:00Z"),
+    endDate: new Date("2026-04-04T00:00:00Z"),
+    basePrice: 300,
+    fees: 50,
+    taxes: 35,
+    totalPrice: 385,
+    priceBreakdown: {
+      nightCount: 3,
+      fees: [{ label: "Cleaning fee", amount: 50 }],
+      taxes: [{ name: "VAT", calculationType: "PERCENTAGE", rate: 10, amount: 35 }],
+    },
+    payment: { id: "payment-1", status: "COMPLETED", amount: 385, unbilled: false },
+    tenant: {
+      username: "guest",
+      email: "guest@example.com",
+      profile: { firstName: "Ada", lastName: "Lovelace" },
+    },
+  };
+
+  const REFUND = { bookingId: "booking-1", refundId: "re_1", refundAmount: 100, unbilled: false };
+
+  it("numbers invoices in the issuer's yearly series and itemises the stay", async () => {
+    const tx = createTx([], STAY);
+
+    const invoice = await InvoiceService.issueInvoice(tx, "booking-1");
+
+    expect(invoice.number).toBe(`INV-CR-${invoice.year}-000001`);
+    expect(invoice.lineItems).toEqual([
+      { category: "ACCOMMODATION", description: "Accommodation, 3 night(s)", amount: 300 },
+      { category: "FEE", description: "Cleaning fee", amount: 50 },
+      { category: "TAX", description: "VAT (10%)", amount: 35 },
+    ]);
+    expect(invoice.billTo).toMatchObject({ name: "Ada Lovelace", email: "guest@example.com" });
+  });
+
+  it("credits a partial refund against each line of the invoice", async () => {
+    const tx = createTx([], STAY, REFUND);
+
+    const creditNote = await InvoiceService.issueCreditNote(tx, "payment-1");
+
+    expect(creditNote).toMatchObject({
+      type: "CREDIT_NOTE",
+      creditedInvoiceId: "invoice-1",
+      subtotal: -77.92,
+      fees: -12.99,
+      taxes: -9.09,
+      total: -100,
+    });
+    expect(creditNote.number).toBe(`CN-CR-${creditNote.year}-000002`);
+  });
+
+  it("issues one credit note per refund", async () => {
+    const tx = createTx([], STAY, REFUND);
+
+    const first = await InvoiceService.issueCreditNote(tx, "payment-1");
+    const again = await InvoiceService.issueCreditNote(tx, "payment-1");
+
+    expect(again).toBe(first);
+    expect(tx.invoices).toHaveLength(2);
+  });
+
+  it("never credits a capture that was refunded without being invoiced", async () => {
+    const tx = createTx([], STAY, { ...REFUND, unbilled: true });
+
+    expect(await InvoiceService.issueCreditNote(tx, "payment-1")).toBeNull();
+    expect(tx.invoices).toHaveLength(0);
+  });
+
+  it("renders the invoice as a PDF", async () => {
+    const invoice = await InvoiceService.issueInvoice(createTx([], STAY), "booking-1");
+
+    const pdf = InvoiceService.renderPdf(invoice);
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(pdf.toString("latin1")).toContain(invoice.number);
+  });
+});
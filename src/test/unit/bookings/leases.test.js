@@ -0,0 +1,193 @@
+import prisma from "../../../config/database.js";
+import { getProvider } from "../../../modules/payments/providers/index.js";
+import LedgerService from "../../../modules/payouts/ledger.js";
+import InvoiceService from "../../../modules/bookings/invoices.js";
+import LeaseService from "../../../modules/bookings/leases.js";
+import { BookingError, PaymentError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../utils/locking.js", () => ({
+  withLock: jest.fn((key, fn) => fn()),
+}));
+jest.mock("../../../utils/email.js", () => ({ sendEmail: jest.fn() }));
+jest.mock("../../../modules/payments/providers/index.js", () => ({
+  getProvider: jest.fn(),
+}));
+jest.mock("../../../modules/payouts/ledger.js", () => ({
+  __esModule: true,
+  default: { postInstallment: jest.fn() },
+}));
+jest.mock("../../../modules/bookings/invoices.js", () => ({
+  __esModule: true,
+  default: { issueInstallmentInvoice: jest.fn() },
+}));
+jest.mock("../../../modules/availability-rules/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../../../modules/deposits/service.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/calendars/cache.js", () => ({ invalidateCalendar: jest.fn() }));
+jest.mock("../../../modules/bookings/policy.js", () => ({
+  assertGuestRequirements: jest.fn(),
+}));
+jest.mock("../../../modules/bookings/service.js", () => ({ __esModule: true, default: {} }));
+
+const BOOKING = {
+  id: "lease-1",
+  tenantId: "tenant-1",
+  status: "ACTIVE",
+  payment: { provider: "local", paymentMethod: "pm_card" },
+  property: { ownerId: "host-1" },
+};
+
+// Installments of one lease; the transaction rolls them back on error
+const useInstallments = (...rows) => {
+  const installments = rows.map((fields, index) => ({
+    id: `installment-${index + 1}`,
+    bookingId: BOOKING.id,
+    sequence: index + 1,
+    amount: 1500,
+    currency: "EUR",
+    status: "PENDING",
+    paymentIntentId: null,
+    transactionId: null,
+    failureReason: null,
+    ...fields,
+  }));
+  const byId = (id) => installments.find((row) => row.id === id);
+  const update = async ({ where, data }) => ({ ...Object.assign(byId(where.id), data) });
+
+  Object.assign(prisma, {
+    rentInstallment: {
+      findFirst: async ({ where }) => ({ ...byId(where.id), booking: BOOKING }),
+      count: async ({ where }) =>
+        installments.filter(
+          (row) => row.sequence < where.sequence.lt && where.status.in.includes(row.status)
+        ).length,
+      update,
+    },
+    $transaction: async (fn) => {
+      const snapshot = installments.map((row) => ({ ...row }));
+      try {
+        return await fn({ rentInstallment: { update } });
+      } catch (error) {
+        snapshot.forEach((row, index) => Object.assign(installments[index], row));
+        throw error;
+      }
+    },
+  });
+  return byId;
+};
+
+const useProvider = (overrides = {}) => {
+  const provider = {
+    authorize: jest.fn(async () => ({ status: "authorized", intentId: "pi_rent" })),
+    capture: jest.fn(async () => ({ status: "captured", transactionId: "txn_rent" })),
+    void: jest.fn(async () => ({ status: "voided" })),
+    ...overrides,
+  };
+  getProvider.mockReturnValue(provider);
+  return provider;
+};
+
+const pay = (installmentId = "installment-2") =>
+  LeaseService.payInstallment(BOOKING.id, installmentId, "tenant-1");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("LeaseService.payInstallment", () => {
+  it("charges one month of rent, then books and invoices it", async () => {
+    const installment = useInstallments({ status: "PAID" }, { amount: 750 });
+    const provider = useProvider();
+
+    const paid = await pay();
+
+    expect(provider.authorize).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 750, currency: "EUR", paymentMethod: "pm_card" })
+    );
+    expect(paid).toMatchObject({
+      status: "PAID",
+      provider: "local",
+      paymentIntentId: "pi_rent",
+      transactionId: "txn_rent",
+    });
+    expect(installment("installment-2").status).toBe("PAID");
+    expect(LedgerService.postInstallment).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ id: "installment-2" }),
+      "host-1"
+    );
+    expect(InvoiceService.issueInstallmentInvoice).toHaveBeenCalledWith(
+      expect.anything(),
+      "installment-2"
+    );
+  });
+
+  it("keeps the gateway reference when booking the rent fails", async () => {
+    const installment = useInstallments({ status: "PAID" }, {});
+    useProvider();
+    LedgerService.postInstallment.mockRejectedValueOnce(new Error("Ledger unavailable"));
+
+    await expect(pay()).rejects.toThrow("Ledger unavailable");
+
+    expect(installment("installment-2")).toMatchObject({
+      status: "PENDING",
+      paymentIntentId: "pi_rent",
+      transactionId: "txn_rent",
+      failureReason: "Ledger unavailable",
+    });
+  });
+
+  it("books stored rent on retry without charging again", async () => {
+    const installment = useInstallments(
+      { status: "PAID" },
+      { paymentIntentId: "pi_rent", transactionId: "txn_rent", failureReason: "Ledger unavailable" }
+    );
+    const provider = useProvider();
+
+    await pay();
+
+    expect(provider.authorize).not.toHaveBeenCalled();
+    expect(provider.capture).not.toHaveBeenCalled();
+    expect(installment("installment-2")).toMatchObject({
+      status: "PAID",
+      transactionId: "txn_rent",
+      failureReason: null,
+    });
+  });
+
+  it("voids the authorization when the capture fails", async () => {
+    const installment = useInstallments({ status: "PAID" }, {});
+    const provider = useProvider({
+      capture: jest.fn(async () => ({ status: "failed", failureReason: "Issuer unavailable" })),
+    });
+
+    await expect(pay()).rejects.toThrow(PaymentError);
+
+    expect(provider.void).toHaveBeenCalledWith({ intentId: "pi_rent" });
+    expect(installment("installment-2")).toMatchObject({
+      status: "PENDING",
+      transactionId: null,
+      failureReason: "Issuer unavailable",
+    });
+  });
+
+  it("collects rent in order", async () => {
+    useInstallments({ status: "PAID" }, { status: "OVERDUE" }, {});
+    const provider = useProvider();
+
+    await expect(pay("installment-3")).rejects.toThrow("Earlier installments must be paid first");
+    expect(provider.authorize).not.toHaveBeenCalled();
+  });
+
+  it("leaves the first month to the booking payment", async () => {
+    useInstallments({}, {});
+    useProvider();
+
+    await expect(pay("installment-1")).rejects.toThrow(BookingError);
+  });
+});
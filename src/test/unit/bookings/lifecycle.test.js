@@ -0,0 +1,168 @@
+import {
+  BOOKING_TRANSITIONS,
+  assertTransition,
+  canTransition,
+  markBookingPaid,
+  markBookingRefunded,
+  transitionBookingStatus,
+} from "../../../modules/bookings/lifecycle.js";
+import { BookingError, ConflictError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+
+// Transaction client over a single in-memory booking
+const createTx = (booking) => {
+  const state = { booking: { ...booking }, history: [] };
+  const tx = {
+    state,
+    booking: {
+      findUnique: jest.fn(async () => ({ ...state.booking })),
+      update: jest.fn(async ({ where, data }) => {
+        if (where.status && where.status !== state.booking.status) {
+          throw Object.assign(new Error("Record not found"), { code: "P2025" });
+        }
+        state.booking = { ...state.booking, ...data };
+        return { ...state.booking };
+      }),
+    },
+    bookingStatusHistory: {
+      create: jest.fn(async ({ data }) => state.history.push(data)),
+    },
+    rentInstallment: { updateMany: jest.fn(async () => ({ count: 1 })) },
+  };
+  return tx;
+};
+
+describe("booking status transitions", () => {
+  const allowed = [
+    ["PENDING", "CONFIRMED"],
+    ["PENDING", "CANCELLED"],
+    ["CONFIRMED", "PAID"],
+    ["CONFIRMED", "CANCELLED"],
+    ["PAID", "ACTIVE"],
+    ["PAID", "CANCELLED"],
+    ["ACTIVE", "COMPLETED"],
+    ["CANCELLED", "REFUND_PENDING"],
+    ["REFUND_PENDING", "REFUNDED"],
+  ];
+
+  it("allows exactly the moves in the table", () => {
+    const statuses = Object.keys(BOOKING_TRANSITIONS);
+    const permitted = statuses.flatMap((from) =>
+      statuses.filter((to) => canTransition(from, to)).map((to) => [from, to])
+    );
+
+    expect(permitted).toEqual(allowed);
+  });
+
+  it.each([
+    ["PENDING", "PAID"],
+    ["ACTIVE", "CANCELLED"],
+    ["COMPLETED", "CANCELLED"],
+    ["REFUNDED", "REFUND_PENDING"],
+  ])("rejects %s → %s", (from, to) => {
+    expect(() => assertTransition(from, to)).toThrow(BookingError);
+  });
+
+  it("names the allowed moves, or none, when rejecting", () => {
+    expect(() => assertTransition("PAID", "REFUNDED")).toThrow(
+      "Allowed transitions: ACTIVE, CANCELLED"
+    );
+    expect(() => assertTransition("COMPLETED", "ACTIVE")).toThrow(
+      "Allowed transitions: none"
+    );
+  });
+
+  it("rejects an unknown current status", () => {
+    expect(() => assertTransition("LOST", "PAID")).toThrow("Invalid current status: LOST");
+  });
+});
+
+describe("transitionBookingStatus", () => {
+  it("writes the status with extra data and records the change", async () => {
+    const tx = createTx({ id: "b1", status: "PAID" });
+
+    const updated = await transitionBookingStatus(tx, tx.state.booking, "CANCELLED", {
+      actorId: "u1",
+      actorType: "GUEST",
+      reason: "Plans changed",
+      data: { cancellationFee: 20 },
+    });
+
+    expect(updated).toMatchObject({ status: "CANCELLED", cancellationFee: 20 });
+    expect(tx.booking.update).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: "b1", status: "PAID" } })
+    );
+    expect(tx.state.history).toEqual([
+      {
+        bookingId: "b1",
+        fromStatus: "PAID",
+        toStatus: "CANCELLED",
+        actorId: "u1",
+        actorType: "GUEST",
+        reason: "Plans changed",
+      },
+    ]);
+  });
+
+  it("fails with a conflict when the booking moved on concurrently", async () => {
+    const tx = createTx({ id: "b1", status: "CANCELLED" });
+
+    await expect(
+      transitionBookingStatus(tx, { id: "b1", status: "PAID" }, "ACTIVE")
+    ).rejects.toThrow(ConflictError);
+    expect(tx.state.history).toEqual([]);
+  });
+});
+
+describe("markBookingPaid", () => {
+  it("confirms a pending booking on the way to PAID", async () => {
+    const tx = createTx({ id: "b1", status: "PENDING", type: "NIGHTLY" });
+
+    const paid = await markBookingPaid(tx, "b1", { reason: "Payment captured" });
+
+    expect(paid.status).toBe("PAID");
+    expect(tx.state.history.map((entry) => entry.toStatus)).toEqual(["CONFIRMED", "PAID"]);
+    expect(tx.rentInstallment.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("marks a lease's first month of rent paid", async () => {
+    const tx = createTx({ id: "b1", status: "CONFIRMED", type: "LEASE" });
+
+    await markBookingPaid(tx, "b1");
+
+    expect(tx.rentInstallment.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { bookingId: "b1", sequence: 1, status: "PENDING" },
+      })
+    );
+  });
+
+  it("leaves cancelled bookings alone", async () => {
+    const tx = createTx({ id: "b1", status: "CANCELLED" });
+
+    expect(await markBookingPaid(tx, "b1")).toBeNull();
+    expect(tx.booking.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("markBookingRefunded", () => {
+  it("passes a cancelled booking through REFUND_PENDING", async () => {
+    const tx = createTx({ id: "b1", status: "CANCELLED" });
+
+    const refunded = await markBookingRefunded(tx, "b1");
+
+    expect(refunded.status).toBe("REFUNDED");
+    expect(tx.state.history.map((entry) => entry.toStatus)).toEqual([
+      "REFUND_PENDING",
+      "REFUNDED",
+    ]);
+  });
+
+  it("ignores bookings that were never cancelled", async () => {
+    const tx = createTx({ id: "b1", status: "PAID" });
+
+    expect(await markBookingRefunded(tx, "b1")).toBeNull();
+  });
+});
@@ -0,0 +1,261 @@
+import prisma from "../../../config/database.js";
+import { getProvider } from "../../../modules/payments/providers/index.js";
+import LedgerService from "../../../modules/payouts/ledger.js";
+import BookingModificationService, {
+  refundableOnPayment,
+  settledModificationTotal,
+} from "../../../modules/bookings/modifications.js";
+import { ConflictError, PaymentError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../utils/locking.js", () => ({
+  withLock: jest.fn((key, fn) => fn()),
+}));
+jest.mock("../../../modules/payments/providers/index.js", () => ({
+  getProvider: jest.fn(),
+}));
+jest.mock("../../../modules/payouts/ledger.js", () => ({
+  __esModule: true,
+  default: { postModification: jest.fn() },
+}));
+jest.mock("../../../modules/calendars/cache.js", () => ({
+  invalidateCalendar: jest.fn(),
+}));
+jest.mock("../../../modules/bookings/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const PAYMENT = {
+  id: "payment-1",
+  provider: "local",
+  paymentMethod: "pm_card",
+  transactionId: "txn_original",
+  amount: 500,
+};
+
+// One change row; the transaction rolls it back when the callback throws
+const useModification = (fields) => {
+  const row = {
+    id: "mod-1",
+    bookingId: "booking-1",
+    currency: "EUR",
+    settlementStatus: "PENDING",
+    transactionId: null,
+    paymentIntentId: null,
+    refundId: null,
+    failureReason: null,
+    ...fields,
+  };
+  const update = async ({ data }) => ({ ...Object.assign(row, data) });
+
+  Object.assign(prisma, {
+    bookingModification: {
+      findUnique: async () => ({ ...row, booking: { payment: PAYMENT } }),
+      update,
+    },
+    $transaction: async (fn) => {
+      const snapshot = { ...row };
+      try {
+        return await fn({ bookingModification: { update } });
+      } catch (error) {
+        Object.assign(row, snapshot);
+        throw error;
+      }
+    },
+  });
+  return row;
+};
+
+const useProvider = (overrides = {}) => {
+  const provider = {
+    authorize: jest.fn(async () => ({ status: "authorized", intentId: "pi_extra" })),
+    capture: jest.fn(async () => ({ status: "captured", transactionId: "txn_extra" })),
+    void: jest.fn(async () => ({ status: "voided" })),
+    refund: jest.fn(async () => ({ status: "succeeded", refundId: "re_change" })),
+    ...overrides,
+  };
+  getProvider.mockReturnValue(provider);
+  return provider;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("settleModification", () => {
+  it("charges a price increase as its own transaction and books it", async () => {
+    const row = useModification({ priceDelta: 80 });
+    const provider = useProvider();
+
+    const settled = await BookingModificationService.settleModification("mod-1");
+
+    expect(provider.authorize).toHaveBeenCalledWith({
+      amount: 80,
+      currency: "EUR",
+      paymentMethod: "pm_card",
+      metadata: { bookingId: "booking-1", modificationId: "mod-1" },
+    });
+    expect(provider.capture).toHaveBeenCalledWith({ intentId: "pi_extra", amount: 80 });
+    expect(settled).toMatchObject({
+      settlementStatus: "SETTLED",
+      paymentIntentId: "pi_extra",
+      transactionId: "txn_extra",
+    });
+    expect(row.settlementStatus).toBe("SETTLED");
+    expect(LedgerService.postModification).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ id: "mod-1", transactionId: "txn_extra" }),
+      "payment-1"
+    );
+  });
+
+  it("charges the payment method given on retry", async () => {
+    useModification({ priceDelta: 80, settlementStatus: "FAILED" });
+    const provider = useProvider();
+
+    await BookingModificationService.settleModification("mod-1", {
+      paymentMethod: "pm_other",
+    });
+
+    expect(provider.authorize).toHaveBeenCalledWith(
+      expect.objectContaining({ paymentMethod: "pm_other" })
+    );
+  });
+
+  it("refunds a price decrease against the original payment", async () => {
+    const row = useModification({ priceDelta: -120 });
+    const provider = useProvider();
+
+    await BookingModificationService.settleModification("mod-1");
+
+    expect(provider.refund).toHaveBeenCalledWith({
+      transactionId: "txn_original",
+      amount: 120,
+      reason: "Booking changed",
+    });
+    expect(provider.authorize).not.toHaveBeenCalled();
+    expect(row).toMatchObject({ settlementStatus: "SETTLED", refundId: "re_change" });
+  });
+
+  it("marks the change FAILED when the extra charge is declined", async () => {
+    const row = useModification({ priceDelta: 80 });
+    const provider = useProvider({
+      authorize: jest.fn(async () => ({ status: "failed", failureReason: "Card declined" })),
+    });
+
+    await expect(BookingModificationService.settleModification("mod-1")).rejects.toThrow(
+      PaymentError
+    );
+    expect(provider.capture).not.toHaveBeenCalled();
+    expect(row).toMatchObject({ settlementStatus: "FAILED", failureReason: "Card declined" });
+    expect(LedgerService.postModification).not.toHaveBeenCalled();
+  });
+
+  it("voids the authorization when the capture fails", async () => {
+    const row = useModification({ priceDelta: 80 });
+    const provider = useProvider({
+      capture: jest.fn(async () => ({ status: "failed", failureReason: "Capture timed out" })),
+    });
+
+    await expect(BookingModificationService.settleModification("mod-1")).rejects.toThrow(
+      "Capture timed out"
+    );
+    expect(provider.void).toHaveBeenCalledWith({ intentId: "pi_extra" });
+    expect(row).toMatchObject({
+      settlementStatus: "FAILED",
+      transactionId: null,
+      paymentIntentId: null,
+    });
+  });
+
+  it("still fails the change when the void itself fails", async () => {
+    const row = useModification({ priceDelta: 80 });
+    useProvider({
+      capture: jest.fn(async () => ({ status: "failed" })),
+      void: jest.fn(async () => {
+        throw new Error("Gateway unavailable");
+      }),
+    });
+
+    await expect(BookingModificationService.settleModification("mod-1")).rejects.toThrow(
+      "Extra charge capture failed"
+    );
+    expect(row.settlementStatus).toBe("FAILED");
+  });
+
+  it("keeps the gateway reference when booking the charge fails", async () => {
+    const row = useModification({ priceDelta: 80 });
+    useProvider();
+    LedgerService.postModification.mockRejectedValueOnce(new Error("Ledger unavailable"));
+
+    await expect(BookingModificationService.settleModification("mod-1")).rejects.toThrow(
+      "Ledger unavailable"
+    );
+    expect(row).toMatchObject({
+      settlementStatus: "FAILED",
+      failureReason: "Ledger unavailable",
+      paymentIntentId: "pi_extra",
+      transactionId: "txn_extra",
+    });
+  });
+
+  it("books a stored charge on retry without charging again", async () => {
+    const row = useModification({
+      priceDelta: 80,
+      settlementStatus: "FAILED",
+      paymentIntentId: "pi_extra",
+      transactionId: "txn_extra",
+    });
+    const provider = useProvider();
+
+    await BookingModificationService.settleModification("mod-1");
+
+    expect(provider.authorize).not.toHaveBeenCalled();
+    expect(provider.capture).not.toHaveBeenCalled();
+    expect(LedgerService.postModification).toHaveBeenCalledTimes(1);
+    expect(row).toMatchObject({ settlementStatus: "SETTLED", failureReason: null });
+  });
+
+  it("books a stored refund on retry without refunding again", async () => {
+    const row = useModification({
+      priceDelta: -120,
+      settlementStatus: "FAILED",
+      refundId: "re_change",
+    });
+    const provider = useProvider();
+
+    await BookingModificationService.settleModification("mod-1");
+
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(row.settlementStatus).toBe("SETTLED");
+  });
+
+  it("refuses a change that is already settled", async () => {
+    useModification({ priceDelta: 80, settlementStatus: "SETTLED" });
+    const provider = useProvider();
+
+    await expect(BookingModificationService.settleModification("mod-1")).rejects.toThrow(
+      ConflictError
+    );
+    expect(provider.authorize).not.toHaveBeenCalled();
+  });
+});
+
+describe("settled change totals", () => {
+  const modifications = [
+    { settlementStatus: "SETTLED", priceDelta: 80, refundedAmount: 30 },
+    { settlementStatus: "SETTLED", priceDelta: -45.5 },
+    { settlementStatus: "FAILED", priceDelta: 200 },
+  ];
+
+  it("nets extra charges against partial refunds", () => {
+    expect(settledModificationTotal(modifications)).toBe(4.5);
+  });
+
+  it("leaves the payment's captured amount less partial refunds to refund", () => {
+    expect(refundableOnPayment(PAYMENT, modifications)).toBe(454.5);
+  });
+});
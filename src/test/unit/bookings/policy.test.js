@@ -0,0 +1,68 @@
+import { assertGuestRequirements } from "../../../modules/bookings/policy.js";
+import { ForbiddenError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/casbin.js", () => ({
+  initializeCasbin: jest.fn(async () => ({})),
+  casbinRBAC: {},
+}));
+
+const ALL_REQUIREMENTS = ["VERIFIED_EMAIL", "COMPLETE_PROFILE", "NO_CANCELLATIONS"];
+
+const guest = ({ isVerified = true, phone = "+351 900 000 000", cancellations = 0 } = {}) => ({
+  user: {
+    findUnique: async () => ({
+      isVerified,
+      profile: { firstName: "Ada", lastName: "Lovelace", phone },
+    }),
+  },
+  bookingStatusHistory: { count: jest.fn(async () => cancellations) },
+});
+
+const property = (bookingMode, guestRequirements = ALL_REQUIREMENTS) => ({
+  bookingMode,
+  guestRequirements,
+});
+
+describe("instant book guest requirements", () => {
+  it("lets a guest who meets every requirement book instantly", async () => {
+    await expect(
+      assertGuestRequirements(guest(), property("INSTANT"), "guest-1")
+    ).resolves.toBeUndefined();
+  });
+
+  it("names each requirement the guest misses", async () => {
+    const client = guest({ isVerified: false, phone: null, cancellations: 1 });
+
+    const error = await assertGuestRequirements(client, property("INSTANT"), "guest-1").catch(
+      (caught) => caught
+    );
+
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error.message).toBe(
+      "Instant booking requirements not met: Email address is not verified; " +
+        "Profile is incomplete (first name, last name and phone are required); " +
+        "Guest has cancelled a previous booking"
+    );
+  });
+
+  it("only counts cancellations the guest made", async () => {
+    const client = guest();
+
+    await assertGuestRequirements(client, property("INSTANT", ["NO_CANCELLATIONS"]), "guest-1");
+
+    expect(client.bookingStatusHistory.count).toHaveBeenCalledWith({
+      where: { actorId: "guest-1", actorType: "GUEST", toStatus: "CANCELLED" },
+    });
+  });
+
+  it("leaves request-to-book guests to the host", async () => {
+    const client = guest({ isVerified: false });
+
+    await expect(
+      assertGuestRequirements(client, property("REQUEST"), "guest-1")
+    ).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,158 @@
+import prisma from "../../../config/database.js";
+import logger from "../../../config/logger.js";
+import BookingService from "../../../modules/bookings/service.js";
+import BookingModificationService from "../../../modules/bookings/modifications.js";
+import PaymentService from "../../../modules/payments/service.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/redis.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/calendars/cache.js", () => ({ invalidateCalendar: jest.fn() }));
+jest.mock("../../../modules/bookings/policy.js", () => ({
+  assertGuestRequirements: jest.fn(),
+}));
+jest.mock("../../../modules/payments/service.js", () => ({
+  __esModule: true,
+  default: { refundPayment: jest.fn() },
+}));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const booking = (fields = {}) => ({
+  id: "booking-1",
+  status: "CONFIRMED",
+  currency: "EUR",
+  totalPrice: 500,
+  cancellationFee: null,
+  refundDue: null,
+  startDate: new Date(Date.now() + 10 * DAY),
+  cancellationPolicy: null,
+  property: { ownerId: "host-1", cancellationPolicy: "MODERATE", cancellationTiers: [] },
+  payment: { id: "payment-1", status: "COMPLETED", amount: 500, refundId: null },
+  modifications: [],
+  ...fields,
+});
+
+const extraCharge = { settlementStatus: "SETTLED", priceDelta: 100, refundedAmount: 0 };
+
+describe("refund breakdown", () => {
+  it("quotes a full refund before the policy's first deadline", () => {
+    const breakdown = BookingService.buildRefundBreakdown(booking());
+
+    expect(breakdown).toMatchObject({
+      amountPaid: 500,
+      cancellationFee: 0,
+      refundAmount: 500,
+      refund: null,
+    });
+  });
+
+  it("keeps the fee of the tier the cancellation falls in", () => {
+    const breakdown = BookingService.buildRefundBreakdown(
+      booking({ startDate: new Date(Date.now() + 2 * DAY) })
+    );
+
+    expect(breakdown).toMatchObject({ cancellationFee: 250, refundAmount: 250 });
+  });
+
+  it("applies the policy the booking was made under", () => {
+    const breakdown = BookingService.buildRefundBreakdown(
+      booking({
+        cancellationPolicy: {
+          type: "NON_REFUNDABLE",
+          name: "Non-refundable",
+          version: 1,
+          tiers: [],
+        },
+      })
+    );
+
+    expect(breakdown).toMatchObject({ cancellationFee: 500, refundAmount: 0 });
+    expect(breakdown.cancellationPolicy.type).toBe("NON_REFUNDABLE");
+  });
+
+  it("reports the fee recorded at cancellation and counts extra charges as paid", () => {
+    const breakdown = BookingService.buildRefundBreakdown(
+      booking({ status: "CANCELLED", cancellationFee: 150, modifications: [extraCharge] })
+    );
+
+    expect(breakdown).toMatchObject({ amountPaid: 600, cancellationFee: 150, refundAmount: 450 });
+  });
+});
+
+describe("BookingService.issueRefund", () => {
+  // refundDue drops by whatever each refund call accepts
+  const useRefundDue = (row, accepted = {}) => {
+    const state = { refundDue: row.refundDue };
+    prisma.booking = {
+      findUnique: jest.fn(async ({ select }) =>
+        select ? { refundDue: state.refundDue } : { ...row, refundDue: state.refundDue }
+      ),
+    };
+    const settle = (part) => async (id, ...args) => {
+      const amount = part === "payment" ? args[0].amount : args[0];
+      if (accepted[part] === false) return;
+      state.refundDue = Math.round((state.refundDue - amount) * 100) / 100;
+    };
+    PaymentService.refundPayment.mockImplementation(settle("payment"));
+    jest
+      .spyOn(BookingModificationService, "refundExtraCharges")
+      .mockImplementation(settle("charges"));
+    return state;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("refunds the original payment first and the rest against extra charges", async () => {
+    useRefundDue(booking({ refundDue: 550, modifications: [extraCharge] }));
+
+    const remaining = await BookingService.issueRefund("booking-1", "Guest cancelled");
+
+    expect(PaymentService.refundPayment).toHaveBeenCalledWith("payment-1", {
+      amount: 500,
+      reason: "Guest cancelled",
+    });
+    expect(BookingModificationService.refundExtraCharges).toHaveBeenCalledWith(
+      "booking-1",
+      50,
+      "Guest cancelled"
+    );
+    expect(remaining).toBe(0);
+  });
+
+  it("only sends what is still owed on a retry", async () => {
+    useRefundDue(
+      booking({
+        refundDue: 50,
+        modifications: [extraCharge],
+        payment: { id: "payment-1", status: "PARTIALLY_REFUNDED", amount: 500, refundId: "re_1" },
+      })
+    );
+
+    await BookingService.issueRefund("booking-1");
+
+    expect(PaymentService.refundPayment).not.toHaveBeenCalled();
+    expect(BookingModificationService.refundExtraCharges).toHaveBeenCalledWith(
+      "booking-1",
+      50,
+      "Booking cancelled"
+    );
+  });
+
+  it("leaves what the gateway did not accept due for the lifecycle job", async () => {
+    useRefundDue(booking({ refundDue: 300 }), { payment: false });
+
+    expect(await BookingService.issueRefund("booking-1")).toBe(300);
+    expect(logger.warn).toHaveBeenCalledWith("Booking booking-1 still has 300 to refund");
+  });
+
+  it("does nothing when no refund is due", async () => {
+    useRefundDue(booking({ refundDue: 0 }));
+
+    expect(await BookingService.issueRefund("booking-1")).toBe(0);
+    expect(PaymentService.refundPayment).not.toHaveBeenCalled();
+  });
+});
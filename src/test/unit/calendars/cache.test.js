@@ -0,0 +1,60 @@
+import prisma from "../../../config/database.js";
+import redis from "../../../config/redis.js";
+import logger from "../../../config/logger.js";
+import { cachedCalendar, invalidateCalendar } from "../../../modules/calendars/cache.js";
+
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/redis.js", () => ({ __esModule: true, default: {} }));
+
+// Enough of Redis for string keys and counters
+const useRedis = () => {
+  const store = new Map();
+  Object.assign(redis, {
+    get: async (key) => store.get(key) ?? null,
+    setex: async (key, ttl, value) => store.set(key, value),
+    incr: jest.fn(async (key) => {
+      store.set(key, String(Number(store.get(key) || 0) + 1));
+    }),
+  });
+  return store;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  useRedis();
+  prisma.searchIndexEvent = { create: jest.fn() };
+});
+
+describe("calendar cache", () => {
+  it("builds a calendar once and serves it from the cache", async () => {
+    const build = jest.fn(async () => ({ days: ["2030-06-01"] }));
+
+    await cachedCalendar("property-1", "public:2030-06", build);
+    const cached = await cachedCalendar("property-1", "public:2030-06", build);
+
+    expect(cached).toEqual({ days: ["2030-06-01"] });
+    expect(build).toHaveBeenCalledTimes(1);
+  });
+
+  it("rebuilds every view of a property after it is invalidated", async () => {
+    const build = jest.fn(async () => ({ days: [] }));
+    await cachedCalendar("property-1", "public:2030-06", build);
+    await cachedCalendar("property-2", "public:2030-06", build);
+
+    await invalidateCalendar("property-1");
+    await cachedCalendar("property-1", "public:2030-06", build);
+    await cachedCalendar("property-2", "public:2030-06", build);
+
+    expect(build).toHaveBeenCalledTimes(3);
+  });
+
+  it("never fails the change when Redis is down", async () => {
+    redis.incr.mockRejectedValue(new Error("Connection refused"));
+
+    await expect(invalidateCalendar("property-1")).resolves.toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Calendar cache invalidation failed for property property-1: Connection refused"
+    );
+  });
+});
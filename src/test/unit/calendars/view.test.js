@@ -0,0 +1,158 @@
+import { DateTime } from "luxon";
+import prisma from "../../../config/database.js";
+import AvailabilityRuleService from "../../../modules/availability-rules/service.js";
+import CalendarViewService, { DAY_STATUS } from "../../../modules/calendars/view.js";
+import { ForbiddenError, ValidationError } from "../../../utils/apiError.js";
+import { NIGHT_STATUS } from "../../../utils/availability.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/availability-rules/service.js", () => ({
+  __esModule: true,
+  HOLDING_STATUSES: ["PENDING", "CONFIRMED", "PAID", "ACTIVE"],
+  default: { getCalendar: jest.fn() },
+}));
+jest.mock("../../../modules/calendars/cache.js", () => ({
+  cachedCalendar: jest.fn((propertyId, variant, build) => build()),
+}));
+
+const PROPERTY = { id: "property-1", ownerId: "host-1", currency: "EUR" };
+const OWNER = { userId: "host-1" };
+
+// Nights of 5 and 6 June 2030 are booked, 9 and 10 June blocked; every
+// check-in needs two nights
+const CLOSED = {
+  "2030-06-05": { status: NIGHT_STATUS.BOOKED, reason: "Booked" },
+  "2030-06-06": { status: NIGHT_STATUS.BOOKED, reason: "Booked" },
+  "2030-06-09": { status: NIGHT_STATUS.BLOCKED, reason: "Owner stay" },
+  "2030-06-10": { status: NIGHT_STATUS.BLOCKED, reason: "Owner stay" },
+};
+
+const nightsBetween = (propertyId, start, end) => {
+  const nights = [];
+  for (
+    let day = DateTime.fromJSDate(start, { zone: "utc" });
+    day < DateTime.fromJSDate(end, { zone: "utc" });
+    day = day.plus({ days: 1 })
+  ) {
+    const date = day.toISODate();
+    const closed = CLOSED[date];
+    nights.push({
+      date,
+      status: closed?.status || NIGHT_STATUS.AVAILABLE,
+      available: !closed,
+      price: 120,
+      minStay: 2,
+      reason: closed?.reason || null,
+    });
+  }
+  return nights;
+};
+
+beforeEach(() => {
+  AvailabilityRuleService.getCalendar.mockImplementation(async (client, ...args) =>
+    nightsBetween(...args)
+  );
+  Object.assign(prisma, {
+    property: {
+      findFirst: async () => PROPERTY,
+      findUnique: async () => PROPERTY,
+    },
+    pricingRule: {
+      findMany: async () => [
+        { id: "weekend", type: "WEEKEND", name: "Weekend", adjustmentPercent: 10 },
+      ],
+    },
+    booking: {
+      findMany: async () => [
+        {
+          id: "booking-1",
+          startDate: new Date("2030-06-05T00:00:00Z"),
+          endDate: new Date("2030-06-07T00:00:00Z"),
+          tenant: { username: "ada", profile: { firstName: "Ada", lastName: "Lovelace" } },
+        },
+      ],
+    },
+  });
+});
+
+describe("month-view calendar", () => {
+  it("marks the days a stay can start or end on", async () => {
+    const calendar = await CalendarViewService.getPublicCalendar("property-1", {
+      from: "2030-06-03",
+      to: "2030-06-10",
+    });
+
+    expect(calendar).toMatchObject({ from: "2030-06-03", to: "2030-06-10", currency: "EUR" });
+    expect(calendar.days.map((day) => day.status)).toEqual([
+      DAY_STATUS.AVAILABLE,
+      // Checking in on the 4th would need the booked 5th
+      DAY_STATUS.CHECK_OUT_ONLY,
+      DAY_STATUS.CHECK_OUT_ONLY,
+      DAY_STATUS.BOOKED,
+      DAY_STATUS.CHECK_IN_ONLY,
+      DAY_STATUS.CHECK_OUT_ONLY,
+      DAY_STATUS.CHECK_OUT_ONLY,
+      DAY_STATUS.BLOCKED,
+    ]);
+    expect(calendar.days[0]).toEqual({
+      date: "2030-06-03",
+      status: DAY_STATUS.AVAILABLE,
+      checkIn: true,
+      checkOut: true,
+      price: 120,
+      minStay: 2,
+    });
+  });
+
+  it("prices each day with the listing's nightly rules", async () => {
+    const calendar = await CalendarViewService.getPublicCalendar("property-1", {
+      from: "2030-06-06",
+      to: "2030-06-09",
+    });
+
+    // Friday 7 and Saturday 8 June are weekend nights
+    expect(calendar.days.map((day) => day.price)).toEqual([120, 132, 132, 120]);
+  });
+
+  it("shows the host why each day is closed and who holds it", async () => {
+    const calendar = await CalendarViewService.getHostCalendar(
+      "property-1",
+      { from: "2030-06-05", to: "2030-06-10" },
+      OWNER
+    );
+
+    expect(calendar.days[0]).toMatchObject({
+      nightStatus: NIGHT_STATUS.BOOKED,
+      booking: {
+        id: "booking-1",
+        guestName: "Ada Lovelace",
+        startDate: new Date("2030-06-05T00:00:00Z"),
+        endDate: new Date("2030-06-07T00:00:00Z"),
+      },
+    });
+    expect(calendar.days[2].booking).toBeNull();
+    expect(calendar.days[5]).toMatchObject({ reason: "Owner stay", booking: null });
+  });
+
+  it("keeps the host calendar to the owner", async () => {
+    await expect(
+      CalendarViewService.getHostCalendar("property-1", {}, { userId: "guest-1" })
+    ).rejects.toThrow(ForbiddenError);
+  });
+
+  it("rejects reversed and overlong ranges", () => {
+    const range = (from, to) => () => CalendarViewService.parseRange({ from, to });
+
+    expect(range("2030-06-10", "2030-06-01")).toThrow(ValidationError);
+    expect(range("2030-01-01", "2031-01-02")).toThrow("A calendar can cover at most 366 days");
+    expect(range("2030-01-01", "2031-01-01")).not.toThrow();
+  });
+
+  it("defaults to the rest of the month", () => {
+    expect(CalendarViewService.parseRange({ from: "2030-02-10" }).to.toISODate()).toBe(
+      "2030-02-28"
+    );
+  });
+});
@@ -0,0 +1,190 @@
+import prisma from "../../../config/database.js";
+import { getProvider } from "../../../modules/payments/providers/index.js";
+import LedgerService from "../../../modules/payouts/ledger.js";
+import DepositService from "../../../modules/deposits/service.js";
+import { ConflictError, PaymentError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../utils/locking.js", () => ({
+  withLock: jest.fn((key, fn) => fn()),
+}));
+jest.mock("../../../utils/fileStorage.js", () => ({ uploadToCloudinary: jest.fn() }));
+jest.mock("../../../modules/payments/providers/index.js", () => ({
+  getProvider: jest.fn(),
+}));
+jest.mock("../../../modules/payouts/ledger.js", () => ({
+  __esModule: true,
+  default: { postDamageClaim: jest.fn() },
+}));
+
+const GUEST = { userId: "guest-1" };
+const HOST = { userId: "host-1" };
+
+// One booking with its deposit and claim, updated in place
+const useDeposit = ({ booking = {}, deposit = {}, claim = null } = {}) => {
+  const state = {
+    deposit: {
+      id: "deposit-1",
+      bookingId: "booking-1",
+      amount: 500,
+      currency: "EUR",
+      status: "PENDING",
+      provider: "local",
+      paymentIntentId: null,
+      failureReason: null,
+      ...deposit,
+    },
+    claim: claim && { id: "claim-1", depositId: "deposit-1", bookingId: "booking-1", ...claim },
+  };
+  const bookingRow = {
+    id: "booking-1",
+    tenantId: "guest-1",
+    status: "CONFIRMED",
+    payment: { paymentMethod: "pm_card" },
+    property: { ownerId: "host-1" },
+    ...booking,
+  };
+  const updateDeposit = async ({ data }) => ({ ...Object.assign(state.deposit, data) });
+
+  Object.assign(prisma, {
+    booking: {
+      findUnique: async () => ({
+        ...bookingRow,
+        deposit: { ...state.deposit, claim: state.claim && { ...state.claim } },
+      }),
+    },
+    securityDeposit: {
+      findUnique: async () => ({ ...state.deposit }),
+      update: updateDeposit,
+    },
+    damageClaim: {
+      findUnique: async () => ({ ...state.claim, deposit: { ...state.deposit } }),
+      update: async ({ data }) => ({ ...Object.assign(state.claim, data) }),
+    },
+    $transaction: async (fn) =>
+      fn({
+        securityDeposit: { update: updateDeposit },
+        booking: { findUnique: async () => bookingRow },
+      }),
+  });
+  return state;
+};
+
+const useProvider = (overrides = {}) => {
+  const provider = {
+    name: "local",
+    authorize: jest.fn(async () => ({ status: "authorized", intentId: "pi_deposit" })),
+    capture: jest.fn(async () => ({ status: "captured", transactionId: "txn_claim" })),
+    void: jest.fn(async () => ({ status: "voided" })),
+    ...overrides,
+  };
+  getProvider.mockReturnValue(provider);
+  return provider;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("deposit holds", () => {
+  it("authorizes the deposit on the guest's card", async () => {
+    const state = useDeposit();
+    const provider = useProvider();
+
+    await DepositService.placeHold("booking-1", GUEST);
+
+    expect(provider.authorize).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 500, currency: "EUR", paymentMethod: "pm_card" })
+    );
+    expect(state.deposit).toMatchObject({ status: "HELD", paymentIntentId: "pi_deposit" });
+  });
+
+  it("records a declined hold so the guest can retry", async () => {
+    const state = useDeposit();
+    useProvider({
+      authorize: jest.fn(async () => ({
+        status: "failed",
+        intentId: "pi_deposit",
+        failureReason: "Insufficient funds",
+      })),
+    });
+
+    await expect(DepositService.placeHold("booking-1", GUEST)).rejects.toThrow(PaymentError);
+    expect(state.deposit).toMatchObject({ status: "FAILED", failureReason: "Insufficient funds" });
+
+    useProvider();
+    await DepositService.placeHold("booking-1", GUEST);
+    expect(state.deposit.status).toBe("HELD");
+  });
+
+  it("does not authorize a deposit twice", async () => {
+    useDeposit({ deposit: { status: "HELD", paymentIntentId: "pi_deposit" } });
+    const provider = useProvider();
+
+    await DepositService.placeHold("booking-1", GUEST);
+
+    expect(provider.authorize).not.toHaveBeenCalled();
+  });
+});
+
+describe("damage claims", () => {
+  const held = { status: "HELD", paymentIntentId: "pi_deposit" };
+
+  it("collects an accepted claim from the hold and owes it to the host", async () => {
+    const state = useDeposit({ deposit: held, claim: { status: "OPEN", amount: 200 } });
+    const provider = useProvider();
+
+    await DepositService.acceptClaim("booking-1", "claim-1", GUEST);
+
+    expect(provider.capture).toHaveBeenCalledWith({ intentId: "pi_deposit", amount: 200 });
+    expect(state.deposit).toMatchObject({
+      status: "PARTIALLY_CAPTURED",
+      capturedAmount: 200,
+      transactionId: "txn_claim",
+    });
+    expect(state.claim).toMatchObject({ status: "ACCEPTED", awardedAmount: 200 });
+    expect(LedgerService.postDamageClaim).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ id: "deposit-1" }),
+      "host-1"
+    );
+  });
+
+  it("releases the whole hold when the host withdraws", async () => {
+    const state = useDeposit({ deposit: held, claim: { status: "DISPUTED", amount: 200 } });
+    const provider = useProvider();
+
+    await DepositService.withdrawClaim("booking-1", "claim-1", HOST);
+
+    expect(provider.void).toHaveBeenCalledWith({ intentId: "pi_deposit" });
+    expect(provider.capture).not.toHaveBeenCalled();
+    expect(state.deposit).toMatchObject({ status: "RELEASED", capturedAmount: 0 });
+    expect(state.claim.status).toBe("WITHDRAWN");
+  });
+
+  it("keeps the claim open when the capture fails", async () => {
+    const state = useDeposit({ deposit: held, claim: { status: "OPEN", amount: 200 } });
+    useProvider({
+      capture: jest.fn(async () => ({ status: "failed", failureReason: "Authorization expired" })),
+    });
+
+    await expect(DepositService.acceptClaim("booking-1", "claim-1", GUEST)).rejects.toThrow(
+      PaymentError
+    );
+    expect(state.deposit).toMatchObject({ status: "HELD", failureReason: "Authorization expired" });
+    expect(state.claim.status).toBe("OPEN");
+    expect(LedgerService.postDamageClaim).not.toHaveBeenCalled();
+  });
+
+  it("never settles a claim twice", async () => {
+    useDeposit({ deposit: held, claim: { status: "ACCEPTED", amount: 200 } });
+    const provider = useProvider();
+
+    await expect(DepositService.withdrawClaim("booking-1", "claim-1", HOST)).rejects.toThrow(
+      ConflictError
+    );
+    expect(provider.void).not.toHaveBeenCalled();
+  });
+});
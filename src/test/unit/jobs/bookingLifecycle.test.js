@@ -0,0 +1,119 @@
+import prisma from "../../../config/database.js";
+import logger from "../../../config/logger.js";
+import BookingService from "../../../modules/bookings/service.js";
+import BookingModificationService from "../../../modules/bookings/modifications.js";
+import {
+  expireStaleHolds,
+  retryDueRefunds,
+  runBookingLifecycle,
+} from "../../../jobs/bookingLifecycle.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/bookings/service.js", () => ({
+  __esModule: true,
+  default: { expireBooking: jest.fn(), advanceStay: jest.fn(), issueRefund: jest.fn() },
+}));
+jest.mock("../../../modules/bookings/modifications.js", () => ({
+  __esModule: true,
+  default: { expireStaleRequests: jest.fn(async () => 0) },
+}));
+
+const NOW = new Date("2030-06-01T12:00:00Z");
+
+// Ids found by each query, keyed by the status (or refundDue) it filters on
+const useBookings = (found) => {
+  prisma.booking = {
+    findMany: jest.fn(async ({ where }) =>
+      (found[where.refundDue ? "REFUND_DUE" : where.status] || []).map((id) => ({ id }))
+    ),
+  };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("booking lifecycle job", () => {
+  it("expires holds past their deadline, or past the hold window for older rows", async () => {
+    useBookings({ PENDING: ["booking-1"] });
+
+    expect(await expireStaleHolds(NOW)).toBe(1);
+
+    expect(prisma.booking.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          status: "PENDING",
+          OR: [
+            { holdExpiresAt: { lte: NOW } },
+            { holdExpiresAt: null, createdAt: { lte: new Date("2030-06-01T11:30:00Z") } },
+          ],
+        },
+      })
+    );
+    expect(BookingService.expireBooking).toHaveBeenCalledWith("booking-1");
+  });
+
+  it("expires, activates and completes bookings in one run", async () => {
+    useBookings({
+      PENDING: ["pending-1"],
+      CONFIRMED: ["unpaid-1"],
+      PAID: ["paid-1"],
+      ACTIVE: ["active-1"],
+    });
+    BookingModificationService.expireStaleRequests.mockResolvedValueOnce(2);
+
+    const summary = await runBookingLifecycle();
+
+    expect(summary).toEqual({
+      expired: 2,
+      expiredChanges: 2,
+      activated: 1,
+      completed: 1,
+      refunded: 0,
+    });
+    expect(BookingService.expireBooking).toHaveBeenCalledWith(
+      "unpaid-1",
+      "Payment not received in time"
+    );
+    expect(BookingService.advanceStay).toHaveBeenCalledWith("paid-1", "ACTIVE", "Stay started");
+    expect(BookingService.advanceStay).toHaveBeenCalledWith(
+      "active-1",
+      "COMPLETED",
+      "Stay finished"
+    );
+  });
+
+  it("carries on with the batch when one booking fails", async () => {
+    useBookings({ PENDING: ["booking-1", "booking-2"] });
+    BookingService.expireBooking.mockRejectedValueOnce(new Error("Booking moved on"));
+
+    expect(await expireStaleHolds(NOW)).toBe(1);
+    expect(BookingService.expireBooking).toHaveBeenCalledWith("booking-2");
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Booking lifecycle: failed to expire booking booking-1",
+      { error: "Booking moved on" }
+    );
+  });
+
+  it("retries refunds of cancellations older than five minutes", async () => {
+    useBookings({ REFUND_DUE: ["booking-1", "booking-2"] });
+    BookingService.issueRefund.mockResolvedValueOnce(0).mockResolvedValueOnce(40);
+
+    expect(await retryDueRefunds(NOW)).toBe(1);
+
+    expect(prisma.booking.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          refundDue: { gt: 0 },
+          cancellationDate: { lte: new Date("2030-06-01T11:55:00Z") },
+        },
+      })
+    );
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Booking lifecycle: failed to refund booking booking-2",
+      { error: "Refund still due" }
+    );
+  });
+});
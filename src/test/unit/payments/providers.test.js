@@ -0,0 +1,80 @@
+import config from "../../../config/env.js";
+import logger from "../../../config/logger.js";
+import {
+  activeProviderName,
+  assertPaymentsConfigured,
+  getProvider,
+} from "../../../modules/payments/providers/index.js";
+import {
+  buildLocalWebhookEvent,
+  signLocalWebhook,
+} from "../../../modules/payments/providers/local.js";
+import { ConfigurationError } from "../../../utils/apiError.js";
+
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+
+const env = config.get("env");
+
+const configure = ({ nodeEnv = env, provider = "", secret = "" }) => {
+  config.set("env", nodeEnv);
+  config.set("payments.provider", provider);
+  config.set("payments.localWebhookSecret", secret);
+};
+
+afterEach(() => {
+  configure({});
+  jest.clearAllMocks();
+});
+
+describe("active payment provider", () => {
+  it("uses the local gateway outside production when none is configured", () => {
+    expect(activeProviderName()).toBe("local");
+    expect(assertPaymentsConfigured()).toBe("local");
+    expect(getProvider().name).toBe("local");
+  });
+
+  it("boots without a local webhook secret and warns about it", () => {
+    expect(() => assertPaymentsConfigured()).not.toThrow();
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("LOCAL_PAYMENT_WEBHOOK_SECRET")
+    );
+  });
+
+  it("disables payments in production until a provider is configured", () => {
+    configure({ nodeEnv: "production" });
+
+    expect(assertPaymentsConfigured()).toBeNull();
+    expect(() => getProvider()).toThrow(ConfigurationError);
+  });
+
+  it("refuses to boot in production with an unregistered provider", () => {
+    jest.isolateModules(() => {
+      // A fresh registry and config, so the local gateway is never registered
+      const { default: isolatedConfig } = require("../../../config/env.js");
+      isolatedConfig.set("env", "production");
+      isolatedConfig.set("payments.provider", "local");
+      const providers = require("../../../modules/payments/providers/index.js");
+
+      expect(() => providers.assertPaymentsConfigured()).toThrow(
+        'Payment provider "local" is not registered'
+      );
+    });
+  });
+});
+
+describe("local webhook secret", () => {
+  const event = buildLocalWebhookEvent("payment.captured", { intentId: "lpi_1" });
+
+  it("signs and verifies with a generated secret when none is set", () => {
+    const { body, headers } = signLocalWebhook(event);
+
+    expect(getProvider("local").verifyWebhook({ rawBody: body, headers })).toBe(true);
+  });
+
+  it("rejects webhooks signed with another secret", () => {
+    configure({ secret: "whsec_configured" });
+    const { body, headers } = signLocalWebhook(event, { secret: "whsec_other" });
+
+    expect(getProvider("local").verifyWebhook({ rawBody: body, headers })).toBe(false);
+  });
+});
@@ -0,0 +1,321 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../../../config/database.js";
+import config from "../../../config/env.js";
+import { withLock } from "../../../utils/locking.js";
+import { markBookingPaid, markBookingRefunded } from "../../../modules/bookings/lifecycle.js";
+import InvoiceService from "../../../modules/bookings/invoices.js";
+import LedgerService from "../../../modules/payouts/ledger.js";
+import WebhookService from "../../../modules/payments/webhooks.js";
+import {
+  buildLocalWebhookEvent,
+  signLocalWebhook,
+} from "../../../modules/payments/providers/local.js";
+import { ConflictError, UnauthorizedError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../utils/locking.js", () => ({
+  withLock: jest.fn((key, fn) => fn()),
+}));
+jest.mock("../../../modules/payments/service.js", () => ({
+  __esModule: true,
+  paymentLockKey: (bookingId) => `payment:${bookingId}`,
+  default: {},
+}));
+jest.mock("../../../modules/bookings/lifecycle.js", () => ({
+  markBookingPaid: jest.fn(),
+  markBookingRefunded: jest.fn(),
+}));
+jest.mock("../../../modules/bookings/invoices.js", () => ({
+  __esModule: true,
+  default: { issueInvoice: jest.fn(), issueCreditNote: jest.fn() },
+}));
+jest.mock("../../../modules/payouts/ledger.js", () => ({
+  __esModule: true,
+  default: { postCharge: jest.fn(), postRefund: jest.fn() },
+}));
+
+const SECRET = "whsec_test";
+
+// Just enough of Prisma for webhooks: filters on equality, in and notIn,
+// unique (provider, eventId) and transactions that roll back on error
+const createDatabase = () => {
+  const tables = { paymentWebhookEvent: new Map(), payment: new Map(), booking: new Map() };
+  let nextId = 1;
+
+  const matches = (row, where) =>
+    Object.entries(where).every(([field, condition]) => {
+      if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+        if (condition.in) return condition.in.includes(row[field]);
+        if (condition.notIn) return !condition.notIn.includes(row[field]);
+      }
+      return (row[field] ?? null) === condition;
+    });
+
+  const write = (row, data) => {
+    Object.entries(data).forEach(([field, value]) => {
+      row[field] = value?.increment !== undefined ? (row[field] || 0) + value.increment : value;
+    });
+    return { ...row };
+  };
+
+  const findBy = (table, where) => {
+    const [field, value] = Object.entries(where)[0];
+    if (field === "provider_eventId") {
+      return [...tables[table].values()].find(
+        (row) => row.provider === value.provider && row.eventId === value.eventId
+      );
+    }
+    return [...tables[table].values()].find((row) => row[field] === value);
+  };
+
+  const model = (table) => ({
+    findUnique: async ({ where }) => {
+      const row = findBy(table, where);
+      return row ? { ...row } : null;
+    },
+    update: async ({ where, data }) => write(findBy(table, where), data),
+    updateMany: async ({ where, data }) => {
+      const rows = [...tables[table].values()].filter((row) => matches(row, where));
+      rows.forEach((row) => write(row, data));
+      return { count: rows.length };
+    },
+  });
+
+  const db = {
+    tables,
+    paymentWebhookEvent: {
+      ...model("paymentWebhookEvent"),
+      create: async ({ data }) => {
+        if (findBy("paymentWebhookEvent", { provider_eventId: data })) {
+          throw new Prisma.PrismaClientKnownRequestError("Unique constraint failed", {
+            code: "P2002",
+          });
+        }
+        const row = { id: `evt-row-${nextId++}`, status: "RECEIVED", attempts: 0, ...data };
+        tables.paymentWebhookEvent.set(row.id, row);
+        return { ...row };
+      },
+    },
+    payment: model("payment"),
+    booking: model("booking"),
+    $transaction: async (fn) => {
+      const snapshot = Object.fromEntries(
+        Object.entries(tables).map(([name, rows]) => [
+          name,
+          new Map([...rows].map(([id, row]) => [id, { ...row }])),
+        ])
+      );
+      try {
+        return await fn(db);
+      } catch (error) {
+        Object.entries(snapshot).forEach(([name, rows]) => {
+          tables[name].clear();
+          rows.forEach((row, id) => tables[name].set(id, row));
+        });
+        throw error;
+      }
+    },
+  };
+  return db;
+};
+
+const addPayment = (fields = {}) => {
+  const payment = {
+    id: "pay-1",
+    bookingId: "booking-1",
+    amount: 300,
+    status: "PENDING",
+    paymentIntentId: "lpi_1",
+    transactionId: null,
+    authorizedAt: new Date("2026-03-01T10:00:00Z"),
+    refundId: null,
+    ...fields,
+  };
+  prisma.tables.payment.set(payment.id, payment);
+  prisma.tables.booking.set(payment.bookingId, {
+    id: payment.bookingId,
+    status: "PENDING",
+    refundDue: null,
+  });
+  return payment;
+};
+
+const paymentRow = () => prisma.tables.payment.get("pay-1");
+
+// Deliver an event the way the local gateway signs it
+const deliver = (event, options) => {
+  const { body, headers } = signLocalWebhook(event, options);
+  return WebhookService.ingest("local", Buffer.from(body), headers);
+};
+
+const captured = (options) =>
+  buildLocalWebhookEvent(
+    "payment.captured",
+    { intentId: "lpi_1", transactionId: "ltx_1", amount: 300 },
+    options
+  );
+
+beforeAll(() => {
+  config.set("payments.localWebhookSecret", SECRET);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  markBookingPaid.mockResolvedValue({ id: "booking-1", status: "PAID" });
+  Object.assign(prisma, createDatabase());
+});
+
+describe("WebhookService.ingest", () => {
+  it("applies a signed capture once and moves the booking to PAID", async () => {
+    addPayment();
+
+    const result = await deliver(captured({ id: "evt_1" }));
+
+    expect(result).toEqual({ eventId: "evt_1", status: "PROCESSED", duplicate: false });
+    expect(paymentRow()).toMatchObject({ status: "COMPLETED", transactionId: "ltx_1" });
+    expect(markBookingPaid).toHaveBeenCalledTimes(1);
+    expect(LedgerService.postCharge).toHaveBeenCalledWith(expect.anything(), "pay-1");
+  });
+
+  it("serializes on the booking's payment lock", async () => {
+    addPayment();
+
+    await deliver(captured());
+
+    expect(withLock).toHaveBeenCalledWith("payment:booking-1", expect.any(Function));
+  });
+
+  it("acknowledges a redelivered event without applying it again", async () => {
+    addPayment();
+    const event = captured({ id: "evt_1" });
+
+    await deliver(event);
+    const replay = await deliver(event);
+
+    expect(replay).toEqual({ eventId: "evt_1", status: "PROCESSED", duplicate: true });
+    expect(prisma.tables.paymentWebhookEvent.size).toBe(1);
+    expect(markBookingPaid).toHaveBeenCalledTimes(1);
+    expect(LedgerService.postCharge).toHaveBeenCalledTimes(1);
+  });
+
+  it("ignores a second capture event for a payment already captured", async () => {
+    addPayment();
+
+    await deliver(captured({ id: "evt_1" }));
+    const second = await deliver(captured({ id: "evt_2" }));
+
+    expect(second).toEqual({ eventId: "evt_2", status: "IGNORED", duplicate: false });
+    expect(markBookingPaid).toHaveBeenCalledTimes(1);
+  });
+
+  it("never lets a late failure overwrite a capture", async () => {
+    addPayment();
+
+    await deliver(captured());
+    const late = await deliver(
+      buildLocalWebhookEvent("payment.failed", {
+        intentId: "lpi_1",
+        failureReason: "Card declined",
+      })
+    );
+
+    expect(late.status).toBe("IGNORED");
+    expect(paymentRow()).toMatchObject({ status: "COMPLETED", failureReason: null });
+  });
+
+  it("captures a payment whose earlier attempt failed", async () => {
+    addPayment();
+
+    await deliver(
+      buildLocalWebhookEvent("payment.failed", { intentId: "lpi_1", failureReason: "Timeout" })
+    );
+    expect(paymentRow().status).toBe("FAILED");
+
+    await deliver(captured());
+
+    expect(paymentRow()).toMatchObject({ status: "COMPLETED", failureReason: null });
+    expect(markBookingPaid).toHaveBeenCalledTimes(1);
+  });
+
+  it("ignores a capture that arrives after the refund", async () => {
+    addPayment({ status: "COMPLETED", transactionId: "ltx_1" });
+
+    await deliver(
+      buildLocalWebhookEvent("payment.refunded", {
+        transactionId: "ltx_1",
+        refundId: "lre_1",
+        amount: 100,
+      })
+    );
+    const late = await deliver(captured());
+
+    expect(late.status).toBe("IGNORED");
+    expect(paymentRow()).toMatchObject({
+      status: "PARTIALLY_REFUNDED",
+      refundId: "lre_1",
+      refundAmount: 100,
+    });
+    expect(markBookingRefunded).toHaveBeenCalledTimes(1);
+    expect(markBookingPaid).not.toHaveBeenCalled();
+  });
+
+  it("queues a refund for a capture that lands after the booking was cancelled", async () => {
+    addPayment();
+    prisma.tables.booking.get("booking-1").status = "CANCELLED";
+    markBookingPaid.mockResolvedValueOnce(null);
+
+    const result = await deliver(captured());
+
+    expect(result.status).toBe("PROCESSED");
+    expect(paymentRow()).toMatchObject({
+      status: "COMPLETED",
+      transactionId: "ltx_1",
+      unbilled: true,
+    });
+    expect(prisma.tables.booking.get("booking-1").refundDue).toBe(300);
+    expect(InvoiceService.issueInvoice).not.toHaveBeenCalled();
+    expect(LedgerService.postCharge).not.toHaveBeenCalled();
+  });
+
+  it("fails an event for an unknown payment and applies it on redelivery", async () => {
+    const event = captured({ id: "evt_early" });
+
+    await expect(deliver(event)).rejects.toThrow(ConflictError);
+    expect(prisma.tables.paymentWebhookEvent.get("evt-row-1")).toMatchObject({
+      status: "FAILED",
+      attempts: 1,
+    });
+
+    addPayment();
+    const retry = await deliver(event);
+
+    expect(retry).toEqual({ eventId: "evt_early", status: "PROCESSED", duplicate: false });
+    expect(paymentRow().status).toBe("COMPLETED");
+  });
+
+  it("rolls the event back to FAILED when applying it throws", async () => {
+    addPayment();
+    markBookingPaid.mockRejectedValueOnce(new Error("Booking is locked"));
+
+    await expect(deliver(captured({ id: "evt_1" }))).rejects.toThrow("Booking is locked");
+
+    expect(paymentRow().status).toBe("PENDING");
+    expect(prisma.tables.paymentWebhookEvent.get("evt-row-1").status).toBe("FAILED");
+  });
+
+  it("rejects events signed with another secret", async () => {
+    addPayment();
+
+    await expect(deliver(captured(), { secret: "forged" })).rejects.toThrow(UnauthorizedError);
+    expect(prisma.tables.paymentWebhookEvent.size).toBe(0);
+  });
+
+  it("rejects signatures outside the replay window", async () => {
+    addPayment();
+    const stale = Math.floor(Date.now() / 1000) - 3600;
+
+    await expect(deliver(captured(), { timestamp: stale })).rejects.toThrow(UnauthorizedError);
+  });
+});
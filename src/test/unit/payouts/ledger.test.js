@@ -0,0 +1,224 @@
+import prisma from "../../../config/database.js";
+import LedgerService from "../../../modules/payouts/ledger.js";
+import PayoutService from "../../../modules/payouts/service.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../utils/locking.js", () => ({
+  withLock: jest.fn((key, fn) => fn()),
+}));
+
+const CHECK_IN = new Date("2030-06-01T15:00:00Z");
+
+const PAYMENT = {
+  id: "payment-1",
+  bookingId: "booking-1",
+  status: "COMPLETED",
+  amount: 1150,
+  currency: "EUR",
+  unbilled: false,
+  refundId: null,
+  refundAmount: null,
+  booking: { startDate: CHECK_IN, taxes: 150, property: { ownerId: "host-1" } },
+};
+
+// Postings keyed by reference, like the unique index on LedgerTransaction
+const createLedger = (payment = PAYMENT) => {
+  const postings = new Map();
+  return {
+    postings,
+    payment: { findUnique: async () => payment },
+    ledgerTransaction: {
+      findUnique: async ({ where }) => postings.get(where.reference) || null,
+      create: jest.fn(async ({ data: { entries, ...data } }) => {
+        const posting = { id: `txn-${postings.size + 1}`, ...data, entries: entries.create };
+        postings.set(data.reference, posting);
+        return posting;
+      }),
+    },
+  };
+};
+
+const lines = (posting) =>
+  posting.entries.map(({ account, direction, amount }) => `${direction} ${account} ${amount}`);
+
+const balanced = (posting) => {
+  const total = (direction) =>
+    posting.entries
+      .filter((entry) => entry.direction === direction)
+      .reduce((sum, entry) => sum + entry.amount, 0);
+  return Math.abs(total("DEBIT") - total("CREDIT")) < 0.005;
+};
+
+describe("LedgerService", () => {
+  it("splits a charge into taxes, commission and the host's share", async () => {
+    const tx = createLedger();
+
+    const charge = await LedgerService.postCharge(tx, "payment-1");
+
+    expect(charge).toMatchObject({
+      type: "CHARGE",
+      reference: "charge:payment-1",
+      hostId: "host-1",
+    });
+    expect(lines(charge)).toEqual([
+      "DEBIT GUEST_CLEARING 1150",
+      "CREDIT TAX_PAYABLE 150",
+      "CREDIT PLATFORM_REVENUE 150",
+      "CREDIT HOST_PAYABLE 850",
+    ]);
+    // Payable a day after check-in
+    expect(charge.entries[3].availableAt).toEqual(new Date("2030-06-02T15:00:00Z"));
+  });
+
+  it("posts a charge once however often it is replayed", async () => {
+    const tx = createLedger();
+
+    const first = await LedgerService.postCharge(tx, "payment-1");
+    const again = await LedgerService.postCharge(tx, "payment-1");
+
+    expect(again).toBe(first);
+    expect(tx.ledgerTransaction.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("never credits the host for an unbilled capture", async () => {
+    const tx = createLedger({ ...PAYMENT, unbilled: true });
+
+    expect(await LedgerService.postCharge(tx, "payment-1")).toBeNull();
+    expect(tx.ledgerTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it("reverses a refund in proportion to the charge", async () => {
+    const tx = createLedger({ ...PAYMENT, refundId: "re_1", refundAmount: 575 });
+
+    const refund = await LedgerService.postRefund(tx, "payment-1");
+
+    expect(refund.reference).toBe("refund:re_1");
+    expect(lines(refund)).toEqual([
+      "CREDIT GUEST_CLEARING 575",
+      "DEBIT TAX_PAYABLE 75",
+      "DEBIT PLATFORM_REVENUE 75",
+      "DEBIT HOST_PAYABLE 425",
+    ]);
+    expect(balanced(refund)).toBe(true);
+    expect(tx.postings.has("charge:payment-1")).toBe(true);
+  });
+
+  it("refuses an unbalanced posting", async () => {
+    const tx = createLedger();
+
+    await expect(
+      LedgerService.post(tx, {
+        reference: "broken",
+        currency: "EUR",
+        entries: [
+          { account: "GUEST_CLEARING", direction: "DEBIT", amount: 100 },
+          { account: "HOST_PAYABLE", direction: "CREDIT", amount: 90 },
+        ],
+      })
+    ).rejects.toThrow("Unbalanced ledger transaction broken: 100 Dr / 90 Cr");
+  });
+});
+
+describe("PayoutService.schedulePayout", () => {
+  const NOW = new Date("2030-07-01T00:00:00Z");
+
+  const usePayableEntries = (entries) => {
+    const payouts = [];
+    const tx = {
+      ledgerEntry: {
+        findMany: async () => entries,
+        updateMany: jest.fn(async ({ where, data }) => {
+          const rows = entries.filter((entry) => where.id.in.includes(entry.id) && !entry.payoutId);
+          rows.forEach((entry) => Object.assign(entry, data));
+          return { count: rows.length };
+        }),
+      },
+      payout: {
+        create: async ({ data }) => {
+          const payout = { id: `payout-${payouts.length + 1}`, ...data };
+          payouts.push(payout);
+          return payout;
+        },
+      },
+    };
+    prisma.$transaction = (fn) => fn(tx);
+    return { entries, payouts };
+  };
+
+  const entry = (id, direction, amount, availableAt) => ({
+    id,
+    direction,
+    amount,
+    availableAt: new Date(availableAt),
+    payoutId: null,
+  });
+
+  it("pays out the host's earnings net of refunds and assigns them to the payout", async () => {
+    const { entries, payouts } = usePayableEntries([
+      entry("entry-1", "CREDIT", 850, "2030-06-02T15:00:00Z"),
+      entry("entry-2", "DEBIT", 425, "2030-06-02T15:00:00Z"),
+      entry("entry-3", "CREDIT", 300, "2030-06-20T12:00:00Z"),
+    ]);
+
+    const payout = await PayoutService.schedulePayout("host-1", "EUR", NOW);
+
+    expect(payout).toMatchObject({
+      hostId: "host-1",
+      amount: 725,
+      currency: "EUR",
+      periodStart: new Date("2030-06-02T15:00:00Z"),
+      periodEnd: NOW,
+    });
+    expect(payouts).toHaveLength(1);
+    expect(entries.every((row) => row.payoutId === payout.id)).toBe(true);
+  });
+
+  it("schedules nothing while refunds leave nothing owed", async () => {
+    const { entries, payouts } = usePayableEntries([
+      entry("entry-1", "CREDIT", 100, "2030-06-02T15:00:00Z"),
+      entry("entry-2", "DEBIT", 150, "2030-06-02T15:00:00Z"),
+    ]);
+
+    expect(await PayoutService.schedulePayout("host-1", "EUR", NOW)).toBeNull();
+    expect(payouts).toHaveLength(0);
+    expect(entries.every((row) => row.payoutId === null)).toBe(true);
+  });
+});
+
+describe("PayoutService.settlePayout", () => {
+  it("pays a scheduled payout and debits the host once", async () => {
+    const payout = {
+      id: "payout-1",
+      hostId: "host-1",
+      amount: 725,
+      currency: "EUR",
+      status: "SCHEDULED",
+      periodEnd: new Date("2030-07-01T00:00:00Z"),
+    };
+    const tx = {
+      ...createLedger(),
+      payout: {
+        updateMany: async ({ where, data }) => {
+          if (payout.status !== where.status) return { count: 0 };
+          Object.assign(payout, data);
+          return { count: 1 };
+        },
+        findUnique: async () => ({ ...payout }),
+      },
+    };
+    prisma.$transaction = (fn) => fn(tx);
+
+    const paid = await PayoutService.settlePayout("payout-1");
+    const again = await PayoutService.settlePayout("payout-1");
+
+    expect(paid.status).toBe("PAID");
+    expect(again).toBeNull();
+    expect(tx.ledgerTransaction.create).toHaveBeenCalledTimes(1);
+    expect(lines(tx.postings.get("payout:payout-1"))).toEqual([
+      "DEBIT HOST_PAYABLE 725",
+      "CREDIT GUEST_CLEARING 725",
+    ]);
+  });
+});
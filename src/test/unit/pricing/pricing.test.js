@@ -0,0 +1,145 @@
+import { PRICING_RULE_TYPES, PricingService } from "../../../utils/pricing.js";
+
+// 12–15 March 2026 runs Thursday to Sunday
+const nights = (price = 100, dates = ["2026-03-12", "2026-03-13", "2026-03-14", "2026-03-15"]) =>
+  dates.map((date) => ({ date, price }));
+
+const rule = (type, fields) => ({ id: `${type}-${fields.name}`, type, ...fields });
+const bookedAt = new Date("2026-03-01T10:00:00Z");
+
+const priceOf = (result) => result.nights.map((night) => night.price);
+
+describe("PricingService.priceStay", () => {
+  it("prices every night at its base rate without rules", () => {
+    const result = PricingService.priceStay({ nights: nights(), bookedAt });
+
+    expect(priceOf(result)).toEqual([100, 100, 100, 100]);
+    expect(result.subtotal).toBe(400);
+    expect(result.adjustmentTotal).toBe(0);
+    expect(result.appliedRules).toEqual([]);
+  });
+
+  it("applies the highest-priority seasonal rule covering each night", () => {
+    const rules = [
+      rule(PRICING_RULE_TYPES.SEASONAL, {
+        name: "spring",
+        startDate: "2026-03-01",
+        endDate: "2026-03-31",
+        adjustmentPercent: 50,
+        amount: null,
+        priority: 0,
+      }),
+      rule(PRICING_RULE_TYPES.SEASONAL, {
+        name: "festival",
+        startDate: "2026-03-13",
+        endDate: "2026-03-13",
+        amount: 220,
+        priority: 5,
+      }),
+    ];
+
+    const result = PricingService.priceStay({ nights: nights(), rules, bookedAt });
+
+    expect(priceOf(result)).toEqual([150, 220, 150, 150]);
+    expect(result.nights[1].adjustments).toEqual([
+      { ruleId: "SEASONAL-festival", type: "SEASONAL", name: "festival", amount: 120 },
+    ]);
+  });
+
+  it("applies weekend rates on top of the seasonal rate", () => {
+    const rules = [
+      rule(PRICING_RULE_TYPES.SEASONAL, {
+        name: "spring",
+        startDate: "2026-03-13",
+        endDate: "2026-03-14",
+        adjustmentPercent: 50,
+        amount: null,
+      }),
+      rule(PRICING_RULE_TYPES.WEEKEND, { name: "weekend", adjustmentPercent: 10 }),
+    ];
+
+    const result = PricingService.priceStay({ nights: nights(), rules, bookedAt });
+
+    // Friday and Saturday by default; Sunday is outside the season
+    expect(priceOf(result)).toEqual([100, 165, 165, 100]);
+  });
+
+  it("honours the weekdays a weekend rule names", () => {
+    const rules = [
+      rule(PRICING_RULE_TYPES.WEEKEND, {
+        name: "sunday",
+        adjustmentPercent: 20,
+        daysOfWeek: [0],
+      }),
+    ];
+
+    const result = PricingService.priceStay({ nights: nights(), rules, bookedAt });
+
+    expect(priceOf(result)).toEqual([100, 100, 100, 120]);
+  });
+
+  it("applies the longest qualifying stay-length discount after nightly rules", () => {
+    const rules = [
+      rule(PRICING_RULE_TYPES.WEEKEND, { name: "weekend", adjustmentPercent: 10 }),
+      rule(PRICING_RULE_TYPES.LENGTH_OF_STAY, {
+        name: "three-nights",
+        minNights: 3,
+        adjustmentPercent: -20,
+      }),
+      rule(PRICING_RULE_TYPES.LENGTH_OF_STAY, {
+        name: "four-nights",
+        minNights: 4,
+        adjustmentPercent: -25,
+      }),
+      rule(PRICING_RULE_TYPES.LENGTH_OF_STAY, {
+        name: "week",
+        minNights: 7,
+        adjustmentPercent: -40,
+      }),
+    ];
+
+    const result = PricingService.priceStay({ nights: nights(), rules, bookedAt });
+
+    expect(priceOf(result)).toEqual([75, 82.5, 82.5, 75]);
+    expect(result.appliedRules.map((applied) => applied.id)).toEqual([
+      "LENGTH_OF_STAY-four-nights",
+      "WEEKEND-weekend",
+    ]);
+  });
+
+  it("raises nights to the minimum price after every discount", () => {
+    const rules = [
+      rule(PRICING_RULE_TYPES.LENGTH_OF_STAY, {
+        name: "three-nights",
+        minNights: 3,
+        adjustmentPercent: -20,
+      }),
+      rule(PRICING_RULE_TYPES.WEEKEND, { name: "weekend", adjustmentPercent: 15 }),
+      rule(PRICING_RULE_TYPES.MIN_PRICE, { name: "floor", amount: 90 }),
+    ];
+
+    const result = PricingService.priceStay({ nights: nights(), rules, bookedAt });
+
+    expect(priceOf(result)).toEqual([90, 92, 92, 90]);
+    expect(result.nights[0].adjustments.map((adjustment) => adjustment.type)).toEqual([
+      "LENGTH_OF_STAY",
+      "MIN_PRICE",
+    ]);
+    expect(result.subtotal).toBe(364);
+    expect(result.adjustmentTotal).toBe(-36);
+  });
+
+  it("ignores inactive rules", () => {
+    const rules = [
+      rule(PRICING_RULE_TYPES.WEEKEND, {
+        name: "weekend",
+        adjustmentPercent: 10,
+        isActive: false,
+      }),
+    ];
+
+    const result = PricingService.priceStay({ nights: nights(), rules, bookedAt });
+
+    expect(priceOf(result)).toEqual([100, 100, 100, 100]);
+  });
+});
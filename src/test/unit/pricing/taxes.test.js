@@ -0,0 +1,87 @@
+import { PricingService } from "../../../utils/pricing.js";
+
+describe("PricingService.calculateFees", () => {
+  it("charges cleaning and extra guests beyond the included count", () => {
+    const fees = PricingService.calculateFees(
+      { cleaningFee: "50", extraGuestFee: "10", extraGuestThreshold: 2 },
+      { nightCount: 3, guests: 4 }
+    );
+
+    expect(fees).toEqual([
+      { type: "CLEANING", label: "Cleaning fee", amount: 50 },
+      {
+        type: "EXTRA_GUEST",
+        label: "Extra guest fee (2 × 3 nights)",
+        amount: 60,
+      },
+    ]);
+  });
+
+  it("charges no extra guest fee within the included count or without a threshold", () => {
+    expect(
+      PricingService.calculateFees(
+        { extraGuestFee: 10, extraGuestThreshold: 4 },
+        { nightCount: 3, guests: 4 }
+      )
+    ).toEqual([]);
+    expect(
+      PricingService.calculateFees(
+        { extraGuestFee: 10, extraGuestThreshold: null },
+        { nightCount: 3, guests: 6 }
+      )
+    ).toEqual([]);
+  });
+});
+
+describe("PricingService.calculateTaxes", () => {
+  const stay = { subtotal: 400, feesTotal: 50, nightCount: 4, guests: 3 };
+
+  it("computes percentage, per-night and per-guest taxes", () => {
+    const taxes = PricingService.calculateTaxes(
+      [
+        { id: "vat", name: "VAT", category: "VAT", calculationType: "PERCENTAGE", rate: "10", includeFees: true },
+        { id: "city", name: "City tax", category: "CITY", calculationType: "PER_NIGHT", amount: "2" },
+        {
+          id: "tourism",
+          name: "Tourism levy",
+          category: "TOURISM",
+          calculationType: "PER_GUEST_PER_NIGHT",
+          amount: "1.5",
+        },
+      ],
+      stay
+    );
+
+    expect(taxes.map(({ ruleId, amount }) => [ruleId, amount])).toEqual([
+      ["vat", 45],
+      ["city", 8],
+      ["tourism", 18],
+    ]);
+    expect(taxes[0].rate).toBe(10);
+    expect(taxes[1].rate).toBeNull();
+  });
+
+  it("caps taxed nights and leaves fees out unless included", () => {
+    const taxes = PricingService.calculateTaxes(
+      [
+        { id: "vat", calculationType: "PERCENTAGE", rate: 10, includeFees: false, maxNights: 2 },
+        { id: "city", calculationType: "PER_NIGHT", amount: 2, maxNights: 3 },
+      ],
+      stay
+    );
+
+    expect(taxes.map(({ ruleId, amount }) => [ruleId, amount])).toEqual([
+      ["vat", 20],
+      ["city", 6],
+    ]);
+  });
+
+  it("drops taxes that come to nothing", () => {
+    const taxes = PricingService.calculateTaxes(
+      [{ id: "zero", calculationType: "PERCENTAGE", rate: 0 }],
+      stay
+    );
+
+    expect(taxes).toEqual([]);
+  });
+});
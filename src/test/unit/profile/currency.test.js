@@ -0,0 +1,52 @@
+import prisma from "../../../config/database.js";
+import CurrencyService from "../../../modules/currencies/service.js";
+import { ProfileService } from "../../../modules/profile/service.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../utils/fileStorage.js", () => ({ uploadToCloudinary: jest.fn() }));
+jest.mock("../../../modules/currencies/service.js", () => ({
+  __esModule: true,
+  default: { getRates: jest.fn() },
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CurrencyService.getRates.mockResolvedValue({ base: "USD", rates: { USD: 1, EUR: 0.92 } });
+  Object.assign(prisma, {
+    profile: {
+      update: jest.fn(async ({ data }) => data),
+      upsert: jest.fn(async ({ update }) => update),
+    },
+  });
+});
+
+describe("preferred currency", () => {
+  it("saves a currency that has an exchange rate", async () => {
+    const profile = await ProfileService.partialUpdate("user-1", { preferredCurrency: "eur" });
+
+    expect(profile.preferredCurrency).toBe("EUR");
+  });
+
+  it("rejects a currency prices cannot be converted into", async () => {
+    await expect(
+      ProfileService.partialUpdate("user-1", { preferredCurrency: "XYZ" })
+    ).rejects.toThrow("Validation error: No exchange rate configured for XYZ");
+    await expect(
+      ProfileService.upsertProfile({
+        userId: "user-1",
+        profileData: { firstName: "Ada", lastName: "Lovelace", preferredCurrency: "XYZ" },
+      })
+    ).rejects.toThrow("Validation error");
+    expect(prisma.profile.update).not.toHaveBeenCalled();
+    expect(prisma.profile.upsert).not.toHaveBeenCalled();
+  });
+
+  it("lets the preference be cleared", async () => {
+    const profile = await ProfileService.partialUpdate("user-1", { preferredCurrency: null });
+
+    expect(profile.preferredCurrency).toBeNull();
+    expect(CurrencyService.getRates).not.toHaveBeenCalled();
+  });
+});
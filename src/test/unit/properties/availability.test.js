@@ -0,0 +1,199 @@
+import prisma from "../../../config/database.js";
+import { PropertyService } from "../../../modules/properties/service.js";
+import { ConflictError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/redis.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../utils/locking.js", () => ({
+  withLock: jest.fn((key, fn) => fn()),
+}));
+jest.mock("../../../models/PropertyDetails.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/currencies/service.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/bookings/service.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/calendars/cache.js", () => ({ invalidateCalendar: jest.fn() }));
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+// Availability rows of one property, filtered the way updateAvailability
+// and the calendar import query them
+const useAvailability = (rows, { bookings = [] } = {}) => {
+  let nextId = 1;
+  const table = rows.map((row) => ({
+    id: `row-${nextId++}`,
+    propertyId: "property-1",
+    price: 100,
+    isAvailable: true,
+    bookingId: null,
+    externalCalendarId: null,
+    externalEventUid: null,
+    importedGap: false,
+    notes: null,
+    ...row,
+  }));
+
+  const matches = (row, where = {}) =>
+    Object.entries(where).every(([field, condition]) => {
+      if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+        if ("not" in condition) return row[field] !== condition.not;
+        if ("lt" in condition) return row[field] < condition.lt;
+        if ("gt" in condition) return row[field] > condition.gt;
+        if ("in" in condition) return condition.in.includes(row[field]);
+      }
+      return row[field] === condition;
+    });
+  const insert = (data) => {
+    const row = {
+      id: `row-${nextId++}`,
+      isAvailable: true,
+      bookingId: null,
+      externalCalendarId: null,
+      externalEventUid: null,
+      importedGap: false,
+      notes: null,
+      ...data,
+    };
+    table.push(row);
+    return row;
+  };
+
+  const tx = {
+    booking: {
+      findFirst: jest.fn(async ({ where }) =>
+        bookings.find(
+          (booking) =>
+            where.status.in.includes(booking.status) &&
+            where.OR.some(({ AND: [starts, ends] }) =>
+              booking.startDate < starts.startDate.lt && booking.endDate > ends.endDate.gt
+            )
+        ) || null
+      ),
+    },
+    property: { findUnique: async () => ({ basePrice: 90 }) },
+    externalCalendar: {
+      findMany: async () => [{ id: "calendar-1", name: "Airbnb", propertyId: "property-1" }],
+    },
+    availability: {
+      findMany: async ({ where }) =>
+        table
+          .filter((row) => matches(row, where))
+          .sort((a, b) => a.startDate - b.startDate)
+          .map((row) => ({ ...row })),
+      deleteMany: async ({ where }) => {
+        const removed = table.filter((row) => matches(row, where));
+        removed.forEach((row) => table.splice(table.indexOf(row), 1));
+        return { count: removed.length };
+      },
+      createMany: async ({ data }) => {
+        data.forEach(insert);
+        return { count: data.length };
+      },
+      create: async ({ data }) => insert(data),
+      update: async ({ where, data }) =>
+        Object.assign(
+          table.find((row) => row.id === where.id),
+          data
+        ),
+    },
+  };
+  prisma.$transaction = (fn) => fn(tx);
+
+  return () =>
+    [...table]
+      .sort((a, b) => a.startDate - b.startDate)
+      .map((row) => ({
+        from: row.startDate.toISOString().slice(0, 10),
+        to: row.endDate.toISOString().slice(0, 10),
+        open: row.isAvailable,
+        price: row.price,
+        ...(row.bookingId && { bookingId: row.bookingId }),
+        ...(row.externalCalendarId && { calendar: row.externalCalendarId }),
+      }));
+};
+
+const slot = (from, to, basePrice = 120, isAvailable = true) => ({
+  startDate: `${from}T00:00:00Z`,
+  endDate: `${to}T00:00:00Z`,
+  basePrice,
+  isAvailable,
+});
+
+describe("PropertyService.updateAvailability", () => {
+  it("replaces the host's own slots", async () => {
+    const rows = useAvailability([{ startDate: day("2030-05-01"), endDate: day("2030-05-10") }]);
+
+    await PropertyService.updateAvailability("property-1", [slot("2030-05-01", "2030-05-20")]);
+
+    expect(rows()).toEqual([{ from: "2030-05-01", to: "2030-05-20", open: true, price: 120 }]);
+  });
+
+  it("keeps rows held by bookings and fits new slots around them", async () => {
+    const rows = useAvailability([
+      { startDate: day("2030-05-01"), endDate: day("2030-05-05") },
+      {
+        startDate: day("2030-05-05"),
+        endDate: day("2030-05-08"),
+        isAvailable: false,
+        bookingId: "booking-1",
+      },
+    ]);
+
+    await PropertyService.updateAvailability("property-1", [slot("2030-05-01", "2030-05-15")]);
+
+    expect(rows()).toEqual([
+      { from: "2030-05-01", to: "2030-05-05", open: true, price: 120 },
+      { from: "2030-05-05", to: "2030-05-08", open: false, price: 100, bookingId: "booking-1" },
+      { from: "2030-05-08", to: "2030-05-15", open: true, price: 120 },
+    ]);
+  });
+
+  it("keeps imported calendar blocks over the new slots", async () => {
+    const blocked = {
+      isAvailable: false,
+      externalCalendarId: "calendar-1",
+      externalEventUid: "evt-1",
+      notes: "Blocked by Airbnb",
+    };
+    const rows = useAvailability([
+      { startDate: day("2030-05-01"), endDate: day("2030-05-03") },
+      { startDate: day("2030-05-03"), endDate: day("2030-05-06"), ...blocked },
+      // Imported nights past the host's old slots
+      { startDate: day("2030-05-20"), endDate: day("2030-05-22"), importedGap: true, ...blocked },
+    ]);
+
+    await PropertyService.updateAvailability("property-1", [slot("2030-05-01", "2030-05-10")]);
+
+    expect(rows()).toEqual([
+      { from: "2030-05-01", to: "2030-05-03", open: true, price: 120 },
+      { from: "2030-05-03", to: "2030-05-06", open: false, price: 120, calendar: "calendar-1" },
+      { from: "2030-05-06", to: "2030-05-10", open: true, price: 120 },
+      { from: "2030-05-20", to: "2030-05-22", open: false, price: 90, calendar: "calendar-1" },
+    ]);
+  });
+
+  it("refuses slots over the dates of a booking that holds them", async () => {
+    const bookings = [
+      { id: "booking-1", status: "PAID", startDate: day("2030-05-05"), endDate: day("2030-05-08") },
+    ];
+    useAvailability([], { bookings });
+
+    await expect(
+      PropertyService.updateAvailability("property-1", [slot("2030-05-01", "2030-05-10")])
+    ).rejects.toThrow(ConflictError);
+  });
+
+  it("reopens the dates of cancelled and refunded bookings", async () => {
+    const bookings = ["CANCELLED", "REFUND_PENDING", "REFUNDED"].map((status) => ({
+      id: `booking-${status}`,
+      status,
+      startDate: day("2030-05-05"),
+      endDate: day("2030-05-08"),
+    }));
+    const rows = useAvailability([], { bookings });
+
+    await PropertyService.updateAvailability("property-1", [slot("2030-05-01", "2030-05-10")]);
+
+    expect(rows()).toEqual([{ from: "2030-05-01", to: "2030-05-10", open: true, price: 120 }]);
+  });
+});
@@ -0,0 +1,154 @@
+import config from "../../../config/env.js";
+import PropertySearch from "../../../models/PropertyDetails.js";
+import CurrencyService from "../../../modules/currencies/service.js";
+import { PropertyService } from "../../../modules/properties/service.js";
+import { InvalidInputError } from "../../../utils/apiError.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/redis.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn() },
+}));
+jest.mock("../../../modules/currencies/service.js", () => ({
+  __esModule: true,
+  default: { getRates: jest.fn(), baseCurrency: "EUR" },
+}));
+jest.mock("../../../modules/availability-rules/service.js", () => ({
+  __esModule: true,
+  HOLDING_STATUSES: ["PENDING", "CONFIRMED", "PAID", "ACTIVE"],
+  default: { getCalendar: jest.fn() },
+}));
+jest.mock("../../../modules/bookings/service.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../modules/calendars/cache.js", () => ({ invalidateCalendar: jest.fn() }));
+
+const LISBON = { minLng: -9.25, minLat: 38.69, maxLng: -9.09, maxLat: 38.8 };
+
+const pin = (id, longitude, latitude, price = 100.004) => ({
+  propertyId: id,
+  title: `Listing ${id}`,
+  longitude,
+  latitude,
+  price,
+});
+
+const matchStage = () => PropertySearch.aggregate.mock.calls[0][0][0].$match;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CurrencyService.getRates.mockResolvedValue({ base: "EUR", rates: { EUR: 1 } });
+});
+
+describe("map search", () => {
+  it("returns a pin per listing once zoomed in", async () => {
+    PropertySearch.aggregate.mockResolvedValueOnce([pin("p1", -9.14, 38.71)]);
+
+    const map = await PropertyService.searchMap({ bbox: LISBON, zoom: 15 });
+
+    expect(map).toEqual({
+      zoom: 15,
+      currency: "EUR",
+      mode: "pins",
+      total: 1,
+      clusters: [],
+      pins: [{ ...pin("p1", -9.14, 38.71), price: 100 }],
+    });
+    expect(matchStage().location.$geoWithin.$geometry.type).toBe("Polygon");
+  });
+
+  it("groups listings into grid clusters when zoomed out", async () => {
+    PropertySearch.aggregate.mockResolvedValueOnce([
+      {
+        count: 3,
+        latitude: 38.72,
+        longitude: -9.15,
+        minLat: 38.7,
+        maxLat: 38.74,
+        minLng: -9.2,
+        maxLng: -9.1,
+        minPrice: 80.456,
+        maxPrice: 210,
+        pin: pin("p1", -9.2, 38.7),
+      },
+      { count: 1, pin: pin("p4", -9.1, 38.79, 95) },
+    ]);
+
+    const map = await PropertyService.searchMap({ bbox: LISBON, zoom: 9 });
+
+    expect(map).toMatchObject({ mode: "clusters", total: 4 });
+    expect(map.clusters).toEqual([
+      {
+        count: 3,
+        latitude: 38.72,
+        longitude: -9.15,
+        bounds: { minLng: -9.2, minLat: 38.7, maxLng: -9.1, maxLat: 38.74 },
+        minPrice: 80.46,
+        maxPrice: 210,
+      },
+    ]);
+    expect(map.pins).toEqual([pin("p4", -9.1, 38.79, 95)]);
+  });
+
+  it("clusters a crowded viewport whatever the zoom", async () => {
+    config.set("search.maxMapPins", 2);
+    PropertySearch.aggregate
+      .mockResolvedValueOnce(["p1", "p2", "p3"].map((id) => pin(id, -9.14, 38.71)))
+      .mockResolvedValueOnce([{ count: 3, pin: pin("p1", -9.14, 38.71) }]);
+
+    try {
+      const map = await PropertyService.searchMap({ bbox: LISBON, zoom: 16 });
+
+      expect(map).toMatchObject({ mode: "clusters", total: 3 });
+      expect(PropertySearch.aggregate.mock.calls[0][0]).toContainEqual({ $limit: 3 });
+    } finally {
+      config.set("search.maxMapPins", 500);
+    }
+  });
+
+  it("splits a viewport across the antimeridian", async () => {
+    PropertySearch.aggregate.mockResolvedValueOnce([]);
+
+    await PropertyService.searchMap({
+      bbox: { minLng: 170, minLat: -20, maxLng: -170, maxLat: -10 },
+      zoom: 14,
+    });
+
+    const { type, coordinates } = matchStage().location.$geoWithin.$geometry;
+    expect(type).toBe("MultiPolygon");
+    const extent = ([ring]) => {
+      const longitudes = ring.map(([lng]) => lng);
+      return [Math.min(...longitudes), Math.max(...longitudes)];
+    };
+    expect(coordinates.map(extent)).toEqual([
+      [170, 180],
+      [-180, -170],
+    ]);
+  });
+
+  it("searches inside a drawn polygon and rejects open ones", async () => {
+    PropertySearch.aggregate.mockResolvedValueOnce([]);
+    const ring = [
+      [-9.2, 38.7],
+      [-9.1, 38.7],
+      [-9.1, 38.8],
+      [-9.2, 38.7],
+    ];
+
+    await PropertyService.searchMap({
+      polygon: { type: "Polygon", coordinates: [ring] },
+      zoom: 14,
+    });
+
+    expect(matchStage().location).toEqual({
+      $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } },
+    });
+    await expect(
+      PropertyService.searchMap({
+        polygon: { type: "Polygon", coordinates: [ring.slice(0, 3).concat([[-9.3, 38.6]])] },
+        zoom: 14,
+      })
+    ).rejects.toThrow(InvalidInputError);
+  });
+});
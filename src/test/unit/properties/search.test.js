@@ -0,0 +1,224 @@
+import prisma from "../../../config/database.js";
+import PropertySearch from "../../../models/PropertyDetails.js";
+import CurrencyService from "../../../modules/currencies/service.js";
+import AvailabilityRuleService from "../../../modules/availability-rules/service.js";
+import BookingService from "../../../modules/bookings/service.js";
+import { PropertyService } from "../../../modules/properties/service.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/redis.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn(), updateOne: jest.fn() },
+}));
+jest.mock("../../../modules/currencies/service.js", () => ({
+  __esModule: true,
+  default: { getRates: jest.fn(), baseCurrency: "EUR" },
+}));
+jest.mock("../../../modules/availability-rules/service.js", () => ({
+  __esModule: true,
+  HOLDING_STATUSES: ["PENDING", "CONFIRMED", "PAID", "ACTIVE"],
+  default: { getCalendar: jest.fn() },
+}));
+jest.mock("../../../modules/bookings/service.js", () => ({
+  __esModule: true,
+  default: { calculateTotalPrice: jest.fn() },
+}));
+jest.mock("../../../modules/calendars/cache.js", () => ({ invalidateCalendar: jest.fn() }));
+
+const today = new Date();
+const isoDay = (offset) =>
+  new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + offset))
+    .toISOString()
+    .slice(0, 10);
+const CHECK_IN = isoDay(10);
+const CHECK_OUT = isoDay(13);
+
+const night = (date, fields = {}) => ({ date, available: true, price: 100, minStay: 1, ...fields });
+
+const pipelineStage = (name) =>
+  PropertySearch.aggregate.mock.calls[0][0].find((stage) => stage[name])?.[name];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CurrencyService.getRates.mockResolvedValue({ base: "EUR", rates: { EUR: 1 } });
+  AvailabilityRuleService.getCalendar.mockImplementation(async () =>
+    [CHECK_IN, isoDay(11), isoDay(12)].map((date) => night(date))
+  );
+  BookingService.calculateTotalPrice.mockResolvedValue({
+    basePrice: 300,
+    fees: 30,
+    taxes: 10,
+    totalPrice: 340,
+    currency: "EUR",
+  });
+  PropertySearch.aggregate.mockResolvedValue([
+    {
+      results: [{ propertyId: "property-41" }, { propertyId: "property-42" }],
+      total: [{ count: 650 }],
+      propertyType: [],
+      city: [],
+      bedrooms: [],
+      listingType: [],
+      amenities: [],
+      priceRanges: [],
+      ratings: [],
+    },
+  ]);
+  Object.assign(prisma, {
+    property: {
+      findMany: async ({ where }) =>
+        where.id.in.map((id) => ({
+          id,
+          basePrice: 100,
+          currency: "EUR",
+          reviews: [],
+          _count: { reviews: 0, bookings: 0 },
+        })),
+    },
+  });
+});
+
+describe("date search", () => {
+  const search = (params = {}) =>
+    PropertyService.searchProperties({
+      checkIn: CHECK_IN,
+      checkOut: CHECK_OUT,
+      sort: "price_asc",
+      page: 3,
+      limit: 20,
+      ...params,
+    });
+
+  it("filters, sorts and pages on the stay's indexed nightly rates", async () => {
+    await search({ minPrice: 200, maxPrice: 400 });
+
+    const pipeline = PropertySearch.aggregate.mock.calls[0][0];
+    expect(pipeline).toContainEqual({ $match: { price: { $gte: 200, $lte: 400 } } });
+    expect(pipelineStage("$addFields").price.$multiply[0]).toEqual(
+      PropertyService.stayRateExpression([CHECK_IN, isoDay(11), isoDay(12)])
+    );
+    expect(pipelineStage("$facet").results).toEqual([
+      { $sort: { priced: -1, price: 1, _id: 1 } },
+      { $skip: 40 },
+      { $limit: 20 },
+      expect.objectContaining({ $project: expect.any(Object) }),
+    ]);
+  });
+
+  it("prices only the page returned and counts every match", async () => {
+    const { data, pagination } = await search();
+
+    expect(AvailabilityRuleService.getCalendar).toHaveBeenCalledTimes(2);
+    expect(pagination).toMatchObject({ total: 650, totalPages: 33 });
+    expect(data.map((property) => property.displayPrice)).toEqual([
+      { amount: 340, currency: "EUR" },
+      { amount: 340, currency: "EUR" },
+    ]);
+  });
+
+  it("drops a listing whose calendar changed since it was indexed", async () => {
+    AvailabilityRuleService.getCalendar.mockImplementation(async (client, propertyId) =>
+      [CHECK_IN, isoDay(11), isoDay(12)].map((date) =>
+        night(date, { available: !(propertyId === "property-42" && date === isoDay(11)) })
+      )
+    );
+
+    const { data } = await search();
+
+    expect(data.map((property) => property.id)).toEqual(["property-41"]);
+  });
+});
+
+describe("indexed availability", () => {
+  it("stores the nightly rate and the nights priced differently", async () => {
+    AvailabilityRuleService.getCalendar.mockResolvedValue([
+      night(isoDay(0)),
+      night(isoDay(1), { price: 140 }),
+      night(isoDay(2), { price: 180, available: false }),
+    ]);
+
+    const availability = await PropertyService.buildAvailabilityIndex({
+      id: "property-1",
+      basePrice: "100",
+      minStay: 1,
+      maxStay: null,
+    });
+
+    expect(availability).toMatchObject({
+      nightlyRate: 100,
+      rateExceptions: [{ date: isoDay(1), price: 140 }],
+      unavailableNights: [isoDay(2)],
+    });
+  });
+});
+
+describe("faceted search", () => {
+  it("counts every matching listing per facet", async () => {
+    PropertySearch.aggregate.mockResolvedValue([
+      {
+        results: [],
+        total: [{ count: 12 }],
+        propertyType: [{ _id: "APARTMENT", count: 8 }],
+        city: [{ _id: "Lisbon", count: 12 }],
+        bedrooms: [{ _id: 2, count: 12 }],
+        listingType: [{ _id: "RENT", count: 12 }],
+        amenities: [{ _id: "wifi", count: 10 }],
+        priceRanges: [{ _id: { min: 50, max: 100 }, count: 12 }],
+        ratings: [
+          { _id: 4.5, count: 9 },
+          { _id: "unrated", count: 3 },
+        ],
+      },
+    ]);
+
+    const { facets } = await PropertyService.searchProperties({ city: "Lisbon" });
+
+    expect(Object.keys(pipelineStage("$facet"))).toEqual([
+      "results",
+      "total",
+      "propertyType",
+      "city",
+      "bedrooms",
+      "listingType",
+      "amenities",
+      "priceRanges",
+      "ratings",
+    ]);
+    expect(facets).toEqual({
+      propertyType: [{ value: "APARTMENT", count: 8 }],
+      city: [{ value: "Lisbon", count: 12 }],
+      bedrooms: [{ value: 2, count: 12 }],
+      listingType: [{ value: "RENT", count: 12 }],
+      amenities: [{ value: "wifi", count: 10 }],
+      priceRanges: [{ min: 50, max: 100, currency: "EUR", count: 12 }],
+      ratings: [
+        { min: 4.5, max: 5, count: 9 },
+        { min: null, max: null, unrated: true, count: 3 },
+      ],
+    });
+  });
+
+  it("sorts by each option with a stable tie-break", () => {
+    const sortFor = (sort, context = {}) =>
+      PropertyService.searchSort(sort, { query: null, hasLocation: false, ...context });
+
+    expect(sortFor("price_desc")).toEqual({ priced: -1, price: -1, _id: 1 });
+    expect(sortFor("rating")).toEqual({ "stats.rating": -1, "stats.reviewCount": -1, _id: 1 });
+    expect(sortFor("newest")).toEqual({ createdAt: -1, _id: 1 });
+    expect(sortFor("relevance", { query: "loft" })).toEqual({ score: -1, _id: 1 });
+    expect(sortFor("relevance", { hasLocation: true })).toEqual({ distance: 1, _id: 1 });
+  });
+
+  it("rejects sorts and prices it cannot honour", async () => {
+    await expect(PropertyService.searchProperties({ sort: "distance" })).rejects.toThrow(
+      "Sorting by distance needs latitude and longitude"
+    );
+    await expect(
+      PropertyService.searchProperties({ minPrice: 50, currency: "GBP" })
+    ).rejects.toThrow("No exchange rate configured for GBP");
+    expect(PropertySearch.aggregate).not.toHaveBeenCalled();
+  });
+});
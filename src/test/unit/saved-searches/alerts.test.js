@@ -0,0 +1,196 @@
+import prisma from "../../../config/database.js";
+import logger from "../../../config/logger.js";
+import UserPreferences from "../../../models/UserPreferences.js";
+import PropertySearch from "../../../models/PropertyDetails.js";
+import { PropertyService } from "../../../modules/properties/service.js";
+import SavedSearchService from "../../../modules/saved-searches/service.js";
+import { notifyUsers } from "../../../utils/notifications.js";
+
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../models/UserPreferences.js", () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    find: jest.fn(),
+    updateOne: jest.fn(),
+    aggregate: jest.fn(),
+  },
+}));
+jest.mock("../../../models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { findOne: jest.fn() },
+}));
+jest.mock("../../../modules/properties/service.js", () => ({
+  PropertyService: { listingMatches: jest.fn(), areaGeometry: jest.fn() },
+}));
+jest.mock("../../../utils/notifications.js", () => ({ notifyUsers: jest.fn() }));
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date("2030-06-10T08:00:00Z");
+
+const LISTING = {
+  city: "Lisbon",
+  propertyType: "APARTMENT",
+  listingType: "RENT",
+  location: { type: "Point", coordinates: [-9.14, 38.71] },
+};
+
+const PRICE_DROP = { change: "PRICE_DROP", price: 90, previousPrice: 120, currency: "EUR" };
+
+const search = (id, frequency, fields = {}) => ({
+  _id: id,
+  name: `Search ${id}`,
+  frequency,
+  filters: { city: "Lisbon" },
+  pendingAlerts: [],
+  ...fields,
+});
+
+// Saved searches the candidate query returns, as a cursor
+const useCandidates = (items) => {
+  UserPreferences.aggregate.mockReturnValue({ cursor: () => items });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.property = {
+    findUnique: async () => ({ title: "Loft <by the river>", ownerId: "host-1" }),
+  };
+  PropertySearch.findOne.mockReturnValue({ lean: async () => LISTING });
+  PropertyService.listingMatches.mockResolvedValue(true);
+});
+
+describe("saved search matching", () => {
+  it("alerts instant searches now and queues the rest for their digest", async () => {
+    useCandidates([
+      { userId: "guest-1", search: search("s1", "INSTANT") },
+      { userId: "guest-2", search: search("s2", "DAILY") },
+      { userId: "guest-3", search: search("s3", "WEEKLY") },
+    ]);
+    PropertyService.listingMatches.mockImplementation(
+      async (propertyId, filters) => filters.city === "Lisbon"
+    );
+
+    expect(await SavedSearchService.matchListing("property-1", PRICE_DROP)).toBe(3);
+
+    const [[stages]] = UserPreferences.aggregate.mock.calls;
+    expect(stages[0].$match.userId).toEqual({ $ne: "host-1" });
+    expect(notifyUsers).toHaveBeenCalledTimes(1);
+    expect(notifyUsers).toHaveBeenCalledWith(["guest-1"], {
+      title: '1 new match for "Search s1"',
+      body: "Loft <by the river>: now 90 EUR (was 120)",
+      html: "<ul><li>Loft &lt;by the river&gt;: now 90 EUR (was 120)</li></ul>",
+      context: { savedSearchId: "s1", propertyIds: ["property-1"] },
+    });
+    expect(UserPreferences.updateOne).toHaveBeenCalledWith(
+      { userId: "guest-2", "savedSearches._id": "s2" },
+      {
+        $push: {
+          "savedSearches.$.pendingAlerts": expect.objectContaining({
+            propertyId: "property-1",
+            change: "PRICE_DROP",
+          }),
+        },
+      }
+    );
+  });
+
+  it("skips searches the listing does not fully match or whose dates have passed", async () => {
+    const bedrooms = { filters: { minBedrooms: 3 } };
+    const past = { filters: { checkIn: "2020-06-01" } };
+    useCandidates([
+      { userId: "guest-1", search: search("s1", "INSTANT", bedrooms) },
+      { userId: "guest-2", search: search("s2", "INSTANT", past) },
+    ]);
+    PropertyService.listingMatches.mockResolvedValue(false);
+
+    expect(await SavedSearchService.matchListing("property-1", PRICE_DROP)).toBe(0);
+    expect(PropertyService.listingMatches).toHaveBeenCalledTimes(1);
+    expect(notifyUsers).not.toHaveBeenCalled();
+  });
+
+  it("still alerts the other searches when one fails", async () => {
+    useCandidates([
+      { userId: "guest-1", search: search("s1", "DAILY") },
+      { userId: "guest-2", search: search("s2", "DAILY") },
+    ]);
+    UserPreferences.updateOne.mockRejectedValueOnce(new Error("Write conflict"));
+
+    expect(await SavedSearchService.matchListing("property-1", PRICE_DROP)).toBe(1);
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Saved search s1 could not be alerted: Write conflict",
+      { userId: "guest-1", propertyId: "property-1" }
+    );
+  });
+});
+
+describe("saved search digests", () => {
+  const alert = (propertyId, matchedAt, fields = {}) => ({
+    propertyId,
+    title: `Listing ${propertyId}`,
+    change: "NEW_LISTING",
+    price: 100,
+    currency: "EUR",
+    matchedAt: new Date(matchedAt),
+    ...fields,
+  });
+
+  it("sends a digest once its interval has passed", async () => {
+    const pending = [alert("property-1", "2030-06-09T10:00:00Z")];
+    const yesterday = new Date(NOW - DAY);
+    UserPreferences.find.mockReturnValue({
+      lean: async () => [
+        {
+          userId: "guest-1",
+          savedSearches: [
+            search("daily", "DAILY", { pendingAlerts: pending, lastNotifiedAt: yesterday }),
+            search("weekly", "WEEKLY", { pendingAlerts: pending, lastNotifiedAt: yesterday }),
+            search("instant", "INSTANT", { pendingAlerts: pending }),
+            search("quiet", "DAILY"),
+          ],
+        },
+      ],
+    });
+
+    const due = await SavedSearchService.findDueDigests(NOW);
+
+    expect(due.map((item) => item.search._id)).toEqual(["daily", "instant"]);
+  });
+
+  it("sends the latest news per listing and keeps matches queued meanwhile", async () => {
+    const digest = search("daily", "DAILY", {
+      pendingAlerts: [
+        alert("property-1", "2030-06-09T10:00:00Z"),
+        alert("property-2", "2030-06-09T11:00:00Z"),
+        alert("property-1", "2030-06-09T12:00:00Z", {
+          ...PRICE_DROP,
+          price: 80,
+          previousPrice: 100,
+        }),
+      ],
+    });
+
+    await SavedSearchService.sendDigest({ userId: "guest-1", search: digest }, NOW);
+
+    expect(notifyUsers).toHaveBeenCalledWith(
+      ["guest-1"],
+      expect.objectContaining({
+        title: '2 new matches for "Search daily"',
+        body: "Listing property-1: now 80 EUR (was 100); Listing property-2: new at 100 EUR",
+      })
+    );
+    expect(UserPreferences.updateOne).toHaveBeenCalledWith(
+      { userId: "guest-1", "savedSearches._id": "daily" },
+      {
+        $pull: {
+          "savedSearches.$.pendingAlerts": {
+            matchedAt: { $lte: new Date("2030-06-09T12:00:00Z") },
+          },
+        },
+        $set: { "savedSearches.$.lastNotifiedAt": NOW },
+      }
+    );
+  });
+});
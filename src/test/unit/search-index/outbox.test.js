@@ -0,0 +1,205 @@
+import prisma from "../../../config/database.js";
+import logger from "../../../config/logger.js";
+import PropertySearch from "../../../models/PropertyDetails.js";
+import { PropertyService } from "../../../modules/properties/service.js";
+import SearchIndexService from "../../../modules/search-index/service.js";
+import { enqueueSavedSearchMatch } from "../../../jobs/savedSearchMatches.js";
+
+jest.mock("@prisma/client", () => jest.requireActual("../../mocks/prismaClient.js"));
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    find: jest.fn(),
+    exists: jest.fn(),
+    deleteOne: jest.fn(),
+    distinct: jest.fn(),
+  },
+}));
+jest.mock("../../../modules/properties/service.js", () => ({
+  PropertyService: { indexProperty: jest.fn(), indexAvailability: jest.fn() },
+}));
+jest.mock("../../../jobs/savedSearchMatches.js", () => ({ enqueueSavedSearchMatch: jest.fn() }));
+
+const event = (id, propertyId, reason, fields = {}) => ({
+  id,
+  propertyId,
+  reason,
+  status: "PENDING",
+  attempts: 0,
+  ...fields,
+});
+
+// The outbox hands out `events` once, then runs dry
+const useOutbox = (events) => {
+  prisma.searchIndexEvent = {
+    findMany: jest.fn().mockResolvedValueOnce(events).mockResolvedValue([]),
+    updateMany: jest.fn(async ({ where }) => ({ count: where.id.in.length })),
+    update: jest.fn(),
+    deleteMany: jest.fn(async () => ({ count: 0 })),
+  };
+};
+
+// Index documents as the lean query results and cursor of the model
+const useIndex = (documents) => {
+  PropertySearch.find.mockImplementation((filter) => {
+    const found = filter.propertyId
+      ? documents.filter((doc) => filter.propertyId.$in.includes(doc.propertyId))
+      : documents;
+    const query = Promise.resolve(found);
+    query.batchSize = () => ({ cursor: () => found });
+    return { lean: () => query };
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  PropertySearch.findOne.mockReturnValue({ lean: async () => null });
+  PropertySearch.exists.mockResolvedValue(true);
+  prisma.property = { findUnique: jest.fn(async () => ({ status: "APPROVED" })) };
+});
+
+describe("search index outbox", () => {
+  it("reindexes each listing once however many events it queued", async () => {
+    useOutbox([
+      event("e1", "property-1", "property"),
+      event("e2", "property-1", "availability"),
+      event("e3", "property-2", "availability"),
+      event("e4", "property-2", "availability"),
+    ]);
+
+    const result = await SearchIndexService.processOutbox();
+
+    expect(result).toEqual({ processed: 4, failed: 0, pruned: 0 });
+    expect(PropertyService.indexProperty).toHaveBeenCalledTimes(1);
+    expect(PropertyService.indexProperty).toHaveBeenCalledWith("property-1");
+    // Availability-only events refresh just the availability block
+    expect(PropertyService.indexAvailability).toHaveBeenCalledTimes(1);
+    expect(PropertyService.indexAvailability).toHaveBeenCalledWith("property-2");
+    expect(prisma.searchIndexEvent.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { id: { in: ["e3", "e4"] }, status: "PENDING" },
+        data: expect.objectContaining({ status: "PROCESSED" }),
+      })
+    );
+  });
+
+  it("removes listings that are no longer approved", async () => {
+    prisma.property.findUnique.mockResolvedValue({ status: "SUSPENDED" });
+
+    expect(await SearchIndexService.reindex("property-1")).toBe("removed");
+    expect(PropertySearch.deleteOne).toHaveBeenCalledWith({ propertyId: "property-1" });
+    expect(PropertyService.indexProperty).not.toHaveBeenCalled();
+  });
+
+  it("backs off a failing listing and gives up after the last attempt", async () => {
+    useOutbox([
+      event("e1", "property-1", "property", { attempts: 1 }),
+      event("e2", "property-1", "property", { attempts: 4 }),
+      event("e3", "property-2", "property"),
+    ]);
+    PropertyService.indexProperty.mockImplementation(async (propertyId) => {
+      if (propertyId === "property-1") throw new Error("Mongo timeout");
+    });
+
+    const before = Date.now();
+    const result = await SearchIndexService.processOutbox();
+
+    expect(result).toMatchObject({ processed: 1, failed: 2 });
+    const [[retry], [abandoned]] = prisma.searchIndexEvent.update.mock.calls;
+    expect(retry.data).toMatchObject({
+      attempts: 2,
+      status: "PENDING",
+      lastError: "Mongo timeout",
+    });
+    expect(retry.data.availableAt.getTime()).toBeGreaterThanOrEqual(before + 4 * 60 * 1000);
+    expect(abandoned.data).toMatchObject({ attempts: 5, status: "FAILED" });
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Search reindex failed for property property-1: Mongo timeout"
+    );
+  });
+});
+
+describe("search index drift", () => {
+  it("reports missing, stale and orphaned documents", async () => {
+    const updatedAt = new Date("2030-06-01T00:00:00Z");
+    const approved = [
+      { id: "property-1", updatedAt, _count: { reviews: 2 } },
+      { id: "property-2", updatedAt, _count: { reviews: 0 } },
+      { id: "property-3", updatedAt, _count: { reviews: 5 } },
+    ];
+    prisma.property.findMany = jest.fn(async ({ where }) => {
+      if (where.id?.gt) return [];
+      if (where.id?.in) return approved.filter((p) => where.id.in.includes(p.id));
+      return approved;
+    });
+    useIndex([
+      { propertyId: "property-1", indexedAt: updatedAt, stats: { reviewCount: 2 } },
+      // Reviewed since it was indexed
+      { propertyId: "property-3", indexedAt: updatedAt, stats: { reviewCount: 4 } },
+      { propertyId: "property-9", indexedAt: updatedAt, stats: { reviewCount: 0 } },
+    ]);
+    prisma.searchIndexEvent = {
+      groupBy: async () => [{ status: "PENDING", _count: { _all: 3 } }],
+      findFirst: async () => ({ createdAt: updatedAt }),
+    };
+
+    const report = await SearchIndexService.reportDrift();
+
+    expect(report).toMatchObject({
+      approved: 3,
+      indexed: 3,
+      inSync: false,
+      missing: { count: 1, propertyIds: ["property-2"] },
+      stale: { count: 1, propertyIds: ["property-3"] },
+      orphaned: { count: 1, propertyIds: ["property-9"] },
+      outbox: { pending: 3, failed: 0, oldestPendingAt: updatedAt },
+    });
+  });
+
+  it("queues every approved and every indexed listing for a rebuild", async () => {
+    prisma.property.findMany = async () => [{ id: "property-1" }, { id: "property-2" }];
+    PropertySearch.distinct.mockResolvedValue(["property-2", "property-9"]);
+    prisma.searchIndexEvent = {
+      createMany: jest.fn(async ({ data }) => ({ count: data.length })),
+    };
+
+    expect(await SearchIndexService.rebuild()).toEqual({ queued: 3 });
+    expect(prisma.searchIndexEvent.createMany).toHaveBeenCalledWith({
+      data: [
+        { propertyId: "property-1", reason: "rebuild" },
+        { propertyId: "property-2", reason: "rebuild" },
+        { propertyId: "property-9", reason: "rebuild" },
+      ],
+    });
+  });
+});
+
+describe("saved search announcements", () => {
+  const indexed = (before, after) => {
+    PropertySearch.findOne.mockReturnValue({ lean: async () => after });
+    return SearchIndexService.announceChange("property-1", before, [
+      event("e1", "property-1", "status"),
+    ]);
+  };
+
+  it("announces newly approved listings and price drops", async () => {
+    await indexed(null, { basePrice: 100, currency: "EUR" });
+    await indexed({ basePrice: 120, currency: "EUR" }, { basePrice: 100, currency: "EUR" });
+
+    expect(enqueueSavedSearchMatch.mock.calls).toEqual([
+      ["property-1", { change: "NEW_LISTING", price: 100, currency: "EUR" }],
+      ["property-1", { change: "PRICE_DROP", previousPrice: 120, price: 100, currency: "EUR" }],
+    ]);
+  });
+
+  it("stays quiet for rises, currency changes and removed listings", async () => {
+    await indexed({ basePrice: 100, currency: "EUR" }, { basePrice: 110, currency: "EUR" });
+    await indexed({ basePrice: 120, currency: "EUR" }, { basePrice: 100, currency: "USD" });
+    await indexed({ basePrice: 120, currency: "EUR" }, null);
+
+    expect(enqueueSavedSearchMatch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+import prisma from "../../../config/database.js";
+import redis from "../../../config/redis.js";
+import logger from "../../../config/logger.js";
+import { sendEmail } from "../../../utils/email.js";
+import { notifyUsers } from "../../../utils/notifications.js";
+import { createNotificationRecord } from "../../../websocket/notification.socket.js";
+
+jest.mock("../../../config/logger.js", () => jest.requireActual("../../mocks/logger.js"));
+jest.mock("../../../config/database.js", () => ({ __esModule: true, default: {} }));
+jest.mock("../../../config/redis.js", () => ({
+  __esModule: true,
+  default: { publish: jest.fn() },
+}));
+jest.mock("../../../utils/email.js", () => ({ sendEmail: jest.fn() }));
+jest.mock("../../../websocket/notification.socket.js", () => ({
+  createNotificationRecord: jest.fn(),
+}));
+
+const NOTICE = {
+  title: "Offer accepted",
+  body: "Your offer was accepted",
+  context: { offerId: "offer-1" },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.user = {
+    findMany: jest.fn(async () => [
+      { id: "buyer-1", email: "buyer@example.com" },
+      { id: "host-1", email: "host@example.com" },
+    ]),
+  };
+  createNotificationRecord.mockImplementation(async (userId) => ({ id: `notification-${userId}` }));
+});
+
+describe("notifyUsers", () => {
+  it("stores a notification for each user, pushes it and emails them", async () => {
+    await notifyUsers(["buyer-1", "host-1", "buyer-1", null], NOTICE);
+
+    expect(prisma.user.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: { in: ["buyer-1", "host-1"] } } })
+    );
+    expect(createNotificationRecord).toHaveBeenCalledWith(
+      "buyer-1",
+      "system",
+      { title: NOTICE.title, body: NOTICE.body },
+      { context: NOTICE.context }
+    );
+    expect(redis.publish).toHaveBeenCalledWith(
+      "user:host-1:notifications",
+      expect.stringContaining('"id":"notification-host-1"')
+    );
+    expect(sendEmail).toHaveBeenCalledWith(
+      "buyer@example.com",
+      NOTICE.title,
+      "<p>Your offer was accepted</p>"
+    );
+  });
+
+  it("still reaches the other users when one delivery fails", async () => {
+    createNotificationRecord.mockRejectedValueOnce(new Error("Mongo unavailable"));
+
+    await notifyUsers(["buyer-1", "host-1"], NOTICE);
+
+    expect(redis.publish).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledTimes(2);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Notification "Offer accepted" partly undelivered',
+      expect.objectContaining({ errors: ["Mongo unavailable"] })
+    );
+  });
+
+  it("never fails the caller when the recipients cannot be loaded", async () => {
+    prisma.user.findMany.mockRejectedValue(new Error("Database unavailable"));
+
+    await expect(notifyUsers(["buyer-1"], NOTICE)).resolves.toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining("Database unavailable"),
+      { context: NOTICE.context }
+    );
+  });
+});
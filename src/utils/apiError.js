@@ -121,6 +121,12 @@ export class BookingError extends ApiError {
   }
 }
 
+export class PaymentError extends ApiError {
+  constructor(message = "Payment failed") {
+    super("PAYMENT_ERROR", 402, message, "Payment could not be processed");
+  }
+}
+
 export class InvalidInputError extends ApiError {
   constructor(message = "Invalid input") {
     super("INVALID_INPUT", 400, message, "Invalid input provided");
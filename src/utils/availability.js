@@ -0,0 +1,133 @@
+// utils/availability.js
+import { PricingService } from "./pricing.js";
+
+export const AVAILABILITY_RULE_TYPES = {
+  WEEKLY_CLOSURE: "WEEKLY_CLOSURE",
+  PRICE_OVERRIDE: "PRICE_OVERRIDE",
+  BLACKOUT: "BLACKOUT",
+  MIN_STAY: "MIN_STAY",
+};
+
+export const NIGHT_STATUS = {
+  AVAILABLE: "AVAILABLE",
+  BOOKED: "BOOKED",
+  BLOCKED: "BLOCKED",
+  CLOSED: "CLOSED",
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Stateless calendar engine. Expands a property's availability slots and
+ * AvailabilityRule rows into one entry per night, so booking, quoting and
+ * availability checks all read the same effective calendar.
+ *
+ * Status of each night, first match wins:
+ *   1. BOOKED  – held by a booking or a slot reserved for one
+ *   2. CLOSED  – BLACKOUT or WEEKLY_CLOSURE rule
+ *   3. BLOCKED – slot marked unavailable by the host or an imported calendar
+ *   4. AVAILABLE – open slot, at the slot price
+ *   5. AVAILABLE – no slot but within the property's availability window,
+ *      at the base price; CLOSED otherwise
+ * A PRICE_OVERRIDE rule replaces the nightly rate and MIN_STAY rules set
+ * the minimum stay for check-ins on the night.
+ */
+export class AvailabilityCalendar {
+  /**
+   * @param {Object} params
+   * @param {Date|string} params.startDate - First night
+   * @param {Date|string} params.endDate - Exclusive, as a checkout date
+   * @param {Object} params.property - basePrice, minStay, availabilityWindowDays
+   * @param {Array<Object>} [params.slots] - Availability rows overlapping the range
+   * @param {Array<Object>} [params.rules] - AvailabilityRule rows
+   * @param {Array<Object>} [params.bookings] - Bookings holding dates in the range
+   * @param {string} [params.bookingId] - Booking whose own nights count as free
+   * @param {Date} [params.today]
+   * @returns {Array<{date: string, status: string, available: boolean, price: number, minStay: number, reason: string|null}>}
+   */
+  static expand({
+    startDate,
+    endDate,
+    property,
+    slots = [],
+    rules = [],
+    bookings = [],
+    bookingId = null,
+    today = new Date(),
+  }) {
+    const activeRules = rules.filter((rule) => rule.isActive !== false);
+    const byType = (type) => activeRules.filter((rule) => rule.type === type);
+    const closures = [
+      ...byType(AVAILABILITY_RULE_TYPES.BLACKOUT),
+      ...byType(AVAILABILITY_RULE_TYPES.WEEKLY_CLOSURE),
+    ];
+
+    const windowEnd = property.availabilityWindowDays
+      ? PricingService.toDay(today).plus({ days: property.availabilityWindowDays })
+      : null;
+    const holds = bookings.filter((booking) => booking.id !== bookingId);
+
+    const nights = [];
+    const end = PricingService.toDay(endDate);
+    for (let day = PricingService.toDay(startDate); day < end; day = day.plus({ days: 1 })) {
+      const slot = slots.find((s) => this.spans(s, day));
+      const ownSlot = Boolean(bookingId) && slot?.bookingId === bookingId;
+      const override = PricingService.pickRule(
+        byType(AVAILABILITY_RULE_TYPES.PRICE_OVERRIDE).filter((rule) =>
+          this.appliesTo(rule, day)
+        )
+      );
+      const minStayRule = PricingService.pickRule(
+        byType(AVAILABILITY_RULE_TYPES.MIN_STAY).filter((rule) =>
+          this.appliesTo(rule, day)
+        )
+      );
+      const closure = PricingService.pickRule(
+        closures.filter((rule) => this.appliesTo(rule, day))
+      );
+
+      let status = NIGHT_STATUS.AVAILABLE;
+      let reason = null;
+      if (holds.some((booking) => this.spans(booking, day)) || (slot?.bookingId && !ownSlot)) {
+        status = NIGHT_STATUS.BOOKED;
+      } else if (closure) {
+        status = NIGHT_STATUS.CLOSED;
+        reason = closure.name;
+      } else if (slot && !slot.isAvailable && !ownSlot) {
+        status = NIGHT_STATUS.BLOCKED;
+        reason = slot.notes || null;
+      } else if (!slot && !(windowEnd && day < windowEnd)) {
+        status = NIGHT_STATUS.CLOSED;
+        reason = "No availability";
+      }
+
+      const basePrice = slot ? slot.price : property.basePrice;
+      nights.push({
+        date: day.toISODate(),
+        status,
+        available: status === NIGHT_STATUS.AVAILABLE,
+        price: round(Number(override ? override.price : basePrice) || 0),
+        minStay: minStayRule?.minStay || property.minStay || 1,
+        reason,
+      });
+    }
+
+    return nights;
+  }
+
+  // Whether a slot or booking [startDate, endDate) holds the night
+  static spans(range, day) {
+    return (
+      day >= PricingService.toDay(range.startDate) &&
+      day < PricingService.toDay(range.endDate)
+    );
+  }
+
+  // Rules limited by an inclusive date range, weekdays or both. A rule
+  // without either applies every night.
+  static appliesTo(rule, day) {
+    if (rule.startDate && day < PricingService.toDay(rule.startDate)) return false;
+    if (rule.endDate && day > PricingService.toDay(rule.endDate)) return false;
+    return !rule.daysOfWeek?.length || rule.daysOfWeek.includes(day.weekday % 7);
+  }
+}
@@ -0,0 +1,23 @@
+// src/utils/csv.js
+
+// Cells a spreadsheet would evaluate as a formula; negative numbers are fine
+const FORMULA_PREFIX = /^[=+@\t\r]|^-(?![\d.])/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows as RFC 4180 CSV with a header line
+ * @param {Array<{key: string, header: string}>} columns
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCell(column.header)).join(","),
+    ...rows.map((row) => columns.map((column) => escapeCell(row[column.key])).join(",")),
+  ].join("\r\n") + "\r\n";
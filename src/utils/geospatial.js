@@ -159,6 +159,67 @@ export const geoJSON = {
     return inside;
   },
 
+  /**
+   * Parse a map viewport
+   * @param {string} bbox - "minLng,minLat,maxLng,maxLat"; minLng > maxLng
+   *   for viewports crossing the antimeridian
+   * @returns {Object} { minLng, minLat, maxLng, maxLat }
+   * @throws {InvalidInputError} If the box is malformed
+   */
+  parseBoundingBox(bbox) {
+    const parts = String(bbox).split(",").map(Number);
+    if (parts.length !== 4 || parts.some(isNaN)) {
+      throw new InvalidInputError(
+        "Bounding box must be minLng,minLat,maxLng,maxLat"
+      );
+    }
+
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    this.validateCoordinates(minLat, minLng);
+    this.validateCoordinates(maxLat, maxLng);
+    if (minLat > maxLat) {
+      throw new InvalidInputError("Bounding box minLat is above maxLat");
+    }
+
+    return { minLng, minLat, maxLng, maxLat };
+  },
+
+  /**
+   * Validate a GeoJSON Polygon with a single closed ring
+   * @param {Object} polygon - GeoJSON Polygon geometry
+   * @param {number} [maxVertices=200]
+   * @returns {Object} The polygon
+   * @throws {InvalidInputError} If the polygon is malformed
+   */
+  validatePolygon(polygon, maxVertices = 200) {
+    const ring = polygon?.coordinates?.[0];
+    if (polygon?.type !== "Polygon" || !Array.isArray(ring)) {
+      throw new InvalidInputError("Expected a GeoJSON Polygon");
+    }
+    if (polygon.coordinates.length !== 1) {
+      throw new InvalidInputError("Polygons with holes are not supported");
+    }
+    if (ring.length < 4 || ring.length > maxVertices + 1) {
+      throw new InvalidInputError(
+        `Polygon must have between 3 and ${maxVertices} vertices`
+      );
+    }
+
+    ring.forEach((point) => {
+      if (!Array.isArray(point) || point.length !== 2) {
+        throw new InvalidInputError("Polygon positions must be [lng, lat]");
+      }
+      this.validateCoordinates(point[1], point[0]);
+    });
+
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      throw new InvalidInputError("Polygon ring must be closed");
+    }
+
+    return polygon;
+  },
+
   /**
    * Generate GeoJSON for database queries
    * @param {number} lat - Latitude
@@ -223,6 +284,146 @@ export const spatialHelpers = {
   },
 };
 
+/**
+ * Map clustering helpers. Cells are a regular lng/lat grid that halves
+ * with every zoom level, so a cluster splits cleanly when zooming in.
+ */
+export const mapHelpers = {
+  /**
+   * Size in degrees of a cluster cell at a zoom level
+   * @param {number} zoom - Web map zoom (0 shows the whole world in one tile)
+   * @param {number} cellsPerTile - Cells along one tile edge
+   * @returns {number} Cell edge in degrees
+   */
+  cellSize(zoom, cellsPerTile) {
+    return 360 / 2 ** zoom / cellsPerTile;
+  },
+
+  /**
+   * GeoJSON geometry covering a viewport. GeoJSON edges follow great
+   * circles, so the top and bottom edges get a vertex every few degrees to
+   * stay close to the map's straight lines. A viewport crossing the
+   * antimeridian, or too wide for one polygon, becomes a MultiPolygon.
+   * @param {Object} bbox - { minLng, minLat, maxLng, maxLat }
+   * @returns {Object} GeoJSON Polygon or MultiPolygon
+   */
+  boundingBoxGeometry(bbox) {
+    const { minLng, minLat, maxLng, maxLat } = bbox;
+    const spans =
+      minLng <= maxLng
+        ? [[minLng, maxLng]]
+        : [
+            [minLng, 180],
+            [-180, maxLng],
+          ];
+
+    // Polygons must stay within a hemisphere
+    const pieces = spans.flatMap(([west, east]) => {
+      const count = Math.max(1, Math.ceil((east - west) / 90));
+      const width = (east - west) / count;
+      return Array.from({ length: count }, (_, i) => [
+        west + i * width,
+        i === count - 1 ? east : west + (i + 1) * width,
+      ]);
+    });
+
+    const ring = ([west, east]) => {
+      const steps = Math.max(1, Math.ceil((east - west) / 10));
+      const edge = Array.from(
+        { length: steps + 1 },
+        (_, i) => west + ((east - west) * i) / steps
+      );
+      return [
+        ...edge.map((lng) => [lng, minLat]),
+        ...edge.reverse().map((lng) => [lng, maxLat]),
+        [west, minLat],
+      ];
+    };
+
+    return pieces.length === 1
+      ? { type: "Polygon", coordinates: [ring(pieces[0])] }
+      : { type: "MultiPolygon", coordinates: pieces.map((piece) => [ring(piece)]) };
+  },
+
+  /**
+   * GeoJSON polygon just enclosing a circle, for matching points against a
+   * radius with geometry operators
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} radius - Meters
+   * @param {number} [sides=32]
+   * @returns {Object} GeoJSON Polygon
+   */
+  circleGeometry(lat, lng, radius, sides = 32) {
+    const earthRadius = 6378137; // meters (WGS84)
+    // Reach the circle with the edges' midpoints, not just the vertices
+    const distance = radius / earthRadius / Math.cos(Math.PI / sides);
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const toDeg = (rad) => (rad * 180) / Math.PI;
+    const [phi, lambda] = [toRad(lat), toRad(lng)];
+
+    const ring = Array.from({ length: sides }, (_, i) => {
+      const bearing = (2 * Math.PI * i) / sides;
+      const phi2 = Math.asin(
+        Math.sin(phi) * Math.cos(distance) +
+          Math.cos(phi) * Math.sin(distance) * Math.cos(bearing)
+      );
+      const lambda2 =
+        lambda +
+        Math.atan2(
+          Math.sin(bearing) * Math.sin(distance) * Math.cos(phi),
+          Math.cos(distance) - Math.sin(phi) * Math.sin(phi2)
+        );
+      return [((toDeg(lambda2) + 540) % 360) - 180, toDeg(phi2)];
+    });
+
+    return { type: "Polygon", coordinates: [[...ring, ring[0]]] };
+  },
+
+  /**
+   * MongoDB query for points inside a viewport, answerable from the
+   * 2dsphere index
+   * @param {Object} bbox - { minLng, minLat, maxLng, maxLat }
+   * @param {string} [field="location"] - GeoJSON Point field
+   * @returns {Object} MongoDB query object
+   */
+  mongoBoundingBoxQuery(bbox, field = "location") {
+    return { [field]: { $geoWithin: { $geometry: this.boundingBoxGeometry(bbox) } } };
+  },
+
+  /**
+   * MongoDB query for points within a radius. Unlike $nearSphere this can
+   * sit in an aggregation $match.
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} radius - Meters
+   * @param {string} [field="location"]
+   * @returns {Object} MongoDB query object
+   */
+  mongoRadiusQuery(lat, lng, radius, field = "location") {
+    const earthRadius = 6378137; // meters (WGS84)
+    return {
+      [field]: { $geoWithin: { $centerSphere: [[lng, lat], radius / earthRadius] } },
+    };
+  },
+
+  /**
+   * MongoDB query for points inside a drawn polygon
+   * @param {Object} polygon - GeoJSON Polygon geometry
+   * @param {string} [field="location"]
+   * @returns {Object} MongoDB query object
+   */
+  mongoPolygonQuery(polygon, field = "location") {
+    return {
+      [field]: {
+        $geoWithin: {
+          $geometry: { type: "Polygon", coordinates: polygon.coordinates },
+        },
+      },
+    };
+  },
+};
+
 /**
  * Middleware for Express to validate and normalize location data
  */
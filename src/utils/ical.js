@@ -0,0 +1,128 @@
+// src/utils/ical.js
+// Just enough of RFC 5545 to exchange all-day availability blocks
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === "n" ? "\n" : char));
+
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+const formatTimestamp = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Content lines are limited to 75 octets; continuations start with a space
+const fold = (line) => {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Serialize all-day events as a VCALENDAR
+ * @param {Object} calendar
+ * @param {string} calendar.name
+ * @param {Array<{uid: string, start: Date, end: Date, summary: string}>} calendar.events
+ *   `end` is exclusive, as in DTEND
+ * @param {Date} [calendar.now] - DTSTAMP of every event
+ * @returns {string}
+ */
+export const buildICalendar = ({ name, events, now = new Date() }) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Rezo//Availability//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => [
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      "TRANSP:OPAQUE",
+      "END:VEVENT",
+    ]),
+    "END:VCALENDAR",
+  ]
+    .map(fold)
+    .join("\r\n") + "\r\n";
+
+// DATE or DATE-TIME value as UTC midnight of its day. Times are dropped:
+// a stay checking out at 11:00 frees that night, and the time zone of a
+// foreign feed does not move a night to another date.
+const parseDay = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/.exec(value?.trim() || "");
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read the events of an iCalendar document as whole-day ranges. Cancelled
+ * and undated events are skipped; an event without DTEND lasts one day.
+ * @param {string} text
+ * @returns {Array<{uid: string, summary: string, start: Date, end: Date}>}
+ */
+export const parseICalendar = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw new Error("Not an iCalendar document");
+  }
+
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    const upper = line.trim().toUpperCase();
+    if (upper === "BEGIN:VEVENT") {
+      current = {};
+    } else if (upper === "END:VEVENT") {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const match = /^([A-Za-z0-9-]+)(?:;[^:]*)?:(.*)$/.exec(line);
+      if (match) current[match[1].toUpperCase()] = match[2];
+    }
+  }
+
+  return events.flatMap((props) => {
+    if (props.STATUS?.trim().toUpperCase() === "CANCELLED") return [];
+
+    const start = parseDay(props.DTSTART);
+    if (!start) return [];
+    let end = parseDay(props.DTEND);
+    if (!end || end <= start) end = new Date(start.getTime() + DAY_MS);
+
+    return [
+      {
+        uid: props.UID?.trim() || `${formatDate(start)}-${formatDate(end)}`,
+        summary: unescapeText(props.SUMMARY?.trim() || ""),
+        start,
+        end,
+      },
+    ];
+  });
+};
@@ -1,11 +1,60 @@
+import crypto from "crypto";
 import redis from "../config/redis.js";
 
+// Only delete the key if it still holds our token, so an expired lock that
+// was re-acquired by another worker is never released from under it
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
 export const acquireLock = async (key, ttl = 5000) => {
-  const lock = await redis.set(key, "LOCKED", "PX", ttl, "NX");
+  const token = crypto.randomBytes(16).toString("hex");
+  const lock = await redis.set(key, token, "PX", ttl, "NX");
   if (!lock) throw new Error("LockAcquisitionError");
-  return { key, ttl };
+  return { key, ttl, token };
 };
 
 export const releaseLock = async (lock) => {
-  await redis.del(lock.key);
+  if (!lock.token) {
+    await redis.del(lock.key);
+    return;
+  }
+  await redis.eval(RELEASE_SCRIPT, 1, lock.key, lock.token);
+};
+
+/**
+ * Run `fn` while holding `key`, retrying acquisition a few times
+ * @param {string} key - Lock key
+ * @param {Function} fn - Async work to run under the lock
+ * @param {Object} [options]
+ * @param {number} [options.ttl=5000] - Lock expiry in ms
+ * @param {number} [options.retries=5] - Acquisition attempts
+ * @param {number} [options.delay=100] - Wait between attempts in ms
+ */
+export const withLock = async (
+  key,
+  fn,
+  { ttl = 5000, retries = 5, delay = 100 } = {}
+) => {
+  let lock;
+  for (let attempt = 0; attempt < retries && !lock; attempt++) {
+    try {
+      lock = await acquireLock(key, ttl);
+    } catch (error) {
+      if (error.message !== "LockAcquisitionError") throw error;
+      if (attempt < retries - 1) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+  if (!lock) throw new Error("LockAcquisitionError");
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(lock);
+  }
 };
@@ -0,0 +1,56 @@
+// utils/notifications.js
+import prisma from "../config/database.js";
+import redis from "../config/redis.js";
+import logger from "../config/logger.js";
+import { sendEmail } from "./email.js";
+import { NotificationEvents } from "../websocket/events.js";
+import { createNotificationRecord } from "../websocket/notification.socket.js";
+
+// Store the notification, then push it to the user's socket channel
+const publishNotification = async (userId, content, context) => {
+  const notification = await createNotificationRecord(userId, "system", content, {
+    context,
+  });
+  await redis.publish(
+    `user:${userId}:notifications`,
+    JSON.stringify({ event: NotificationEvents.NEW_NOTIFICATION, payload: notification })
+  );
+};
+
+/**
+ * Tell users about something that concerns them: a stored notification
+ * pushed to their socket channel plus an email. Delivery is best effort
+ * and never fails the step that triggered it.
+ * @param {string[]} userIds
+ * @param {Object} notice
+ * @param {string} notice.title
+ * @param {string} notice.body
+ * @param {string} [notice.html] - Email body; defaults to `body` in a paragraph
+ * @param {Object} [notice.context] - e.g. { offerId } or { viewingId }
+ * @returns {Promise<void>}
+ */
+export const notifyUsers = async (userIds, { title, body, html, context = {} }) => {
+  try {
+    const recipients = await prisma.user.findMany({
+      where: { id: { in: [...new Set(userIds.filter(Boolean))] } },
+      select: { id: true, email: true },
+    });
+
+    const results = await Promise.allSettled(
+      recipients.flatMap((user) => [
+        publishNotification(user.id, { title, body }, context),
+        sendEmail(user.email, title, html || `<p>${body}</p>`),
+      ])
+    );
+
+    const failed = results.filter((result) => result.status === "rejected");
+    if (failed.length) {
+      logger.warn(`Notification "${title}" partly undelivered`, {
+        context,
+        errors: failed.map((result) => result.reason?.message),
+      });
+    }
+  } catch (error) {
+    logger.warn(`Notification "${title}" undelivered: ${error.message}`, { context });
+  }
+};
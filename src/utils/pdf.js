@@ -0,0 +1,158 @@
+// src/utils/pdf.js
+
+/**
+ * Minimal PDF writer for server-rendered documents (invoices, statements).
+ *
+ * Supports A4 pages with text in the standard Helvetica faces, lines and
+ * filled rectangles. The standard fonts need no embedding, so documents stay
+ * small and nothing outside Node is required. Text is encoded as WinAnsi;
+ * characters outside Latin-1 are replaced with "?".
+ *
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+export const PAGE_WIDTH = 595.28; // A4
+export const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { name: "F1", base: "Helvetica" },
+  bold: { name: "F2", base: "Helvetica-Bold" },
+};
+
+// Average glyph width as a share of the font size, close enough for
+// right-aligning short strings such as amounts
+const AVERAGE_GLYPH_WIDTH = { regular: 0.5, bold: 0.55 };
+
+const format = (value) => Number(value.toFixed(2)).toString();
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+
+export class PdfDocument {
+  constructor({ title = "", author = "" } = {}) {
+    this.title = title;
+    this.author = author;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} [options]
+   * @param {number} [options.size=10]
+   * @param {boolean} [options.bold=false]
+   * @param {string} [options.align=left] - left or right (x is the right edge)
+   */
+  text(text, x, y, { size = 10, bold = false, align = "left" } = {}) {
+    const weight = bold ? "bold" : "regular";
+    const left =
+      align === "right" ? x - this.textWidth(text, { size, bold }) : x;
+
+    this.current.push(
+      `BT /${FONTS[weight].name} ${format(size)} Tf ${format(left)} ${format(
+        PAGE_HEIGHT - y
+      )} Td (${escapeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  textWidth(text, { size = 10, bold = false } = {}) {
+    return String(text).length * size * AVERAGE_GLYPH_WIDTH[bold ? "bold" : "regular"];
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.current.push(
+      `${format(width)} w ${format(x1)} ${format(PAGE_HEIGHT - y1)} m ${format(
+        x2
+      )} ${format(PAGE_HEIGHT - y2)} l S`
+    );
+    return this;
+  }
+
+  // Filled rectangle; gray is 0 (black) to 1 (white)
+  rect(x, y, width, height, { gray = 0.9 } = {}) {
+    this.current.push(
+      `q ${format(gray)} g ${format(x)} ${format(
+        PAGE_HEIGHT - y - height
+      )} ${format(width)} ${format(height)} re f Q`
+    );
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontIds = Object.fromEntries(
+      Object.entries(FONTS).map(([weight, font]) => [
+        weight,
+        add(
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`
+        ),
+      ])
+    );
+    const fontResources = Object.entries(FONTS)
+      .map(([weight, font]) => `/${font.name} ${fontIds[weight]} 0 R`)
+      .join(" ");
+
+    const pageIds = this.pages.map((operations) => {
+      const stream = operations.join("\n");
+      const contentId = add(
+        `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(" ")}] /Count ${pageIds.length} >>`;
+    const infoId = add(
+      `<< /Title (${escapeText(this.title)}) /Author (${escapeText(
+        this.author
+      )}) /Producer (Rezo) >>`
+    );
+
+    let output = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, "latin1");
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, "latin1");
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets
+      .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+      .join("");
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, "latin1");
+  }
+}
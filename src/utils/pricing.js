@@ -1,133 +1,280 @@
 // utils/pricing.js
+import { DateTime } from "luxon";
+
+export const PRICING_RULE_TYPES = {
+  SEASONAL: "SEASONAL",
+  WEEKEND: "WEEKEND",
+  LENGTH_OF_STAY: "LENGTH_OF_STAY",
+  LAST_MINUTE: "LAST_MINUTE",
+  EARLY_BIRD: "EARLY_BIRD",
+  MIN_PRICE: "MIN_PRICE",
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Stateless pricing engine. Rules are the host's PricingRule rows for a
+ * property and the TaxRule rows covering it; nothing here touches the
+ * database, so quotes and booking creation price a stay identically.
+ *
+ * Order of evaluation for each night:
+ *   1. nightly rate from the availability slot (or the property base price)
+ *   2. SEASONAL – highest-priority rule covering the night
+ *   3. WEEKEND – highest-priority rule for the night's weekday
+ *   4. LENGTH_OF_STAY, LAST_MINUTE, EARLY_BIRD – stay-wide, best match each
+ *   5. MIN_PRICE – floor
+ */
 export class PricingService {
   /**
-   * Calculate dynamic price for a given availability slot
-   * @param {Object} availability - Availability slot
-   * @param {Date} availability.startDate - Start date of availability
-   * @param {Date} availability.endDate - End date of availability
-   * @param {number} availability.basePrice - Base price for the property
-   * @param {Object} property - Property details
-   * @returns {number} - Final calculated price
+   * Price every night of a stay
+   * @param {Object} params
+   * @param {Array<{date: Date|string, price: number}>} params.nights - Base rate per night
+   * @param {Array<Object>} [params.rules] - PricingRule records
+   * @param {Date} [params.bookedAt] - When the booking is made (for lead-time rules)
+   * @returns {{nights: Array, baseSubtotal: number, subtotal: number, adjustmentTotal: number, appliedRules: Array}}
    */
-  static calculateDynamicPrice(availability, property) {
-    // console.log("Calculating price for:", availability, property);
-
-    if (
-      !availability ||
-      typeof availability !== "object" ||
-      !availability.startDate ||
-      !availability.endDate
-    ) {
-      console.error("Invalid availability object:", availability);
-      return 0; // Return a safe default price
-    }
+  static priceStay({ nights, rules = [], bookedAt = new Date() }) {
+    const activeRules = rules.filter((rule) => rule.isActive !== false);
+    const byType = (type) => activeRules.filter((rule) => rule.type === type);
+
+    const checkIn = nights.length ? this.toDay(nights[0].date) : null;
+    const stayRules = checkIn
+      ? this.selectStayRules(byType, nights.length, checkIn, bookedAt)
+      : [];
+    const floor = Math.max(
+      0,
+      ...byType(PRICING_RULE_TYPES.MIN_PRICE).map((rule) => Number(rule.amount) || 0)
+    );
+
+    const applied = new Map();
+    const pricedNights = nights.map((night) => {
+      const day = this.toDay(night.date);
+      const basePrice = round(Number(night.price) || 0);
+      const adjustments = [];
+      let price = basePrice;
+
+      const apply = (rule, newPrice) => {
+        adjustments.push({
+          ruleId: rule.id,
+          type: rule.type,
+          name: rule.name,
+          amount: round(newPrice - price),
+        });
+        applied.set(rule.id, rule);
+        price = newPrice;
+      };
+
+      const season = this.pickRule(
+        byType(PRICING_RULE_TYPES.SEASONAL).filter((rule) =>
+          this.coversDay(rule, day)
+        )
+      );
+      if (season) {
+        apply(
+          season,
+          season.amount !== null && season.amount !== undefined
+            ? Number(season.amount)
+            : this.adjust(price, season)
+        );
+      }
+
+      const weekend = this.pickRule(
+        byType(PRICING_RULE_TYPES.WEEKEND).filter((rule) =>
+          this.weekdays(rule).includes(day.weekday % 7)
+        )
+      );
+      if (weekend) apply(weekend, this.adjust(price, weekend));
 
-    const basePrice = availability.basePrice;
-    const stayDuration = this.calculateStayDuration(availability);
+      for (const rule of stayRules) apply(rule, this.adjust(price, rule));
 
-    let finalPrice = basePrice;
-    finalPrice *= this.getSeasonalMultiplier(new Date(availability.startDate));
-    finalPrice *= this.getDemandMultiplier(new Date(availability.startDate));
-    finalPrice = this.applyLengthOfStayDiscount(finalPrice, stayDuration);
-    finalPrice = this.applyPromotionalDiscount(
-      finalPrice,
-      property?.promotions || []
+      if (floor && price < floor) {
+        const minRule = this.pickRule(
+          byType(PRICING_RULE_TYPES.MIN_PRICE).filter(
+            (rule) => Number(rule.amount) === floor
+          )
+        );
+        apply(minRule, floor);
+      }
+
+      return {
+        date: day.toISODate(),
+        basePrice,
+        price: round(price),
+        adjustments,
+      };
+    });
+
+    const baseSubtotal = round(
+      pricedNights.reduce((sum, night) => sum + night.basePrice, 0)
+    );
+    const subtotal = round(
+      pricedNights.reduce((sum, night) => sum + night.price, 0)
     );
 
-    return Math.max(finalPrice, property?.minPrice || basePrice * 0.5);
+    return {
+      nights: pricedNights,
+      baseSubtotal,
+      subtotal,
+      adjustmentTotal: round(subtotal - baseSubtotal),
+      appliedRules: [...applied.values()].map((rule) => ({
+        id: rule.id,
+        type: rule.type,
+        name: rule.name,
+      })),
+    };
   }
 
   /**
-   * Calculate seasonal multiplier based on date
-   * @param {Date} date - Target date
-   * @returns {number} - Seasonal multiplier (1.0 = base price)
+   * Stay-wide rules that apply to this booking: the longest qualifying
+   * length-of-stay tier, the tightest last-minute window and the longest
+   * early-bird window.
    */
+  static selectStayRules(byType, nightCount, checkIn, bookedAt) {
+    const leadDays = Math.floor(
+      checkIn.diff(this.toDay(bookedAt), "days").days
+    );
 
-  static getSeasonalMultiplier(date) {
-    if (!date || isNaN(new Date(date).getTime())) {
-      console.error("Invalid date in getSeasonalMultiplier", date);
-      return 1;
-    }
-    date = new Date(date);
-    const month = date.getMonth() + 1;
-    if (month >= 6 && month <= 8) return 1.5;
-    if ((month >= 4 && month <= 5) || (month >= 9 && month <= 10)) return 1.2;
-    return 0.8;
+    const lengthOfStay = this.pickRule(
+      byType(PRICING_RULE_TYPES.LENGTH_OF_STAY).filter(
+        (rule) => nightCount >= (rule.minNights || 0)
+      ),
+      (rule) => rule.minNights || 0
+    );
+    const lastMinute = this.pickRule(
+      byType(PRICING_RULE_TYPES.LAST_MINUTE).filter(
+        (rule) => rule.leadDays !== null && leadDays <= rule.leadDays
+      ),
+      (rule) => -rule.leadDays
+    );
+    const earlyBird = this.pickRule(
+      byType(PRICING_RULE_TYPES.EARLY_BIRD).filter(
+        (rule) => rule.leadDays !== null && leadDays >= rule.leadDays
+      ),
+      (rule) => rule.leadDays
+    );
+
+    return [lengthOfStay, lastMinute, earlyBird].filter(Boolean);
   }
 
   /**
-   * Calculate demand multiplier based on booking trends
-   * @param {Date} date - Target date
-   * @returns {number} - Demand multiplier (1.0 = base price)
+   * Pick the winning rule: highest priority, then highest `rank`, then the
+   * most recently created
    */
+  static pickRule(rules, rank = () => 0) {
+    return (
+      [...rules].sort(
+        (a, b) =>
+          (b.priority || 0) - (a.priority || 0) ||
+          rank(b) - rank(a) ||
+          new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+      )[0] || null
+    );
+  }
 
-  static getDemandMultiplier(date) {
-    if (!date || isNaN(new Date(date).getTime())) {
-      console.error("Invalid date in getDemandMultiplier", date);
-      return 1;
-    }
-    date = new Date(date);
-    return date.getDay() === 5 || date.getDay() === 6 ? 1.2 : 1.0;
+  static adjust(price, rule) {
+    return price * (1 + Number(rule.adjustmentPercent || 0) / 100);
   }
 
-  /**
-   * Apply length-of-stay discounts
-   * @param {number} price - Current price
-   * @param {number} duration - Stay duration in days
-   * @returns {number} - Price after length-of-stay discount
-   */
-  static applyLengthOfStayDiscount(price, duration) {
-    // Example discounts:
-    // 7+ days: 10% discount
-    // 14+ days: 20% discount
-    // 30+ days: 30% discount
-    if (duration >= 30) return price * 0.7;
-    if (duration >= 14) return price * 0.8;
-    if (duration >= 7) return price * 0.9;
-    return price;
+  static coversDay(rule, day) {
+    if (!rule.startDate || !rule.endDate) return false;
+    return (
+      day >= this.toDay(rule.startDate) && day <= this.toDay(rule.endDate)
+    );
+  }
+
+  // Weekday numbers for a WEEKEND rule, defaulting to Friday and Saturday
+  static weekdays(rule) {
+    return rule.daysOfWeek?.length ? rule.daysOfWeek : [5, 6];
+  }
+
+  // Calendar day in UTC, the zone stay dates are stored in
+  static toDay(date) {
+    const value =
+      date instanceof Date
+        ? DateTime.fromJSDate(date, { zone: "utc" })
+        : DateTime.fromISO(String(date), { zone: "utc" });
+    return value.startOf("day");
   }
 
   /**
-   * Apply promotional discounts
-   * @param {number} price - Current price
-   * @param {Array} promotions - Active promotions
-   * @returns {number} - Price after promotional discounts
+   * Host-defined fees for a stay
+   * @param {Object} property - cleaningFee, extraGuestFee, extraGuestThreshold
+   * @param {Object} stay
+   * @param {number} stay.nightCount
+   * @param {number} stay.guests - Adults and children
+   * @returns {Array<{type: string, label: string, amount: number}>}
    */
-  static applyPromotionalDiscount(price, promotions = []) {
-    if (!Array.isArray(promotions)) {
-      console.error("Invalid promotions array:", promotions);
-      return price; // Return original price if promotions is not an array
+  static calculateFees(property, { nightCount, guests }) {
+    const fees = [];
+
+    const cleaningFee = Number(property.cleaningFee || 0);
+    if (cleaningFee > 0) {
+      fees.push({ type: "CLEANING", label: "Cleaning fee", amount: round(cleaningFee) });
     }
 
-    return promotions.reduce((currentPrice, promotion) => {
-      if (
-        promotion &&
-        typeof promotion.discount === "number" &&
-        this.isPromotionValid(promotion)
-      ) {
-        return currentPrice * (1 - promotion.discount);
-      }
-      return currentPrice;
-    }, price);
+    const extraGuestFee = Number(property.extraGuestFee || 0);
+    const included = property.extraGuestThreshold;
+    if (extraGuestFee > 0 && included && guests > included) {
+      const extraGuests = guests - included;
+      fees.push({
+        type: "EXTRA_GUEST",
+        label: `Extra guest fee (${extraGuests} × ${nightCount} nights)`,
+        amount: round(extraGuestFee * extraGuests * nightCount),
+      });
+    }
+
+    return fees;
   }
 
   /**
-   * Check if promotion is valid
-   * @param {Object} promotion - Promotion details
-   * @returns {boolean} - True if promotion is valid
+   * Apply jurisdiction tax rules to a priced stay
+   * @param {Array<Object>} rules - TaxRule records that cover the property
+   * @param {Object} stay
+   * @param {number} stay.subtotal - Nightly subtotal after pricing rules
+   * @param {number} stay.feesTotal - Sum of host fees
+   * @param {number} stay.nightCount
+   * @param {number} stay.guests
+   * @returns {Array<{ruleId: string, name: string, category: string, amount: number}>}
    */
-  static isPromotionValid(promotion) {
-    const now = new Date();
-    return (
-      promotion.active &&
-      new Date(promotion.startDate) <= now &&
-      new Date(promotion.endDate) >= now
-    );
+  static calculateTaxes(rules, { subtotal, feesTotal, nightCount, guests }) {
+    return rules
+      .map((rule) => {
+        const taxedNights = rule.maxNights
+          ? Math.min(nightCount, rule.maxNights)
+          : nightCount;
+        let amount = 0;
+
+        switch (rule.calculationType) {
+          case "PERCENTAGE": {
+            // A night cap scales the taxable base proportionally
+            const nightlyBase = nightCount ? subtotal * (taxedNights / nightCount) : 0;
+            const base = nightlyBase + (rule.includeFees ? feesTotal : 0);
+            amount = (base * Number(rule.rate || 0)) / 100;
+            break;
+          }
+          case "PER_NIGHT":
+            amount = Number(rule.amount || 0) * taxedNights;
+            break;
+          case "PER_GUEST_PER_NIGHT":
+            amount = Number(rule.amount || 0) * guests * taxedNights;
+            break;
+        }
+
+        return {
+          ruleId: rule.id,
+          name: rule.name,
+          category: rule.category,
+          calculationType: rule.calculationType,
+          rate: rule.rate !== null && rule.rate !== undefined ? Number(rule.rate) : null,
+          amount: round(amount),
+        };
+      })
+      .filter((tax) => tax.amount > 0);
   }
 
   /**
    * Calculate stay duration in days
-   * @param {Object} availability - Availability slot
+   * @param {Object} availability - Object with startDate and endDate
    * @returns {number} - Duration in days
    */
   static calculateStayDuration(availability) {
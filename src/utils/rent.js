@@ -0,0 +1,53 @@
+// utils/rent.js
+import { DateTime } from "luxon";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Monthly rent schedule of a lease. Installments follow calendar months:
+ * a lease starting mid-month pays for the rest of that month first and
+ * for the days of its last month at the end, each pro-rated by the days
+ * covered over the days in that month. Every installment is due on the
+ * first day of its period.
+ * @param {Object} lease
+ * @param {Date|string} lease.startDate - Move-in day
+ * @param {number} lease.months - Lease term
+ * @param {number} lease.monthlyRate
+ * @returns {{endDate: Date, total: number, installments: Array<{sequence, periodStart, periodEnd, dueDate, amount, prorated}>}}
+ */
+export const buildRentSchedule = ({ startDate, months, monthlyRate }) => {
+  const start = (
+    startDate instanceof Date
+      ? DateTime.fromJSDate(startDate, { zone: "utc" })
+      : DateTime.fromISO(String(startDate), { zone: "utc" })
+  ).startOf("day");
+  const end = start.plus({ months });
+  const rate = Number(monthlyRate);
+
+  const installments = [];
+  let periodStart = start;
+  while (periodStart < end) {
+    const monthStart = periodStart.startOf("month");
+    const nextMonth = monthStart.plus({ months: 1 });
+    const periodEnd = nextMonth < end ? nextMonth : end;
+
+    const days = periodEnd.diff(periodStart, "days").days;
+    const prorated = days !== monthStart.daysInMonth;
+
+    installments.push({
+      sequence: installments.length + 1,
+      periodStart: periodStart.toJSDate(),
+      periodEnd: periodEnd.toJSDate(),
+      dueDate: periodStart.toJSDate(),
+      amount: prorated ? round((rate * days) / monthStart.daysInMonth) : round(rate),
+      prorated,
+    });
+    periodStart = periodEnd;
+  }
+
+  return {
+    endDate: end.toJSDate(),
+    total: round(installments.reduce((sum, item) => sum + item.amount, 0)),
+    installments,
+  };
+};
@@ -8,3 +8,6 @@ export const validateRoleHierarchy = (existingRole, updateData) => {
     }
   }
 };
+
+export const hasRole = (user, roleName) =>
+  Boolean(user?.roles?.some((userRole) => userRole.role?.name === roleName));
@@ -1,5 +1,6 @@
 // src/websocket/notification.socket.js
 import Notification from '../models/Notification.js';
+import prisma from '../config/database.js';
 import redis from '../config/redis.js';
 import logger from '../config/logger.js';
 import { NotificationEvents } from './events.js';
@@ -108,7 +109,7 @@ async function handleSendNotification(data, io, connectedUsers) {
 /**
  * Creates a notification record in both PostgreSQL and MongoDB
  */
-async function createNotificationRecord(userId, type, content, metadata) {
+export async function createNotificationRecord(userId, type, content, metadata) {
   // Create in PostgreSQL (for relationships and reporting)
   const pgNotification = await prisma.notification.create({
     data: {
@@ -127,7 +128,6 @@ async function createNotificationRecord(userId, type, content, metadata) {
     type,
     content,
     metadata,
-    status: 'unread',
     createdAt: new Date()
   });
   await mongoNotification.save();
@@ -160,7 +160,7 @@ async function handleMarkAsRead(userId, notificationIds, io) {
         notificationId: { $in: notificationIds },
         userId 
       },
-      { $set: { status: 'read', readAt: new Date() } }
+      { $set: { 'status.read': true, 'status.readAt': new Date() } }
     )
   ]);
 